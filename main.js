@@ -1,6 +1,7 @@
 const { app, BrowserWindow, ipcMain, Menu, dialog, shell, clipboard, globalShortcut } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
+const { existsSync } = require('fs');
 const { exec, spawn } = require('child_process');
 const os = require('os');
 const chokidar = require('chokidar');
@@ -9,8 +10,7 @@ let mainWindow;
 let splashWindow;
 let projectsBasePath = path.join(os.homedir(), 'Projects');
 let fileWatchers = new Map(); // Track active file watchers per project
-let gitOperationHistory = []; // For undo/redo functionality
-const MAX_HISTORY = 50;
+const MAX_HISTORY = 50; // Undo journal entries kept per project
 
 let appSettings = {
   theme: 'dark',
@@ -23,7 +23,12 @@ let appSettings = {
   terminalApp: 'cmd',
   showWelcome: true,
   autoRefreshInterval: 2000,
-  enableFileWatcher: true
+  enableFileWatcher: true,
+  gitPath: '',
+  gitAutoFetch: false,
+  gitAutoFetchInterval: 5,
+  gitAutoFetchAllProjects: false,
+  maxWorkers: 4
 };
 
 // Advanced Logger System
@@ -103,56 +108,211 @@ class Logger {
 
 const logger = new Logger();
 
-// Git Command Wrapper with advanced error handling
-async function executeGitCommand(command, cwd, operation = 'Git Operation') {
+// Git processes that can be cancelled from the renderer, keyed by operation id
+const activeGitOperations = new Map();
+
+// Resolve the git binary, honouring the git-path setting
+function getGitExecutable() {
+  const configured = appSettings.gitPath && appSettings.gitPath.trim();
+  return configured || 'git';
+}
+
+const GIT_CONFLICT_MESSAGE = 'Merge conflict detected. Resolve the conflicts to continue.';
+
+// Map raw git stderr to a user-friendly error message
+function getFriendlyGitError(stderr, fallback) {
+  if (stderr) {
+    if (stderr.includes('not a git repository')) {
+      return 'This is not a git repository. Initialize it first.';
+    } else if (stderr.includes('Permission denied')) {
+      return 'Permission denied. Check file permissions.';
+    } else if (stderr.includes('Authentication failed')) {
+      return 'Authentication failed. Check your credentials.';
+    } else if (stderr.includes('Could not resolve host')) {
+      return 'Network error. Check your internet connection.';
+    } else if (stderr.includes('failed to sign the data') || stderr.includes('Couldn\'t load public key')) {
+      return 'Signing failed. Check the signing key in the project\'s signing settings.';
+    } else if (stderr.includes('would be overwritten')) {
+      return 'Local changes would be overwritten. Commit or stash them first.';
+    } else if (stderr.includes('conflict')) {
+      return GIT_CONFLICT_MESSAGE;
+    }
+  }
+  return fallback;
+}
+
+// Git runner: spawns git with an argument vector (no shell), a clean locale,
+// a timeout and optional cancellation via AbortSignal or operation id;
+// opts.raw also returns stdout as a Buffer for output that mixes text and byte counts
+function runGit(args, cwd, opts = {}) {
+  const {
+    operation = 'Git Operation',
+    timeout = 60000,
+    signal = null,
+    operationId = null,
+    input = null,
+    env = {},
+    onStdout = null,
+    onStderr = null,
+    raw = false
+  } = opts;
+
   return new Promise((resolve) => {
-    logger.info(`Executing: ${command}`, { cwd, operation });
+    const commandLabel = `git ${args.join(' ')}`;
+    logger.info(`Executing: ${commandLabel}`, { cwd, operation });
 
-    exec(command, { cwd, timeout: 60000 }, (error, stdout, stderr) => {
-      if (error) {
-        logger.error(`Git command failed: ${command}`, {
-          error: error.message,
-          stderr,
-          cwd,
-          operation
-        });
+    const controller = new AbortController();
+    if (signal) {
+      if (signal.aborted) {
+        controller.abort();
+      } else {
+        signal.addEventListener('abort', () => controller.abort(), { once: true });
+      }
+    }
+    if (operationId) {
+      activeGitOperations.set(operationId, controller);
+    }
 
-        // Provide user-friendly error messages
-        let userMessage = error.message;
-        if (stderr) {
-          if (stderr.includes('not a git repository')) {
-            userMessage = 'This is not a git repository. Initialize it first.';
-          } else if (stderr.includes('Permission denied')) {
-            userMessage = 'Permission denied. Check file permissions.';
-          } else if (stderr.includes('Authentication failed')) {
-            userMessage = 'Authentication failed. Check your credentials.';
-          } else if (stderr.includes('Could not resolve host')) {
-            userMessage = 'Network error. Check your internet connection.';
-          } else if (stderr.includes('would be overwritten')) {
-            userMessage = 'Local changes would be overwritten. Commit or stash them first.';
-          } else if (stderr.includes('conflict')) {
-            userMessage = 'Merge conflict detected. Resolve conflicts manually.';
-          }
-        }
+    const stdoutChunks = [];
+    const stderrChunks = [];
+    let timedOut = false;
+    let cancelled = false;
+    let settled = false;
+    let timer = null;
+    let child;
+
+    const finish = (spawnError, code) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (operationId) {
+        activeGitOperations.delete(operationId);
+      }
 
-        resolve({
-          success: false,
-          error: userMessage,
-          stderr,
-          details: error.message
-        });
+      const stdoutBuffer = Buffer.concat(stdoutChunks);
+      const stdout = stdoutBuffer.toString('utf-8');
+      const stderr = Buffer.concat(stderrChunks).toString('utf-8');
+
+      if (!spawnError && code === 0 && !cancelled && !timedOut) {
+        logger.info(`Git command succeeded: ${commandLabel}`, { stdout: stdout.substring(0, 200) });
+        resolve(raw ? { success: true, output: stdout, buffer: stdoutBuffer, stderr, code } : { success: true, output: stdout, stderr, code });
+        return;
+      }
+
+      // git reports merge conflicts as "CONFLICT (...)" lines, mostly on stdout
+      const conflict = /^CONFLICT\b/m.test(stdout) || /^CONFLICT\b/m.test(stderr);
+
+      let details;
+      let userMessage;
+      if (cancelled) {
+        details = 'Operation cancelled';
+        userMessage = 'Operation cancelled';
+      } else if (timedOut) {
+        details = `Timed out after ${timeout}ms`;
+        userMessage = 'Git operation timed out.';
+      } else if (spawnError) {
+        details = spawnError.message;
+        if (spawnError.code === 'ENOENT') {
+          userMessage = cwd && !existsSync(cwd)
+            ? `Folder not found: ${cwd}`
+            : 'Git executable not found. Check the Git path in settings.';
+        } else {
+          userMessage = spawnError.message;
+        }
       } else {
-        logger.info(`Git command succeeded: ${command}`, { stdout: stdout.substring(0, 200) });
-        resolve({
-          success: true,
-          output: stdout,
-          stderr
-        });
+        details = `Command failed: ${commandLabel}\n${stderr}`;
+        userMessage = conflict
+          ? GIT_CONFLICT_MESSAGE
+          : getFriendlyGitError(stderr, stderr.trim() || details);
       }
+
+      logger.error(`Git command failed: ${commandLabel}`, {
+        error: details,
+        stderr,
+        cwd,
+        operation
+      });
+
+      resolve({
+        success: false,
+        error: userMessage,
+        stderr,
+        output: stdout,
+        details,
+        code: typeof code === 'number' ? code : null,
+        conflict,
+        cancelled,
+        timedOut
+      });
+    };
+
+    try {
+      child = spawn(getGitExecutable(), args, {
+        cwd,
+        windowsHide: true,
+        env: {
+          ...process.env,
+          LC_ALL: 'C',
+          LANG: 'C',
+          LANGUAGE: 'C',
+          GIT_TERMINAL_PROMPT: '0',
+          ...env
+        }
+      });
+    } catch (error) {
+      finish(error, null);
+      return;
+    }
+
+    const abort = () => {
+      cancelled = true;
+      child.kill();
+    };
+    if (controller.signal.aborted) {
+      abort();
+    } else {
+      controller.signal.addEventListener('abort', abort, { once: true });
+    }
+
+    if (timeout > 0) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        child.kill();
+      }, timeout);
+    }
+
+    child.stdout.on('data', (chunk) => {
+      stdoutChunks.push(chunk);
+      if (onStdout) onStdout(chunk.toString('utf-8'));
+    });
+    child.stderr.on('data', (chunk) => {
+      stderrChunks.push(chunk);
+      if (onStderr) onStderr(chunk.toString('utf-8'));
+    });
+    child.on('error', (error) => finish(error, null));
+    child.on('close', (code) => finish(null, code));
+
+    child.stdin.on('error', () => {
+      // git may exit before consuming all input
     });
+    if (input !== null) {
+      child.stdin.end(input);
+    } else {
+      child.stdin.end();
+    }
   });
 }
 
+// Cancel a running git operation started with an operation id
+function cancelGitOperation(operationId) {
+  const controller = activeGitOperations.get(operationId);
+  if (!controller) {
+    return false;
+  }
+  controller.abort();
+  return true;
+}
+
 // Validation helper
 function validateGitPath(projectPath) {
   if (!projectPath || typeof projectPath !== 'string') {
@@ -161,6 +321,307 @@ function validateGitPath(projectPath) {
   return { valid: true };
 }
 
+// Reject ref-like arguments that git would parse as options
+function validateGitRef(value, label = 'Reference') {
+  if (!value || typeof value !== 'string' || !value.trim()) {
+    return { valid: false, error: `${label} cannot be empty` };
+  }
+  if (value.startsWith('-')) {
+    return { valid: false, error: `${label} cannot start with "-"` };
+  }
+  return { valid: true };
+}
+
+// Conflict kinds for unmerged (XY) codes in porcelain status
+const GIT_CONFLICT_KINDS = {
+  DD: 'both-deleted',
+  AU: 'added-by-us',
+  UD: 'deleted-by-them',
+  UA: 'added-by-them',
+  DU: 'deleted-by-us',
+  AA: 'both-added',
+  UU: 'both-modified'
+};
+
+// Parse the submodule field (N... or S<c><m><u>) of a porcelain v2 entry
+function parseSubmoduleState(field) {
+  if (!field || field[0] !== 'S') {
+    return null;
+  }
+  return {
+    commitChanged: field[1] === 'C',
+    trackedChanges: field[2] === 'M',
+    untrackedChanges: field[3] === 'U'
+  };
+}
+
+// Parse `git status --porcelain=v2 --branch -z` output into branch info and typed entries
+function parseGitStatusV2(output) {
+  const branch = {
+    oid: null,
+    head: null,
+    detached: false,
+    upstream: null,
+    ahead: 0,
+    behind: 0
+  };
+  const entries = [];
+  const records = (output || '').split('\0');
+
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i];
+    if (!record) continue;
+
+    if (record.startsWith('# ')) {
+      const [key, ...rest] = record.substring(2).split(' ');
+      const value = rest.join(' ');
+      if (key === 'branch.oid') {
+        branch.oid = value === '(initial)' ? null : value;
+      } else if (key === 'branch.head') {
+        branch.detached = value === '(detached)';
+        branch.head = branch.detached ? null : value;
+      } else if (key === 'branch.upstream') {
+        branch.upstream = value;
+      } else if (key === 'branch.ab') {
+        const match = value.match(/^\+(\d+) -(\d+)$/);
+        if (match) {
+          branch.ahead = parseInt(match[1], 10);
+          branch.behind = parseInt(match[2], 10);
+        }
+      }
+      continue;
+    }
+
+    const type = record[0];
+
+    if (type === '?' || type === '!') {
+      entries.push({
+        type: type === '?' ? 'untracked' : 'ignored',
+        path: record.substring(2),
+        origPath: null,
+        index: type,
+        worktree: type,
+        staged: false,
+        unstaged: type === '?',
+        conflict: null,
+        submodule: null
+      });
+      continue;
+    }
+
+    if (type === '1' || type === '2') {
+      // 1 <XY> <sub> <mH> <mI> <mW> <hH> <hI> <path>
+      // 2 <XY> <sub> <mH> <mI> <mW> <hH> <hI> <X><score> <path>\0<origPath>
+      const fieldCount = type === '1' ? 8 : 9;
+      const fields = record.split(' ');
+      const xy = fields[1];
+      const entry = {
+        type: 'changed',
+        path: fields.slice(fieldCount).join(' '),
+        origPath: null,
+        index: xy[0] === '.' ? null : xy[0],
+        worktree: xy[1] === '.' ? null : xy[1],
+        staged: xy[0] !== '.',
+        unstaged: xy[1] !== '.',
+        conflict: null,
+        submodule: parseSubmoduleState(fields[2])
+      };
+
+      if (type === '2') {
+        const score = fields[8];
+        entry.type = score[0] === 'C' ? 'copied' : 'renamed';
+        entry.score = parseInt(score.substring(1), 10);
+        entry.origPath = records[++i] || null;
+      }
+
+      entries.push(entry);
+      continue;
+    }
+
+    if (type === 'u') {
+      // u <XY> <sub> <m1> <m2> <m3> <mW> <h1> <h2> <h3> <path>
+      const fields = record.split(' ');
+      const xy = fields[1];
+      entries.push({
+        type: 'unmerged',
+        path: fields.slice(10).join(' '),
+        origPath: null,
+        index: xy[0],
+        worktree: xy[1],
+        staged: false,
+        unstaged: true,
+        conflict: GIT_CONFLICT_KINDS[xy] || 'unknown',
+        submodule: parseSubmoduleState(fields[2])
+      });
+    }
+  }
+
+  return { branch, entries };
+}
+
+// Parse unified diff text (as produced by `git diff`) into files and hunks
+function parseUnifiedDiff(text) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+
+  const lines = (text || '').split('\n');
+  if (lines.length && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+
+  for (const line of lines) {
+    if (line.startsWith('diff --git ')) {
+      const match = line.match(/^diff --git a\/(.*) b\/(.*)$/);
+      file = {
+        oldPath: match ? match[1] : null,
+        newPath: match ? match[2] : null,
+        headerLines: [line],
+        binary: false,
+        isNew: false,
+        isDeleted: false,
+        hunks: []
+      };
+      files.push(file);
+      hunk = null;
+      continue;
+    }
+
+    if (!file) continue;
+
+    const hunkMatch = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/);
+    if (hunkMatch) {
+      hunk = {
+        header: line,
+        oldStart: parseInt(hunkMatch[1], 10),
+        oldLines: hunkMatch[2] === undefined ? 1 : parseInt(hunkMatch[2], 10),
+        newStart: parseInt(hunkMatch[3], 10),
+        newLines: hunkMatch[4] === undefined ? 1 : parseInt(hunkMatch[4], 10),
+        section: hunkMatch[5].trim(),
+        lines: []
+      };
+      file.hunks.push(hunk);
+      continue;
+    }
+
+    if (!hunk) {
+      // Extended header lines between "diff --git" and the first hunk
+      file.headerLines.push(line);
+      if (line.startsWith('new file mode')) {
+        file.isNew = true;
+      } else if (line.startsWith('deleted file mode')) {
+        file.isDeleted = true;
+      } else if (line.startsWith('Binary files') || line === 'GIT binary patch') {
+        file.binary = true;
+      } else if (line.startsWith('--- ') && line !== '--- /dev/null') {
+        file.oldPath = line.substring(4).replace(/^a\//, '');
+      } else if (line.startsWith('+++ ') && line !== '+++ /dev/null') {
+        file.newPath = line.substring(4).replace(/^b\//, '');
+      }
+      continue;
+    }
+
+    if (line.startsWith('+')) {
+      hunk.lines.push({ type: 'add', content: line.substring(1) });
+    } else if (line.startsWith('-')) {
+      hunk.lines.push({ type: 'del', content: line.substring(1) });
+    } else if (line.startsWith('\\')) {
+      hunk.lines.push({ type: 'noeol', content: line });
+    } else {
+      hunk.lines.push({ type: 'context', content: line.substring(1) });
+    }
+  }
+
+  return files;
+}
+
+// Build a patch containing only the selected hunks/lines of a parsed diff file.
+// selection: [{ hunk: <index>, lines: [<line index>...] | null (whole hunk) }]
+// When `reverse` is set the patch is meant for `git apply --reverse`, so
+// unselected additions become context and unselected deletions are dropped.
+function buildPartialPatch(file, selection, reverse = false) {
+  const selectedByHunk = new Map();
+  for (const item of selection || []) {
+    const hunk = file.hunks[item.hunk];
+    if (!hunk) continue;
+    const indices = Array.isArray(item.lines)
+      ? item.lines
+      : hunk.lines.map((line, index) => index);
+    const existing = selectedByHunk.get(item.hunk) || new Set();
+    indices.forEach(index => existing.add(index));
+    selectedByHunk.set(item.hunk, existing);
+  }
+
+  const hunkTexts = [];
+  let offset = 0;
+
+  file.hunks.forEach((hunk, hunkIndex) => {
+    const selected = selectedByHunk.get(hunkIndex);
+    if (!selected || selected.size === 0) return;
+
+    const out = [];
+    let oldLines = 0;
+    let newLines = 0;
+    let hasChange = false;
+    let previousKept = false;
+
+    hunk.lines.forEach((line, index) => {
+      if (line.type === 'noeol') {
+        if (previousKept) out.push(line.content);
+        return;
+      }
+
+      if (line.type === 'context') {
+        out.push(' ' + line.content);
+        oldLines++;
+        newLines++;
+        previousKept = true;
+        return;
+      }
+
+      if (selected.has(index)) {
+        out.push((line.type === 'add' ? '+' : '-') + line.content);
+        if (line.type === 'add') newLines++; else oldLines++;
+        hasChange = true;
+        previousKept = true;
+        return;
+      }
+
+      // Unselected change: keep the side that already matches the target as context
+      const keepAsContext = reverse ? line.type === 'add' : line.type === 'del';
+      if (keepAsContext) {
+        out.push(' ' + line.content);
+        oldLines++;
+        newLines++;
+        previousKept = true;
+      } else {
+        previousKept = false;
+      }
+    });
+
+    if (!hasChange) return;
+
+    // git apply locates hunks by the side it applies against; the other start is a hint
+    let oldStart = hunk.oldStart;
+    let newStart = hunk.newStart;
+    if (reverse) {
+      oldStart = Math.max(0, hunk.newStart - offset);
+    } else {
+      newStart = Math.max(0, hunk.oldStart + offset);
+    }
+    offset += newLines - oldLines;
+
+    hunkTexts.push(`@@ -${oldStart},${oldLines} +${newStart},${newLines} @@${hunk.section ? ' ' + hunk.section : ''}`);
+    hunkTexts.push(...out);
+  });
+
+  if (hunkTexts.length === 0) {
+    return null;
+  }
+
+  return [...file.headerLines, ...hunkTexts].join('\n') + '\n';
+}
+
 // ============================================
 // ADVANCED FEATURE 1: Real-Time File Watcher
 // ============================================
@@ -212,26 +673,263 @@ function stopFileWatcher(projectPath) {
 // ============================================
 // ADVANCED FEATURE 2: Operation History (Undo/Redo)
 // ============================================
-function recordGitOperation(operation) {
+// Every recorded operation keeps the refs it changed (HEAD before/after, or the sha of a deleted
+// branch, tag or stash), so undo and redo work after a restart. Before moving HEAD, the current
+// state is checked against the journal and the reflog so work done outside the app is never lost.
+const UNDO_JOURNAL_FILE = 'git-undo-journal.json';
+const HEAD_OPERATION_TYPES = ['commit', 'amend', 'squash', 'merge', 'pull', 'rebase', 'am', 'reset', 'cherry-pick', 'revert'];
+const UNDO_OPERATION_LABELS = {
+  commit: 'Commit',
+  amend: 'Amend commit',
+  squash: 'Squash commits',
+  merge: 'Merge',
+  pull: 'Pull',
+  rebase: 'Rebase',
+  am: 'Apply patches',
+  reset: 'Reset',
+  'cherry-pick': 'Cherry-pick',
+  revert: 'Revert',
+  'branch-delete': 'Delete branch',
+  'tag-delete': 'Delete tag',
+  'stash-drop': 'Drop stash'
+};
+
+let undoJournal = null; // projectPath -> { undo: [], redo: [] }, newest first
+const pendingUndoOperations = new Map(); // projectPath -> operation stopped on a conflict
+
+async function getUndoJournal() {
+  if (!undoJournal) {
+    try {
+      const data = await fs.readFile(path.join(app.getPath('userData'), UNDO_JOURNAL_FILE), 'utf-8');
+      undoJournal = JSON.parse(data);
+    } catch (error) {
+      undoJournal = {};
+    }
+  }
+  return undoJournal;
+}
+
+async function saveUndoJournal() {
+  try {
+    await fs.writeFile(path.join(app.getPath('userData'), UNDO_JOURNAL_FILE), JSON.stringify(undoJournal, null, 2));
+  } catch (error) {
+    logger.error('Failed to save undo journal', { error: error.message });
+  }
+}
+
+async function getProjectJournal(projectPath) {
+  const journal = await getUndoJournal();
+  if (!journal[projectPath]) {
+    journal[projectPath] = { undo: [], redo: [] };
+  }
+  return journal[projectPath];
+}
+
+function notifyHistoryUpdated(projectPath, stacks) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('git-history-updated', {
+      projectPath,
+      undo: stacks.undo[0] || null,
+      redo: stacks.redo[0] || null
+    });
+  }
+}
+
+// The commit HEAD points at and the branch it is on (null when detached)
+async function captureHeadState(projectPath) {
+  const head = await runGit(['rev-parse', '--verify', '--quiet', 'HEAD'], projectPath, { operation: 'Capture HEAD' });
+  const ref = await runGit(['symbolic-ref', '--quiet', 'HEAD'], projectPath, { operation: 'Capture HEAD' });
+  return {
+    head: head.success ? head.output.trim() : null,
+    ref: ref.success ? ref.output.trim() : null
+  };
+}
+
+async function recordGitOperation(operation) {
+  const stacks = await getProjectJournal(operation.projectPath);
   const record = {
     ...operation,
     timestamp: new Date().toISOString(),
     id: Date.now()
   };
 
-  gitOperationHistory.unshift(record);
+  stacks.undo.unshift(record);
+  stacks.redo = [];
 
   // Keep only last MAX_HISTORY operations
-  if (gitOperationHistory.length > MAX_HISTORY) {
-    gitOperationHistory = gitOperationHistory.slice(0, MAX_HISTORY);
+  if (stacks.undo.length > MAX_HISTORY) {
+    stacks.undo = stacks.undo.slice(0, MAX_HISTORY);
   }
 
   logger.info('Git operation recorded', record);
+  await saveUndoJournal();
+  notifyHistoryUpdated(operation.projectPath, stacks);
+}
 
-  // Notify renderer
-  if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.webContents.send('git-history-updated', gitOperationHistory);
+// Record an operation that moved HEAD; one stopped on a conflict is recorded once it is continued
+async function recordHeadOperation(type, projectPath, message, before, result) {
+  if (result.conflict) {
+    pendingUndoOperations.set(projectPath, { type, message, before });
+    return;
+  }
+  if (!result.success) {
+    return;
+  }
+
+  const after = await captureHeadState(projectPath);
+  if (after.head && after.head !== before.head) {
+    await recordGitOperation({ type, message, projectPath, before, after });
+  }
+}
+
+async function getLastReflogEntry(projectPath) {
+  const result = await runGit(['reflog', '-1', '--format=%h %gs'], projectPath, { operation: 'Reflog' });
+  return result.success ? result.output.trim() : '';
+}
+
+async function listCommitsBetween(projectPath, range) {
+  const result = await runGit(['log', '--format=%h%x1f%s', range], projectPath, { operation: 'Undo Preview' });
+  if (!result.success) return [];
+  return result.output.split('\n').filter(Boolean).map(line => {
+    const [hash, subject] = line.split('\x1f');
+    return { hash, subject };
+  });
+}
+
+// Work out the git commands for undoing or redoing the newest journal entry, plus a preview of its effect
+// Returns { entry, commands, description, blocked, commitsRemoved, commitsRestored, stat }
+async function planUndoStep(projectPath, direction) {
+  const stacks = await getProjectJournal(projectPath);
+  const entry = direction === 'undo' ? stacks.undo[0] : stacks.redo[0];
+  if (!entry) {
+    return { error: direction === 'undo' ? 'No operations to undo' : 'No operations to redo' };
+  }
+
+  const label = UNDO_OPERATION_LABELS[entry.type] || entry.type;
+  const plan = { entry, commands: [], blocked: null, commitsRemoved: [], commitsRestored: [], stat: '' };
+
+  if (await detectGitOperation(projectPath)) {
+    plan.blocked = 'Finish or abort the merge, rebase or cherry-pick in progress first';
+    return plan;
+  }
+
+  if (HEAD_OPERATION_TYPES.includes(entry.type)) {
+    const from = direction === 'undo' ? entry.after.head : entry.before.head;
+    const to = direction === 'undo' ? entry.before.head : entry.after.head;
+    if (!from || !to) {
+      plan.description = `${direction === 'undo' ? 'Undo' : 'Redo'} ${label.toLowerCase()}`;
+      plan.blocked = 'The first commit of a repository cannot be undone';
+      return plan;
+    }
+    const current = await captureHeadState(projectPath);
+    const branch = (entry.before.ref || '').replace(/^refs\/heads\//, '') || 'detached HEAD';
+
+    plan.description = `${direction === 'undo' ? 'Undo' : 'Redo'} ${label.toLowerCase()} on ${branch}: move HEAD from ${from.substring(0, 7)} to ${to.substring(0, 7)}`;
+
+    if (current.ref !== entry.before.ref) {
+      plan.blocked = `This ${label.toLowerCase()} happened on ${branch}, but ${(current.ref || 'a detached HEAD').replace(/^refs\/heads\//, '')} is checked out`;
+      return plan;
+    }
+    if (current.head !== from) {
+      plan.blocked = `HEAD has moved since this ${label.toLowerCase()} (latest reflog entry: ${await getLastReflogEntry(projectPath) || 'unknown'})`;
+      return plan;
+    }
+    const exists = await runGit(['cat-file', '-e', `${to}^{commit}`], projectPath, { operation: 'Undo Check' });
+    if (!exists.success) {
+      plan.blocked = `Commit ${to.substring(0, 7)} is no longer in the repository`;
+      return plan;
+    }
+
+    // An undone commit or amend leaves its changes staged, like `git reset --soft HEAD~1`;
+    // everything else uses --keep, which refuses to overwrite uncommitted changes
+    const mode = entry.type === 'commit' || entry.type === 'amend' ? '--soft' : '--keep';
+    plan.commands.push(['reset', mode, to]);
+    plan.commitsRemoved = await listCommitsBetween(projectPath, `${to}..${from}`);
+    plan.commitsRestored = await listCommitsBetween(projectPath, `${from}..${to}`);
+    const stat = await runGit(['diff', '--stat', from, to], projectPath, { operation: 'Undo Preview' });
+    plan.stat = stat.success ? stat.output.trim() : '';
+    return plan;
+  }
+
+  const shortSha = (entry.sha || '').substring(0, 7);
+  const exists = await runGit(['cat-file', '-e', entry.sha], projectPath, { operation: 'Undo Check' });
+  if (direction === 'undo' && !exists.success) {
+    plan.blocked = `${shortSha} is no longer in the repository, so it cannot be restored`;
+    return plan;
+  }
+
+  if (entry.type === 'branch-delete') {
+    const existing = await runGit(['rev-parse', '--verify', '--quiet', `refs/heads/${entry.name}`], projectPath, { operation: 'Undo Check' });
+    if (direction === 'undo') {
+      plan.description = `Restore branch ${entry.name} at ${shortSha}`;
+      if (existing.success) plan.blocked = `A branch named ${entry.name} already exists`;
+      plan.commands.push(['branch', entry.name, entry.sha]);
+    } else {
+      plan.description = `Delete branch ${entry.name} again`;
+      if (!existing.success || existing.output.trim() !== entry.sha) plan.blocked = `Branch ${entry.name} has changed since it was restored`;
+      plan.commands.push(['branch', '-D', entry.name]);
+    }
+  } else if (entry.type === 'tag-delete') {
+    const existing = await runGit(['rev-parse', '--verify', '--quiet', `refs/tags/${entry.name}`], projectPath, { operation: 'Undo Check' });
+    if (direction === 'undo') {
+      plan.description = `Restore tag ${entry.name} at ${shortSha}`;
+      if (existing.success) plan.blocked = `A tag named ${entry.name} already exists`;
+      // Pointing the ref back at the tag object keeps annotated tags intact
+      plan.commands.push(['update-ref', `refs/tags/${entry.name}`, entry.sha, '']);
+    } else {
+      plan.description = `Delete tag ${entry.name} again`;
+      if (!existing.success || existing.output.trim() !== entry.sha) plan.blocked = `Tag ${entry.name} has changed since it was restored`;
+      plan.commands.push(['tag', '-d', entry.name]);
+    }
+  } else if (entry.type === 'stash-drop') {
+    if (direction === 'undo') {
+      plan.description = `Restore stash "${entry.message}" (${shortSha})`;
+      plan.commands.push(['stash', 'store', '-m', entry.message, entry.sha]);
+    } else {
+      plan.description = `Drop stash "${entry.message}" again`;
+      const list = await runGit(['stash', 'list', '--format=%H'], projectPath, { operation: 'Undo Check' });
+      const index = list.success ? list.output.split('\n').indexOf(entry.sha) : -1;
+      if (index < 0) {
+        plan.blocked = 'The restored stash is no longer in the stash list';
+      } else {
+        plan.commands.push(['stash', 'drop', `stash@{${index}}`]);
+      }
+    }
+  } else {
+    plan.blocked = `Undo not supported for ${label}`;
+  }
+
+  return plan;
+}
+
+async function runUndoStep(projectPath, direction) {
+  const plan = await planUndoStep(projectPath, direction);
+  if (plan.error) {
+    return { success: false, error: plan.error };
+  }
+  if (plan.blocked) {
+    return { success: false, error: plan.blocked };
+  }
+
+  logger.info(`${direction === 'undo' ? 'Undoing' : 'Redoing'} operation`, plan.entry);
+  let result = { success: true, output: '' };
+  for (const args of plan.commands) {
+    result = await runGit(args, projectPath, { operation: direction === 'undo' ? 'Undo' : 'Redo' });
+    if (!result.success) {
+      return result;
+    }
+  }
+
+  const stacks = await getProjectJournal(projectPath);
+  if (direction === 'undo') {
+    stacks.redo.unshift(stacks.undo.shift());
+  } else {
+    stacks.undo.unshift(stacks.redo.shift());
   }
+  await saveUndoJournal();
+  notifyHistoryUpdated(projectPath, stacks);
+
+  return { ...result, description: plan.description };
 }
 
 // ============================================
@@ -405,6 +1103,7 @@ app.whenReady().then(async () => {
   await ensureProjectsDir();
   createWindow();
   registerGlobalShortcuts();
+  scheduleAutoFetch();
 });
 
 app.on('window-all-closed', () => {
@@ -415,6 +1114,7 @@ app.on('window-all-closed', () => {
 
 app.on('will-quit', () => {
   globalShortcut.unregisterAll();
+  clearInterval(autoFetchTimer);
 });
 
 app.on('activate', () => {
@@ -508,6 +1208,7 @@ ipcMain.handle('get-settings', () => {
 ipcMain.handle('save-settings', async (event, settings) => {
   appSettings = { ...appSettings, ...settings };
   const success = await saveSettings();
+  scheduleAutoFetch();
   if (success && settings.theme) {
     mainWindow.webContents.send('theme-changed', settings.theme);
   }
@@ -529,431 +1230,3642 @@ ipcMain.handle('reload-window', () => {
 
 // Git operations
 ipcMain.handle('init-git', async (event, projectPath) => {
-  return new Promise((resolve) => {
-    exec('git init', { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message });
-      } else {
-        resolve({ success: true, output: stdout });
-      }
-    });
-  });
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  return await runGit(['init'], projectPath, { operation: 'Initialize Git' });
 });
 
 ipcMain.handle('git-status', async (event, projectPath) => {
-  return new Promise((resolve) => {
-    exec('git status --porcelain', { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message });
-      } else {
-        resolve({ success: true, output: stdout });
-      }
-    });
-  });
+  return await runGit(['status', '--porcelain'], projectPath, { operation: 'Status' });
 });
 
-ipcMain.handle('git-commit', async (event, projectPath, message) => {
+// Structured git status (porcelain v2) with branch tracking info
+ipcMain.handle('git-status-detailed', async (event, projectPath) => {
   const validation = validateGitPath(projectPath);
   if (!validation.valid) {
     return { success: false, error: validation.error };
   }
 
-  if (!message || !message.trim()) {
-    return { success: false, error: 'Commit message cannot be empty' };
-  }
-
-  // Escape message for command line
-  const escapedMessage = message.replace(/"/g, '\\"');
-  const result = await executeGitCommand(
-    `git add . && git commit -m "${escapedMessage}"`,
+  const result = await runGit(
+    ['status', '--porcelain=v2', '--branch', '-z'],
     projectPath,
-    'Commit'
+    { operation: 'Status' }
   );
-
-  // Record operation for undo functionality
-  if (result.success) {
-    recordGitOperation({
-      type: 'commit',
-      message: message,
-      projectPath: projectPath
-    });
+  if (!result.success) {
+    return result;
   }
 
-  return result;
+  const { branch, entries } = parseGitStatusV2(result.output);
+  const lfsPaths = await getLfsPaths(projectPath, entries.map(entry => entry.path));
+  entries.forEach(entry => {
+    entry.lfs = lfsPaths.has(entry.path);
+  });
+  return { success: true, branch, entries };
 });
 
-// Git pull with conflict detection
-ipcMain.handle('git-pull', async (event, projectPath) => {
+// Commit; options: amend (message and/or content of the last commit), stagedOnly (skip `git add .`), signOff,
+// sign (true/false overrides the project's commit.gpgsign)
+ipcMain.handle('git-commit', async (event, projectPath, message, options = {}) => {
   const validation = validateGitPath(projectPath);
   if (!validation.valid) {
     return { success: false, error: validation.error };
   }
 
-  // Check for uncommitted changes first
-  const statusCheck = await executeGitCommand('git status --porcelain', projectPath, 'Status Check');
-  if (statusCheck.success && statusCheck.output && statusCheck.output.trim()) {
-    logger.warn('Pull attempted with uncommitted changes', { projectPath });
+  const hasMessage = !!(message && message.trim());
+  if (!hasMessage && !options.amend) {
+    return { success: false, error: 'Commit message cannot be empty' };
+  }
+
+  if (!options.stagedOnly) {
+    const addResult = await runGit(['add', '.'], projectPath, { operation: 'Stage All' });
+    if (!addResult.success) {
+      return addResult;
+    }
+  }
+
+  const args = ['commit'];
+  if (options.amend) {
+    args.push('--amend');
+  }
+  if (options.signOff) {
+    args.push('--signoff');
   }
+  if (typeof options.sign === 'boolean') {
+    args.push(options.sign ? '--gpg-sign' : '--no-gpg-sign');
+  }
+  // Amending without a new message keeps the existing one
+  args.push(...(hasMessage ? ['-m', message] : ['--no-edit']));
+
+  const before = await captureHeadState(projectPath);
+  const result = await runGit(args, projectPath, { operation: options.amend ? 'Amend Commit' : 'Commit' });
+
+  // Record operation for undo functionality
+  await recordHeadOperation(options.amend ? 'amend' : 'commit', projectPath, hasMessage ? message : 'Amend last commit', before, result);
 
-  return await executeGitCommand('git pull', projectPath, 'Pull');
+  return await withHookOutput(result, projectPath, ['pre-commit', 'prepare-commit-msg', 'commit-msg', 'post-commit'], 'commit');
 });
 
-// Git push with upstream tracking
-ipcMain.handle('git-push', async (event, projectPath) => {
+// The last commits on HEAD with their full message, whether they are merges
+// and whether they are already on a remote (rewriting those needs a force push)
+ipcMain.handle('git-recent-commits', async (event, projectPath, count = 10) => {
   const validation = validateGitPath(projectPath);
   if (!validation.valid) {
     return { success: false, error: validation.error };
   }
 
-  // First try regular push
-  let result = await executeGitCommand('git push', projectPath, 'Push');
-
-  // If it fails due to no upstream, try with -u origin HEAD
-  if (!result.success && result.stderr && result.stderr.includes('no upstream branch')) {
-    logger.info('No upstream branch, setting up tracking', { projectPath });
-    result = await executeGitCommand('git push -u origin HEAD', projectPath, 'Push with upstream');
+  const limit = String(parseInt(count, 10) || 10);
+  const log = await runGit(['log', '-n', limit, '--format=%H%x1f%P%x1f%s%x1f%B%x1e'], projectPath, { operation: 'Recent Commits' });
+  if (!log.success) {
+    return log;
   }
 
-  return result;
+  const unpushed = await runGit(['rev-list', '-n', limit, 'HEAD', '--not', '--remotes'], projectPath, { operation: 'Unpushed Commits' });
+  const unpushedHashes = new Set(unpushed.success ? unpushed.output.split('\n').filter(Boolean) : []);
+  const upstream = await runGit(['rev-parse', '--abbrev-ref', '--symbolic-full-name', '@{u}'], projectPath, { operation: 'Upstream' });
+
+  const commits = log.output.split('\x1e').map(record => record.replace(/^\n/, '')).filter(Boolean).map(record => {
+    const [hash, parents, subject, body] = record.split('\x1f');
+    return {
+      hash,
+      subject,
+      message: (body || '').trim(),
+      merge: parents.trim().split(' ').length > 1,
+      root: !parents.trim(),
+      pushed: !unpushedHashes.has(hash)
+    };
+  });
+
+  return { success: true, commits, upstream: upstream.success ? upstream.output.trim() : null };
+});
+
+// Squash the last `count` commits into one with a new message; uncommitted work is left alone
+ipcMain.handle('git-squash-commits', async (event, projectPath, count, message, options = {}) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const total = parseInt(count, 10);
+  if (!total || total < 2) {
+    return { success: false, error: 'Select at least two commits to squash' };
+  }
+  if (!message || !message.trim()) {
+    return { success: false, error: 'Commit message cannot be empty' };
+  }
+  if (await detectGitOperation(projectPath)) {
+    return { success: false, error: 'Finish or abort the merge, rebase or cherry-pick in progress first' };
+  }
+
+  const merges = await runGit(['rev-list', '--merges', '--count', `HEAD~${total}..HEAD`], projectPath, { operation: 'Squash Check' });
+  if (!merges.success) {
+    return { success: false, error: `HEAD does not have ${total} commits with a parent to squash onto` };
+  }
+  if (parseInt(merges.output, 10) > 0) {
+    return { success: false, error: 'The selected commits include a merge commit and cannot be squashed' };
+  }
+  // Staged changes would silently end up in the squashed commit
+  const staged = await runGit(['diff', '--cached', '--quiet'], projectPath, { operation: 'Squash Check' });
+  if (!staged.success) {
+    return { success: false, error: 'Commit or unstage your staged changes before squashing' };
+  }
+
+  const before = await captureHeadState(projectPath);
+  const reset = await runGit(['reset', '--soft', `HEAD~${total}`], projectPath, { operation: 'Squash' });
+  if (!reset.success) {
+    return reset;
+  }
+
+  const args = ['commit', '-m', message];
+  if (options.signOff) {
+    args.push('--signoff');
+  }
+  if (typeof options.sign === 'boolean') {
+    args.push(options.sign ? '--gpg-sign' : '--no-gpg-sign');
+  }
+  const result = await runGit(args, projectPath, { operation: 'Squash' });
+  if (!result.success) {
+    // Put the original commits back rather than leave their changes staged
+    await runGit(['reset', '--soft', before.head], projectPath, { operation: 'Squash Rollback' });
+    return result;
+  }
+
+  await recordHeadOperation('squash', projectPath, `Squash ${total} commits`, before, result);
+  return result;
+});
+
+// Commit Message Rules
+
+// Stored per project at the repository root so the whole team shares them
+const COMMIT_RULES_FILE = '.commit-rules.json';
+const DEFAULT_COMMIT_RULES = {
+  conventional: false,
+  types: ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore', 'revert'],
+  scopes: [],
+  requireScope: false,
+  subjectMaxLength: 72,
+  bodyWrap: 72,
+  requireIssue: false,
+  issuePattern: '#\\d+|[A-Z][A-Z0-9]+-\\d+',
+  templates: [
+    { name: 'Feature', message: 'feat(scope): short description\n\nWhy the change is needed.\n\nRefs #' },
+    { name: 'Bug fix', message: 'fix(scope): short description\n\nWhat was broken and how it is fixed.\n\nFixes #' },
+    { name: 'Documentation', message: 'docs: short description' },
+    { name: 'Chore', message: 'chore: short description' }
+  ]
+};
+
+// type(scope)!: description
+const CONVENTIONAL_HEADER = /^(\w+)(?:\(([^)]*)\))?(!)?: (.*)$/;
+
+async function readCommitRules(projectPath) {
+  const rulesPath = path.join(projectPath, COMMIT_RULES_FILE);
+  if (!await fileExists(rulesPath)) {
+    return { rules: { ...DEFAULT_COMMIT_RULES }, exists: false, path: rulesPath };
+  }
+
+  const saved = JSON.parse(await fs.readFile(rulesPath, 'utf-8'));
+  return { rules: { ...DEFAULT_COMMIT_RULES, ...saved }, exists: true, path: rulesPath };
+}
+
+// Check a commit message against the rules; each violation names its rule, severity and line
+function lintCommitMessage(message, rules) {
+  const violations = [];
+  const lines = (message || '').replace(/\s+$/, '').split('\n');
+  const subject = lines[0] || '';
+  const add = (rule, severity, text, line = 1) => violations.push({ rule, severity, message: text, line });
+
+  if (!subject.trim()) {
+    add('subject-empty', 'error', 'The subject line is empty');
+    return violations;
+  }
+  // Messages git writes itself are left alone
+  if (/^(Merge |Revert "|fixup! |squash! |amend! )/.test(subject)) {
+    return violations;
+  }
+
+  if (rules.conventional) {
+    const header = CONVENTIONAL_HEADER.exec(subject);
+    if (!header) {
+      add('conventional-format', 'error', 'Subject must look like "type(scope): description"');
+    } else {
+      const [, type, scope, , description] = header;
+      if (rules.types.length > 0 && !rules.types.includes(type)) {
+        add('type-enum', 'error', `Unknown type "${type}"; use one of ${rules.types.join(', ')}`);
+      }
+      if (rules.requireScope && !scope) {
+        add('scope-empty', 'error', 'A scope is required, e.g. "feat(parser): ..."');
+      }
+      if (scope && rules.scopes.length > 0 && !rules.scopes.includes(scope)) {
+        add('scope-enum', 'error', `Unknown scope "${scope}"; use one of ${rules.scopes.join(', ')}`);
+      }
+      if (!description.trim()) {
+        add('subject-empty', 'error', 'The description after the type is empty');
+      }
+    }
+  }
+
+  if (rules.subjectMaxLength > 0 && subject.length > rules.subjectMaxLength) {
+    add('subject-max-length', 'error', `Subject is ${subject.length} characters; keep it to ${rules.subjectMaxLength}`);
+  }
+
+  if (lines.length > 1 && lines[1].trim()) {
+    add('body-leading-blank', 'warning', 'Leave a blank line between the subject and the body', 2);
+  }
+
+  if (rules.bodyWrap > 0) {
+    lines.slice(1).forEach((line, index) => {
+      // Long URLs and other unbreakable tokens cannot be wrapped
+      if (line.length > rules.bodyWrap && /\s/.test(line.trim())) {
+        add('body-max-line-length', 'warning', `Line ${index + 2} is ${line.length} characters; wrap the body at ${rules.bodyWrap}`, index + 2);
+      }
+    });
+  }
+
+  if (rules.requireIssue) {
+    let issuePattern;
+    try {
+      issuePattern = new RegExp(rules.issuePattern || DEFAULT_COMMIT_RULES.issuePattern);
+    } catch {
+      issuePattern = new RegExp(DEFAULT_COMMIT_RULES.issuePattern);
+    }
+    if (!issuePattern.test(message)) {
+      add('issue-reference', 'error', 'Reference an issue, e.g. "Fixes #123"');
+    }
+  }
+
+  return violations;
+}
+
+ipcMain.handle('get-commit-rules', async (event, projectPath) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  try {
+    return { success: true, ...await readCommitRules(projectPath) };
+  } catch (error) {
+    return { success: false, error: `Could not read ${COMMIT_RULES_FILE}: ${error.message}` };
+  }
+});
+
+ipcMain.handle('save-commit-rules', async (event, projectPath, rules) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  try {
+    new RegExp(rules.issuePattern || DEFAULT_COMMIT_RULES.issuePattern);
+  } catch (error) {
+    return { success: false, error: `Invalid issue pattern: ${error.message}` };
+  }
+
+  try {
+    const rulesPath = path.join(projectPath, COMMIT_RULES_FILE);
+    await fs.writeFile(rulesPath, JSON.stringify({ ...DEFAULT_COMMIT_RULES, ...rules }, null, 2) + '\n', 'utf-8');
+    return { success: true, path: rulesPath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git-lint-commit-message', async (event, projectPath, message) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  try {
+    const { rules } = await readCommitRules(projectPath);
+    return { success: true, violations: lintCommitMessage(message, rules) };
+  } catch (error) {
+    return { success: false, error: `Could not read ${COMMIT_RULES_FILE}: ${error.message}` };
+  }
+});
+
+// Hooks
+
+const CLIENT_HOOKS = [
+  'applypatch-msg', 'pre-applypatch', 'post-applypatch', 'pre-commit', 'pre-merge-commit',
+  'prepare-commit-msg', 'commit-msg', 'post-commit', 'pre-rebase', 'post-checkout', 'post-merge',
+  'pre-push', 'pre-auto-gc', 'post-rewrite', 'post-index-change', 'reference-transaction'
+];
+const HOOK_DISABLED_SUFFIX = '.disabled';
+const HOOK_LIBRARY_MARKER = '# Installed by Project Manager';
+
+// Ready-made hooks; {{param}} is replaced with the value the user enters when installing
+const HOOK_LIBRARY = {
+  'lint-before-commit': {
+    hook: 'pre-commit',
+    name: 'Lint before commit',
+    description: 'Runs a lint command and aborts the commit when it fails',
+    param: { label: 'Lint command', default: 'npm run lint --silent' },
+    script: `#!/bin/sh
+${HOOK_LIBRARY_MARKER}: lint before commit
+echo "Running {{param}}..."
+if ! {{param}}; then
+  echo "Lint failed; the commit was aborted. Fix the problems above and commit again."
+  exit 1
+fi
+`
+  },
+  'commit-message-check': {
+    hook: 'commit-msg',
+    name: 'Commit message check',
+    description: 'Rejects commit messages that are not "type(scope): description" or whose subject is too long',
+    param: { label: 'Allowed types (space separated)', default: DEFAULT_COMMIT_RULES.types.join(' ') },
+    script: `#!/bin/sh
+${HOOK_LIBRARY_MARKER}: commit message check
+subject=$(head -n 1 "$1")
+case "$subject" in
+  "Merge "*|"Revert "*|"fixup! "*|"squash! "*|"amend! "*) exit 0 ;;
+esac
+types=$(echo "{{param}}" | tr ' ' '|')
+if ! printf '%s\\n' "$subject" | grep -Eq "^($types)(\\([^)]+\\))?!?: .+"; then
+  echo "Commit message must look like \\"type(scope): description\\" with type one of: {{param}}"
+  echo "Got: $subject"
+  exit 1
+fi
+if [ \${#subject} -gt {{maxLength}} ]; then
+  echo "Commit subject is \${#subject} characters; keep it to {{maxLength}}."
+  exit 1
+fi
+`
+  },
+  'protect-branches': {
+    hook: 'pre-push',
+    name: 'Block pushes to protected branches',
+    description: 'Stops direct pushes to the listed branches so changes go through pull requests',
+    param: { label: 'Protected branches (space separated)', default: 'main master' },
+    script: `#!/bin/sh
+${HOOK_LIBRARY_MARKER}: block pushes to protected branches
+protected="{{param}}"
+while read local_ref local_sha remote_ref remote_sha; do
+  branch=\${remote_ref#refs/heads/}
+  for name in $protected; do
+    if [ "$branch" = "$name" ]; then
+      echo "Pushing to $name is blocked by the pre-push hook. Push a branch and open a pull request instead."
+      exit 1
+    fi
+  done
+done
+exit 0
+`
+  }
+};
+
+// The hooks folder git actually uses: core.hooksPath when set, .git/hooks otherwise
+async function getHooksDir(projectPath) {
+  const result = await runGit(['rev-parse', '--git-path', 'hooks'], projectPath, { operation: 'Hooks Path' });
+  if (!result.success) {
+    return null;
+  }
+  return path.resolve(projectPath, result.output.trim());
+}
+
+function getHookFilePath(hooksDir, name) {
+  const hookName = name.endsWith(HOOK_DISABLED_SUFFIX) ? name.slice(0, -HOOK_DISABLED_SUFFIX.length) : name;
+  if (!CLIENT_HOOKS.includes(hookName)) {
+    throw new Error(`Unknown hook: ${hookName}`);
+  }
+  return path.join(hooksDir, name);
+}
+
+// Git only runs a hook that exists without the disabled suffix and, outside Windows, is executable
+async function isHookActive(hookPath) {
+  try {
+    const stats = await fs.stat(hookPath);
+    return stats.isFile() && (process.platform === 'win32' || (stats.mode & 0o111) !== 0);
+  } catch {
+    return false;
+  }
+}
+
+async function getActiveHooks(projectPath, names) {
+  const hooksDir = await getHooksDir(projectPath);
+  if (!hooksDir) {
+    return [];
+  }
+  const active = [];
+  for (const name of names) {
+    if (await isHookActive(path.join(hooksDir, name))) {
+      active.push(name);
+    }
+  }
+  return active;
+}
+
+// Hooks print to stderr; surface that output as-is rather than through getFriendlyGitError,
+// which would turn e.g. a linter's "Permission denied" into an unrelated message
+async function withHookOutput(result, projectPath, hookNames, action) {
+  const activeHooks = await getActiveHooks(projectPath, hookNames);
+  if (activeHooks.length === 0) {
+    return result;
+  }
+
+  const hookOutput = `${result.stderr || ''}`.trim();
+  if (result.success) {
+    return hookOutput ? { ...result, hooks: activeHooks, hookOutput } : result;
+  }
+
+  // git never names a failing hook, so any other failure is reported with the hook's own output
+  const text = `${result.output || ''}\n${result.stderr || ''}`;
+  const gitFailure = action === 'push'
+    ? /\[(remote )?rejected\]/.test(text)
+    : /nothing to commit|no changes added to commit|nothing added to commit|Please tell me who you are|unable to auto-detect email address|empty ident name/.test(text);
+  if (gitFailure || result.cancelled || result.timedOut) {
+    return result;
+  }
+
+  return {
+    ...result,
+    error: `The ${activeHooks.join(' / ')} hook rejected the ${action}`,
+    hooks: activeHooks,
+    hookOutput: text.trim(),
+    hookRejected: true
+  };
+}
+
+ipcMain.handle('git-hooks-list', async (event, projectPath) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const hooksDir = await getHooksDir(projectPath);
+  if (!hooksDir) {
+    return { success: false, error: 'Could not locate the hooks folder' };
+  }
+  const hooksPathConfig = await runGit(['config', '--get', 'core.hooksPath'], projectPath, { operation: 'Hooks Path' });
+
+  const hooks = [];
+  let entries = [];
+  try {
+    entries = await fs.readdir(hooksDir);
+  } catch {
+    // No hooks folder yet
+  }
+
+  for (const entry of entries.sort()) {
+    const disabled = entry.endsWith(HOOK_DISABLED_SUFFIX);
+    const name = disabled ? entry.slice(0, -HOOK_DISABLED_SUFFIX.length) : entry;
+    if (!CLIENT_HOOKS.includes(name)) continue;
+
+    const hookPath = path.join(hooksDir, entry);
+    const content = await fs.readFile(hookPath, 'utf-8').catch(() => '');
+    hooks.push({
+      name,
+      file: entry,
+      enabled: !disabled && await isHookActive(hookPath),
+      disabled,
+      content,
+      fromLibrary: content.includes(HOOK_LIBRARY_MARKER)
+    });
+  }
+
+  return {
+    success: true,
+    hooksDir,
+    hooksPath: hooksPathConfig.success ? hooksPathConfig.output.trim() : null,
+    hooks,
+    available: CLIENT_HOOKS,
+    library: Object.entries(HOOK_LIBRARY).map(([id, entry]) => ({
+      id, hook: entry.hook, name: entry.name, description: entry.description, param: entry.param
+    }))
+  };
+});
+
+// Create or overwrite a hook script and make it executable
+ipcMain.handle('git-hook-save', async (event, projectPath, file, content) => {
+  const hooksDir = await getHooksDir(projectPath);
+  if (!hooksDir) {
+    return { success: false, error: 'Could not locate the hooks folder' };
+  }
+
+  try {
+    const hookPath = getHookFilePath(hooksDir, file);
+    await fs.mkdir(hooksDir, { recursive: true });
+    await fs.writeFile(hookPath, content.replace(/\r\n/g, '\n'), { encoding: 'utf-8', mode: 0o755 });
+    await fs.chmod(hookPath, 0o755);
+    return { success: true, path: hookPath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Disabling renames pre-commit to pre-commit.disabled, which git ignores on every platform
+ipcMain.handle('git-hook-toggle', async (event, projectPath, name, enabled) => {
+  const hooksDir = await getHooksDir(projectPath);
+  if (!hooksDir) {
+    return { success: false, error: 'Could not locate the hooks folder' };
+  }
+
+  try {
+    const activePath = getHookFilePath(hooksDir, name);
+    const disabledPath = `${activePath}${HOOK_DISABLED_SUFFIX}`;
+    if (enabled) {
+      if (existsSync(disabledPath)) {
+        if (existsSync(activePath)) {
+          return { success: false, error: `Both ${name} and ${name}${HOOK_DISABLED_SUFFIX} exist; remove one first` };
+        }
+        await fs.rename(disabledPath, activePath);
+      }
+      await fs.chmod(activePath, 0o755);
+    } else {
+      if (existsSync(disabledPath)) {
+        return { success: false, error: `${name}${HOOK_DISABLED_SUFFIX} already exists; remove it first` };
+      }
+      await fs.rename(activePath, disabledPath);
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git-hook-delete', async (event, projectPath, file) => {
+  const hooksDir = await getHooksDir(projectPath);
+  if (!hooksDir) {
+    return { success: false, error: 'Could not locate the hooks folder' };
+  }
+
+  try {
+    await fs.unlink(getHookFilePath(hooksDir, file));
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Install a library hook; an existing hook of the same name is only replaced with overwrite
+ipcMain.handle('git-hook-install', async (event, projectPath, libraryId, param, overwrite = false) => {
+  const entry = HOOK_LIBRARY[libraryId];
+  if (!entry) {
+    return { success: false, error: `Unknown library hook: ${libraryId}` };
+  }
+  const value = (param || entry.param.default).trim();
+  if (!value || /["`$\\\n]/.test(value)) {
+    return { success: false, error: `${entry.param.label} cannot be empty or contain quotes, $, backticks or backslashes` };
+  }
+
+  const hooksDir = await getHooksDir(projectPath);
+  if (!hooksDir) {
+    return { success: false, error: 'Could not locate the hooks folder' };
+  }
+  const hookPath = path.join(hooksDir, entry.hook);
+  if (!overwrite && (existsSync(hookPath) || existsSync(`${hookPath}${HOOK_DISABLED_SUFFIX}`))) {
+    return { success: false, exists: true, hook: entry.hook, error: `A ${entry.hook} hook is already installed` };
+  }
+
+  let maxLength = DEFAULT_COMMIT_RULES.subjectMaxLength;
+  try {
+    maxLength = (await readCommitRules(projectPath)).rules.subjectMaxLength || maxLength;
+  } catch {
+    // Fall back to the default when the rules file is unreadable
+  }
+
+  const script = entry.script.split('{{param}}').join(value).split('{{maxLength}}').join(String(maxLength));
+  try {
+    await fs.mkdir(hooksDir, { recursive: true });
+    await fs.rm(`${hookPath}${HOOK_DISABLED_SUFFIX}`, { force: true });
+    await fs.writeFile(hookPath, script, { encoding: 'utf-8', mode: 0o755 });
+    await fs.chmod(hookPath, 0o755);
+    return { success: true, hook: entry.hook, path: hookPath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Signing
+
+// Per-project signing settings live in the repository's own git config, so commits and tags
+// made from a terminal are signed the same way as those made here
+const SIGNING_CONFIG_KEYS = {
+  format: 'gpg.format',
+  key: 'user.signingkey',
+  signCommits: 'commit.gpgsign',
+  signTags: 'tag.gpgsign',
+  allowedSignersFile: 'gpg.ssh.allowedSignersFile'
+};
+const SIGNING_FORMATS = ['openpgp', 'ssh'];
+// Settings the dialog always shows a value for, with git's default when nothing sets them
+const SIGNING_INHERITED_DEFAULTS = { format: 'openpgp', signCommits: 'false', signTags: 'false' };
+
+// %G? codes; verify-tag results are mapped onto the same set
+const SIGNATURE_STATUSES = ['G', 'U', 'X', 'Y', 'R', 'B', 'E'];
+
+function parseCommitSignature(status, signer, key) {
+  if (!SIGNATURE_STATUSES.includes(status)) {
+    return null;
+  }
+  return { status, signer: signer || null, key: key || null };
+}
+
+// Read `git verify-tag --raw` output: GnuPG status lines, or ssh-keygen's messages for SSH signatures
+function parseTagVerification(output) {
+  const gpgStatus = (keyword) => new RegExp(`^\\[GNUPG:\\] ${keyword}(?: (\\S+)(?: (.*))?)?$`, 'm').exec(output);
+  const states = [['EXPKEYSIG', 'Y'], ['REVKEYSIG', 'R'], ['EXPSIG', 'X'], ['BADSIG', 'B'], ['GOODSIG', 'G']];
+  for (const [keyword, status] of states) {
+    const match = gpgStatus(keyword);
+    if (match) {
+      const untrusted = status === 'G' && /^\[GNUPG:\] TRUST_(UNDEFINED|NEVER)/m.test(output);
+      return { status: untrusted ? 'U' : status, signer: match[2] || null, key: match[1] || null };
+    }
+  }
+  if (gpgStatus('ERRSIG') || gpgStatus('NO_PUBKEY')) {
+    return { status: 'E', signer: null, key: (gpgStatus('ERRSIG') || gpgStatus('NO_PUBKEY'))[1] || null };
+  }
+
+  const ssh = /Good "git" signature for (.+) with \S+ key (\S+)/.exec(output);
+  if (ssh) {
+    return { status: 'G', signer: ssh[1], key: ssh[2] };
+  }
+  const sshUnknown = /Good "git" signature with \S+ key (\S+)/.exec(output);
+  if (sshUnknown) {
+    return { status: 'U', signer: null, key: sshUnknown[1] };
+  }
+  if (/Could not verify signature|Signature verification failed/.test(output)) {
+    return { status: 'B', signer: null, key: null };
+  }
+  return { status: 'E', signer: null, key: null };
+}
+
+// Local values override the global ones; both are returned so the UI can show what is inherited
+ipcMain.handle('git-signing-config', async (event, projectPath) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const local = {};
+  const effective = {};
+  for (const [field, key] of Object.entries(SIGNING_CONFIG_KEYS)) {
+    const [localValue, effectiveValue] = await Promise.all([
+      runGit(['config', '--local', '--get', key], projectPath, { operation: 'Read Signing Config' }),
+      runGit(['config', '--get', key], projectPath, { operation: 'Read Signing Config' })
+    ]);
+    local[field] = localValue.success ? localValue.output.trim() : null;
+    effective[field] = effectiveValue.success ? effectiveValue.output.trim() : null;
+  }
+
+  return {
+    success: true,
+    local,
+    config: {
+      format: effective.format || 'openpgp',
+      key: effective.key,
+      signCommits: effective.signCommits === 'true',
+      signTags: effective.signTags === 'true',
+      allowedSignersFile: effective.allowedSignersFile
+    }
+  };
+});
+
+// The value a key gets from outside this repository (global, system or command-line config)
+async function getInheritedConfigValue(projectPath, key, type = null) {
+  const result = await runGit(
+    ['config', '--show-scope', ...(type ? [`--type=${type}`] : []), '--get-all', key],
+    projectPath,
+    { operation: 'Read Signing Config' }
+  );
+  if (!result.success) {
+    return null;
+  }
+  const inherited = result.output.split('\n').filter(Boolean)
+    .map(line => line.split('\t'))
+    .filter(([scope]) => scope !== 'local' && scope !== 'worktree');
+  return inherited.length > 0 ? inherited[inherited.length - 1][1] : null;
+}
+
+// Write the project's signing settings; empty values remove the local override, and so do
+// values that match the inherited config, so later changes to the global config still apply
+ipcMain.handle('git-signing-config-save', async (event, projectPath, settings = {}) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+  if (settings.format && !SIGNING_FORMATS.includes(settings.format)) {
+    return { success: false, error: `Unknown signing format: ${settings.format}` };
+  }
+
+  for (const [field, key] of Object.entries(SIGNING_CONFIG_KEYS)) {
+    if (!(field in settings)) continue;
+    let value = settings[field];
+    if (typeof value === 'boolean') {
+      value = String(value);
+    }
+    if (field in SIGNING_INHERITED_DEFAULTS && value) {
+      const inherited = await getInheritedConfigValue(projectPath, key, typeof settings[field] === 'boolean' ? 'bool' : null);
+      if (value === (inherited || SIGNING_INHERITED_DEFAULTS[field])) {
+        value = null;
+      }
+    }
+    const result = value === null || value === ''
+      ? await runGit(['config', '--local', '--unset', key], projectPath, { operation: 'Save Signing Config' })
+      : await runGit(['config', '--local', key, String(value).trim()], projectPath, { operation: 'Save Signing Config' });
+    // Exit code 5 from --unset means the key was not set locally
+    if (!result.success && result.code !== 5) {
+      return result;
+    }
+  }
+  return { success: true };
+});
+
+// Keys that can sign: GnuPG secret keys, or public keys in ~/.ssh for SSH signing
+ipcMain.handle('git-signing-keys', async (event, format = 'openpgp') => {
+  if (format === 'ssh') {
+    const sshDir = path.join(os.homedir(), '.ssh');
+    try {
+      const files = (await fs.readdir(sshDir)).filter(file => file.endsWith('.pub'));
+      const keys = await Promise.all(files.map(async file => {
+        const content = (await fs.readFile(path.join(sshDir, file), 'utf-8')).trim().split(/\s+/);
+        return { id: path.join(sshDir, file), label: `${file}${content[2] ? ` (${content[2]})` : ''}` };
+      }));
+      return { success: true, keys };
+    } catch {
+      return { success: true, keys: [] };
+    }
+  }
+
+  return new Promise((resolve) => {
+    exec('gpg --list-secret-keys --with-colons', { timeout: 15000 }, (error, stdout) => {
+      if (error) {
+        resolve({ success: false, error: 'GnuPG is not available', keys: [] });
+        return;
+      }
+      // sec:<validity>:<length>:<algo>:<keyid>:... followed by uid:...:<user id>
+      const keys = [];
+      stdout.split('\n').forEach(line => {
+        const fields = line.split(':');
+        if (fields[0] === 'sec') {
+          keys.push({ id: fields[4], label: fields[4] });
+        } else if (fields[0] === 'uid' && keys.length > 0 && keys[keys.length - 1].label === keys[keys.length - 1].id) {
+          keys[keys.length - 1].label = `${fields[9]} (${keys[keys.length - 1].id})`;
+        }
+      });
+      resolve({ success: true, keys });
+    });
+  });
+});
+
+// Verification state of every signed tag, keyed by tag name; unsigned tags are left out
+ipcMain.handle('git-tag-signatures', async (event, projectPath) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const refs = await runGit(['for-each-ref', 'refs/tags', '--format=%(refname:short)%1f%(contents:signature)%1e'], projectPath, { operation: 'List Tag Signatures' });
+  if (!refs.success) {
+    return refs;
+  }
+
+  const tags = {};
+  const signed = refs.output.split('\x1e').map(record => record.replace(/^\n/, '').split('\x1f')).filter(([name, signature]) => name && signature && signature.trim());
+  for (const [name] of signed) {
+    const result = await runGit(['verify-tag', '--raw', name], projectPath, { operation: 'Verify Tag' });
+    tags[name] = parseTagVerification(`${result.stderr || ''}\n${result.output || ''}`);
+  }
+  return { success: true, tags };
+});
+
+// Releases
+
+const RELEASE_CHANGELOG_FILE = 'CHANGELOG.md';
+const SEMVER_PATTERN = /^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+// Changelog sections in the order they are written; other types are left out as internal
+const CHANGELOG_SECTIONS = [
+  ['breaking', 'Breaking Changes'],
+  ['feat', 'Features'],
+  ['fix', 'Bug Fixes'],
+  ['perf', 'Performance'],
+  ['refactor', 'Refactoring'],
+  ['docs', 'Documentation'],
+  ['revert', 'Reverts'],
+  ['other', 'Other Changes']
+];
+const CHANGELOG_HIDDEN_TYPES = ['chore', 'style', 'test', 'build', 'ci'];
+
+// The project's version file: package.json, pyproject.toml ([project] or [tool.poetry]) or pom.xml
+const RELEASE_MANIFESTS = [
+  {
+    file: 'package.json',
+    read: content => {
+      const version = JSON.parse(content).version;
+      return typeof version === 'string' ? version : null;
+    },
+    // Replace in place so the file's formatting and key order survive
+    write: (content, version) => content.replace(/("version"\s*:\s*")[^"]*(")/, `$1${version}$2`)
+  },
+  {
+    file: 'pyproject.toml',
+    read: content => {
+      const match = findPyprojectVersion(content);
+      return match ? match.version : null;
+    },
+    write: (content, version) => {
+      const match = findPyprojectVersion(content);
+      return content.substring(0, match.start) + version + content.substring(match.end);
+    }
+  },
+  {
+    file: 'pom.xml',
+    read: content => {
+      const match = findPomVersion(content);
+      return match ? match.version : null;
+    },
+    write: (content, version) => {
+      const match = findPomVersion(content);
+      return content.substring(0, match.start) + version + content.substring(match.end);
+    }
+  }
+];
+
+// version = "..." inside the [project] or [tool.poetry] table
+function findPyprojectVersion(content) {
+  const table = /^\[(project|tool\.poetry)\]\s*$/m.exec(content);
+  if (!table) return null;
+  const bodyStart = table.index + table[0].length;
+  const nextTable = /^\[/m.exec(content.substring(bodyStart));
+  const body = content.substring(bodyStart, nextTable ? bodyStart + nextTable.index : content.length);
+  const match = /^version\s*=\s*["']([^"']*)["']/m.exec(body);
+  if (!match) return null;
+  const start = bodyStart + match.index + match[0].indexOf(match[1], match[0].indexOf('=') + 1);
+  return { version: match[1], start, end: start + match[1].length };
+}
+
+// The project's own <version>: not the one inside <parent>, and before dependencies, build, etc.
+function findPomVersion(content) {
+  const parent = /<parent>[\s\S]*?<\/parent>/.exec(content);
+  const searchFrom = parent ? parent.index + parent[0].length : 0;
+  const rest = content.substring(searchFrom);
+  const limit = rest.search(/<(dependencies|dependencyManagement|build|profiles|modules)>/);
+  const match = /<version>([^<]*)<\/version>/.exec(limit === -1 ? rest : rest.substring(0, limit));
+  if (!match) return null;
+  const start = searchFrom + match.index + '<version>'.length;
+  return { version: match[1].trim(), start, end: start + match[1].length };
+}
+
+async function readReleaseManifest(projectPath) {
+  for (const manifest of RELEASE_MANIFESTS) {
+    const filePath = path.join(projectPath, manifest.file);
+    if (!existsSync(filePath)) continue;
+    try {
+      const version = manifest.read(await fs.readFile(filePath, 'utf-8'));
+      if (version) {
+        return { manifest, file: manifest.file, version };
+      }
+    } catch (error) {
+      logger.warn(`Could not read the version from ${manifest.file}`, { error: error.message });
+    }
+  }
+  return null;
+}
+
+// major for breaking changes, minor for features, patch otherwise
+function suggestReleaseBump(commits) {
+  if (commits.some(commit => commit.breaking)) return 'major';
+  if (commits.some(commit => commit.type === 'feat')) return 'minor';
+  return 'patch';
+}
+
+function bumpVersion(version, bump) {
+  const match = SEMVER_PATTERN.exec(version || '');
+  const [major, minor, patch] = match ? match.slice(1, 4).map(Number) : [0, 0, 0];
+  if (bump === 'major') return `${major + 1}.0.0`;
+  if (bump === 'minor') return `${major}.${minor + 1}.0`;
+  // A prerelease such as 1.2.0-rc.1 is released as 1.2.0
+  return match && match[4] ? `${major}.${minor}.${patch}` : `${major}.${minor}.${patch + 1}`;
+}
+
+// Markdown release notes grouped by Conventional Commits type
+function buildReleaseNotes(commits) {
+  const groups = {};
+  commits.forEach(commit => {
+    if (CHANGELOG_HIDDEN_TYPES.includes(commit.type) && !commit.breaking) return;
+    const key = commit.breaking ? 'breaking' : (CHANGELOG_SECTIONS.some(([type]) => type === commit.type) ? commit.type : 'other');
+    const scope = commit.scope ? `**${commit.scope}:** ` : '';
+    (groups[key] = groups[key] || []).push(`- ${scope}${commit.description} (${commit.hash.substring(0, 7)})`);
+  });
+
+  return CHANGELOG_SECTIONS
+    .filter(([type]) => groups[type])
+    .map(([type, title]) => `### ${title}\n\n${groups[type].join('\n')}`)
+    .join('\n\n');
+}
+
+// Current version, last tag, the commits since it with a suggested bump, and draft release notes
+ipcMain.handle('git-release-info', async (event, projectPath) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const manifest = await readReleaseManifest(projectPath);
+  const lastTagResult = await runGit(['describe', '--tags', '--abbrev=0'], projectPath, { operation: 'Last Tag' });
+  const lastTag = lastTagResult.success ? lastTagResult.output.trim() : null;
+
+  const range = lastTag ? [`${lastTag}..HEAD`] : ['HEAD'];
+  const log = await runGit(['log', '--no-merges', '--format=%H%x1f%s%x1f%b%x1e', ...range, '--'], projectPath, { operation: 'Release Commits' });
+  if (!log.success) {
+    return log;
+  }
+
+  const commits = log.output.split('\x1e').map(record => record.replace(/^\n/, '')).filter(Boolean).map(record => {
+    const [hash, subject, body = ''] = record.split('\x1f');
+    const header = CONVENTIONAL_HEADER.exec(subject);
+    return {
+      hash,
+      subject,
+      type: header ? header[1].toLowerCase() : null,
+      scope: header ? header[2] || null : null,
+      description: header ? header[4] : subject,
+      breaking: !!(header && header[3]) || /^BREAKING[ -]CHANGE:/m.test(body)
+    };
+  }).filter(commit => !(commit.type === 'chore' && commit.scope === 'release'));
+
+  // Without a manifest the version comes from the last tag, e.g. v1.4.2
+  const tagVersion = lastTag ? lastTag.replace(/^v/, '') : null;
+  const currentVersion = manifest ? manifest.version : (SEMVER_PATTERN.test(tagVersion || '') ? tagVersion : '0.0.0');
+  const bump = suggestReleaseBump(commits);
+
+  return {
+    success: true,
+    manifest: manifest ? manifest.file : null,
+    currentVersion,
+    lastTag,
+    tagPrefix: !lastTag || lastTag.startsWith('v') ? 'v' : '',
+    commits,
+    suggestedBump: bump,
+    versions: {
+      major: bumpVersion(currentVersion, 'major'),
+      minor: bumpVersion(currentVersion, 'minor'),
+      patch: bumpVersion(currentVersion, 'patch')
+    },
+    notes: buildReleaseNotes(commits)
+  };
+});
+
+// Bump the manifest, prepend the notes to CHANGELOG.md, commit both, create an annotated tag
+// and optionally push the branch and tag. Only the release files are committed.
+ipcMain.handle('git-release-create', async (event, projectPath, options = {}) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+  const version = (options.version || '').trim();
+  if (!SEMVER_PATTERN.test(version)) {
+    return { success: false, error: `"${version}" is not a semantic version like 1.4.0` };
+  }
+  const tagName = `${options.tagPrefix || ''}${version}`;
+  const tagValidation = validateGitRef(tagName, 'Tag name');
+  if (!tagValidation.valid) {
+    return { success: false, error: tagValidation.error };
+  }
+  const existing = await runGit(['rev-parse', '--verify', '--quiet', `refs/tags/${tagName}`], projectPath, { operation: 'Check Tag' });
+  if (existing.success) {
+    return { success: false, error: `Tag ${tagName} already exists` };
+  }
+  if (await detectGitOperation(projectPath)) {
+    return { success: false, error: 'Finish or abort the merge, rebase or cherry-pick in progress first' };
+  }
+  const head = await runGit(['symbolic-ref', '--quiet', '--short', 'HEAD'], projectPath, { operation: 'Release Branch' });
+  if (!head.success) {
+    return { success: false, error: 'HEAD is detached; check out the branch to release from first' };
+  }
+  const branch = head.output.trim();
+
+  // Releases are pushed to the branch's upstream, so check there is one before changing anything
+  let upstream = null;
+  if (options.push) {
+    const [remote, merge] = await Promise.all([
+      runGit(['config', '--get', `branch.${branch}.remote`], projectPath, { operation: 'Release Remote' }),
+      runGit(['config', '--get', `branch.${branch}.merge`], projectPath, { operation: 'Release Remote' })
+    ]);
+    const remoteName = remote.success ? remote.output.trim() : '';
+    if (!remoteName || remoteName === '.' || !merge.success) {
+      return { success: false, error: `Branch ${branch} has no upstream remote to push the release to` };
+    }
+    upstream = { remote: remoteName, ref: merge.output.trim() };
+  }
+
+  // The release commit takes these files whole, so they must not carry unrelated edits
+  const releaseFiles = [...RELEASE_MANIFESTS.map(manifest => manifest.file), 'package-lock.json', RELEASE_CHANGELOG_FILE];
+  const dirty = await runGit(['status', '--porcelain', '--', ...releaseFiles], projectPath, { operation: 'Check Release Files' });
+  if (!dirty.success) {
+    return dirty;
+  }
+  if (dirty.output.trim()) {
+    const names = dirty.output.split('\n').filter(Boolean).map(line => line.substring(3));
+    return { success: false, error: `Commit or stash the changes to ${names.join(', ')} first` };
+  }
+
+  const files = [];
+  const createdFiles = [];
+  if (options.updateManifest) {
+    const manifest = await readReleaseManifest(projectPath);
+    if (!manifest) {
+      return { success: false, error: 'No package.json, pyproject.toml or pom.xml with a version was found' };
+    }
+    const filePath = path.join(projectPath, manifest.file);
+    await fs.writeFile(filePath, manifest.manifest.write(await fs.readFile(filePath, 'utf-8'), version), 'utf-8');
+    files.push(manifest.file);
+
+    // Keep the lockfile's copy of the version in step, as `npm version` does
+    const lockPath = path.join(projectPath, 'package-lock.json');
+    if (manifest.file === 'package.json' && existsSync(lockPath)) {
+      try {
+        const lock = JSON.parse(await fs.readFile(lockPath, 'utf-8'));
+        lock.version = version;
+        if (lock.packages && lock.packages['']) {
+          lock.packages[''].version = version;
+        }
+        await fs.writeFile(lockPath, `${JSON.stringify(lock, null, 2)}\n`, 'utf-8');
+        files.push('package-lock.json');
+      } catch (error) {
+        logger.warn('Could not update package-lock.json', { error: error.message });
+      }
+    }
+  }
+
+  if (options.updateChangelog) {
+    const changelogPath = path.join(projectPath, RELEASE_CHANGELOG_FILE);
+    const date = new Date().toISOString().substring(0, 10);
+    const section = `## ${version} (${date})\n\n${(options.notes || '').trim() || '_No notable changes._'}\n`;
+    if (!existsSync(changelogPath)) {
+      createdFiles.push(RELEASE_CHANGELOG_FILE);
+    }
+    let content = createdFiles.includes(RELEASE_CHANGELOG_FILE) ? '# Changelog\n' : await fs.readFile(changelogPath, 'utf-8');
+    // New entries go below the title, above the previous release
+    const firstSection = content.search(/^## /m);
+    content = firstSection === -1
+      ? `${content.replace(/\s*$/, '')}\n\n${section}`
+      : `${content.substring(0, firstSection)}${section}\n${content.substring(firstSection)}`;
+    await fs.writeFile(changelogPath, content, 'utf-8');
+    files.push(RELEASE_CHANGELOG_FILE);
+  }
+
+  if (files.length > 0) {
+    const addResult = await runGit(['add', '--', ...files], projectPath, { operation: 'Stage Release Files' });
+    if (!addResult.success) {
+      return addResult;
+    }
+    const before = await captureHeadState(projectPath);
+    const message = `chore(release): ${version}`;
+    const commitResult = await runGit(['commit', '-m', message, '--', ...files], projectPath, { operation: 'Release Commit' });
+    await recordHeadOperation('commit', projectPath, message, before, commitResult);
+    if (!commitResult.success) {
+      // Put the release files back the way they were
+      await runGit(['reset', '-q', '--', ...files], projectPath, { operation: 'Unstage Release Files' });
+      const tracked = files.filter(file => !createdFiles.includes(file));
+      if (tracked.length > 0) {
+        await runGit(['checkout', '--', ...tracked], projectPath, { operation: 'Restore Release Files' });
+      }
+      for (const file of createdFiles) {
+        await fs.unlink(path.join(projectPath, file)).catch(() => {});
+      }
+      return await withHookOutput(commitResult, projectPath, ['pre-commit', 'prepare-commit-msg', 'commit-msg'], 'commit');
+    }
+  }
+
+  const tagArgs = ['tag', options.sign ? '--sign' : '--annotate', '-m', (options.tagMessage || '').trim() || `Release ${version}`, tagName];
+  const tagResult = await runGit(tagArgs, projectPath, { operation: 'Release Tag' });
+  if (!tagResult.success) {
+    return { ...tagResult, committed: files.length > 0 };
+  }
+
+  const result = { success: true, tag: tagName, files, committed: files.length > 0 };
+  if (!options.push) {
+    return result;
+  }
+
+  const pushResult = await withHookOutput(
+    await runGit(['push', upstream.remote, `HEAD:${upstream.ref}`, `refs/tags/${tagName}`], projectPath, { operation: 'Push Release', timeout: 300000 }),
+    projectPath, ['pre-push'], 'push'
+  );
+  if (!pushResult.success) {
+    return { ...result, pushWarning: pushResult.error, pushResult };
+  }
+  return { ...result, pushed: true, pushResult };
+});
+
+// Git pull with conflict detection
+ipcMain.handle('git-pull', async (event, projectPath) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  // Check for uncommitted changes first
+  const statusCheck = await runGit(['status', '--porcelain'], projectPath, { operation: 'Status Check' });
+  if (statusCheck.success && statusCheck.output && statusCheck.output.trim()) {
+    logger.warn('Pull attempted with uncommitted changes', { projectPath });
+  }
+
+  const before = await captureHeadState(projectPath);
+  const result = await runGit(['pull'], projectPath, { operation: 'Pull', timeout: 300000 });
+  await recordHeadOperation('pull', projectPath, 'Pull from upstream', before, result);
+  return result;
+});
+
+// Git push with upstream tracking
+ipcMain.handle('git-push', async (event, projectPath) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  // First try regular push
+  let result = await runGit(['push'], projectPath, { operation: 'Push', timeout: 300000 });
+
+  // If it fails due to no upstream, try with -u origin HEAD
+  if (!result.success && result.stderr && result.stderr.includes('no upstream branch')) {
+    logger.info('No upstream branch, setting up tracking', { projectPath });
+    result = await runGit(['push', '-u', 'origin', 'HEAD'], projectPath, {
+      operation: 'Push with upstream',
+      timeout: 300000
+    });
+  }
+
+  return await withHookOutput(result, projectPath, ['pre-push'], 'push');
+});
+
+// Git fetch
+ipcMain.handle('git-fetch', async (event, projectPath) => {
+  return await runGit(['fetch'], projectPath, { operation: 'Fetch', timeout: 300000 });
+});
+
+// Git sync (pull then push)
+ipcMain.handle('git-sync', async (event, projectPath) => {
+  const pullResult = await runGit(['pull'], projectPath, { operation: 'Sync Pull', timeout: 300000 });
+  if (!pullResult.success) {
+    return pullResult;
+  }
+
+  const pushResult = await runGit(['push'], projectPath, { operation: 'Sync Push', timeout: 300000 });
+  if (!pushResult.success) {
+    return pushResult;
+  }
+
+  return { success: true, output: pullResult.output + pushResult.output };
+});
+
+// Parse "ahead 2, behind 1" / "gone" from %(upstream:track,nobracket)
+function parseUpstreamTrack(track) {
+  const ahead = /ahead (\d+)/.exec(track);
+  const behind = /behind (\d+)/.exec(track);
+  return {
+    ahead: ahead ? parseInt(ahead[1], 10) : 0,
+    behind: behind ? parseInt(behind[1], 10) : 0,
+    gone: track === 'gone'
+  };
+}
+
+// Resolve the branch that "merged" is measured against: origin/HEAD, then main/master, then the current branch
+async function getDefaultBranch(projectPath, localNames, currentName) {
+  const originHead = await runGit(['symbolic-ref', '--quiet', '--short', 'refs/remotes/origin/HEAD'], projectPath, { operation: 'Default Branch' });
+  if (originHead.success && originHead.output.trim()) {
+    return originHead.output.trim();
+  }
+  return ['main', 'master'].find(name => localNames.includes(name)) || currentName || null;
+}
+
+// Git get branches
+// Returns local and remote branches with upstream tracking, last commit and merged state
+ipcMain.handle('git-branches', async (event, projectPath) => {
+  const format = [
+    '%(refname)', '%(refname:short)', '%(objectname)', '%(upstream:short)',
+    '%(upstream:track,nobracket)', '%(committerdate:iso-strict)', '%(authorname)', '%(HEAD)', '%(subject)'
+  ].join('%1f');
+  const result = await runGit(['for-each-ref', `--format=${format}`, 'refs/heads', 'refs/remotes'], projectPath, { operation: 'List Branches' });
+  if (!result.success) {
+    return result;
+  }
+
+  const branches = result.output.split('\n').filter(line => line.trim()).map(line => {
+    const [refname, name, hash, upstream, track, date, author, head, subject] = line.split('\x1f');
+    return {
+      name,
+      remote: refname.startsWith('refs/remotes/'),
+      current: head === '*',
+      hash,
+      upstream: upstream || null,
+      ...parseUpstreamTrack(track || ''),
+      date: date || null,
+      author: author || '',
+      subject: subject || '',
+      merged: false
+    };
+  }).filter(branch => !(branch.remote && branch.name.endsWith('/HEAD')));
+
+  const localNames = branches.filter(branch => !branch.remote).map(branch => branch.name);
+  const current = branches.find(branch => branch.current);
+  const defaultBranch = await getDefaultBranch(projectPath, localNames, current ? current.name : null);
+
+  if (defaultBranch) {
+    const merged = await runGit(['branch', '--merged', defaultBranch, '--format=%(refname:short)'], projectPath, { operation: 'Merged Branches' });
+    if (merged.success) {
+      const mergedNames = new Set(merged.output.split('\n').map(name => name.trim()).filter(Boolean));
+      branches.forEach(branch => {
+        branch.merged = !branch.remote && mergedNames.has(branch.name);
+      });
+    }
+  }
+
+  return { success: true, branches, defaultBranch, output: result.output };
+});
+
+// Git create branch
+// startPoint defaults to HEAD; checkout=false only creates the branch
+ipcMain.handle('git-create-branch', async (event, projectPath, branchName, startPoint = null, checkout = true) => {
+  const validation = validateGitRef(branchName, 'Branch name');
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+  if (startPoint) {
+    const startValidation = validateGitRef(startPoint, 'Start point');
+    if (!startValidation.valid) {
+      return { success: false, error: startValidation.error };
+    }
+  }
+
+  const args = checkout ? ['checkout', '-b', branchName] : ['branch', branchName];
+  if (startPoint) args.push(startPoint);
+  return await runGit(args, projectPath, { operation: 'Create Branch' });
+});
+
+// Git checkout branch
+ipcMain.handle('git-checkout', async (event, projectPath, branchName) => {
+  const validation = validateGitRef(branchName, 'Branch name');
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  return await runGit(['checkout', branchName], projectPath, { operation: 'Checkout' });
+});
+
+// Git delete branch; force uses -D for branches with unmerged work
+ipcMain.handle('git-delete-branch', async (event, projectPath, branchName, force = false) => {
+  const validation = validateGitRef(branchName, 'Branch name');
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const branch = await runGit(['rev-parse', '--verify', '--quiet', `refs/heads/${branchName}`], projectPath, { operation: 'Branch Info' });
+  const result = await runGit(['branch', force ? '-D' : '-d', branchName], projectPath, { operation: 'Delete Branch' });
+  if (result.success && branch.success) {
+    await recordGitOperation({ type: 'branch-delete', message: `Delete branch ${branchName}`, projectPath, name: branchName, sha: branch.output.trim() });
+  }
+  if (!result.success && !force && /not fully merged/i.test(result.stderr || '')) {
+    return { ...result, notMerged: true, error: `Branch '${branchName}' is not fully merged` };
+  }
+  return result;
+});
+
+// Git rename branch
+ipcMain.handle('git-rename-branch', async (event, projectPath, oldName, newName) => {
+  for (const [value, label] of [[oldName, 'Branch name'], [newName, 'New branch name']]) {
+    const validation = validateGitRef(value, label);
+    if (!validation.valid) {
+      return { success: false, error: validation.error };
+    }
+  }
+
+  return await runGit(['branch', '-m', oldName, newName], projectPath, { operation: 'Rename Branch' });
+});
+
+// Git set upstream of a local branch, e.g. origin/feature
+ipcMain.handle('git-set-upstream', async (event, projectPath, branchName, upstream) => {
+  for (const [value, label] of [[branchName, 'Branch name'], [upstream, 'Upstream']]) {
+    const validation = validateGitRef(value, label);
+    if (!validation.valid) {
+      return { success: false, error: validation.error };
+    }
+  }
+
+  return await runGit(['branch', `--set-upstream-to=${upstream}`, branchName], projectPath, { operation: 'Set Upstream' });
+});
+
+// Git unset upstream of a local branch
+ipcMain.handle('git-unset-upstream', async (event, projectPath, branchName) => {
+  const validation = validateGitRef(branchName, 'Branch name');
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  return await runGit(['branch', '--unset-upstream', branchName], projectPath, { operation: 'Unset Upstream' });
+});
+
+// Turn a stash index from the renderer into a stash@{n} ref, or null when invalid
+function getStashRef(stashIndex) {
+  const index = parseInt(stashIndex, 10);
+  if (isNaN(index) || index < 0) {
+    return null;
+  }
+  return `stash@{${index}}`;
+}
+
+// Git stash; options: includeUntracked, keepIndex, and paths to stash only those files
+ipcMain.handle('git-stash', async (event, projectPath, message, options = {}) => {
+  const args = ['stash', 'push'];
+  if (options.includeUntracked) args.push('--include-untracked');
+  if (options.keepIndex) args.push('--keep-index');
+  if (message) args.push('-m', message);
+  if (Array.isArray(options.paths) && options.paths.length > 0) {
+    args.push('--', ...options.paths);
+  }
+  return await runGit(args, projectPath, { operation: 'Stash' });
+});
+
+// Git stash list
+ipcMain.handle('git-stash-list', async (event, projectPath) => {
+  const format = ['%gd', '%H', '%gs', '%aI'].join('%x1f');
+  const result = await runGit(['stash', 'list', `--format=${format}`], projectPath, { operation: 'Stash List' });
+  if (!result.success) {
+    return result;
+  }
+
+  const stashes = result.output.split('\n').filter(line => line.trim()).map(line => {
+    const [ref, hash, subject, date] = line.split(GRAPH_FIELD_SEPARATOR);
+    // Subjects read "WIP on <branch>: <sha> <commit subject>" or "On <branch>: <message>"
+    const match = subject.match(/^(WIP on|On) ([^:]+): (.*)$/);
+    return {
+      index: parseInt(ref.replace(/^stash@\{|\}$/g, ''), 10),
+      ref,
+      hash,
+      branch: match ? match[2] : null,
+      message: match ? match[3] : subject,
+      custom: !!match && match[1] === 'On',
+      date
+    };
+  });
+
+  return { success: true, stashes, output: result.output };
+});
+
+// Files in a stash, including untracked files stored in its third parent
+ipcMain.handle('git-stash-files', async (event, projectPath, stashIndex) => {
+  const ref = getStashRef(stashIndex);
+  if (!ref) {
+    return { success: false, error: 'Invalid stash index' };
+  }
+
+  const trackedResult = await runGit(
+    ['-c', 'core.quotepath=false', 'diff', '--name-status', '-z', `${ref}^1`, ref],
+    projectPath,
+    { operation: 'Stash Files' }
+  );
+  if (!trackedResult.success) {
+    return trackedResult;
+  }
+
+  // Renames and copies are three tokens: status, old path, new path
+  const files = [];
+  const tokens = trackedResult.output.split('\0').filter(token => token !== '');
+  for (let i = 0; i + 1 < tokens.length; i++) {
+    const status = tokens[i].trim();
+    if (status.startsWith('R') || status.startsWith('C')) {
+      files.push({ status: status[0], origPath: tokens[i + 1], path: tokens[i + 2], untracked: false });
+      i += 2;
+    } else {
+      files.push({ status: status[0], origPath: null, path: tokens[i + 1], untracked: false });
+      i += 1;
+    }
+  }
+
+  const untrackedRef = await runGit(['rev-parse', '--verify', '-q', `${ref}^3`], projectPath, { operation: 'Stash Untracked' });
+  if (untrackedRef.success) {
+    const untrackedResult = await runGit(
+      ['-c', 'core.quotepath=false', 'ls-tree', '-r', '--name-only', '-z', `${ref}^3`],
+      projectPath,
+      { operation: 'Stash Untracked Files' }
+    );
+    if (untrackedResult.success) {
+      untrackedResult.output.split('\0').filter(name => name).forEach(name => {
+        files.push({ status: 'U', origPath: null, path: name, untracked: true });
+      });
+    }
+  }
+
+  return { success: true, files };
+});
+
+// Git stash apply
+ipcMain.handle('git-stash-apply', async (event, projectPath, stashIndex) => {
+  const args = ['stash', 'apply'];
+  if (stashIndex !== undefined && stashIndex !== null) {
+    const ref = getStashRef(stashIndex);
+    if (!ref) {
+      return { success: false, error: 'Invalid stash index' };
+    }
+    args.push(ref);
+  }
+  return await runGit(args, projectPath, { operation: 'Stash Apply' });
+});
+
+// Git stash pop
+ipcMain.handle('git-stash-pop', async (event, projectPath, stashIndex) => {
+  const args = ['stash', 'pop'];
+  if (stashIndex !== undefined && stashIndex !== null) {
+    const ref = getStashRef(stashIndex);
+    if (!ref) {
+      return { success: false, error: 'Invalid stash index' };
+    }
+    args.push(ref);
+  }
+  return await runGit(args, projectPath, { operation: 'Stash Pop' });
+});
+
+// Git stash drop
+ipcMain.handle('git-stash-drop', async (event, projectPath, stashIndex) => {
+  const ref = getStashRef(stashIndex);
+  if (!ref) {
+    return { success: false, error: 'Invalid stash index' };
+  }
+  const stash = await runGit(['log', '-1', '--format=%H%x1f%gs', '-g', ref], projectPath, { operation: 'Stash Info' });
+  const result = await runGit(['stash', 'drop', ref], projectPath, { operation: 'Stash Drop' });
+  if (result.success && stash.success) {
+    const [sha, message] = stash.output.trim().split('\x1f');
+    await recordGitOperation({ type: 'stash-drop', message, projectPath, sha });
+  }
+  return result;
+});
+
+// Create a branch at the stash's base commit and apply the stash there
+ipcMain.handle('git-stash-branch', async (event, projectPath, branchName, stashIndex) => {
+  const validation = validateGitRef(branchName, 'Branch name');
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+  const ref = getStashRef(stashIndex);
+  if (!ref) {
+    return { success: false, error: 'Invalid stash index' };
+  }
+  return await runGit(['stash', 'branch', branchName, ref], projectPath, { operation: 'Stash Branch' });
+});
+
+// Git diff
+ipcMain.handle('git-diff', async (event, projectPath, filename) => {
+  const args = filename ? ['diff', '--', filename] : ['diff'];
+  return await runGit(args, projectPath, { operation: 'Diff' });
+});
+
+// Read one file's working tree (or staged) diff in a form `git apply` accepts
+async function getFileDiff(projectPath, filename, staged) {
+  const args = [
+    '-c', 'core.quotepath=false',
+    'diff', '--no-color', '--no-ext-diff', '--src-prefix=a/', '--dst-prefix=b/'
+  ];
+  if (staged) args.push('--cached');
+  args.push('--', filename);
+
+  const result = await runGit(args, projectPath, { operation: staged ? 'Staged Diff' : 'Diff' });
+  if (!result.success) {
+    return result;
+  }
+
+  const files = parseUnifiedDiff(result.output);
+  return { success: true, file: files[0] || null, output: result.output };
+}
+
+// Diff Viewer
+
+const EMPTY_TREE_HASH = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+const MAX_DIFF_CONTENT_SIZE = 2 * 1024 * 1024;
+
+// Contents beyond the size limit are left out; the viewer then only shows the changed hunks
+function describeDiffContent(content) {
+  if (content === null) {
+    return { content: null, binary: false, tooLarge: false };
+  }
+  if (content.length > MAX_DIFF_CONTENT_SIZE) {
+    return { content: null, binary: false, tooLarge: true };
+  }
+  // Same heuristic git uses: a NUL byte early on means binary
+  const binary = content.substring(0, 8000).includes('\0');
+  return { content: binary ? null : content, binary, tooLarge: false };
+}
+
+// For LFS files, the objects on both sides instead of their pointer text. The working tree holds
+// the real content, so only its size is known until it is staged.
+async function describeLfsDiff(projectPath, filename, oldContent, newContent, workingTree) {
+  const oldPointer = parseLfsPointer(oldContent);
+  const newPointer = parseLfsPointer(newContent);
+  if (!oldPointer && !newPointer && !(await getLfsPaths(projectPath, [filename])).has(filename)) {
+    return null;
+  }
+
+  let newObject = newPointer;
+  if (!newObject && newContent !== null) {
+    let size = Buffer.byteLength(newContent);
+    if (workingTree) {
+      try {
+        size = (await fs.stat(path.join(projectPath, filename))).size;
+      } catch {
+        // Keep the decoded length
+      }
+    }
+    newObject = { oid: null, size };
+  }
+  return {
+    old: oldPointer || (oldContent === null ? null : { oid: null, size: Buffer.byteLength(oldContent) }),
+    new: newObject
+  };
+}
+
+// Read a blob such as "HEAD:src/app.js" or ":src/app.js"; null when it doesn't exist
+async function readGitBlob(projectPath, spec) {
+  const result = await runGit(['show', spec], projectPath, { operation: 'Read Blob' });
+  return result.success ? result.output : null;
+}
+
+// Diff a file between a revision and its first parent (or the empty tree for root commits)
+async function getRevisionFileDiff(projectPath, ref, filename, origPath) {
+  const parentResult = await runGit(['rev-parse', '--verify', '-q', `${ref}^1`], projectPath, { operation: 'Resolve Parent' });
+  const base = parentResult.success ? parentResult.output.trim() : EMPTY_TREE_HASH;
+
+  const result = await runGit([
+    '-c', 'core.quotepath=false',
+    'diff', '--no-color', '--no-ext-diff', '-M', '--src-prefix=a/', '--dst-prefix=b/',
+    base, ref, '--', filename, ...(origPath ? [origPath] : [])
+  ], projectPath, { operation: 'Revision Diff' });
+  if (!result.success) {
+    return result;
+  }
+
+  const files = parseUnifiedDiff(result.output);
+  return { success: true, file: files[0] || null, base: parentResult.success ? base : null };
+}
+
+// Everything the diff viewer needs for one file: git's hunks plus both full versions.
+// source.type is 'unstaged', 'staged', 'commit' or 'stash'; commits and stashes also pass source.ref,
+// and stashed untracked files set source.untracked.
+ipcMain.handle('git-diff-view', async (event, projectPath, source = {}) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+  const { type, path: filename, origPath = null, ref = null } = source;
+  if (!filename) {
+    return { success: false, error: 'No file specified' };
+  }
+
+  let diffResult;
+  let oldContent;
+  let newContent;
+
+  if (type === 'unstaged') {
+    diffResult = await getFileDiff(projectPath, filename, false);
+    oldContent = await readGitBlob(projectPath, `:${filename}`);
+    try {
+      newContent = await fs.readFile(path.join(projectPath, filename), 'utf-8');
+    } catch {
+      newContent = null;
+    }
+  } else if (type === 'staged') {
+    diffResult = await getFileDiff(projectPath, filename, true);
+    oldContent = await readGitBlob(projectPath, `HEAD:${origPath || filename}`);
+    newContent = await readGitBlob(projectPath, `:${filename}`);
+  } else if (type === 'commit' || type === 'stash') {
+    const refValidation = validateGitRef(ref, type === 'stash' ? 'Stash' : 'Commit hash');
+    if (!refValidation.valid) {
+      return { success: false, error: refValidation.error };
+    }
+    // Untracked files of a stash live in its third parent, a root commit of their own
+    const revision = type === 'stash' && source.untracked ? `${ref}^3` : ref;
+    diffResult = await getRevisionFileDiff(projectPath, revision, filename, origPath);
+    oldContent = diffResult.success && diffResult.base
+      ? await readGitBlob(projectPath, `${diffResult.base}:${origPath || filename}`)
+      : null;
+    newContent = await readGitBlob(projectPath, `${revision}:${filename}`);
+  } else {
+    return { success: false, error: `Unknown diff source: ${type}` };
+  }
+
+  if (!diffResult.success) {
+    return diffResult;
+  }
+
+  const oldVersion = describeDiffContent(oldContent);
+  const newVersion = describeDiffContent(newContent);
+  const file = diffResult.file;
+  const lfs = await describeLfsDiff(projectPath, filename, oldContent, newContent, type === 'unstaged');
+
+  return {
+    success: true,
+    file,
+    lfs,
+    binary: !!(file && file.binary) || oldVersion.binary || newVersion.binary,
+    tooLarge: oldVersion.tooLarge || newVersion.tooLarge,
+    oldContent: oldVersion.content,
+    newContent: newVersion.content,
+    oldSize: oldContent === null ? null : Buffer.byteLength(oldContent),
+    newSize: newContent === null ? null : Buffer.byteLength(newContent)
+  };
+});
+
+// Stage, unstage or discard selected hunks/lines of a file
+ipcMain.handle('git-apply-selection', async (event, projectPath, filename, action, selection) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+  if (!['stage', 'unstage', 'discard'].includes(action)) {
+    return { success: false, error: `Unknown action: ${action}` };
+  }
+
+  // Unstaging works on the index diff, staging and discarding on the working tree diff
+  const staged = action === 'unstage';
+  const diffResult = await getFileDiff(projectPath, filename, staged);
+  if (!diffResult.success) {
+    return diffResult;
+  }
+
+  const file = diffResult.file;
+  if (!file || file.hunks.length === 0) {
+    return { success: false, error: 'No changes to apply for this file' };
+  }
+  if (file.binary) {
+    return { success: false, error: 'Binary files can only be staged as a whole' };
+  }
+
+  const isPartial = (selection || []).some(item => Array.isArray(item.lines)) ||
+    (selection || []).length < file.hunks.length;
+  if ((file.isNew || file.isDeleted) && isPartial) {
+    return { success: false, error: 'New or deleted files can only be staged as a whole' };
+  }
+
+  const reverse = action !== 'stage';
+  const patch = buildPartialPatch(file, selection, reverse);
+  if (!patch) {
+    return { success: false, error: 'No lines selected' };
+  }
+
+  const args = ['apply', '--whitespace=nowarn'];
+  if (action !== 'discard') args.push('--cached');
+  if (reverse) args.push('--reverse');
+  args.push('-');
+
+  return await runGit(args, projectPath, {
+    operation: `Apply Selection (${action})`,
+    input: patch
+  });
+});
+
+// Git log
+// options.range limits the log to a revision range such as "main..HEAD"
+ipcMain.handle('git-log', async (event, projectPath, limit = 50, options = {}) => {
+  const count = parseInt(limit, 10) || 50;
+  const args = ['log', '--pretty=format:%H|%an|%ae|%ad|%s', '--date=iso', '-n', String(count)];
+
+  if (options.noMerges) {
+    args.push('--no-merges');
+  }
+  if (options.range) {
+    const validation = validateGitRef(options.range, 'Revision range');
+    if (!validation.valid) {
+      return { success: false, error: validation.error };
+    }
+    args.push(options.range, '--');
+  }
+
+  const result = await runGit(args, projectPath, { operation: 'Log' });
+  if (!result.success || !options.signatures) {
+    return result;
+  }
+
+  // Verifying runs gpg or ssh-keygen for every signed commit, so it is only done on request
+  args[1] = '--pretty=format:%H%x1f%G?%x1f%GS%x1f%GK';
+  const verified = await runGit(args, projectPath, { operation: 'Verify Signatures' });
+  const signatures = {};
+  if (verified.success) {
+    verified.output.split('\n').forEach(line => {
+      const [hash, status, signer, key] = line.split(GRAPH_FIELD_SEPARATOR);
+      const signature = parseCommitSignature(status, signer, key);
+      if (signature) signatures[hash] = signature;
+    });
+  }
+  return { ...result, signatures };
+});
+
+// Git remote list
+ipcMain.handle('git-remote-list', async (event, projectPath) => {
+  return await runGit(['remote', '-v'], projectPath, { operation: 'List Remotes' });
+});
+
+// Git add remote
+ipcMain.handle('git-add-remote', async (event, projectPath, name, url) => {
+  const nameValidation = validateGitRef(name, 'Remote name');
+  if (!nameValidation.valid) {
+    return { success: false, error: nameValidation.error };
+  }
+  const urlValidation = validateGitRef(url, 'Remote URL');
+  if (!urlValidation.valid) {
+    return { success: false, error: urlValidation.error };
+  }
+
+  return await runGit(['remote', 'add', name, url], projectPath, { operation: 'Add Remote' });
+});
+
+// Git remove remote
+ipcMain.handle('git-remove-remote', async (event, projectPath, name) => {
+  const validation = validateGitRef(name, 'Remote name');
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  return await runGit(['remote', 'remove', name], projectPath, { operation: 'Remove Remote' });
+});
+
+// Git merge
+ipcMain.handle('git-merge', async (event, projectPath, branchName) => {
+  const validation = validateGitRef(branchName, 'Branch name');
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const before = await captureHeadState(projectPath);
+  const result = await runGit(['merge', branchName], projectPath, { operation: 'Merge' });
+  await recordHeadOperation('merge', projectPath, `Merge ${branchName}`, before, result);
+  return result;
+});
+
+// Advanced Git Operations
+
+// Git rebase
+ipcMain.handle('git-rebase', async (event, projectPath, targetBranch) => {
+  const validation = validateGitRef(targetBranch, 'Branch name');
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const before = await captureHeadState(projectPath);
+  const result = await runGit(['rebase', targetBranch], projectPath, { operation: 'Rebase' });
+  await recordHeadOperation('rebase', projectPath, `Rebase onto ${targetBranch}`, before, result);
+  return result;
+});
+
+// Git cherry-pick
+ipcMain.handle('git-cherry-pick', async (event, projectPath, commitHash, noCommit = false) => {
+  const validation = validateGitRef(commitHash, 'Commit hash');
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const args = noCommit ? ['cherry-pick', '--no-commit', commitHash] : ['cherry-pick', commitHash];
+  const before = await captureHeadState(projectPath);
+  const result = await runGit(args, projectPath, { operation: 'Cherry Pick' });
+  if (!noCommit) {
+    await recordHeadOperation('cherry-pick', projectPath, `Cherry-pick ${commitHash.substring(0, 7)}`, before, result);
+  }
+  return result;
+});
+
+// Git tag list
+ipcMain.handle('git-tag-list', async (event, projectPath) => {
+  return await runGit(['tag', '-l', '-n'], projectPath, { operation: 'List Tags' });
+});
+
+// Git create tag; options.sign (true/false) overrides the project's tag.gpgsign
+ipcMain.handle('git-tag-create', async (event, projectPath, tagName, message, pushToRemote = false, target = null, options = {}) => {
+  const validation = validateGitRef(tagName, 'Tag name');
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+  if (target) {
+    const targetValidation = validateGitRef(target, 'Tag target');
+    if (!targetValidation.valid) {
+      return { success: false, error: targetValidation.error };
+    }
+  }
+
+  if (options.sign && !message) {
+    return { success: false, error: 'A signed tag needs a message' };
+  }
+  const args = ['tag'];
+  if (options.sign) {
+    args.push('--sign');
+  } else if (message) {
+    args.push('--annotate');
+  }
+  if (options.sign === false) {
+    args.push('--no-sign');
+  }
+  if (message) args.push('-m', message);
+  args.push(tagName);
+  if (target) args.push(target);
+  const result = await runGit(args, projectPath, { operation: 'Create Tag' });
+  if (!result.success || !pushToRemote) {
+    return result;
+  }
+
+  const pushResult = await runGit(['push', 'origin', `refs/tags/${tagName}`], projectPath, {
+    operation: 'Push Tag',
+    timeout: 300000
+  });
+  if (!pushResult.success) {
+    return { success: true, output: result.output, pushWarning: pushResult.error };
+  }
+  return { success: true, output: result.output, pushed: true };
+});
+
+// Git delete tag
+ipcMain.handle('git-tag-delete', async (event, projectPath, tagName, deleteRemote = false) => {
+  const validation = validateGitRef(tagName, 'Tag name');
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const tag = await runGit(['rev-parse', '--verify', '--quiet', `refs/tags/${tagName}`], projectPath, { operation: 'Tag Info' });
+  const result = await runGit(['tag', '-d', tagName], projectPath, { operation: 'Delete Tag' });
+  if (result.success && tag.success) {
+    await recordGitOperation({ type: 'tag-delete', message: `Delete tag ${tagName}`, projectPath, name: tagName, sha: tag.output.trim() });
+  }
+  if (!result.success || !deleteRemote) {
+    return result;
+  }
+
+  const pushResult = await runGit(['push', 'origin', `:refs/tags/${tagName}`], projectPath, {
+    operation: 'Delete Remote Tag',
+    timeout: 300000
+  });
+  return { success: true, output: result.output, remoteDeleted: pushResult.success };
+});
+
+// Git reset
+ipcMain.handle('git-reset', async (event, projectPath, target, mode = 'mixed') => {
+  const validation = validateGitRef(target, 'Reset target');
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const modeFlag = mode === 'soft' ? '--soft' : mode === 'hard' ? '--hard' : '--mixed';
+  const before = await captureHeadState(projectPath);
+  const result = await runGit(['reset', modeFlag, target], projectPath, { operation: 'Reset' });
+  await recordHeadOperation('reset', projectPath, `Reset (${mode}) to ${target}`, before, result);
+  return result;
+});
+
+// Git revert
+ipcMain.handle('git-revert', async (event, projectPath, commitHash) => {
+  const validation = validateGitRef(commitHash, 'Commit hash');
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const before = await captureHeadState(projectPath);
+  const result = await runGit(['revert', '--no-edit', commitHash], projectPath, { operation: 'Revert' });
+  await recordHeadOperation('revert', projectPath, `Revert ${commitHash.substring(0, 7)}`, before, result);
+  return result;
+});
+
+// Git clean
+ipcMain.handle('git-clean', async (event, projectPath, force = false, includeDirectories = false) => {
+  const args = ['clean'];
+  if (force) args.push('-f');
+  if (includeDirectories) args.push('-d');
+  return await runGit(args, projectPath, { operation: 'Clean' });
+});
+
+// Cancel a running git operation by id
+ipcMain.handle('git-cancel-operation', async (event, operationId) => {
+  return { success: cancelGitOperation(operationId) };
+});
+
+// ============================================
+// Merge Conflict Resolution
+// ============================================
+const GIT_OPERATION_MARKERS = [
+  ['rebase', 'rebase-merge'],
+  // `git am` keeps its state in rebase-apply too, marked by an "applying" file
+  ['am', 'rebase-apply/applying'],
+  ['rebase', 'rebase-apply'],
+  ['merge', 'MERGE_HEAD'],
+  ['cherry-pick', 'CHERRY_PICK_HEAD'],
+  ['revert', 'REVERT_HEAD']
+];
+
+// Detect a merge, rebase, am, cherry-pick or revert in progress
+async function detectGitOperation(projectPath) {
+  const args = ['rev-parse'];
+  GIT_OPERATION_MARKERS.forEach(([, marker]) => args.push('--git-path', marker));
+
+  const result = await runGit(args, projectPath, { operation: 'Detect Operation' });
+  if (!result.success) {
+    return null;
+  }
+
+  const markerPaths = result.output.split('\n').filter(line => line.trim());
+  for (let i = 0; i < GIT_OPERATION_MARKERS.length; i++) {
+    if (markerPaths[i] && await fileExists(path.resolve(projectPath, markerPaths[i]))) {
+      return GIT_OPERATION_MARKERS[i][0];
+    }
+  }
+  return null;
+}
+
+// Resolve every conflict block in a file's content, keeping ours, theirs or both sides
+function resolveConflictMarkers(text, strategy) {
+  const output = [];
+  let section = null;
+  let ours = [];
+  let theirs = [];
+
+  for (const line of text.split('\n')) {
+    if (section === null && line.startsWith('<<<<<<<')) {
+      section = 'ours';
+      ours = [];
+      theirs = [];
+    } else if (section === 'ours' && line.startsWith('|||||||')) {
+      section = 'base';
+    } else if ((section === 'ours' || section === 'base') && line.startsWith('=======')) {
+      section = 'theirs';
+    } else if (section === 'theirs' && line.startsWith('>>>>>>>')) {
+      if (strategy === 'ours' || strategy === 'both') output.push(...ours);
+      if (strategy === 'theirs' || strategy === 'both') output.push(...theirs);
+      section = null;
+    } else if (section === 'ours') {
+      ours.push(line);
+    } else if (section === 'theirs') {
+      theirs.push(line);
+    } else if (section === null) {
+      output.push(line);
+    }
+  }
+
+  return output.join('\n');
+}
+
+// Read one stage (1 = base, 2 = ours, 3 = theirs) of a conflicted file from the index
+async function readConflictStage(projectPath, stage, file) {
+  const result = await runGit(['show', `:${stage}:${file}`], projectPath, { operation: 'Read Conflict Stage' });
+  return result.success ? result.output : null;
+}
+
+// Unmerged paths plus the operation that produced them
+ipcMain.handle('git-conflict-state', async (event, projectPath) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const statusResult = await runGit(['status', '--porcelain=v2', '-z'], projectPath, { operation: 'Status' });
+  if (!statusResult.success) {
+    return statusResult;
+  }
+
+  const { entries } = parseGitStatusV2(statusResult.output);
+  const files = entries
+    .filter(entry => entry.type === 'unmerged')
+    .map(entry => ({ path: entry.path, conflict: entry.conflict }));
+
+  await releaseRebasePlanDir(projectPath);
+  return { success: true, operation: await detectGitOperation(projectPath), files };
+});
+
+// Base, ours, theirs and working copy contents of a conflicted file
+ipcMain.handle('git-conflict-versions', async (event, projectPath, file) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  let working = null;
+  try {
+    working = await fs.readFile(path.join(projectPath, file), 'utf-8');
+  } catch (error) {
+    // File was deleted on one side
+  }
+
+  return {
+    success: true,
+    base: await readConflictStage(projectPath, 1, file),
+    ours: await readConflictStage(projectPath, 2, file),
+    theirs: await readConflictStage(projectPath, 3, file),
+    working
+  };
+});
+
+// Resolve a conflicted file (ours, theirs, both or manual content) and mark it resolved
+ipcMain.handle('git-resolve-conflict', async (event, projectPath, file, resolution, content = null) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const filePath = path.join(projectPath, file);
+
+  if (resolution === 'ours' || resolution === 'theirs') {
+    const stage = resolution === 'ours' ? 2 : 3;
+    const version = await readConflictStage(projectPath, stage, file);
+    if (version === null) {
+      // The chosen side deleted the file
+      return await runGit(['rm', '--', file], projectPath, { operation: 'Resolve Conflict' });
+    }
+
+    const checkout = await runGit(['checkout', `--${resolution}`, '--', file], projectPath, {
+      operation: 'Resolve Conflict'
+    });
+    if (!checkout.success) {
+      return checkout;
+    }
+  } else if (resolution === 'both') {
+    try {
+      const working = await fs.readFile(filePath, 'utf-8');
+      await fs.writeFile(filePath, resolveConflictMarkers(working, 'both'));
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  } else if (resolution === 'manual') {
+    if (typeof content !== 'string') {
+      return { success: false, error: 'No content provided' };
+    }
+    try {
+      await fs.writeFile(filePath, content);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  } else {
+    return { success: false, error: `Unknown resolution: ${resolution}` };
+  }
+
+  return await runGit(['add', '--', file], projectPath, { operation: 'Mark Resolved' });
+});
+
+// Continue or abort the merge, rebase, cherry-pick or revert in progress
+ipcMain.handle('git-operation-control', async (event, projectPath, action) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const operation = await detectGitOperation(projectPath);
+  if (!operation) {
+    return { success: false, error: 'No merge, rebase or cherry-pick in progress' };
+  }
+
+  let args;
+  if (action === 'continue') {
+    // A merge is concluded by committing; the others have their own --continue
+    args = operation === 'merge' ? ['commit', '--no-edit'] : [operation, '--continue'];
+  } else if (action === 'abort') {
+    args = [operation, '--abort'];
+  } else if (action === 'skip') {
+    if (operation === 'merge') {
+      return { success: false, error: 'A merge cannot be skipped, only aborted', operation };
+    }
+    args = [operation, '--skip'];
+  } else {
+    return { success: false, error: `Unknown action: ${action}` };
+  }
+
+  const result = await runGit(args, projectPath, {
+    operation: `${operation} ${action}`,
+    env: { GIT_EDITOR: 'true' }
+  });
+
+  // Once a conflicted operation is concluded, it becomes undoable as a whole
+  const pending = pendingUndoOperations.get(projectPath);
+  if (pending && action === 'abort' && result.success) {
+    pendingUndoOperations.delete(projectPath);
+  } else if (pending && result.success && !await detectGitOperation(projectPath)) {
+    pendingUndoOperations.delete(projectPath);
+    await recordHeadOperation(pending.type, projectPath, pending.message, pending.before, result);
+  }
+  await releaseRebasePlanDir(projectPath);
+  return { ...result, operation };
+});
+
+// Interactive Rebase
+
+const REBASE_ACTIONS = ['pick', 'reword', 'squash', 'fixup', 'drop'];
+const rebasePlanDirs = new Map(); // projectPath -> temp folder with the plan of a stopped interactive rebase
+
+// Quote a path for the POSIX shell git uses to run editors and exec lines
+function shellQuotePath(filePath) {
+  return `'${filePath.replace(/\\/g, '/').replace(/'/g, `'\\''`)}'`;
+}
+
+// Build the rebase todo list; rewords become a pick followed by an amend of the message
+async function buildRebaseTodo(plan, workDir) {
+  const lines = [];
+  let hasBase = false;
+
+  for (let i = 0; i < plan.length; i++) {
+    const { hash, action, message } = plan[i];
+
+    if (!REBASE_ACTIONS.includes(action)) {
+      throw new Error(`Unknown rebase action: ${action}`);
+    }
+    if (!/^[0-9a-f]{7,40}$/i.test(hash || '')) {
+      throw new Error(`Invalid commit hash: ${hash}`);
+    }
+    if ((action === 'squash' || action === 'fixup') && !hasBase) {
+      throw new Error(`Cannot ${action} ${hash.substring(0, 7)} without a previous commit to combine with`);
+    }
+    if (action !== 'drop') {
+      hasBase = true;
+    }
+
+    if (action === 'reword') {
+      if (!message || !message.trim()) {
+        throw new Error(`A new message is required to reword ${hash.substring(0, 7)}`);
+      }
+      const messageFile = path.join(workDir, `message-${i}.txt`);
+      await fs.writeFile(messageFile, message, 'utf-8');
+      lines.push(`pick ${hash}`);
+      lines.push(`exec git commit --amend --no-verify --allow-empty -F ${shellQuotePath(messageFile)}`);
+    } else {
+      lines.push(`${action} ${hash}`);
+    }
+  }
+
+  if (!hasBase) {
+    throw new Error('The plan drops every commit');
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Remove a stopped interactive rebase's plan folder once no rebase is in progress,
+// however it ended (continued, aborted here or finished in a terminal)
+async function releaseRebasePlanDir(projectPath) {
+  const workDir = rebasePlanDirs.get(projectPath);
+  if (!workDir || await detectGitOperation(projectPath) === 'rebase') {
+    return;
+  }
+  rebasePlanDirs.delete(projectPath);
+  await fs.rm(workDir, { recursive: true, force: true });
+}
+
+// Read how far a stopped rebase has got from the rebase-merge state directory
+async function readRebaseProgress(projectPath) {
+  const result = await runGit(['rev-parse', '--git-path', 'rebase-merge'], projectPath, { operation: 'Rebase Progress' });
+  if (!result.success) {
+    return { inProgress: false };
+  }
+
+  const stateDir = path.resolve(projectPath, result.output.trim());
+  if (!await fileExists(stateDir)) {
+    return { inProgress: false };
+  }
+
+  const readState = async (name) => {
+    try {
+      return (await fs.readFile(path.join(stateDir, name), 'utf-8')).trim();
+    } catch {
+      return '';
+    }
+  };
+
+  const headName = await readState('head-name');
+  return {
+    inProgress: true,
+    current: parseInt(await readState('msgnum'), 10) || 0,
+    total: parseInt(await readState('end'), 10) || 0,
+    stoppedAt: await readState('stopped-sha') || null,
+    branch: headName.replace(/^refs\/heads\//, '') || null
+  };
+}
+
+// Run an interactive rebase onto `base` following a prepared plan
+ipcMain.handle('git-rebase-interactive', async (event, projectPath, base, plan) => {
+  const pathValidation = validateGitPath(projectPath);
+  if (!pathValidation.valid) {
+    return { success: false, error: pathValidation.error };
+  }
+  const validation = validateGitRef(base, 'Base');
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+  if (!Array.isArray(plan) || plan.length === 0) {
+    return { success: false, error: 'The rebase plan is empty' };
+  }
+  if (await detectGitOperation(projectPath)) {
+    return { success: false, error: 'Another merge, rebase or cherry-pick is already in progress' };
+  }
+
+  // Message files must outlive this call since exec lines run again after --continue
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rebase-plan-'));
+  let todo;
+  try {
+    todo = await buildRebaseTodo(plan, workDir);
+  } catch (error) {
+    await fs.rm(workDir, { recursive: true, force: true });
+    return { success: false, error: error.message };
+  }
+
+  const todoFile = path.join(workDir, 'git-rebase-todo');
+  await fs.writeFile(todoFile, todo, 'utf-8');
+
+  const before = await captureHeadState(projectPath);
+  const result = await runGit(['rebase', '-i', base], projectPath, {
+    operation: 'Interactive Rebase',
+    timeout: 300000,
+    env: {
+      GIT_SEQUENCE_EDITOR: `cat ${shellQuotePath(todoFile)} >`,
+      GIT_EDITOR: 'true'
+    }
+  });
+
+  const progress = await readRebaseProgress(projectPath);
+  if (progress.inProgress) {
+    rebasePlanDirs.set(projectPath, workDir);
+  } else {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+  // A rebase stopped for editing or on a conflict is recorded when it is continued
+  await recordHeadOperation('rebase', projectPath, `Interactive rebase onto ${base}`, before,
+    progress.inProgress ? { ...result, conflict: true } : result);
+  return { ...result, progress };
+});
+
+ipcMain.handle('git-rebase-progress', async (event, projectPath) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  await releaseRebasePlanDir(projectPath);
+  return { success: true, ...await readRebaseProgress(projectPath) };
+});
+
+// Commit Graph
+
+const GRAPH_FIELD_SEPARATOR = '\x1f';
+const GRAPH_RECORD_SEPARATOR = '\x1e';
+
+// Split a full %D decoration ("HEAD -> refs/heads/main, tag: refs/tags/v1") into typed refs
+function parseRefDecorations(decorations) {
+  if (!decorations || !decorations.trim()) {
+    return [];
+  }
+
+  const refs = [];
+  decorations.split(', ').forEach(decoration => {
+    let name = decoration.trim();
+    if (name.startsWith('HEAD -> ')) {
+      refs.push({ type: 'head', name: 'HEAD' });
+      name = name.substring('HEAD -> '.length);
+    }
+    if (name.startsWith('tag: ')) {
+      name = name.substring('tag: '.length);
+    }
+
+    if (name === 'HEAD') {
+      refs.push({ type: 'head', name: 'HEAD' });
+    } else if (name.startsWith('refs/heads/')) {
+      refs.push({ type: 'branch', name: name.substring('refs/heads/'.length) });
+    } else if (name.startsWith('refs/remotes/')) {
+      const remoteName = name.substring('refs/remotes/'.length);
+      if (!remoteName.endsWith('/HEAD')) {
+        refs.push({ type: 'remote', name: remoteName });
+      }
+    } else if (name.startsWith('refs/tags/')) {
+      refs.push({ type: 'tag', name: name.substring('refs/tags/'.length) });
+    }
+  });
+  return refs;
+}
+
+// Read one page of commits across all refs, newest first in topological order;
+// options.signatures also verifies each signed commit, which runs gpg/ssh-keygen per commit
+ipcMain.handle('git-graph', async (event, projectPath, skip = 0, limit = 200, options = {}) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const count = parseInt(limit, 10) || 200;
+  const signatureFields = options.signatures ? ['%G?', '%GS', '%GK'] : ['', '', ''];
+  const format = ['%H', '%P', '%an', '%ae', '%aI', '%D', ...signatureFields, '%s'].join('%x1f') + '%x1e';
+  const result = await runGit([
+    'log', '--all', '--topo-order', '--decorate=full',
+    `--format=${format}`,
+    `--skip=${parseInt(skip, 10) || 0}`, '-n', String(count)
+  ], projectPath, { operation: 'Commit Graph' });
+
+  if (!result.success) {
+    // An empty repository has no commits to draw yet
+    if (/does not have any commits yet|bad default revision/i.test(result.stderr || '')) {
+      return { success: true, commits: [], hasMore: false };
+    }
+    return result;
+  }
+
+  const commits = result.output.split(GRAPH_RECORD_SEPARATOR)
+    .map(record => record.replace(/^\n/, ''))
+    .filter(record => record.trim())
+    .map(record => {
+      const [hash, parents, author, email, date, decorations, signatureStatus, signer, signingKey, subject] = record.split(GRAPH_FIELD_SEPARATOR);
+      return {
+        hash,
+        parents: parents ? parents.split(' ') : [],
+        author,
+        email,
+        date,
+        refs: parseRefDecorations(decorations),
+        signature: parseCommitSignature(signatureStatus, signer, signingKey),
+        subject
+      };
+    });
+
+  return { success: true, commits, hasMore: commits.length === count };
+});
+
+// Parse `git show --numstat -z` output into per-path line counts (null for binary files)
+function parseNumstat(output) {
+  const stats = new Map();
+  const tokens = output.split('\0');
+
+  for (let i = 0; i < tokens.length; i++) {
+    const match = tokens[i].replace(/^\n+/, '').match(/^(-|\d+)\t(-|\d+)\t(.*)$/);
+    if (!match) continue;
+
+    let filePath = match[3];
+    if (filePath === '') {
+      // Renames and copies list the old and new path as separate tokens
+      filePath = tokens[i + 2];
+      i += 2;
+    }
+    stats.set(filePath, {
+      additions: match[1] === '-' ? null : parseInt(match[1], 10),
+      deletions: match[2] === '-' ? null : parseInt(match[2], 10)
+    });
+  }
+  return stats;
+}
+
+// Commit metadata and the files it changed (against its first parent for merges)
+ipcMain.handle('git-commit-details', async (event, projectPath, commitHash) => {
+  const validation = validateGitRef(commitHash, 'Commit hash');
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const format = ['%H', '%P', '%an', '%ae', '%aI', '%cn', '%ce', '%cI', '%D', '%G?', '%GS', '%GK', '%s', '%b'].join('%x1f');
+  const infoResult = await runGit(
+    ['show', '-s', '--decorate=full', `--format=${format}`, commitHash, '--'],
+    projectPath,
+    { operation: 'Commit Details' }
+  );
+  if (!infoResult.success) {
+    return infoResult;
+  }
+
+  const [
+    hash, parents, author, email, date,
+    committer, committerEmail, committerDate,
+    decorations, signatureStatus, signer, signingKey, subject, ...bodyParts
+  ] = infoResult.output.split(GRAPH_FIELD_SEPARATOR);
+
+  const filesResult = await runGit(
+    ['-c', 'core.quotepath=false', 'show', '--format=', '--name-status', '-M', '-m', '--first-parent', '-z', hash, '--'],
+    projectPath,
+    { operation: 'Commit Files' }
+  );
+  if (!filesResult.success) {
+    return filesResult;
+  }
+
+  const files = [];
+  const tokens = filesResult.output.split('\0').filter(token => token !== '');
+  for (let i = 0; i < tokens.length; i++) {
+    const status = tokens[i].trim();
+    if (status.startsWith('R') || status.startsWith('C')) {
+      files.push({ status: status[0], origPath: tokens[i + 1], path: tokens[i + 2] });
+      i += 2;
+    } else {
+      files.push({ status: status[0], origPath: null, path: tokens[i + 1] });
+      i += 1;
+    }
+  }
+
+  const statsResult = await runGit(
+    ['-c', 'core.quotepath=false', 'show', '--format=', '--numstat', '-M', '-m', '--first-parent', '-z', hash, '--'],
+    projectPath,
+    { operation: 'Commit Stats' }
+  );
+  const stats = statsResult.success ? parseNumstat(statsResult.output) : new Map();
+  files.forEach(file => {
+    Object.assign(file, stats.get(file.path) || { additions: null, deletions: null });
+  });
+
+  return {
+    success: true,
+    commit: {
+      hash,
+      parents: parents ? parents.split(' ') : [],
+      author,
+      email,
+      date,
+      committer,
+      committerEmail,
+      committerDate,
+      refs: parseRefDecorations(decorations),
+      signature: parseCommitSignature(signatureStatus, signer, signingKey),
+      subject,
+      body: bodyParts.join(GRAPH_FIELD_SEPARATOR).trim()
+    },
+    files
+  };
+});
+
+// Blame and File History
+
+const UNCOMMITTED_HASH = '0000000000000000000000000000000000000000';
+
+// Parse `git blame --porcelain`; commit metadata is only printed the first time a commit appears
+function parseBlamePorcelain(output) {
+  const commits = {};
+  const lines = [];
+  let current = null;
+
+  output.split('\n').forEach(line => {
+    if (line.startsWith('\t')) {
+      lines.push({ number: current.finalLine, origLine: current.origLine, hash: current.hash, content: line.substring(1) });
+      return;
+    }
+
+    const header = line.match(/^([0-9a-f]{40}) (\d+) (\d+)/);
+    if (header) {
+      current = { hash: header[1], origLine: parseInt(header[2], 10), finalLine: parseInt(header[3], 10) };
+      if (!commits[current.hash]) {
+        commits[current.hash] = { hash: current.hash, uncommitted: current.hash === UNCOMMITTED_HASH };
+      }
+      return;
+    }
+
+    if (!current) return;
+    const commit = commits[current.hash];
+    const space = line.indexOf(' ');
+    const key = space === -1 ? line : line.substring(0, space);
+    const value = space === -1 ? '' : line.substring(space + 1);
+
+    switch (key) {
+      case 'author': commit.author = value; break;
+      case 'author-mail': commit.email = value.replace(/^<|>$/g, ''); break;
+      case 'author-time': commit.time = parseInt(value, 10) * 1000; break;
+      case 'summary': commit.summary = value; break;
+      case 'filename': commit.filename = value; break;
+      case 'boundary': commit.boundary = true; break;
+      case 'previous': {
+        const [previousHash, ...previousPath] = value.split(' ');
+        commit.previous = { hash: previousHash, path: previousPath.join(' ') };
+        break;
+      }
+    }
+  });
+
+  return { commits, lines };
+}
+
+// Blame a file at a revision, or the working tree copy when no revision is given
+ipcMain.handle('git-blame', async (event, projectPath, filename, revision = null) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+  if (!filename) {
+    return { success: false, error: 'No file specified' };
+  }
+  if (revision) {
+    const revisionValidation = validateGitRef(revision, 'Revision');
+    if (!revisionValidation.valid) {
+      return { success: false, error: revisionValidation.error };
+    }
+  }
+
+  const args = ['blame', '--porcelain'];
+  if (revision) args.push(revision);
+  args.push('--', filename);
+
+  const result = await runGit(args, projectPath, { operation: 'Blame' });
+  if (!result.success) {
+    return result;
+  }
+
+  return { success: true, ...parseBlamePorcelain(result.output) };
+});
+
+// Every commit touching a file, following it across renames
+ipcMain.handle('git-file-history', async (event, projectPath, filename, limit = 500) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+  if (!filename) {
+    return { success: false, error: 'No file specified' };
+  }
+
+  const format = '%x1e' + ['%H', '%an', '%ae', '%aI', '%s'].join('%x1f');
+  const result = await runGit([
+    '-c', 'core.quotepath=false',
+    'log', '--follow', '--name-status', `--format=${format}`,
+    '-n', String(parseInt(limit, 10) || 500), '--', filename
+  ], projectPath, { operation: 'File History' });
+  if (!result.success) {
+    return result;
+  }
+
+  const commits = result.output.split(GRAPH_RECORD_SEPARATOR)
+    .filter(record => record.trim())
+    .map(record => {
+      const [header, ...changes] = record.split('\n').filter(line => line.trim());
+      const [hash, author, email, date, subject] = header.split(GRAPH_FIELD_SEPARATOR);
+
+      // --follow prints the file's name-status line, which gives its path in that commit
+      const [status = 'M', firstPath = filename, secondPath] = (changes[0] || '').split('\t');
+      const renamed = status.startsWith('R') || status.startsWith('C');
+      return {
+        hash,
+        author,
+        email,
+        date,
+        subject,
+        status: status[0],
+        path: renamed ? secondPath : firstPath,
+        origPath: renamed ? firstPath : null
+      };
+    });
+
+  return { success: true, commits };
+});
+
+// Bisect
+
+const BISECT_VERDICTS = ['good', 'bad', 'skip'];
+
+// Current bisect session: marked refs under refs/bisect, the commit under test,
+// how many revisions are left and, once found, the first bad commit
+async function getBisectState(projectPath) {
+  const startPath = await runGit(['rev-parse', '--git-path', 'BISECT_START'], projectPath, { operation: 'Detect Bisect' });
+  if (!startPath.success || !await fileExists(path.resolve(projectPath, startPath.output.trim()))) {
+    return { active: false };
+  }
+
+  const state = { active: true, bad: null, good: [], skipped: [], head: null, remaining: null, steps: null, culprit: null };
+
+  const refs = await runGit(['for-each-ref', '--format=%(refname) %(objectname)', 'refs/bisect/'], projectPath, { operation: 'Bisect Refs' });
+  if (refs.success) {
+    refs.output.split('\n').filter(Boolean).forEach(line => {
+      const [ref, sha] = line.split(' ');
+      if (ref === 'refs/bisect/bad') {
+        state.bad = sha;
+      } else if (ref.startsWith('refs/bisect/good-')) {
+        state.good.push(sha);
+      } else if (ref.startsWith('refs/bisect/skip-')) {
+        state.skipped.push(sha);
+      }
+    });
+  }
+
+  const head = await runGit(['log', '-1', '--pretty=format:%H%x00%s%x00%an%x00%ad', '--date=iso'], projectPath, { operation: 'Bisect Head' });
+  if (head.success) {
+    const [hash, subject, author, date] = head.output.split('\0');
+    state.head = { hash, subject, author, date };
+  }
+
+  if (state.bad && state.good.length > 0) {
+    const vars = await runGit(['rev-list', '--bisect-vars', state.bad, '--not', ...state.good], projectPath, { operation: 'Bisect Remaining' });
+    if (vars.success) {
+      const remaining = /bisect_nr=(\d+)/.exec(vars.output);
+      const steps = /bisect_steps=(\d+)/.exec(vars.output);
+      state.remaining = remaining ? parseInt(remaining[1], 10) : null;
+      state.steps = steps ? parseInt(steps[1], 10) : null;
+    }
+  }
+
+  // `git bisect log` records "# first bad commit: [<sha>] <subject>" once the search is over
+  const log = await runGit(['bisect', 'log'], projectPath, { operation: 'Bisect Log' });
+  if (log.success) {
+    const culprit = /^# first bad commit: \[([0-9a-f]+)\]/m.exec(log.output);
+    state.culprit = culprit ? culprit[1] : null;
+  }
+
+  return state;
+}
+
+ipcMain.handle('git-bisect-status', async (event, projectPath) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+  return { success: true, state: await getBisectState(projectPath) };
+});
+
+ipcMain.handle('git-bisect-start', async (event, projectPath, good, bad = 'HEAD') => {
+  const goodValidation = validateGitRef(good, 'Good commit');
+  if (!goodValidation.valid) {
+    return { success: false, error: goodValidation.error };
+  }
+  const badValidation = validateGitRef(bad || 'HEAD', 'Bad commit');
+  if (!badValidation.valid) {
+    return { success: false, error: badValidation.error };
+  }
+  if ((await getBisectState(projectPath)).active) {
+    return { success: false, error: 'A bisect is already in progress. Reset it first.' };
+  }
+
+  const result = await runGit(['bisect', 'start', bad || 'HEAD', good, '--'], projectPath, { operation: 'Bisect Start' });
+  return { ...result, state: await getBisectState(projectPath) };
+});
+
+// Mark the checked-out commit good, bad or skip; git checks out the next one to test
+ipcMain.handle('git-bisect-mark', async (event, projectPath, verdict) => {
+  if (!BISECT_VERDICTS.includes(verdict)) {
+    return { success: false, error: `Unknown bisect verdict: ${verdict}` };
+  }
+
+  const result = await runGit(['bisect', verdict], projectPath, { operation: `Bisect ${verdict}` });
+  return { ...result, state: await getBisectState(projectPath) };
+});
+
+// Run a bisect test command through the same shell run-command's exec uses (cmd.exe on
+// Windows, /bin/sh elsewhere), streaming its output; resolves with the exit code or null
+function runBisectTest(command, projectPath, signal, onOutput) {
+  return new Promise((resolve) => {
+    const child = spawn(command, { cwd: projectPath, shell: true, windowsHide: true });
+    const abort = () => child.kill();
+    signal.addEventListener('abort', abort, { once: true });
+    child.stdout.on('data', chunk => onOutput(chunk.toString('utf-8')));
+    child.stderr.on('data', chunk => onOutput(chunk.toString('utf-8')));
+    child.on('error', error => {
+      onOutput(`${error.message}\n`);
+      resolve(null);
+    });
+    child.on('close', code => {
+      signal.removeEventListener('abort', abort);
+      resolve(code);
+    });
+  });
+}
+
+// Decide each bisect step from a command's exit code, as `git bisect run` does:
+// 0 is good, 125 skip, any other code up to 127 bad, and anything above 127 stops the run
+ipcMain.handle('git-bisect-run', async (event, projectPath, command, operationId = null) => {
+  if (!command || !command.trim()) {
+    return { success: false, error: 'Please enter a command to test each commit' };
+  }
+  let state = await getBisectState(projectPath);
+  if (!state.active) {
+    return { success: false, error: 'No bisect in progress' };
+  }
+
+  const sendOutput = (chunk) => {
+    if (!event.sender.isDestroyed()) {
+      event.sender.send('git-bisect-output', { projectPath, chunk });
+    }
+  };
+
+  const controller = new AbortController();
+  if (operationId) {
+    activeGitOperations.set(operationId, controller);
+  }
+
+  try {
+    while (state.active && !state.culprit) {
+      const tested = state.head ? state.head.hash : null;
+      sendOutput(`$ ${command.trim()}${tested ? `  # ${tested.substring(0, 7)}` : ''}\n`);
+      const code = await runBisectTest(command.trim(), projectPath, controller.signal, sendOutput);
+      if (controller.signal.aborted) {
+        return { success: false, error: 'Operation cancelled', cancelled: true, state };
+      }
+      if (code === null || code > 127) {
+        return { success: false, error: `The command exited with ${code === null ? 'an error' : `code ${code}`}; bisect run stopped`, state };
+      }
+
+      const verdict = code === 0 ? 'good' : code === 125 ? 'skip' : 'bad';
+      const result = await runGit(['bisect', verdict], projectPath, {
+        operation: `Bisect ${verdict}`,
+        signal: controller.signal,
+        onStdout: sendOutput,
+        onStderr: sendOutput
+      });
+      const next = await getBisectState(projectPath);
+      // With only skipped commits left git has nothing else to check out
+      const exhausted = /only 'skip'ped commits left/.test(result.output || '') ||
+        (result.success && !next.culprit && next.head && next.head.hash === tested);
+      if (exhausted) {
+        return { ...result, success: false, error: 'Bisect cannot narrow the search any further; only skipped commits are left', state: next };
+      }
+      if (!result.success) {
+        return { ...result, state: next };
+      }
+      state = next;
+    }
+    return { success: true, state };
+  } finally {
+    if (operationId) {
+      activeGitOperations.delete(operationId);
+    }
+  }
+});
+
+ipcMain.handle('git-bisect-reset', async (event, projectPath) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+  return await runGit(['bisect', 'reset'], projectPath, { operation: 'Bisect Reset' });
+});
+
+// Patches
+
+// Export commits with `git format-patch` (one file each, or a single mbox), or the
+// uncommitted changes as a plain diff. Commits are written oldest first.
+ipcMain.handle('git-patch-export', async (event, projectPath, options = {}) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  if (options.source === 'working') {
+    if (!options.outputFile) {
+      return { success: false, error: 'Choose a file to save the patch to' };
+    }
+    // Patches are written byte for byte; decoding them would mangle files that are not UTF-8
+    const diff = await runGit(['diff', '--binary', 'HEAD'], projectPath, { operation: 'Export Diff', raw: true });
+    if (!diff.success) {
+      return diff;
+    }
+    if (!diff.output.trim()) {
+      return { success: false, error: 'There are no uncommitted changes to export' };
+    }
+    await fs.writeFile(options.outputFile, diff.buffer);
+    return { success: true, files: [options.outputFile] };
+  }
+
+  const hashes = (options.commits || []).filter(hash => /^[0-9a-f]{7,40}$/i.test(hash));
+  if (hashes.length === 0) {
+    return { success: false, error: 'Select at least one commit to export' };
+  }
+  const ordered = await runGit(['log', '--no-walk', '--reverse', '--format=%H', ...hashes], projectPath, { operation: 'Order Commits' });
+  if (!ordered.success) {
+    return ordered;
+  }
+  const commits = ordered.output.split('\n').filter(Boolean);
+
+  if (options.mode === 'mbox') {
+    if (!options.outputFile) {
+      return { success: false, error: 'Choose a file to save the mailbox to' };
+    }
+    const patches = [];
+    for (let i = 0; i < commits.length; i++) {
+      const patch = await runGit(['format-patch', '-1', '--stdout', '--binary', `--start-number=${i + 1}`, commits[i]], projectPath, { operation: 'Format Patch', raw: true });
+      if (!patch.success) {
+        return patch;
+      }
+      patches.push(patch.buffer);
+    }
+    await fs.writeFile(options.outputFile, Buffer.concat(patches));
+    return { success: true, files: [options.outputFile] };
+  }
+
+  if (!options.outputDir) {
+    return { success: false, error: 'Choose a folder to save the patches to' };
+  }
+  const files = [];
+  for (let i = 0; i < commits.length; i++) {
+    const patch = await runGit(['format-patch', '-1', '--binary', `--start-number=${i + 1}`, '-o', options.outputDir, commits[i]], projectPath, { operation: 'Format Patch' });
+    if (!patch.success) {
+      return patch;
+    }
+    files.push(...patch.output.split('\n').filter(Boolean));
+  }
+  return { success: true, files };
 });
 
-// Git fetch
-ipcMain.handle('git-fetch', async (event, projectPath) => {
-  return new Promise((resolve) => {
-    exec('git fetch', { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message, stderr });
-      } else {
-        resolve({ success: true, output: stdout });
-      }
-    });
-  });
+// Dry run: what a patch touches and whether it applies cleanly, or only with a three-way merge
+ipcMain.handle('git-patch-check', async (event, projectPath, patchFile) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+  if (!patchFile || !existsSync(patchFile)) {
+    return { success: false, error: 'Patch file not found' };
+  }
+
+  const content = await fs.readFile(patchFile, 'utf-8');
+  // format-patch output starts each message with "From <sha> Mon Sep 17 00:00:00 2001"
+  const messages = content.match(/^From [0-9a-f]{40} /gm) || [];
+
+  const stat = await runGit(['apply', '--stat', '--summary', patchFile], projectPath, { operation: 'Patch Stat' });
+  if (!stat.success) {
+    return { success: false, error: `Not a valid patch: ${stat.stderr.trim() || stat.error}` };
+  }
+  const check = await runGit(['apply', '--check', patchFile], projectPath, { operation: 'Patch Check' });
+  const threeWay = check.success
+    ? check
+    : await runGit(['apply', '--check', '--3way', patchFile], projectPath, { operation: 'Patch Check (3-way)' });
+
+  return {
+    success: true,
+    stat: stat.output.trim(),
+    isMailbox: messages.length > 0,
+    commits: messages.length,
+    applies: check.success,
+    appliesWithThreeWay: threeWay.success,
+    problems: check.success ? '' : check.stderr.trim()
+  };
 });
 
-// Git sync (pull then push)
-ipcMain.handle('git-sync', async (event, projectPath) => {
-  return new Promise((resolve) => {
-    exec('git pull && git push', { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message, stderr });
-      } else {
-        resolve({ success: true, output: stdout });
-      }
+// Apply with `git am` (recreates the commits) or `git apply` (changes only);
+// conflicts are handed to the conflict resolver
+ipcMain.handle('git-patch-apply', async (event, projectPath, patchFile, options = {}) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+  if (!patchFile || !existsSync(patchFile)) {
+    return { success: false, error: 'Patch file not found' };
+  }
+  if (await detectGitOperation(projectPath)) {
+    return { success: false, error: 'Finish or abort the merge, rebase or cherry-pick in progress first' };
+  }
+
+  if (options.method === 'am') {
+    const before = await captureHeadState(projectPath);
+    const result = await runGit(['am', ...(options.threeWay ? ['--3way'] : []), patchFile], projectPath, {
+      operation: 'Apply Mailbox',
+      timeout: 300000
     });
-  });
+    // A stopped am waits for --continue, --skip or --abort even without conflict markers
+    const stopped = !result.success && await detectGitOperation(projectPath) === 'am';
+    const final = stopped ? { ...result, conflict: true, operation: 'am' } : result;
+    await recordHeadOperation('am', projectPath, `Apply ${path.basename(patchFile)}`, before, final);
+    return final;
+  }
+
+  const args = ['apply'];
+  if (options.threeWay) {
+    args.push('--3way');
+  } else if (options.index) {
+    args.push('--index');
+  }
+  args.push(patchFile);
+  const result = await runGit(args, projectPath, { operation: 'Apply Patch' });
+  if (!result.success && /with conflicts/.test(`${result.output}${result.stderr}`)) {
+    return { ...result, conflict: true };
+  }
+  return result;
 });
 
-// Git get branches
-ipcMain.handle('git-branches', async (event, projectPath) => {
-  return new Promise((resolve) => {
-    exec('git branch -a', { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message });
-      } else {
-        resolve({ success: true, output: stdout });
+// Submodules
+
+// Submodules declared in .gitmodules or recorded in the index, with pinned vs checked-out commit and dirty state
+ipcMain.handle('git-submodule-list', async (event, projectPath) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const submodules = new Map();
+  const getSubmodule = (subPath) => {
+    if (!submodules.has(subPath)) {
+      submodules.set(subPath, {
+        name: subPath, path: subPath, url: null, branch: null,
+        pinned: null, checkedOut: null, initialized: false, outOfSync: false, conflict: false,
+        dirty: { commitChanged: false, trackedChanges: false, untrackedChanges: false }
+      });
+    }
+    return submodules.get(subPath);
+  };
+
+  // submodule.<name>.path / .url / .branch from .gitmodules
+  if (existsSync(path.join(projectPath, '.gitmodules'))) {
+    const config = await runGit(['config', '-f', '.gitmodules', '--get-regexp', '^submodule\\.'], projectPath, { operation: 'Read .gitmodules' });
+    if (config.success) {
+      const byName = {};
+      config.output.split('\n').filter(Boolean).forEach(line => {
+        const match = /^submodule\.(.+)\.(path|url|branch) (.*)$/.exec(line);
+        if (match) {
+          byName[match[1]] = { ...byName[match[1]], [match[2]]: match[3] };
+        }
+      });
+      Object.entries(byName).forEach(([name, info]) => {
+        if (!info.path) return;
+        const submodule = getSubmodule(info.path);
+        submodule.name = name;
+        submodule.url = info.url || null;
+        submodule.branch = info.branch || null;
+      });
+    }
+  }
+
+  // Gitlinks (mode 160000) in the index are the pinned commits
+  const staged = await runGit(['ls-files', '--stage', '-z'], projectPath, { operation: 'List Gitlinks' });
+  if (staged.success) {
+    staged.output.split('\0').filter(Boolean).forEach(record => {
+      const match = /^160000 ([0-9a-f]+) \d\t(.*)$/.exec(record);
+      if (match) {
+        getSubmodule(match[2]).pinned = match[1];
       }
     });
-  });
-});
+  }
 
-// Git create branch
-ipcMain.handle('git-create-branch', async (event, projectPath, branchName) => {
-  return new Promise((resolve) => {
-    exec(`git checkout -b "${branchName}"`, { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message, stderr });
-      } else {
-        resolve({ success: true, output: stdout });
+  if (submodules.size === 0) {
+    return { success: true, submodules: [] };
+  }
+
+  // " " in sync, "-" not initialized, "+" checked-out commit differs from the pinned one, "U" conflicted
+  const status = await runGit(['submodule', 'status'], projectPath, { operation: 'Submodule Status' });
+  if (status.success) {
+    status.output.split('\n').filter(Boolean).forEach(line => {
+      const match = /^([ +\-U])([0-9a-f]+) (.+?)(?: \(.*\))?$/.exec(line);
+      if (!match) return;
+      const submodule = getSubmodule(match[3]);
+      submodule.initialized = match[1] !== '-';
+      submodule.outOfSync = match[1] === '+';
+      submodule.conflict = match[1] === 'U';
+      if (submodule.initialized) {
+        submodule.checkedOut = match[2];
       }
     });
-  });
-});
+  }
 
-// Git checkout branch
-ipcMain.handle('git-checkout', async (event, projectPath, branchName) => {
-  return new Promise((resolve) => {
-    exec(`git checkout "${branchName}"`, { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message, stderr });
-      } else {
-        resolve({ success: true, output: stdout });
+  const porcelain = await runGit(['status', '--porcelain=v2', '-z'], projectPath, { operation: 'Status' });
+  if (porcelain.success) {
+    parseGitStatusV2(porcelain.output).entries.forEach(entry => {
+      if (entry.submodule && submodules.has(entry.path)) {
+        submodules.get(entry.path).dirty = entry.submodule;
       }
     });
-  });
+  }
+
+  return { success: true, submodules: [...submodules.values()] };
 });
 
-// Git delete branch
-ipcMain.handle('git-delete-branch', async (event, projectPath, branchName) => {
-  return new Promise((resolve) => {
-    exec(`git branch -d "${branchName}"`, { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message, stderr });
-      } else {
-        resolve({ success: true, output: stdout });
-      }
-    });
-  });
+// Run a `git submodule <command>` for one submodule, or all when subPath is empty
+ipcMain.handle('git-submodule-command', async (event, projectPath, command, subPath = null, options = {}) => {
+  const commands = {
+    init: ['submodule', 'init'],
+    update: ['submodule', 'update', '--init', ...(options.recursive !== false ? ['--recursive'] : []), ...(options.remote ? ['--remote'] : [])],
+    sync: ['submodule', 'sync', ...(options.recursive !== false ? ['--recursive'] : [])],
+    deinit: ['submodule', 'deinit', ...(options.force ? ['--force'] : [])]
+  };
+  if (!commands[command]) {
+    return { success: false, error: `Unknown submodule command: ${command}` };
+  }
+
+  const args = [...commands[command]];
+  if (subPath) {
+    args.push('--', subPath);
+  } else if (command === 'deinit') {
+    return { success: false, error: 'Choose a submodule to deinitialize' };
+  }
+
+  return await runGit(args, projectPath, { operation: `Submodule ${command}`, timeout: 300000 });
 });
 
-// Git stash
-ipcMain.handle('git-stash', async (event, projectPath, message) => {
-  return new Promise((resolve) => {
-    const cmd = message ? `git stash save "${message}"` : 'git stash';
-    exec(cmd, { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message, stderr });
-      } else {
-        resolve({ success: true, output: stdout });
-      }
-    });
-  });
+ipcMain.handle('git-submodule-add', async (event, projectPath, url, subPath, branch = null) => {
+  const validation = validateGitRef(url, 'Repository URL');
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+  if (!subPath || !subPath.trim() || path.isAbsolute(subPath) || subPath.split(/[\\/]/).includes('..')) {
+    return { success: false, error: 'Submodule path must be a folder inside the repository' };
+  }
+
+  const args = ['submodule', 'add'];
+  if (branch) {
+    const branchValidation = validateGitRef(branch, 'Branch name');
+    if (!branchValidation.valid) {
+      return { success: false, error: branchValidation.error };
+    }
+    args.push('-b', branch);
+  }
+  args.push('--', url, subPath.trim());
+  return await runGit(args, projectPath, { operation: 'Add Submodule', timeout: 300000 });
 });
 
-// Git stash list
-ipcMain.handle('git-stash-list', async (event, projectPath) => {
-  return new Promise((resolve) => {
-    exec('git stash list', { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message });
-      } else {
-        resolve({ success: true, output: stdout });
-      }
-    });
+// Git LFS
+
+// LFS content lives outside git; the blob git stores is a small pointer:
+// "version https://git-lfs.github.com/spec/v1", "oid sha256:<hash>", "size <bytes>"
+const LFS_POINTER_MAX_SIZE = 1024;
+const LFS_TRACK_ATTRIBUTES = 'filter=lfs diff=lfs merge=lfs -text';
+
+function parseLfsPointer(content) {
+  if (typeof content !== 'string' || content.length > LFS_POINTER_MAX_SIZE || !content.startsWith('version https://git-lfs')) {
+    return null;
+  }
+  const oid = /^oid sha256:([0-9a-f]{64})$/m.exec(content);
+  const size = /^size (\d+)$/m.exec(content);
+  return oid && size ? { oid: oid[1], size: parseInt(size[1], 10) } : null;
+}
+
+// Which of the given paths .gitattributes routes through the lfs filter
+async function getLfsPaths(projectPath, paths) {
+  const lfsPaths = new Set();
+  if (paths.length === 0) {
+    return lfsPaths;
+  }
+  const result = await runGit(['check-attr', '-z', '--stdin', 'filter'], projectPath, {
+    operation: 'Check LFS Attributes',
+    input: `${paths.join('\0')}\0`
   });
-});
+  if (result.success) {
+    // <path> NUL filter NUL <value> NUL
+    const fields = result.output.split('\0');
+    for (let i = 0; i + 2 < fields.length; i += 3) {
+      if (fields[i + 2] === 'lfs') lfsPaths.add(fields[i]);
+    }
+  }
+  return lfsPaths;
+}
 
-// Git stash apply
-ipcMain.handle('git-stash-apply', async (event, projectPath, stashIndex) => {
-  return new Promise((resolve) => {
-    const cmd = stashIndex !== undefined ? `git stash apply stash@{${stashIndex}}` : 'git stash apply';
-    exec(cmd, { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message, stderr });
-      } else {
-        resolve({ success: true, output: stdout });
-      }
+// "filter=lfs" lines of the root .gitattributes and any nested ones, as written by `git lfs track`
+async function getLfsPatterns(projectPath) {
+  const sources = new Set(existsSync(path.join(projectPath, '.gitattributes')) ? ['.gitattributes'] : []);
+  const listed = await runGit(['ls-files', '-z', '--', '.gitattributes', '*/.gitattributes'], projectPath, { operation: 'List Attributes' });
+  if (listed.success) {
+    listed.output.split('\0').filter(Boolean).forEach(file => sources.add(file));
+  }
+
+  const patterns = [];
+  for (const source of sources) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(projectPath, source), 'utf-8');
+    } catch {
+      continue;
+    }
+    const dir = path.posix.dirname(source);
+    content.split(/\r?\n/).forEach(line => {
+      const [pattern, ...attributes] = line.trim().split(/\s+/);
+      if (!pattern || pattern.startsWith('#') || !attributes.includes('filter=lfs')) return;
+      patterns.push({
+        pattern,
+        displayPattern: pattern.replace(/\[\[:space:\]\]/g, ' '),
+        scope: dir === '.' ? null : dir,
+        source,
+        lockable: attributes.includes('lockable')
+      });
     });
+  }
+  return patterns;
+}
+
+// Detection, tracked patterns and every LFS file in the index with its object's local and remote state
+ipcMain.handle('git-lfs-status', async (event, projectPath) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const [version, filterConfig, patterns] = await Promise.all([
+    runGit(['lfs', 'version'], projectPath, { operation: 'LFS Version' }),
+    runGit(['config', '--get', 'filter.lfs.clean'], projectPath, { operation: 'LFS Config' }),
+    getLfsPatterns(projectPath)
+  ]);
+  const status = {
+    success: true,
+    installed: version.success,
+    version: version.success ? version.output.trim() : null,
+    // `git lfs install` sets up the clean/smudge filter; without it LFS files are committed as-is
+    filterConfigured: filterConfig.success,
+    patterns,
+    objects: [],
+    upstream: null
+  };
+
+  const staged = await runGit(['ls-files', '--stage', '-z'], projectPath, { operation: 'List Files' });
+  if (!staged.success) {
+    return status;
+  }
+  const blobs = new Map();
+  staged.output.split('\0').filter(Boolean).forEach(record => {
+    const match = /^(100644|100755) ([0-9a-f]+) 0\t(.*)$/.exec(record);
+    if (match) blobs.set(match[3], match[2]);
   });
-});
+  const lfsPaths = [...await getLfsPaths(projectPath, [...blobs.keys()])];
+  if (lfsPaths.length === 0) {
+    return status;
+  }
 
-// Git stash pop
-ipcMain.handle('git-stash-pop', async (event, projectPath) => {
-  return new Promise((resolve) => {
-    exec('git stash pop', { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message, stderr });
-      } else {
-        resolve({ success: true, output: stdout });
+  // Only blobs small enough to be pointers are read; larger ones were committed without LFS
+  const hashes = [...new Set(lfsPaths.map(file => blobs.get(file)))];
+  const sizes = await runGit(['cat-file', '--batch-check'], projectPath, { operation: 'Blob Sizes', input: `${hashes.join('\n')}\n` });
+  const small = sizes.success
+    ? sizes.output.split('\n').map(line => line.split(' ')).filter(([, , size]) => parseInt(size, 10) <= LFS_POINTER_MAX_SIZE).map(([hash]) => hash)
+    : [];
+  const pointers = new Map();
+  if (small.length > 0) {
+    const contents = await runGit(['cat-file', '--batch'], projectPath, { operation: 'Read Pointers', input: `${small.join('\n')}\n`, raw: true });
+    if (contents.success) {
+      // Sizes in the batch headers are byte counts, so walk the raw output rather than the decoded string
+      const output = contents.buffer;
+      let offset = 0;
+      while (offset < output.length) {
+        const headerEnd = output.indexOf(0x0a, offset);
+        if (headerEnd === -1) break;
+        const [hash, , size] = output.toString('utf-8', offset, headerEnd).split(' ');
+        const length = parseInt(size, 10) || 0;
+        const pointer = parseLfsPointer(output.toString('utf-8', headerEnd + 1, headerEnd + 1 + length));
+        if (pointer) pointers.set(hash, pointer);
+        offset = headerEnd + 1 + length + 1;
       }
+    }
+  }
+
+  const commonDir = await runGit(['rev-parse', '--git-common-dir'], projectPath, { operation: 'Git Dir' });
+  const objectsDir = path.resolve(projectPath, commonDir.success ? commonDir.output.trim() : '.git', 'lfs', 'objects');
+
+  // An object is on the remote when the upstream branch holds the same pointer blob
+  const upstream = await runGit(['rev-parse', '--abbrev-ref', '--symbolic-full-name', '@{u}'], projectPath, { operation: 'Upstream' });
+  let upstreamBlobs = null;
+  if (upstream.success) {
+    status.upstream = upstream.output.trim();
+    const tree = await runGit(['ls-tree', '-r', '-z', status.upstream], projectPath, { operation: 'Upstream Tree' });
+    if (tree.success) {
+      upstreamBlobs = new Set(tree.output.split('\0').filter(Boolean).map(record => record.split(' ')[2].split('\t')[0]));
+    }
+  }
+
+  for (const file of lfsPaths.sort()) {
+    const hash = blobs.get(file);
+    const pointer = pointers.get(hash);
+    if (!pointer) {
+      status.objects.push({ path: file, oid: null, size: null, local: false, checkedOut: true, remote: null, notConverted: true });
+      continue;
+    }
+    // A working file that is still pointer text was never smudged (content not downloaded or checked out)
+    let checkedOut = false;
+    try {
+      const stat = await fs.stat(path.join(projectPath, file));
+      checkedOut = stat.size > LFS_POINTER_MAX_SIZE ||
+        !parseLfsPointer(await fs.readFile(path.join(projectPath, file), 'utf-8'));
+    } catch {
+      checkedOut = false;
+    }
+    status.objects.push({
+      path: file,
+      oid: pointer.oid,
+      size: pointer.size,
+      local: existsSync(path.join(objectsDir, pointer.oid.substring(0, 2), pointer.oid.substring(2, 4), pointer.oid)),
+      checkedOut,
+      remote: upstreamBlobs ? (upstreamBlobs.has(hash) ? 'pushed' : 'not-pushed') : null,
+      notConverted: false
     });
-  });
+  }
+
+  return status;
 });
 
-// Git diff
-ipcMain.handle('git-diff', async (event, projectPath, filename) => {
-  return new Promise((resolve) => {
-    const cmd = filename ? `git diff "${filename}"` : 'git diff';
-    exec(cmd, { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message });
-      } else {
-        resolve({ success: true, output: stdout });
-      }
-    });
-  });
+// Start tracking a pattern the way `git lfs track` does: a filter=lfs line in the root .gitattributes
+ipcMain.handle('git-lfs-track', async (event, projectPath, pattern, options = {}) => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+  const trimmed = (pattern || '').trim();
+  if (!trimmed || /[\r\n#]/.test(trimmed) || trimmed.startsWith('!')) {
+    return { success: false, error: 'Enter a file pattern such as *.psd or assets/**' };
+  }
+  // .gitattributes patterns cannot contain spaces; git-lfs writes them as a character class
+  const escaped = trimmed.replace(/ /g, '[[:space:]]');
+
+  const patterns = await getLfsPatterns(projectPath);
+  if (patterns.some(entry => entry.source === '.gitattributes' && entry.pattern === escaped)) {
+    return { success: false, error: `"${trimmed}" is already tracked by Git LFS` };
+  }
+
+  const attributesFile = path.join(projectPath, '.gitattributes');
+  let content = '';
+  try {
+    content = await fs.readFile(attributesFile, 'utf-8');
+  } catch {
+    content = '';
+  }
+  const line = `${escaped} ${LFS_TRACK_ATTRIBUTES}${options.lockable ? ' lockable' : ''}`;
+  await fs.writeFile(attributesFile, `${content}${content && !content.endsWith('\n') ? '\n' : ''}${line}\n`, 'utf-8');
+  return { success: true, output: `Tracking "${trimmed}"` };
 });
 
-// Git log
-ipcMain.handle('git-log', async (event, projectPath, limit = 50) => {
-  return new Promise((resolve) => {
-    exec(`git log --pretty=format:"%H|%an|%ae|%ad|%s" --date=iso -n ${limit}`, { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message });
-      } else {
-        resolve({ success: true, output: stdout });
-      }
-    });
+// Remove a pattern's filter=lfs line; files already in LFS stay there until they are re-added
+ipcMain.handle('git-lfs-untrack', async (event, projectPath, pattern, source = '.gitattributes') => {
+  const validation = validateGitPath(projectPath);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+  if (path.posix.basename(source) !== '.gitattributes' || path.isAbsolute(source) || source.split('/').includes('..')) {
+    return { success: false, error: 'Invalid attributes file' };
+  }
+
+  const attributesFile = path.join(projectPath, source);
+  let content;
+  try {
+    content = await fs.readFile(attributesFile, 'utf-8');
+  } catch {
+    return { success: false, error: `${source} not found` };
+  }
+
+  const lines = content.split('\n');
+  const kept = lines.filter(line => {
+    const [linePattern, ...attributes] = line.trim().split(/\s+/);
+    return !(linePattern === pattern && attributes.includes('filter=lfs'));
   });
+  if (kept.length === lines.length) {
+    return { success: false, error: `"${pattern}" is not tracked in ${source}` };
+  }
+  await fs.writeFile(attributesFile, kept.join('\n'), 'utf-8');
+  return { success: true, output: `Untracked "${pattern}"` };
 });
 
-// Git remote list
-ipcMain.handle('git-remote-list', async (event, projectPath) => {
-  return new Promise((resolve) => {
-    exec('git remote -v', { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message });
-      } else {
-        resolve({ success: true, output: stdout });
-      }
+// Worktrees
+
+// Parse `git worktree list --porcelain`; the first entry is always the main worktree
+function parseWorktreeList(output) {
+  return output.split(/\n\n+/).filter(block => block.trim()).map((block, index) => {
+    const worktree = {
+      path: '', head: null, branch: null, detached: false, bare: false,
+      locked: false, lockReason: '', prunable: false, main: index === 0
+    };
+    block.split('\n').forEach(line => {
+      const space = line.indexOf(' ');
+      const key = space === -1 ? line : line.substring(0, space);
+      const value = space === -1 ? '' : line.substring(space + 1);
+      if (key === 'worktree') worktree.path = path.normalize(value);
+      else if (key === 'HEAD') worktree.head = value;
+      else if (key === 'branch') worktree.branch = value.replace(/^refs\/heads\//, '');
+      else if (key === 'detached') worktree.detached = true;
+      else if (key === 'bare') worktree.bare = true;
+      else if (key === 'locked') { worktree.locked = true; worktree.lockReason = value; }
+      else if (key === 'prunable') worktree.prunable = true;
     });
+    return worktree;
   });
-});
+}
 
-// Git add remote
-ipcMain.handle('git-add-remote', async (event, projectPath, name, url) => {
-  return new Promise((resolve) => {
-    exec(`git remote add "${name}" "${url}"`, { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message, stderr });
-      } else {
-        resolve({ success: true, output: stdout });
+// Main repository of a linked worktree, read from its `.git` file ("gitdir: <main>/.git/worktrees/<name>")
+async function getWorktreeMainPath(projectPath) {
+  try {
+    const gitFile = path.join(projectPath, '.git');
+    const stats = await fs.stat(gitFile);
+    if (!stats.isFile()) return null;
+    const match = /^gitdir:\s*(.+)$/m.exec(await fs.readFile(gitFile, 'utf-8'));
+    if (!match) return null;
+    const gitDir = path.resolve(projectPath, match[1].trim());
+    const marker = `${path.sep}.git${path.sep}worktrees${path.sep}`;
+    const index = gitDir.lastIndexOf(marker);
+    return index === -1 ? null : gitDir.substring(0, index);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Linked worktrees registered in a main repository's .git/worktrees/<name>/gitdir files
+async function readLinkedWorktrees(repoPath) {
+  const worktreesDir = path.join(repoPath, '.git', 'worktrees');
+  try {
+    const names = await fs.readdir(worktreesDir);
+    const worktrees = [];
+    for (const name of names) {
+      try {
+        const gitdir = (await fs.readFile(path.join(worktreesDir, name, 'gitdir'), 'utf-8')).trim();
+        const worktreePath = path.dirname(path.resolve(worktreesDir, name, gitdir));
+        if (existsSync(worktreePath)) {
+          worktrees.push(worktreePath);
+        }
+      } catch (error) {
+        // Half-created or already pruned worktree
       }
-    });
-  });
+    }
+    return worktrees;
+  } catch (error) {
+    return [];
+  }
+}
+
+ipcMain.handle('git-worktree-list', async (event, projectPath) => {
+  const result = await runGit(['worktree', 'list', '--porcelain'], projectPath, { operation: 'List Worktrees' });
+  if (!result.success) {
+    return result;
+  }
+  return { success: true, worktrees: parseWorktreeList(result.output) };
 });
 
-// Git remove remote
-ipcMain.handle('git-remove-remote', async (event, projectPath, name) => {
-  return new Promise((resolve) => {
-    exec(`git remote remove "${name}"`, { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message, stderr });
-      } else {
-        resolve({ success: true, output: stdout });
-      }
-    });
-  });
+// options: path (target folder), branch, createBranch (new branch via -b), startPoint
+ipcMain.handle('git-worktree-add', async (event, projectPath, options = {}) => {
+  if (!options.path || !path.isAbsolute(options.path)) {
+    return { success: false, error: 'Worktree folder must be an absolute path' };
+  }
+  if (existsSync(options.path)) {
+    return { success: false, error: `Folder already exists: ${options.path}` };
+  }
+  const validation = validateGitRef(options.branch, 'Branch name');
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+  if (options.startPoint) {
+    const startValidation = validateGitRef(options.startPoint, 'Start point');
+    if (!startValidation.valid) {
+      return { success: false, error: startValidation.error };
+    }
+  }
+
+  const args = options.createBranch
+    ? ['worktree', 'add', '-b', options.branch, options.path, ...(options.startPoint ? [options.startPoint] : [])]
+    : ['worktree', 'add', options.path, options.branch];
+  const result = await runGit(args, projectPath, { operation: 'Add Worktree', timeout: 300000 });
+  return result.success ? { ...result, path: options.path } : result;
 });
 
-// Git merge
-ipcMain.handle('git-merge', async (event, projectPath, branchName) => {
-  return new Promise((resolve) => {
-    exec(`git merge "${branchName}"`, { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message, stderr });
-      } else {
-        resolve({ success: true, output: stdout });
-      }
-    });
-  });
+ipcMain.handle('git-worktree-lock', async (event, projectPath, worktreePath, reason = '') => {
+  const args = ['worktree', 'lock'];
+  if (reason) args.push('--reason', reason);
+  args.push(worktreePath);
+  return await runGit(args, projectPath, { operation: 'Lock Worktree' });
 });
 
-// Advanced Git Operations
+ipcMain.handle('git-worktree-unlock', async (event, projectPath, worktreePath) => {
+  return await runGit(['worktree', 'unlock', worktreePath], projectPath, { operation: 'Unlock Worktree' });
+});
 
-// Git rebase
-ipcMain.handle('git-rebase', async (event, projectPath, targetBranch) => {
-  return new Promise((resolve) => {
-    exec(`git rebase "${targetBranch}"`, { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message, stderr });
-      } else {
-        resolve({ success: true, output: stdout });
-      }
-    });
-  });
+// force removes worktrees with local changes
+ipcMain.handle('git-worktree-remove', async (event, projectPath, worktreePath, force = false) => {
+  const args = ['worktree', 'remove'];
+  if (force) args.push('--force');
+  args.push(worktreePath);
+  return await runGit(args, projectPath, { operation: 'Remove Worktree' });
 });
 
-// Git cherry-pick
-ipcMain.handle('git-cherry-pick', async (event, projectPath, commitHash, noCommit = false) => {
-  return new Promise((resolve) => {
-    const cmd = noCommit ? `git cherry-pick --no-commit "${commitHash}"` : `git cherry-pick "${commitHash}"`;
-    exec(cmd, { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message, stderr });
-      } else {
-        resolve({ success: true, output: stdout });
-      }
-    });
-  });
+ipcMain.handle('git-worktree-prune', async (event, projectPath) => {
+  return await runGit(['worktree', 'prune', '--verbose'], projectPath, { operation: 'Prune Worktrees' });
 });
 
-// Git tag list
-ipcMain.handle('git-tag-list', async (event, projectPath) => {
-  return new Promise((resolve) => {
-    exec('git tag -l -n', { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message });
-      } else {
-        resolve({ success: true, output: stdout });
+// For the Projects view: which of the given projects are linked worktrees (and of what),
+// plus linked worktrees of those projects that live outside the workspace
+ipcMain.handle('get-worktree-links', async (event, projectPaths = []) => {
+  const links = {};
+  const extra = [];
+  const known = new Set(projectPaths.map(projectPath => path.normalize(projectPath)));
+
+  for (const projectPath of projectPaths) {
+    const mainPath = await getWorktreeMainPath(projectPath);
+    if (mainPath) {
+      links[projectPath] = mainPath;
+      continue;
+    }
+    for (const worktreePath of await readLinkedWorktrees(projectPath)) {
+      if (!known.has(path.normalize(worktreePath))) {
+        known.add(path.normalize(worktreePath));
+        extra.push({ name: path.basename(worktreePath), path: worktreePath, mainPath: projectPath });
       }
-    });
-  });
+    }
+  }
+
+  return { links, extra };
 });
 
-// Git create tag
-ipcMain.handle('git-tag-create', async (event, projectPath, tagName, message, pushToRemote = false) => {
-  return new Promise((resolve) => {
-    const cmd = message ? `git tag -a "${tagName}" -m "${message}"` : `git tag "${tagName}"`;
-    exec(cmd, { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message, stderr });
-      } else {
-        if (pushToRemote) {
-          exec(`git push origin "${tagName}"`, { cwd: projectPath }, (pushError, pushStdout, pushStderr) => {
-            if (pushError) {
-              resolve({ success: true, output: stdout, pushWarning: pushError.message });
-            } else {
-              resolve({ success: true, output: stdout, pushed: true });
-            }
-          });
-        } else {
-          resolve({ success: true, output: stdout });
-        }
-      }
-    });
-  });
+// Auto-Fetch Scheduler
+
+const AUTO_FETCH_DEFAULT_MINUTES = 5;
+const AUTO_FETCH_MAX_BACKOFF = 8; // failing projects wait at most 8 intervals between attempts
+
+let autoFetchTimer = null;
+let autoFetchRunning = false;
+let autoFetchProjectPath = null; // current project reported by the renderer
+let autoFetchLastRun = null;
+const autoFetchFailures = new Map(); // projectPath -> { count, nextAttempt, error }
+
+function getAutoFetchIntervalMs() {
+  const minutes = parseInt(appSettings.gitAutoFetchInterval, 10);
+  const clamped = isNaN(minutes) ? AUTO_FETCH_DEFAULT_MINUTES : Math.min(Math.max(minutes, 1), 1440);
+  return clamped * 60 * 1000;
+}
+
+// Tracked projects (the recent projects list) that are git repositories, used when auto-fetching all projects
+async function listProjectRepositories() {
+  try {
+    const configPath = path.join(app.getPath('userData'), 'recent-projects.json');
+    const projects = JSON.parse(await fs.readFile(configPath, 'utf-8'));
+    return projects
+      .map(project => project && project.path)
+      .filter(projectPath => typeof projectPath === 'string' && existsSync(path.join(projectPath, '.git')));
+  } catch (error) {
+    return [];
+  }
+}
+
+// Upstream and ahead/behind counts of the checked-out branch
+async function getHeadTracking(projectPath) {
+  const head = await runGit(['symbolic-ref', '--quiet', 'HEAD'], projectPath, { operation: 'Auto-Fetch Head' });
+  if (!head.success) {
+    return { branch: null, upstream: null, ahead: 0, behind: 0, gone: false };
+  }
+
+  const refname = head.output.trim();
+  const result = await runGit([
+    'for-each-ref', '--format=%(refname:short)%1f%(upstream:short)%1f%(upstream:track,nobracket)', refname
+  ], projectPath, { operation: 'Auto-Fetch Tracking' });
+  const [branch, upstream, track] = (result.output || '').trim().split('\x1f');
+
+  return {
+    branch: branch || refname.replace(/^refs\/heads\//, ''),
+    upstream: upstream || null,
+    ...parseUpstreamTrack(track || '')
+  };
+}
+
+// Fetch one project, backing off exponentially while it keeps failing
+async function autoFetchProject(projectPath, force = false) {
+  const failure = autoFetchFailures.get(projectPath);
+  if (!force && failure && failure.nextAttempt > Date.now()) {
+    return { projectPath, success: false, skipped: true, error: failure.error, nextAttempt: failure.nextAttempt };
+  }
+
+  const result = await runGit(['fetch', '--all', '--prune'], projectPath, { operation: 'Auto-Fetch', timeout: 300000 });
+  let update;
+
+  if (result.success) {
+    autoFetchFailures.delete(projectPath);
+    update = { projectPath, success: true, fetchedAt: Date.now(), ...await getHeadTracking(projectPath) };
+  } else {
+    const count = (failure ? failure.count : 0) + 1;
+    const nextAttempt = Date.now() + getAutoFetchIntervalMs() * Math.min(2 ** (count - 1), AUTO_FETCH_MAX_BACKOFF);
+    autoFetchFailures.set(projectPath, { count, nextAttempt, error: result.error });
+    update = { projectPath, success: false, error: result.error, failures: count, nextAttempt };
+  }
+
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('git-auto-fetch-update', update);
+  }
+  return update;
+}
+
+async function runAutoFetch(force = false) {
+  if (autoFetchRunning) {
+    return [];
+  }
+  autoFetchRunning = true;
+
+  try {
+    const targets = new Set();
+    if (autoFetchProjectPath) {
+      targets.add(autoFetchProjectPath);
+    }
+    if (appSettings.gitAutoFetchAllProjects) {
+      (await listProjectRepositories()).forEach(projectPath => targets.add(projectPath));
+    }
+
+    const results = [];
+    for (const projectPath of targets) {
+      results.push(await autoFetchProject(projectPath, force));
+    }
+    autoFetchLastRun = Date.now();
+    return results;
+  } finally {
+    autoFetchRunning = false;
+  }
+}
+
+// (Re)start the scheduler from the current settings; called on startup and whenever settings are saved
+function scheduleAutoFetch() {
+  clearInterval(autoFetchTimer);
+  autoFetchTimer = null;
+
+  if (!appSettings.gitAutoFetch) {
+    return;
+  }
+
+  autoFetchTimer = setInterval(() => {
+    runAutoFetch().catch(error => logger.error('Auto-fetch failed', { error: error.message }));
+  }, getAutoFetchIntervalMs());
+  logger.info('Auto-fetch scheduled', { intervalMs: getAutoFetchIntervalMs(), allProjects: !!appSettings.gitAutoFetchAllProjects });
+}
+
+ipcMain.handle('set-auto-fetch-project', async (event, projectPath) => {
+  autoFetchProjectPath = projectPath || null;
+  return { success: true };
 });
 
-// Git delete tag
-ipcMain.handle('git-tag-delete', async (event, projectPath, tagName, deleteRemote = false) => {
-  return new Promise((resolve) => {
-    exec(`git tag -d "${tagName}"`, { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message, stderr });
-      } else {
-        if (deleteRemote) {
-          exec(`git push origin :refs/tags/"${tagName}"`, { cwd: projectPath }, (pushError) => {
-            resolve({ success: true, output: stdout, remoteDeleted: !pushError });
-          });
-        } else {
-          resolve({ success: true, output: stdout });
-        }
-      }
-    });
-  });
+ipcMain.handle('git-auto-fetch-now', async () => {
+  const results = await runAutoFetch(true);
+  return { success: results.every(result => result.success), results };
 });
 
-// Git reset
-ipcMain.handle('git-reset', async (event, projectPath, target, mode = 'mixed') => {
-  return new Promise((resolve) => {
-    const modeFlag = mode === 'soft' ? '--soft' : mode === 'hard' ? '--hard' : '--mixed';
-    exec(`git reset ${modeFlag} "${target}"`, { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message, stderr });
-      } else {
-        resolve({ success: true, output: stdout });
-      }
-    });
-  });
+ipcMain.handle('git-auto-fetch-status', async () => {
+  return {
+    success: true,
+    enabled: !!appSettings.gitAutoFetch,
+    intervalMinutes: getAutoFetchIntervalMs() / 60000,
+    allProjects: !!appSettings.gitAutoFetchAllProjects,
+    lastRun: autoFetchLastRun,
+    failures: [...autoFetchFailures].map(([projectPath, failure]) => ({ projectPath, ...failure }))
+  };
 });
 
-// Git revert
-ipcMain.handle('git-revert', async (event, projectPath, commitHash) => {
-  return new Promise((resolve) => {
-    exec(`git revert "${commitHash}" --no-edit`, { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message, stderr });
+// Bulk Repository Operations
+
+const BULK_GIT_OPERATIONS = {
+  fetch: () => ['fetch', '--all', '--prune'],
+  pull: () => ['pull'],
+  status: () => ['status', '--short', '--branch'],
+  checkout: (options) => ['checkout', options.branch],
+  custom: (options) => splitCommandArgs(options.command || '')
+};
+
+// Split a command line into argv without a shell; supports single/double quotes and backslash escapes
+function splitCommandArgs(command) {
+  const args = [];
+  let current = '';
+  let quote = null;
+  let hasToken = false;
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && i + 1 < command.length) {
+        current += command[++i];
       } else {
-        resolve({ success: true, output: stdout });
+        current += char;
       }
-    });
-  });
-});
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      hasToken = true;
+    } else if (char === '\\' && i + 1 < command.length) {
+      current += command[++i];
+      hasToken = true;
+    } else if (/\s/.test(char)) {
+      if (hasToken) {
+        args.push(current);
+        current = '';
+        hasToken = false;
+      }
+    } else {
+      current += char;
+      hasToken = true;
+    }
+  }
+  if (hasToken) {
+    args.push(current);
+  }
 
-// Git clean
-ipcMain.handle('git-clean', async (event, projectPath, force = false, includeDirectories = false) => {
-  return new Promise((resolve) => {
-    let cmd = 'git clean';
-    if (force) cmd += ' -f';
-    if (includeDirectories) cmd += ' -d';
-    exec(cmd, { cwd: projectPath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message, stderr });
-      } else {
-        resolve({ success: true, output: stdout });
+  // "git status" and "status" both mean the same thing
+  if (args[0] === 'git') {
+    args.shift();
+  }
+  return args;
+}
+
+// Run one git operation across many repositories, at most `max-workers` at a time
+// Each finished repository is pushed to the renderer as 'git-bulk-progress' so the table fills in live
+ipcMain.handle('git-bulk-run', async (event, projectPaths, operation = {}, runId = null) => {
+  const buildArgs = BULK_GIT_OPERATIONS[operation.type];
+  if (!buildArgs) {
+    return { success: false, error: `Unknown bulk operation: ${operation.type}` };
+  }
+  if (!Array.isArray(projectPaths) || projectPaths.length === 0) {
+    return { success: false, error: 'No repositories selected' };
+  }
+  if (operation.type === 'checkout') {
+    const validation = validateGitRef(operation.branch, 'Branch name');
+    if (!validation.valid) {
+      return { success: false, error: validation.error };
+    }
+  }
+
+  const args = buildArgs(operation);
+  if (args.length === 0) {
+    return { success: false, error: 'Git command cannot be empty' };
+  }
+
+  const workers = Math.min(Math.max(parseInt(appSettings.maxWorkers, 10) || 4, 1), 16);
+  const queue = [...projectPaths];
+  const results = [];
+
+  const runNext = async () => {
+    while (queue.length > 0) {
+      const projectPath = queue.shift();
+      const result = await runGit(args, projectPath, { operation: `Bulk ${operation.type}`, timeout: 300000 });
+      const entry = {
+        projectPath,
+        success: result.success,
+        output: (result.output || '') + (result.stderr || ''),
+        error: result.success ? null : result.error
+      };
+      results.push(entry);
+
+      if (!event.sender.isDestroyed()) {
+        event.sender.send('git-bulk-progress', { runId, ...entry });
       }
-    });
-  });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(workers, queue.length) }, runNext));
+
+  return {
+    success: results.every(result => result.success),
+    command: `git ${args.join(' ')}`,
+    results
+  };
 });
 
 // GitHub Integration
@@ -1113,55 +5025,34 @@ ipcMain.handle('github-upload-project', async (event, projectPath, repoData) =>
     const repoUrl = createResult.repo.clone_url;
 
     // Initialize git if not already initialized
-    await new Promise((resolve) => {
-      exec('git rev-parse --git-dir', { cwd: projectPath }, (error) => {
-        if (error) {
-          // Not a git repo, initialize it
-          exec('git init', { cwd: projectPath }, resolve);
-        } else {
-          resolve();
-        }
-      });
-    });
+    const gitDirCheck = await runGit(['rev-parse', '--git-dir'], projectPath, { operation: 'Check Repository' });
+    if (!gitDirCheck.success) {
+      // Not a git repo, initialize it
+      await runGit(['init'], projectPath, { operation: 'Initialize Git' });
+    }
 
-    // Add remote
-    await new Promise((resolve) => {
-      exec(`git remote add origin "${repoUrl}"`, { cwd: projectPath }, (error) => {
-        resolve(); // Continue even if remote already exists
-      });
-    });
+    // Add remote (continue even if remote already exists)
+    await runGit(['remote', 'add', 'origin', repoUrl], projectPath, { operation: 'Add Remote' });
 
     // Add all files
-    await new Promise((resolve) => {
-      exec('git add .', { cwd: projectPath }, resolve);
-    });
+    await runGit(['add', '.'], projectPath, { operation: 'Stage All' });
 
-    // Commit
-    await new Promise((resolve) => {
-      exec('git commit -m "Initial commit"', { cwd: projectPath }, (error) => {
-        resolve(); // Continue even if nothing to commit
-      });
-    });
+    // Commit (continue even if nothing to commit)
+    await runGit(['commit', '-m', 'Initial commit'], projectPath, { operation: 'Initial Commit' });
 
     // Push to GitHub
-    const pushResult = await new Promise((resolve) => {
-      exec('git push -u origin master', { cwd: projectPath }, (error, stdout, stderr) => {
-        if (error) {
-          // Try main branch if master fails
-          exec('git branch -M main', { cwd: projectPath }, () => {
-            exec('git push -u origin main', { cwd: projectPath }, (error2, stdout2, stderr2) => {
-              if (error2) {
-                resolve({ success: false, error: error2.message, stderr: stderr2 });
-              } else {
-                resolve({ success: true, output: stdout2 });
-              }
-            });
-          });
-        } else {
-          resolve({ success: true, output: stdout });
-        }
-      });
+    let pushResult = await runGit(['push', '-u', 'origin', 'master'], projectPath, {
+      operation: 'Push',
+      timeout: 300000
     });
+    if (!pushResult.success) {
+      // Try main branch if master fails
+      await runGit(['branch', '-M', 'main'], projectPath, { operation: 'Rename Branch' });
+      pushResult = await runGit(['push', '-u', 'origin', 'main'], projectPath, {
+        operation: 'Push',
+        timeout: 300000
+      });
+    }
 
     if (!pushResult.success) {
       return { success: false, error: 'Repository created but push failed: ' + pushResult.error };
@@ -1276,20 +5167,129 @@ async function fileExists(filePath) {
   }
 }
 
-// Clone repository
-ipcMain.handle('clone-repository', async (event, repoUrl, targetPath) => {
-  return new Promise((resolve) => {
-    const clonePath = targetPath || projectsBasePath;
-    exec(`git clone ${repoUrl}`, { cwd: clonePath }, (error, stdout, stderr) => {
-      if (error) {
-        resolve({ success: false, error: error.message });
-      } else {
-        resolve({ success: true, output: stdout });
+// Folder name git would pick for a clone: last path segment without ".git"
+function getCloneFolderName(repoUrl) {
+  return repoUrl.trim().replace(/[\\/]+$/, '').replace(/\.git$/, '').split(/[\\/:]/).pop();
+}
+
+// `git clone --progress` writes "Receiving objects:  45% (450/1000)" style lines to stderr
+function parseCloneProgress(text) {
+  const lines = text.split(/[\r\n]+/).filter(line => line.trim());
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const match = /^(?:remote: )?([A-Za-z ]+):\s+(\d+)%/.exec(lines[i]);
+    if (match) {
+      return { phase: match[1].trim(), percent: parseInt(match[2], 10), line: lines[i].trim() };
+    }
+  }
+  return null;
+}
+
+// Clone into <targetPath>/<folderName>; progress is streamed as 'git-clone-progress' and the
+// clone can be cancelled through git-cancel-operation with options.cloneId
+// options.recurseSubmodules also clones and checks out every submodule
+ipcMain.handle('clone-repository', async (event, repoUrl, targetPath, options = {}) => {
+  const validation = validateGitRef(repoUrl, 'Repository URL');
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+
+  const parentPath = targetPath || projectsBasePath;
+  const folderName = (options.folderName || '').trim() || getCloneFolderName(repoUrl);
+  if (!folderName || folderName === '.' || folderName === '..' || /[\\/]/.test(folderName)) {
+    return { success: false, error: 'Please enter a valid folder name' };
+  }
+  const repoPath = path.join(parentPath, folderName);
+  if (existsSync(repoPath) && (await fs.readdir(repoPath)).length > 0) {
+    return { success: false, error: `Folder already exists and is not empty: ${repoPath}` };
+  }
+  await fs.mkdir(parentPath, { recursive: true });
+
+  const args = ['clone', '--progress'];
+  if (options.branch) {
+    const branchValidation = validateGitRef(options.branch, 'Branch name');
+    if (!branchValidation.valid) {
+      return { success: false, error: branchValidation.error };
+    }
+    args.push('--branch', options.branch);
+  }
+  const depth = parseInt(options.depth, 10);
+  if (depth > 0) {
+    args.push('--depth', String(depth));
+  }
+  if (options.singleBranch) args.push('--single-branch');
+  if (options.recurseSubmodules) args.push('--recurse-submodules');
+
+  const sparsePatterns = (options.sparsePatterns || []).map(pattern => pattern.trim()).filter(Boolean);
+  if (sparsePatterns.length > 0) args.push('--sparse');
+  args.push('--', repoUrl, folderName);
+
+  // The token goes in through GIT_CONFIG_* so it is neither on the command line nor saved in the clone
+  const env = {};
+  if (options.useGitHubToken) {
+    if (!appSettings.githubToken) {
+      return { success: false, error: 'Connect a GitHub account in the GitHub tab first' };
+    }
+    env.GIT_CONFIG_COUNT = '1';
+    env.GIT_CONFIG_KEY_0 = 'http.https://github.com/.extraheader';
+    env.GIT_CONFIG_VALUE_0 = `AUTHORIZATION: basic ${Buffer.from(`x-access-token:${appSettings.githubToken}`).toString('base64')}`;
+  }
+
+  const result = await runGit(args, parentPath, {
+    operation: 'Clone',
+    timeout: 0,
+    operationId: options.cloneId || null,
+    env,
+    onStderr: (chunk) => {
+      const progress = parseCloneProgress(chunk);
+      if (progress && !event.sender.isDestroyed()) {
+        event.sender.send('git-clone-progress', { cloneId: options.cloneId, ...progress });
       }
-    });
+    }
   });
+  if (!result.success) {
+    return result;
+  }
+
+  // Plain directory names use the faster cone mode; anything with wildcards needs full patterns
+  if (sparsePatterns.length > 0) {
+    const cone = sparsePatterns.every(pattern => !/[*?[\]!]/.test(pattern));
+    const sparse = await runGit(['sparse-checkout', 'set', ...(cone ? [] : ['--no-cone']), '--', ...sparsePatterns], repoPath, {
+      operation: 'Sparse Checkout',
+      timeout: 300000
+    });
+    if (!sparse.success) {
+      return { ...sparse, error: `Cloned, but sparse checkout failed: ${sparse.error}`, path: repoPath };
+    }
+  }
+
+  return {
+    ...result,
+    path: repoPath,
+    project: { name: folderName, path: repoPath, type: await detectProjectType(repoPath) }
+  };
 });
 
+// Guess a project's type from the files at its root
+async function detectProjectType(projectPath) {
+  if (await fileExists(path.join(projectPath, 'package.json'))) {
+    try {
+      const packageJson = JSON.parse(await fs.readFile(path.join(projectPath, 'package.json'), 'utf-8'));
+      const dependencies = packageJson.dependencies || {};
+      if (dependencies.electron) return 'electron';
+      if (dependencies.react) return 'react';
+      if (dependencies.vue) return 'vue';
+    } catch (error) {
+      logger.warn('Could not read package.json', { projectPath, error: error.message });
+    }
+    return 'nodejs';
+  }
+  if (await fileExists(path.join(projectPath, 'requirements.txt'))) return 'python';
+  if (await fileExists(path.join(projectPath, 'pom.xml'))) return 'java';
+  if (await fileExists(path.join(projectPath, 'CMakeLists.txt'))) return 'cpp';
+  if (await fileExists(path.join(projectPath, 'index.html'))) return 'web';
+  return 'empty';
+}
+
 // Import project
 ipcMain.handle('import-project', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
@@ -1301,29 +5301,8 @@ ipcMain.handle('import-project', async () => {
     const projectPath = result.filePaths[0];
     const projectName = path.basename(projectPath);
     
-    // Detect project type
-    let projectType = 'empty';
-    if (await fileExists(path.join(projectPath, 'package.json'))) {
-      const packageJson = JSON.parse(await fs.readFile(path.join(projectPath, 'package.json'), 'utf-8'));
-      if (packageJson.dependencies && packageJson.dependencies.electron) {
-        projectType = 'electron';
-      } else if (packageJson.dependencies && packageJson.dependencies.react) {
-        projectType = 'react';
-      } else if (packageJson.dependencies && packageJson.dependencies.vue) {
-        projectType = 'vue';
-      } else {
-        projectType = 'nodejs';
-      }
-    } else if (await fileExists(path.join(projectPath, 'requirements.txt'))) {
-      projectType = 'python';
-    } else if (await fileExists(path.join(projectPath, 'pom.xml'))) {
-      projectType = 'java';
-    } else if (await fileExists(path.join(projectPath, 'CMakeLists.txt'))) {
-      projectType = 'cpp';
-    } else if (await fileExists(path.join(projectPath, 'index.html'))) {
-      projectType = 'web';
-    }
-    
+    const projectType = await detectProjectType(projectPath);
+
     return {
       success: true,
       project: {
@@ -1658,42 +5637,44 @@ ipcMain.handle('stop-file-watcher', async (event, projectPath) => {
   }
 });
 
-// Undo/Redo IPC Handler
-ipcMain.handle('undo-last-operation', async (event) => {
-  if (gitOperationHistory.length === 0) {
-    return { success: false, error: 'No operations to undo' };
-  }
-
-  const lastOp = gitOperationHistory[0];
-  logger.info('Undoing operation', lastOp);
-
-  // For commits, use git reset
-  if (lastOp.type === 'commit') {
-    const result = await executeGitCommand(
-      'git reset --soft HEAD~1',
-      lastOp.projectPath,
-      'Undo Commit'
-    );
-
-    if (result.success) {
-      // Remove from history
-      gitOperationHistory.shift();
+// Undo/Redo IPC Handlers
+ipcMain.handle('undo-last-operation', async (event, projectPath) => {
+  return await runUndoStep(projectPath, 'undo');
+});
 
-      // Notify renderer
-      if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('git-history-updated', gitOperationHistory);
-      }
-    }
+ipcMain.handle('redo-last-operation', async (event, projectPath) => {
+  return await runUndoStep(projectPath, 'redo');
+});
 
-    return result;
+// Preview what undo/redo would do without changing anything
+ipcMain.handle('git-undo-preview', async (event, projectPath, direction = 'undo') => {
+  const plan = await planUndoStep(projectPath, direction);
+  if (plan.error) {
+    return { success: false, error: plan.error };
   }
 
-  // For other operations, inform user it's not supported yet
-  return { success: false, error: 'Undo not supported for this operation yet' };
+  const reflog = await runGit(['reflog', '-5', '--format=%h%x1f%gd%x1f%gs'], projectPath, { operation: 'Reflog' });
+  return {
+    success: true,
+    entry: plan.entry,
+    label: UNDO_OPERATION_LABELS[plan.entry.type] || plan.entry.type,
+    description: plan.description,
+    blocked: plan.blocked,
+    commitsRemoved: plan.commitsRemoved,
+    commitsRestored: plan.commitsRestored,
+    stat: plan.stat,
+    reflog: reflog.success
+      ? reflog.output.split('\n').filter(Boolean).map(line => {
+        const [hash, selector, subject] = line.split('\x1f');
+        return { hash, selector, subject };
+      })
+      : []
+  };
 });
 
-ipcMain.handle('get-operation-history', async () => {
-  return gitOperationHistory;
+ipcMain.handle('get-operation-history', async (event, projectPath) => {
+  const stacks = await getProjectJournal(projectPath);
+  return { undo: stacks.undo, redo: stacks.redo };
 });
 
 // Template System IPC Handlers
@@ -1733,7 +5714,7 @@ ipcMain.handle('create-from-template', async (event, templateId, projectName, ta
     logger.info('Project created from template', { templateId, projectName, projectPath });
 
     // Initialize git repository
-    await executeGitCommand('git init', projectPath, 'Initialize Git');
+    await runGit(['init'], projectPath, { operation: 'Initialize Git' });
 
     return { success: true, path: projectPath };
   } catch (error) {
@@ -1,6 +1,7 @@
 const { ipcRenderer } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const Diff = require('diff');
 
 // State management
 let currentView = 'dashboard';
@@ -895,53 +896,53 @@ function initializeGitView() {
     });
 
     document.getElementById('git-commit-btn')?.addEventListener('click', () => {
+        // Carry over what was typed in the Commit panel
+        const modalMessage = document.getElementById('commit-message');
+        const panelMessage = document.getElementById('git-commit-message-input')?.value || '';
+        if (!modalMessage.value.trim() && panelMessage.trim()) {
+            modalMessage.value = panelMessage;
+        }
         showModal('git-commit-modal');
+        lintCommitInput('commit-message', 'commit-modal-lint');
     });
     
+    document.getElementById('git-commit-message-input')?.addEventListener('input', () => {
+        scheduleCommitLint('git-commit-message-input', 'git-commit-lint');
+    });
+    document.getElementById('commit-message')?.addEventListener('input', () => {
+        scheduleCommitLint('commit-message', 'commit-modal-lint');
+    });
+
     document.getElementById('confirm-commit-btn')?.addEventListener('click', async () => {
         const message = document.getElementById('commit-message').value;
-        if (!message) {
-            showNotification('Please enter a commit message', 'error');
-            return;
-        }
-        
-        if (currentProject) {
-            const result = await ipcRenderer.invoke('git-commit', currentProject.path, message);
-            if (result.success) {
-                showNotification('Changes committed successfully', 'success');
-                hideModal('git-commit-modal');
-                document.getElementById('commit-message').value = '';
-                await refreshGitStatus();
-            } else {
-                showNotification(`Commit failed: ${result.error}`, 'error');
-            }
+        if (!currentProject) return;
+
+        const result = await commitWithOptions(message);
+        if (!result) return;
+        if (result.success) {
+            showNotification('Changes committed successfully', 'success');
+            hideModal('git-commit-modal');
+            document.getElementById('commit-message').value = '';
+            document.getElementById('git-commit-message-input').value = '';
+            await refreshGitStatus();
+        } else {
+            showNotification(`Commit failed: ${result.error}`, 'error');
         }
     });
     
     // Clone repository
-    document.getElementById('clone-btn')?.addEventListener('click', async () => {
-        const repoUrl = document.getElementById('repo-url').value;
-        const cloneLocation = document.getElementById('clone-location').value;
-        
-        if (!repoUrl) {
-            showNotification('Please enter repository URL', 'error');
-            return;
-        }
-        
-        const result = await ipcRenderer.invoke('clone-repository', repoUrl, cloneLocation);
-        if (result.success) {
-            showNotification('Repository cloned successfully', 'success');
-            hideModal('clone-modal');
-            
-            if (document.getElementById('open-after-clone').checked) {
-                const repoName = repoUrl.split('/').pop().replace('.git', '');
-                const repoPath = path.join(cloneLocation || workspacePath, repoName);
-                await ipcRenderer.invoke('open-in-vscode', repoPath);
-            }
-        } else {
-            showNotification(`Clone failed: ${result.error}`, 'error');
+    document.getElementById('clone-btn')?.addEventListener('click', startClone);
+    document.getElementById('clone-cancel-btn')?.addEventListener('click', cancelClone);
+    document.getElementById('repo-url')?.addEventListener('input', () => {
+        // Follow the URL until the user picks their own folder name
+        const folderInput = document.getElementById('clone-folder-name');
+        if (!folderInput.dataset.edited) {
+            folderInput.value = getCloneFolderName(document.getElementById('repo-url').value);
         }
     });
+    document.getElementById('clone-folder-name')?.addEventListener('input', (e) => {
+        e.target.dataset.edited = e.target.value ? 'true' : '';
+    });
     
     document.getElementById('browse-clone-location')?.addEventListener('click', async () => {
         const selectedPath = await ipcRenderer.invoke('select-folder');
@@ -961,6 +962,8 @@ function initializeGitView() {
         if (result.success) {
             showNotification('Pull completed successfully', 'success');
             await refreshGitStatus();
+        } else if (result.conflict) {
+            await handleConflictResult(result);
         } else {
             showNotification(`Pull failed: ${result.error}`, 'error');
         }
@@ -973,6 +976,7 @@ function initializeGitView() {
         }
         showNotification('Pushing changes...', 'info');
         const result = await ipcRenderer.invoke('git-push', currentProject.path);
+        reportHookOutput(result, 'push');
         if (result.success) {
             showNotification('Push completed successfully', 'success');
             await refreshGitStatus();
@@ -1012,20 +1016,9 @@ function initializeGitView() {
     });
 
     // Stash operations
-    document.getElementById('git-stash-btn')?.addEventListener('click', async () => {
-        if (!currentProject) {
-            showNotification('Please select a project first', 'error');
-            return;
-        }
-        const message = prompt('Enter stash message (optional):');
-        const result = await ipcRenderer.invoke('git-stash', currentProject.path, message || '');
-        if (result.success) {
-            showNotification('Changes stashed successfully', 'success');
-            await refreshGitStatus();
-        } else {
-            showNotification(`Stash failed: ${result.error}`, 'error');
-        }
-    });
+    document.getElementById('git-stash-btn')?.addEventListener('click', showCreateStashModal);
+    document.getElementById('git-stash-create')?.addEventListener('click', showCreateStashModal);
+    document.getElementById('git-stash-refresh')?.addEventListener('click', loadStashes);
 
     // Merge operations
     document.getElementById('git-merge-btn')?.addEventListener('click', async () => {
@@ -1040,21 +1033,18 @@ function initializeGitView() {
     // Commit and push combined
     document.getElementById('git-commit-push-btn')?.addEventListener('click', async () => {
         const message = document.getElementById('git-commit-message-input')?.value;
-        if (!message || !message.trim()) {
-            showNotification('Please enter a commit message', 'error');
-            return;
-        }
 
         if (!currentProject) {
             showNotification('Please select a project first', 'error');
             return;
         }
 
-        showNotification('Committing changes...', 'info');
-        const commitResult = await ipcRenderer.invoke('git-commit', currentProject.path, message);
+        const commitResult = await commitWithOptions(message);
+        if (!commitResult) return;
         if (commitResult.success) {
             showNotification('Pushing to remote...', 'info');
             const pushResult = await ipcRenderer.invoke('git-push', currentProject.path);
+            reportHookOutput(pushResult, 'push');
             if (pushResult.success) {
                 showNotification('Committed and pushed successfully', 'success');
                 document.getElementById('git-commit-message-input').value = '';
@@ -1186,6 +1176,7 @@ function initializeGitView() {
 
         showNotification('Publishing branch to GitHub...', 'info');
         const result = await ipcRenderer.invoke('git-push', currentProject.path);
+        reportHookOutput(result, 'push');
         if (result.success) {
             showNotification('Branch published successfully', 'success');
             await refreshGitStatus();
@@ -1274,11 +1265,16 @@ function initializeGitView() {
             showNotification('Rebase completed successfully', 'success');
             hideModal('git-rebase-modal');
             await refreshGitStatus();
+        } else if (result.conflict) {
+            hideModal('git-rebase-modal');
+            await handleConflictResult(result);
         } else {
             showNotification(`Rebase failed: ${result.error}`, 'error');
         }
     });
 
+    document.getElementById('git-interactive-rebase-btn')?.addEventListener('click', showRebasePlanner);
+
     document.getElementById('git-cherry-pick-btn')?.addEventListener('click', () => {
         if (!currentProject) {
             showNotification('Please select a project first', 'error');
@@ -1302,6 +1298,9 @@ function initializeGitView() {
             showNotification('Commit cherry-picked successfully', 'success');
             hideModal('git-cherry-pick-modal');
             await refreshGitStatus();
+        } else if (result.conflict) {
+            hideModal('git-cherry-pick-modal');
+            await handleConflictResult(result);
         } else {
             showNotification(`Cherry pick failed: ${result.error}`, 'error');
         }
@@ -1316,6 +1315,10 @@ function initializeGitView() {
         await loadGitTags();
     });
 
+    document.getElementById('new-release-btn')?.addEventListener('click', async () => {
+        await showReleaseModal();
+    });
+
     document.getElementById('create-tag-btn')?.addEventListener('click', () => {
         document.getElementById('create-tag-form').style.display = 'block';
     });
@@ -1330,14 +1333,19 @@ function initializeGitView() {
         const tagName = document.getElementById('new-tag-name').value;
         const message = document.getElementById('new-tag-message').value;
         const pushToRemote = document.getElementById('tag-push-remote').checked;
+        const sign = document.getElementById('tag-sign').checked;
 
         if (!tagName) {
             showNotification('Please enter a tag name', 'error');
             return;
         }
+        if (sign && !message.trim()) {
+            showNotification('A signed tag needs a message', 'error');
+            return;
+        }
 
         showNotification('Creating tag...', 'info');
-        const result = await ipcRenderer.invoke('git-tag-create', currentProject.path, tagName, message, pushToRemote);
+        const result = await ipcRenderer.invoke('git-tag-create', currentProject.path, tagName, message, pushToRemote, null, { sign });
         if (result.success) {
             showNotification('Tag created successfully', 'success');
             document.getElementById('create-tag-form').style.display = 'none';
@@ -1393,11 +1401,29 @@ function initializeGitView() {
         if (result.success) {
             showNotification('Commit reverted successfully', 'success');
             await refreshGitStatus();
+        } else if (result.conflict) {
+            await handleConflictResult(result);
         } else {
             showNotification(`Revert failed: ${result.error}`, 'error');
         }
     });
 
+    document.getElementById('git-conflicts-btn')?.addEventListener('click', async () => {
+        if (!currentProject) {
+            showNotification('Please select a project first', 'error');
+            return;
+        }
+        await showConflictResolver();
+    });
+
+    document.getElementById('git-patches-btn')?.addEventListener('click', async () => {
+        if (!currentProject) {
+            showNotification('Please select a project first', 'error');
+            return;
+        }
+        await showPatchModal();
+    });
+
     document.getElementById('git-clean-btn')?.addEventListener('click', async () => {
         if (!currentProject) {
             showNotification('Please select a project first', 'error');
@@ -1427,33 +1453,169 @@ function initializeGitView() {
         }
     });
 
-    // Listen for git history updates
-    ipcRenderer.on('git-history-updated', (event, history) => {
-        // Update undo button state based on history
-        const undoBtn = document.getElementById('git-undo-btn');
-        if (undoBtn) {
-            undoBtn.disabled = history.length === 0;
-            undoBtn.title = history.length > 0
-                ? `Undo: ${history[0].type} - ${history[0].message}`
-                : 'No operations to undo';
-        }
-    });
+    // Listen for background auto-fetch results
+    ipcRenderer.on('git-auto-fetch-update', async (event, update) => {
+        if (!currentProject || currentProject.path !== update.projectPath) return;
 
-    // Undo button handler
-    document.getElementById('git-undo-btn')?.addEventListener('click', async () => {
-        if (!currentProject) {
-            showNotification('No project selected', 'error');
+        if (!update.success) {
+            console.warn('[GIT] Auto-fetch failed:', update.error);
             return;
         }
 
-        const result = await ipcRenderer.invoke('undo-last-operation');
-        if (result.success) {
-            showNotification('Operation undone successfully', 'success');
-            await refreshGitStatus();
-        } else {
-            showNotification(`Undo failed: ${result.error}`, 'error');
+        updateStatusBarBranch(update);
+        if (update.behind > autoFetchBehind) {
+            showNotification(`${update.behind} incoming commit(s) on ${update.upstream}`, 'info');
+        }
+        autoFetchBehind = update.behind;
+
+        await refreshGitStatus();
+        if (currentGitTab === 'branches') {
+            await loadBranches();
+        }
+    });
+
+    // Listen for undo journal updates
+    ipcRenderer.on('git-history-updated', (event, state) => {
+        if (currentProject && currentProject.path === state.projectPath) {
+            updateUndoRedoButtons(state.undo, state.redo);
         }
     });
+
+    document.getElementById('git-undo-btn')?.addEventListener('click', () => showUndoPreview('undo'));
+    document.getElementById('git-redo-btn')?.addEventListener('click', () => showUndoPreview('redo'));
+}
+
+// Undo / Redo
+
+let undoStateProjectPath = null;
+
+// Load the undo journal state when the open repository changes
+async function loadUndoRedoState() {
+    const projectPath = currentProject ? currentProject.path : null;
+    if (projectPath === undoStateProjectPath) return;
+    undoStateProjectPath = projectPath;
+
+    if (!projectPath) {
+        updateUndoRedoButtons(null, null);
+        return;
+    }
+    const history = await ipcRenderer.invoke('get-operation-history', projectPath);
+    updateUndoRedoButtons(history.undo[0], history.redo[0]);
+}
+
+function updateUndoRedoButtons(undoEntry, redoEntry) {
+    const undoBtn = document.getElementById('git-undo-btn');
+    if (undoBtn) {
+        undoBtn.disabled = !undoEntry;
+        undoBtn.title = undoEntry ? `Undo: ${undoEntry.message}` : 'No operations to undo';
+    }
+    const redoBtn = document.getElementById('git-redo-btn');
+    if (redoBtn) {
+        redoBtn.disabled = !redoEntry;
+        redoBtn.title = redoEntry ? `Redo: ${redoEntry.message}` : 'No operations to redo';
+    }
+}
+
+// Show what undo/redo will change and ask for confirmation
+async function showUndoPreview(direction) {
+    if (!currentProject) {
+        showNotification('No project selected', 'error');
+        return;
+    }
+
+    const preview = await ipcRenderer.invoke('git-undo-preview', currentProject.path, direction);
+    if (!preview.success) {
+        showNotification(preview.error, 'error');
+        return;
+    }
+
+    if (!document.getElementById('git-undo-modal')) {
+        createUndoModal();
+    }
+
+    const verb = direction === 'undo' ? 'Undo' : 'Redo';
+    document.getElementById('git-undo-title').textContent = `${verb} ${preview.label}`;
+
+    const renderCommits = (title, commits, cls) => commits.length === 0 ? '' : `
+        <div class="undo-preview-section">
+            <h4>${title}</h4>
+            ${commits.map(commit => `
+                <div class="undo-preview-commit ${cls}">
+                    <span class="undo-preview-hash">${escapeHtml(commit.hash)}</span>
+                    <span>${escapeHtml(commit.subject)}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+
+    document.getElementById('git-undo-body').innerHTML = `
+        <div class="undo-preview-summary">
+            <div class="undo-preview-message">${escapeHtml(preview.entry.message || '')}</div>
+            <div class="undo-preview-meta">Recorded ${getTimeAgo(new Date(preview.entry.timestamp).getTime())}</div>
+            <p>${escapeHtml(preview.description || '')}</p>
+        </div>
+        ${preview.blocked ? `<div class="undo-preview-blocked"><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(preview.blocked)}</div>` : ''}
+        ${renderCommits('Commits that will leave the branch', preview.commitsRemoved, 'removed')}
+        ${renderCommits('Commits that will come back', preview.commitsRestored, 'restored')}
+        ${preview.stat ? `<div class="undo-preview-section"><h4>Files</h4><pre class="undo-preview-stat">${escapeHtml(preview.stat)}</pre></div>` : ''}
+        <div class="undo-preview-section">
+            <h4>Recent reflog</h4>
+            ${preview.reflog.map(item => `
+                <div class="undo-preview-commit">
+                    <span class="undo-preview-hash">${escapeHtml(item.hash)}</span>
+                    <span class="undo-preview-meta">${escapeHtml(item.selector)}</span>
+                    <span>${escapeHtml(item.subject)}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+
+    const confirmBtn = document.getElementById('git-undo-confirm');
+    confirmBtn.innerHTML = `<i class="fas fa-${direction === 'undo' ? 'undo' : 'redo'}"></i> ${verb}`;
+    confirmBtn.disabled = !!preview.blocked;
+    confirmBtn.onclick = () => runUndoStep(direction);
+
+    showModal('git-undo-modal');
+}
+
+async function runUndoStep(direction) {
+    const verb = direction === 'undo' ? 'Undo' : 'Redo';
+    const result = await ipcRenderer.invoke(`${direction}-last-operation`, currentProject.path);
+
+    if (result.success) {
+        hideModal('git-undo-modal');
+        showNotification(`${verb} completed: ${result.description}`, 'success');
+        await refreshGitStatus();
+        if (currentGitTab === 'branches') {
+            await loadBranches();
+        } else if (currentGitTab === 'stashes') {
+            await loadStashes();
+        }
+    } else {
+        showNotification(`${verb} failed: ${result.error}`, 'error');
+    }
+}
+
+function createUndoModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'git-undo-modal';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 640px;">
+            <div class="modal-header">
+                <h2><i class="fas fa-history"></i> <span id="git-undo-title">Undo</span></h2>
+                <button class="modal-close-btn" onclick="hideModal('git-undo-modal')">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body" id="git-undo-body"></div>
+            <div class="modal-footer">
+                <button class="btn-secondary" onclick="hideModal('git-undo-modal')">Cancel</button>
+                <button class="btn-primary" id="git-undo-confirm">Undo</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
 }
 
 // Git Helper Functions
@@ -1627,6 +1789,8 @@ async function loadGitTags() {
         return;
     }
 
+    const signatures = await ipcRenderer.invoke('git-tag-signatures', currentProject.path);
+    const tagSignatures = signatures.success ? signatures.tags : {};
     const tags = result.output.split('\n').filter(line => line.trim());
     tagsList.innerHTML = tags.map(tag => {
         const parts = tag.split(/\s+/);
@@ -1636,7 +1800,7 @@ async function loadGitTags() {
         return `
             <div class="tag-item">
                 <div class="tag-item-info">
-                    <div class="tag-item-name">${tagName}</div>
+                    <div class="tag-item-name">${tagName} ${renderSignatureBadge(tagSignatures[tagName])}</div>
                     <div class="tag-item-message">${tagMessage}</div>
                 </div>
                 <div class="tag-item-actions">
@@ -1705,6 +1869,17 @@ function initializeGitTabs() {
                     refreshGitStatusNow();
                 });
             }
+
+            if (targetTab === 'stashes') {
+                loadStashes();
+            } else if (targetTab === 'branches') {
+                loadWorktrees();
+            } else if (targetTab === 'advanced') {
+                loadSubmodules();
+                loadLfs();
+                loadHooks();
+                loadBisect();
+            }
         });
     });
 }
@@ -2320,6 +2495,21 @@ async function loadSettings() {
     if (document.getElementById('terminal-app')) {
         document.getElementById('terminal-app').value = appSettings.terminalApp || 'cmd';
     }
+    if (document.getElementById('git-path')) {
+        document.getElementById('git-path').value = appSettings.gitPath || '';
+    }
+    if (document.getElementById('git-auto-fetch')) {
+        document.getElementById('git-auto-fetch').checked = !!appSettings.gitAutoFetch;
+    }
+    if (document.getElementById('git-auto-fetch-interval')) {
+        document.getElementById('git-auto-fetch-interval').value = appSettings.gitAutoFetchInterval || 5;
+    }
+    if (document.getElementById('git-auto-fetch-all')) {
+        document.getElementById('git-auto-fetch-all').checked = !!appSettings.gitAutoFetchAllProjects;
+    }
+    if (document.getElementById('max-workers')) {
+        document.getElementById('max-workers').value = appSettings.maxWorkers || 4;
+    }
 }
 
 // Save settings with validation
@@ -2351,6 +2541,11 @@ async function saveSettings() {
         showWelcome: document.getElementById('show-welcome')?.checked,
         gitUsername: document.getElementById('git-username')?.value || '',
         gitEmail: document.getElementById('git-email')?.value || '',
+        gitPath: document.getElementById('git-path')?.value.trim() || '',
+        gitAutoFetch: document.getElementById('git-auto-fetch')?.checked || false,
+        gitAutoFetchInterval: parseInt(document.getElementById('git-auto-fetch-interval')?.value || 5),
+        gitAutoFetchAllProjects: document.getElementById('git-auto-fetch-all')?.checked || false,
+        maxWorkers: parseInt(document.getElementById('max-workers')?.value || 4),
         recentProjectsLimit: parseInt(document.getElementById('recent-projects-limit')?.value || 10)
     };
 
@@ -2378,6 +2573,30 @@ async function saveSettings() {
         }
     }
 
+    // Validate auto-fetch interval
+    const autoFetchIntervalInput = document.getElementById('git-auto-fetch-interval');
+    if (autoFetchIntervalInput) {
+        const interval = settings.gitAutoFetchInterval;
+        if (isNaN(interval) || interval < 1 || interval > 1440) {
+            errors.push({
+                element: autoFetchIntervalInput,
+                message: 'Must be between 1 and 1440 minutes'
+            });
+        }
+    }
+
+    // Validate worker count
+    const maxWorkersInput = document.getElementById('max-workers');
+    if (maxWorkersInput) {
+        const workers = settings.maxWorkers;
+        if (isNaN(workers) || workers < 1 || workers > 16) {
+            errors.push({
+                element: maxWorkersInput,
+                message: 'Must be between 1 and 16'
+            });
+        }
+    }
+
     // Validate font size
     const fontSizeInput = document.getElementById('font-size');
     if (fontSizeInput) {
@@ -2574,7 +2793,8 @@ function displayRecentProjects() {
 }
 
 // Create project card element
-function createProjectCard(project) {
+// options.selectable adds a checkbox on git repositories for bulk operations
+function createProjectCard(project, options = {}) {
     const fs = require('fs');
     const path = require('path');
     const card = document.createElement('div');
@@ -2597,6 +2817,7 @@ function createProjectCard(project) {
         vue: { icon: 'fab fa-vuejs', color: '#4fc08d', label: 'Vue.js' },
         cpp: { icon: 'fas fa-code', color: '#00599c', label: 'C++' },
         java: { icon: 'fab fa-java', color: '#007396', label: 'Java' },
+        worktree: { icon: 'fas fa-folder-tree', color: '#f1502f', label: 'Worktree' },
         empty: { icon: 'fas fa-folder', color: '#dcb67a', label: 'Empty' }
     };
 
@@ -2618,6 +2839,12 @@ function createProjectCard(project) {
                 </div>
                 <div class="project-badges">
                     ${hasGit ? '<span class="project-badge git-badge"><i class="fab fa-git-alt"></i></span>' : ''}
+                    ${hasGit && options.selectable ? `
+                        <label class="project-select-checkbox" title="Select for bulk git operations">
+                            <input type="checkbox" data-select-project data-path="${escapeHtml(project.path)}" data-name="${escapeHtml(project.name)}"
+                                   ${bulkGitState.selected.has(project.path) ? 'checked' : ''}>
+                        </label>
+                    ` : ''}
                 </div>
             </div>
             <div class="project-details">
@@ -2626,6 +2853,11 @@ function createProjectCard(project) {
                     <span class="project-type-badge" style="background: ${config.color}20; color: ${config.color}">
                         ${config.label}
                     </span>
+                    ${project.worktreeOf ? `
+                        <span class="project-worktree-badge" data-open-main-repo title="Worktree of ${escapeHtml(project.worktreeOf)}">
+                            <i class="fas fa-folder-tree"></i> ${escapeHtml(path.basename(project.worktreeOf))}
+                        </span>
+                    ` : ''}
                     <span class="project-time">
                         <i class="far fa-clock"></i> ${timeAgo}
                     </span>
@@ -2650,11 +2882,29 @@ function createProjectCard(project) {
         </div>
     `;
 
+    const selectCheckbox = card.querySelector('[data-select-project]');
+    selectCheckbox?.addEventListener('change', () => toggleBulkProjectSelection(project, selectCheckbox.checked));
+    card.querySelector('.project-select-checkbox')?.addEventListener('click', (e) => e.stopPropagation());
+
+    // Worktrees open as the current repository in the Git view; the badge opens the main repository
+    const openProject = () => {
+        if (project.worktreeOf) {
+            openProjectInGit(safeProject);
+        } else {
+            openInVscode(project.path);
+        }
+        updateProjectAccessTime(project.path);
+    };
+
+    card.querySelector('[data-open-main-repo]')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openProjectInGit({ name: path.basename(project.worktreeOf), path: project.worktreeOf, type: 'git' });
+    });
+
     // Add click handler to open in VS Code
     card.addEventListener('click', (e) => {
         if (!e.target.closest('button')) {
-            openInVscode(project.path);
-            updateProjectAccessTime(project.path);
+            openProject();
         }
     });
 
@@ -2662,8 +2912,7 @@ function createProjectCard(project) {
     const openBtn = card.querySelector('[data-open-vscode]');
     openBtn.addEventListener('click', (e) => {
         e.stopPropagation();
-        openInVscode(project.path);
-        updateProjectAccessTime(project.path);
+        openProject();
     });
 
     const explorerBtn = card.querySelector('[data-open-explorer]');
@@ -2896,6 +3145,15 @@ async function loadAllProjects() {
 
     const projects = await ipcRenderer.invoke('search-projects', workspacePath, '');
 
+    // Linked worktrees point back to their main repository; ones outside the workspace are listed too
+    const worktreeLinks = await ipcRenderer.invoke('get-worktree-links', projects.map(project => project.path));
+    projects.forEach(project => {
+        project.worktreeOf = worktreeLinks.links[project.path] || null;
+    });
+    worktreeLinks.extra.forEach(worktree => {
+        projects.push({ name: worktree.name, path: worktree.path, type: 'worktree', worktreeOf: worktree.mainPath });
+    });
+
     if (projects.length === 0) {
         projectsList.innerHTML = `
             <div style="text-align: center; padding: 40px; color: var(--text-secondary);">
@@ -2908,121 +3166,551 @@ async function loadAllProjects() {
         projectsList.innerHTML = '';
         projectsList.className = 'projects-list';
         projects.forEach(project => {
-            const card = createProjectCard(project);
+            const card = createProjectCard(project, { selectable: true });
             projectsList.appendChild(card);
         });
+        projectsList.classList.toggle('bulk-selecting', bulkGitState.selecting);
     }
 
     // Update project stats after loading projects
     await updateProjectStats();
 }
 
-// Search projects
-async function searchProjects(query) {
-    const resultsContainer = document.getElementById('search-results');
-    resultsContainer.innerHTML = '<div class="loading"><span class="spinner"></span></div>';
-    
-    const results = await ipcRenderer.invoke('search-projects', workspacePath, query);
-    
-    resultsContainer.innerHTML = '';
-    
-    if (results.length === 0) {
-        resultsContainer.innerHTML = '<p style="color: var(--text-secondary); text-align: center;">No projects found</p>';
-    } else {
-        results.forEach(project => {
-            const item = document.createElement('div');
-            item.className = 'search-result-item';
-            item.innerHTML = `
-                <h4>${project.name}</h4>
-                <p>${project.path}</p>
-            `;
-            item.addEventListener('click', () => {
-                ipcRenderer.invoke('open-in-vscode', project.path);
-                hideModal('search-modal');
-            });
-            resultsContainer.appendChild(item);
-        });
+// Bulk git operations across repositories selected in the Projects view
+let bulkGitState = {
+    selecting: false,
+    selected: new Map(), // path -> { name, path }
+    runId: null,
+    operation: null,
+    results: new Map() // path -> { success, output, error } or null while running
+};
+
+const BULK_GIT_OPERATION_LABELS = {
+    fetch: 'Fetch',
+    pull: 'Pull',
+    status: 'Status',
+    checkout: 'Checkout Branch',
+    custom: 'Custom Command'
+};
+
+function toggleBulkSelectMode(force) {
+    bulkGitState.selecting = typeof force === 'boolean' ? force : !bulkGitState.selecting;
+    if (!bulkGitState.selecting) {
+        bulkGitState.selected.clear();
+        document.querySelectorAll('[data-select-project]').forEach(checkbox => { checkbox.checked = false; });
     }
+    document.getElementById('all-projects-list')?.classList.toggle('bulk-selecting', bulkGitState.selecting);
+    document.getElementById('bulk-git-btn')?.classList.toggle('active', bulkGitState.selecting);
+    updateBulkSelectionBar();
 }
 
-// Git operations
-async function initializeGit() {
-    if (!currentProject) {
-        showNotification('Please select a project first', 'error');
-        return;
-    }
-    
-    const result = await ipcRenderer.invoke('init-git', currentProject.path);
-    if (result.success) {
-        showNotification('Git repository initialized', 'success');
-        await refreshGitStatus();
+function toggleBulkProjectSelection(project, selected) {
+    if (selected) {
+        bulkGitState.selected.set(project.path, { name: project.name, path: project.path });
     } else {
-        showNotification(`Failed to initialize Git: ${result.error}`, 'error');
+        bulkGitState.selected.delete(project.path);
     }
+    updateBulkSelectionBar();
 }
 
-// Debounced refresh with lazy rendering
-let gitRefreshTimeout = null;
-async function refreshGitStatus() {
-    // If changes tab is not active, mark for later refresh
-    if (currentGitTab !== 'changes') {
-        gitStatusNeedsRefresh = true;
+function selectAllBulkProjects() {
+    document.querySelectorAll('#all-projects-list [data-select-project]').forEach(checkbox => {
+        checkbox.checked = true;
+        bulkGitState.selected.set(checkbox.dataset.path, { name: checkbox.dataset.name, path: checkbox.dataset.path });
+    });
+    updateBulkSelectionBar();
+}
+
+function updateBulkSelectionBar() {
+    const bar = document.getElementById('projects-bulk-bar');
+    if (!bar) return;
+
+    bar.style.display = bulkGitState.selecting ? '' : 'none';
+    const count = bulkGitState.selected.size;
+    document.getElementById('projects-bulk-count').textContent = `${count} repositor${count === 1 ? 'y' : 'ies'} selected`;
+    document.getElementById('projects-bulk-run').disabled = count === 0;
+}
+
+function showBulkGitModal() {
+    if (bulkGitState.selected.size === 0) {
+        showNotification('Select at least one repository', 'error');
         return;
     }
 
-    // Debounce rapid refresh calls
-    if (gitRefreshTimeout) {
-        clearTimeout(gitRefreshTimeout);
+    if (!document.getElementById('bulk-git-modal')) {
+        createBulkGitModal();
     }
 
-    gitRefreshTimeout = setTimeout(() => {
-        refreshGitStatusNow();
-    }, 150);
+    bulkGitState.results = new Map();
+    renderBulkGitResults();
+    updateBulkGitOperationFields();
+    document.getElementById('bulk-git-targets').textContent =
+        [...bulkGitState.selected.values()].map(project => project.name).join(', ');
+    showModal('bulk-git-modal');
 }
 
-async function refreshGitStatusNow() {
-    gitStatusNeedsRefresh = false;
+function updateBulkGitOperationFields() {
+    const type = document.getElementById('bulk-git-operation').value;
+    document.getElementById('bulk-git-branch-group').style.display = type === 'checkout' ? '' : 'none';
+    document.getElementById('bulk-git-command-group').style.display = type === 'custom' ? '' : 'none';
+}
 
-    const statusContainer = document.getElementById('git-status');
+// Run an operation on the given paths (all selected repositories by default); without
+// an operation the one chosen in the form is used, retries pass the operation of the last run
+async function runBulkGitOperation(projectPaths = null, operation = null) {
+    if (!operation) {
+        operation = {
+            type: document.getElementById('bulk-git-operation').value,
+            branch: document.getElementById('bulk-git-branch').value.trim(),
+            command: document.getElementById('bulk-git-command').value.trim()
+        };
+    }
+    const { type } = operation;
 
-    if (!statusContainer) {
-        console.error('[GIT] git-status element not found in DOM');
+    if (type === 'checkout' && !operation.branch) {
+        showNotification('Please enter a branch name', 'error');
         return;
     }
-
-    if (!currentProject) {
-        statusContainer.innerHTML = `
-            <div class="git-empty-state">
-                <i class="fab fa-git-alt" style="font-size: 48px; color: var(--text-secondary); opacity: 0.3;"></i>
-                <p>No repository loaded</p>
-                <p class="git-hint">Select a project to view git status</p>
-            </div>
-        `;
+    if (type === 'custom' && !operation.command) {
+        showNotification('Please enter a git command', 'error');
         return;
     }
 
-    const result = await ipcRenderer.invoke('git-status', currentProject.path);
+    const paths = projectPaths || [...bulkGitState.selected.keys()];
+    bulkGitState.runId = `bulk-${Date.now()}`;
+    bulkGitState.operation = operation;
+    paths.forEach(projectPath => bulkGitState.results.set(projectPath, null));
+    renderBulkGitResults();
 
-    if (!result.success) {
-        statusContainer.innerHTML = `
-            <div class="git-not-initialized">
-                <i class="fab fa-git-alt" style="font-size: 48px; color: var(--warning); opacity: 0.5;"></i>
-                <p style="color: var(--text-primary); margin: 16px 0 8px 0; font-weight: 500;">Not a git repository</p>
-                <p style="color: var(--text-secondary); font-size: 13px; margin-bottom: 16px;">Initialize git to start version control</p>
-                <button class="btn-primary" onclick="initializeGit()">
-                    <i class="fas fa-play"></i> Initialize Git
-                </button>
-            </div>
-        `;
-        return;
+    const runBtn = document.getElementById('bulk-git-run-btn');
+    const retryBtn = document.getElementById('bulk-git-retry-btn');
+    runBtn.disabled = true;
+    retryBtn.disabled = true;
+
+    const result = await ipcRenderer.invoke('git-bulk-run', paths, operation, bulkGitState.runId);
+
+    runBtn.disabled = false;
+    if (result.results) {
+        result.results.forEach(entry => bulkGitState.results.set(entry.projectPath, entry));
+        renderBulkGitResults();
     }
 
-    if (!result.output || result.output.trim() === '') {
-        statusContainer.innerHTML = `
-            <div class="git-clean-state">
-                <i class="fas fa-check-circle" style="font-size: 48px; color: var(--success); opacity: 0.6;"></i>
-                <p style="color: var(--text-primary); margin: 16px 0 4px 0; font-weight: 500;">Working tree clean</p>
-                <p style="color: var(--text-secondary); font-size: 13px;">No changes to commit</p>
+    if (result.success) {
+        showNotification(`${BULK_GIT_OPERATION_LABELS[type]} succeeded in ${paths.length} repositor${paths.length === 1 ? 'y' : 'ies'}`, 'success');
+    } else if (result.results) {
+        const failed = result.results.filter(entry => !entry.success).length;
+        showNotification(`${BULK_GIT_OPERATION_LABELS[type]} failed in ${failed} of ${paths.length} repositories`, 'error');
+    } else {
+        paths.forEach(projectPath => bulkGitState.results.delete(projectPath));
+        renderBulkGitResults();
+        showNotification(`Bulk operation failed: ${result.error}`, 'error');
+    }
+
+    if (currentProject && paths.includes(currentProject.path)) {
+        await refreshGitStatus();
+    }
+}
+
+function retryFailedBulkOperations() {
+    const failed = [...bulkGitState.results.entries()]
+        .filter(([, entry]) => entry && !entry.success)
+        .map(([projectPath]) => projectPath);
+    if (failed.length > 0 && bulkGitState.operation) {
+        runBulkGitOperation(failed, bulkGitState.operation);
+    }
+}
+
+function renderBulkGitResults() {
+    const container = document.getElementById('bulk-git-results');
+    if (!container) return;
+
+    if (bulkGitState.results.size === 0) {
+        container.innerHTML = '<div class="bulk-git-empty">Choose an operation and press Run</div>';
+        document.getElementById('bulk-git-retry-btn').disabled = true;
+        return;
+    }
+
+    const rows = [...bulkGitState.results.entries()].map(([projectPath, entry]) => {
+        const project = bulkGitState.selected.get(projectPath) || { name: projectPath.split(/[\\/]/).pop() };
+        let state = '<span class="bulk-git-state running"><span class="spinner"></span> Running</span>';
+        if (entry) {
+            state = entry.success
+                ? '<span class="bulk-git-state success"><i class="fas fa-check-circle"></i> Success</span>'
+                : '<span class="bulk-git-state failed"><i class="fas fa-times-circle"></i> Failed</span>';
+        }
+        const output = entry ? (entry.success ? entry.output : entry.error || entry.output) : '';
+
+        return `
+            <tr>
+                <td class="bulk-git-project" title="${escapeHtml(projectPath)}">${escapeHtml(project.name)}</td>
+                <td>${state}</td>
+                <td><pre class="bulk-git-output">${escapeHtml((output || '').trim()) || '<span class="bulk-git-muted">No output</span>'}</pre></td>
+            </tr>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <table class="bulk-git-table">
+            <thead><tr><th>Repository</th><th>Result</th><th>Output</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+
+    const hasFailures = [...bulkGitState.results.values()].some(entry => entry && !entry.success);
+    const running = [...bulkGitState.results.values()].some(entry => entry === null);
+    document.getElementById('bulk-git-retry-btn').disabled = !hasFailures || running;
+}
+
+function createBulkGitModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'bulk-git-modal';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 900px;">
+            <div class="modal-header">
+                <h2><i class="fab fa-git-alt"></i> Bulk Git Operations</h2>
+                <button class="modal-close-btn" onclick="hideModal('bulk-git-modal')">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <p class="bulk-git-targets" id="bulk-git-targets"></p>
+                <div class="bulk-git-options">
+                    <div class="form-group">
+                        <label for="bulk-git-operation">Operation:</label>
+                        <select id="bulk-git-operation" class="select-input" onchange="updateBulkGitOperationFields()">
+                            ${Object.entries(BULK_GIT_OPERATION_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group" id="bulk-git-branch-group">
+                        <label for="bulk-git-branch">Branch:</label>
+                        <input type="text" id="bulk-git-branch" placeholder="main">
+                    </div>
+                    <div class="form-group" id="bulk-git-command-group">
+                        <label for="bulk-git-command">Git command:</label>
+                        <input type="text" id="bulk-git-command" placeholder="log -1 --oneline">
+                    </div>
+                </div>
+                <div class="bulk-git-results" id="bulk-git-results"></div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn-secondary" onclick="hideModal('bulk-git-modal')">Close</button>
+                <button class="btn-secondary" id="bulk-git-retry-btn" onclick="retryFailedBulkOperations()" disabled>
+                    <i class="fas fa-redo"></i> Retry Failed
+                </button>
+                <button class="btn-primary" id="bulk-git-run-btn" onclick="runBulkGitOperation()">
+                    <i class="fas fa-play"></i> Run
+                </button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+ipcRenderer.on('git-bulk-progress', (event, entry) => {
+    if (entry.runId !== bulkGitState.runId) return;
+    bulkGitState.results.set(entry.projectPath, entry);
+    renderBulkGitResults();
+});
+
+// Clone
+let activeCloneId = null;
+
+function getCloneFolderName(repoUrl) {
+    return repoUrl.trim().replace(/[\\/]+$/, '').replace(/\.git$/, '').split(/[\\/:]/).pop();
+}
+
+async function startClone() {
+    if (activeCloneId) return;
+
+    const repoUrl = document.getElementById('repo-url').value.trim();
+    const cloneLocation = document.getElementById('clone-location').value.trim();
+
+    if (!repoUrl) {
+        showNotification('Please enter repository URL', 'error');
+        return;
+    }
+
+    const options = {
+        cloneId: `clone-${Date.now()}`,
+        folderName: document.getElementById('clone-folder-name').value.trim(),
+        branch: document.getElementById('clone-branch').value.trim(),
+        depth: document.getElementById('clone-depth').value,
+        singleBranch: document.getElementById('clone-single-branch').checked,
+        sparsePatterns: document.getElementById('clone-sparse-patterns').value.split('\n'),
+        recurseSubmodules: document.getElementById('clone-recurse-submodules').checked,
+        useGitHubToken: document.getElementById('clone-use-github-token').checked
+    };
+
+    activeCloneId = options.cloneId;
+    setCloneProgress('Starting clone...', 0);
+    document.getElementById('clone-progress').style.display = '';
+    document.getElementById('clone-btn').disabled = true;
+
+    const result = await ipcRenderer.invoke('clone-repository', repoUrl, cloneLocation, options);
+    activeCloneId = null;
+    document.getElementById('clone-btn').disabled = false;
+    document.getElementById('clone-progress').style.display = 'none';
+
+    if (result.cancelled) {
+        showNotification('Clone cancelled', 'warning');
+        return;
+    }
+    if (!result.success) {
+        showNotification(`Clone failed: ${result.error}`, 'error');
+        return;
+    }
+
+    showNotification(`Cloned into ${result.path}`, 'success');
+    hideModal('clone-modal');
+    resetCloneForm();
+
+    await addToRecentProjects(result.project);
+    if (document.getElementById('open-after-clone').checked) {
+        await ipcRenderer.invoke('open-in-vscode', result.path);
+    }
+}
+
+async function cancelClone() {
+    if (activeCloneId) {
+        await ipcRenderer.invoke('git-cancel-operation', activeCloneId);
+    }
+}
+
+function setCloneProgress(text, percent) {
+    document.getElementById('clone-progress-text').textContent = text;
+    document.getElementById('clone-progress-fill').style.width = `${percent}%`;
+}
+
+function resetCloneForm() {
+    ['repo-url', 'clone-folder-name', 'clone-branch', 'clone-depth', 'clone-sparse-patterns'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('clone-folder-name').dataset.edited = '';
+}
+
+ipcRenderer.on('git-clone-progress', (event, progress) => {
+    if (progress.cloneId !== activeCloneId) return;
+    setCloneProgress(`${progress.phase}: ${progress.percent}%`, progress.percent);
+});
+
+// Search projects
+async function searchProjects(query) {
+    const resultsContainer = document.getElementById('search-results');
+    resultsContainer.innerHTML = '<div class="loading"><span class="spinner"></span></div>';
+    
+    const results = await ipcRenderer.invoke('search-projects', workspacePath, query);
+    
+    resultsContainer.innerHTML = '';
+    
+    if (results.length === 0) {
+        resultsContainer.innerHTML = '<p style="color: var(--text-secondary); text-align: center;">No projects found</p>';
+    } else {
+        results.forEach(project => {
+            const item = document.createElement('div');
+            item.className = 'search-result-item';
+            item.innerHTML = `
+                <h4>${project.name}</h4>
+                <p>${project.path}</p>
+            `;
+            item.addEventListener('click', () => {
+                ipcRenderer.invoke('open-in-vscode', project.path);
+                hideModal('search-modal');
+            });
+            resultsContainer.appendChild(item);
+        });
+    }
+}
+
+// Git operations
+async function initializeGit() {
+    if (!currentProject) {
+        showNotification('Please select a project first', 'error');
+        return;
+    }
+    
+    const result = await ipcRenderer.invoke('init-git', currentProject.path);
+    if (result.success) {
+        showNotification('Git repository initialized', 'success');
+        await refreshGitStatus();
+    } else {
+        showNotification(`Failed to initialize Git: ${result.error}`, 'error');
+    }
+}
+
+// Describe a structured status entry for one side (index or worktree)
+const GIT_STATUS_LABELS = {
+    M: { status: 'Modified', icon: 'fa-edit', color: '#ce9178' },
+    A: { status: 'Added', icon: 'fa-plus', color: '#4ec9b0' },
+    D: { status: 'Deleted', icon: 'fa-trash', color: '#f48771' },
+    R: { status: 'Renamed', icon: 'fa-exchange-alt', color: '#dcdcaa' },
+    C: { status: 'Copied', icon: 'fa-copy', color: '#dcdcaa' },
+    T: { status: 'Type Changed', icon: 'fa-file-signature', color: '#ce9178' }
+};
+
+const GIT_CONFLICT_LABELS = {
+    'both-deleted': 'Both Deleted',
+    'added-by-us': 'Added by Us',
+    'deleted-by-them': 'Deleted by Them',
+    'added-by-them': 'Added by Them',
+    'deleted-by-us': 'Deleted by Us',
+    'both-added': 'Both Added',
+    'both-modified': 'Both Modified'
+};
+
+function describeGitStatus(entry, side) {
+    if (entry.type === 'untracked') {
+        return { status: 'Untracked', icon: 'fa-file', color: '#858585' };
+    }
+
+    if (entry.type === 'unmerged') {
+        return {
+            status: `Conflict: ${GIT_CONFLICT_LABELS[entry.conflict] || 'Unmerged'}`,
+            icon: 'fa-exclamation-triangle',
+            color: '#f48771'
+        };
+    }
+
+    const code = side === 'index' ? entry.index : entry.worktree;
+    const info = GIT_STATUS_LABELS[code] || { status: 'Changed', icon: 'fa-edit', color: '#ce9178' };
+    return { ...info };
+}
+
+// Show branch tracking state (ahead/behind, dirty/clean) next to the repository selector
+function updateRepoStatusBadges(branch, entries) {
+    const badgesContainer = document.getElementById('git-repo-status-badges');
+    if (!badgesContainer || !branch) return;
+
+    let html = `
+        <div class="git-status-badge watching" title="Real-time file monitoring active">
+            <i class="fas fa-eye"></i>
+            <span>Watching</span>
+        </div>
+    `;
+
+    html += entries.length > 0
+        ? `<div class="git-status-badge dirty"><i class="fas fa-circle"></i><span>${entries.length} changed</span></div>`
+        : '<div class="git-status-badge clean"><i class="fas fa-check"></i><span>Clean</span></div>';
+
+    if (branch.ahead > 0) {
+        html += `<div class="git-status-badge ahead" title="Commits not yet pushed to ${escapeHtml(branch.upstream || '')}"><i class="fas fa-arrow-up"></i><span>${branch.ahead}</span></div>`;
+    }
+    if (branch.behind > 0) {
+        html += `<div class="git-status-badge behind" title="Commits available from ${escapeHtml(branch.upstream || '')}"><i class="fas fa-arrow-down"></i><span>${branch.behind}</span></div>`;
+    }
+
+    badgesContainer.innerHTML = html;
+    updateStatusBarBranch(branch);
+
+    const branchEl = document.getElementById('git-branch');
+    if (branchEl) {
+        branchEl.textContent = branch.detached
+            ? `detached @ ${(branch.oid || '').substring(0, 7)}`
+            : (branch.head || 'main');
+    }
+}
+
+// Show the current branch and its ahead/behind counts in the status bar
+// Accepts both git-status-detailed branch info ({ head }) and auto-fetch updates ({ branch })
+function updateStatusBarBranch(tracking) {
+    const nameEl = document.getElementById('status-git-branch-name');
+    const trackingEl = document.getElementById('status-git-tracking');
+    if (!nameEl || !trackingEl || !tracking) return;
+
+    const name = tracking.detached
+        ? `detached @ ${(tracking.oid || '').substring(0, 7)}`
+        : (tracking.head || tracking.branch || 'main');
+    nameEl.textContent = name;
+
+    let html = '';
+    if (tracking.ahead > 0) html += ` <i class="fas fa-arrow-up"></i> ${tracking.ahead}`;
+    if (tracking.behind > 0) html += ` <i class="fas fa-arrow-down"></i> ${tracking.behind}`;
+    trackingEl.innerHTML = html;
+    trackingEl.title = tracking.upstream ? `Tracking ${tracking.upstream}` : '';
+}
+
+// Tell the auto-fetch scheduler which repository is open
+let autoFetchProjectPath = null;
+let autoFetchBehind = 0; // last behind count reported, so each batch of incoming commits is announced once
+function syncAutoFetchProject() {
+    const projectPath = currentProject ? currentProject.path : null;
+    if (projectPath !== autoFetchProjectPath) {
+        autoFetchProjectPath = projectPath;
+        autoFetchBehind = 0;
+        ipcRenderer.invoke('set-auto-fetch-project', projectPath);
+    }
+}
+
+// Debounced refresh with lazy rendering
+let gitRefreshTimeout = null;
+async function refreshGitStatus() {
+    syncAutoFetchProject();
+    loadUndoRedoState();
+    loadCommitRules();
+    loadSigningConfig();
+
+    // If changes tab is not active, mark for later refresh
+    if (currentGitTab !== 'changes') {
+        gitStatusNeedsRefresh = true;
+        return;
+    }
+
+    // Debounce rapid refresh calls
+    if (gitRefreshTimeout) {
+        clearTimeout(gitRefreshTimeout);
+    }
+
+    gitRefreshTimeout = setTimeout(() => {
+        refreshGitStatusNow();
+    }, 150);
+}
+
+async function refreshGitStatusNow() {
+    gitStatusNeedsRefresh = false;
+
+    const statusContainer = document.getElementById('git-status');
+
+    if (!statusContainer) {
+        console.error('[GIT] git-status element not found in DOM');
+        return;
+    }
+
+    if (!currentProject) {
+        statusContainer.innerHTML = `
+            <div class="git-empty-state">
+                <i class="fab fa-git-alt" style="font-size: 48px; color: var(--text-secondary); opacity: 0.3;"></i>
+                <p>No repository loaded</p>
+                <p class="git-hint">Select a project to view git status</p>
+            </div>
+        `;
+        return;
+    }
+
+    const result = await ipcRenderer.invoke('git-status-detailed', currentProject.path);
+
+    if (!result.success) {
+        statusContainer.innerHTML = `
+            <div class="git-not-initialized">
+                <i class="fab fa-git-alt" style="font-size: 48px; color: var(--warning); opacity: 0.5;"></i>
+                <p style="color: var(--text-primary); margin: 16px 0 8px 0; font-weight: 500;">Not a git repository</p>
+                <p style="color: var(--text-secondary); font-size: 13px; margin-bottom: 16px;">Initialize git to start version control</p>
+                <button class="btn-primary" onclick="initializeGit()">
+                    <i class="fas fa-play"></i> Initialize Git
+                </button>
+            </div>
+        `;
+        return;
+    }
+
+    gitStatus = { branch: result.branch, entries: result.entries };
+    updateRepoStatusBadges(result.branch, result.entries);
+
+    if (result.entries.length === 0) {
+        statusContainer.innerHTML = `
+            <div class="git-clean-state">
+                <i class="fas fa-check-circle" style="font-size: 48px; color: var(--success); opacity: 0.6;"></i>
+                <p style="color: var(--text-primary); margin: 16px 0 4px 0; font-weight: 500;">Working tree clean</p>
+                <p style="color: var(--text-secondary); font-size: 13px;">No changes to commit</p>
             </div>
         `;
 
@@ -3034,71 +3722,29 @@ async function refreshGitStatusNow() {
         return;
     }
 
-    // Parse git status output
-    const files = result.output.split('\n').filter(line => line.trim());
+    // Split structured entries into staged, unstaged and untracked lists
+    const files = result.entries;
     const stagedFiles = [];
     const unstagedFiles = [];
     const untrackedFiles = [];
 
-    files.forEach(file => {
-        const statusCode = file.substring(0, 2);
-        const filename = file.substring(3).trim();
+    files.forEach(entry => {
+        if (entry.type === 'untracked') {
+            untrackedFiles.push({ filename: entry.path, entry, ...describeGitStatus(entry, 'worktree') });
+            return;
+        }
 
-        const fileInfo = {
-            filename,
-            statusCode,
-            status: '',
-            icon: '',
-            color: ''
-        };
+        if (entry.type === 'unmerged') {
+            unstagedFiles.push({ filename: entry.path, entry, ...describeGitStatus(entry, 'worktree') });
+            return;
+        }
 
-        // Parse status codes (XY format: X = staged, Y = unstaged)
-        const staged = statusCode[0];
-        const unstaged = statusCode[1];
-
-        if (staged !== ' ' && staged !== '?') {
-            // File is staged
-            if (staged === 'M') {
-                fileInfo.status = 'Modified';
-                fileInfo.icon = 'fa-edit';
-                fileInfo.color = '#ce9178';
-            } else if (staged === 'A') {
-                fileInfo.status = 'Added';
-                fileInfo.icon = 'fa-plus';
-                fileInfo.color = '#4ec9b0';
-            } else if (staged === 'D') {
-                fileInfo.status = 'Deleted';
-                fileInfo.icon = 'fa-trash';
-                fileInfo.color = '#f48771';
-            } else if (staged === 'R') {
-                fileInfo.status = 'Renamed';
-                fileInfo.icon = 'fa-exchange-alt';
-                fileInfo.color = '#dcdcaa';
-            }
-            stagedFiles.push({...fileInfo});
-        }
-
-        if (unstaged !== ' ') {
-            // File has unstaged changes
-            if (unstaged === 'M') {
-                fileInfo.status = 'Modified';
-                fileInfo.icon = 'fa-edit';
-                fileInfo.color = '#ce9178';
-            } else if (unstaged === 'D') {
-                fileInfo.status = 'Deleted';
-                fileInfo.icon = 'fa-trash';
-                fileInfo.color = '#f48771';
-            }
+        if (entry.staged) {
+            stagedFiles.push({ filename: entry.path, entry, ...describeGitStatus(entry, 'index') });
+        }
 
-            if (statusCode === '??') {
-                // Untracked file
-                fileInfo.status = 'Untracked';
-                fileInfo.icon = 'fa-file';
-                fileInfo.color = '#858585';
-                untrackedFiles.push({...fileInfo});
-            } else {
-                unstagedFiles.push({...fileInfo});
-            }
+        if (entry.unstaged) {
+            unstagedFiles.push({ filename: entry.path, entry, ...describeGitStatus(entry, 'worktree') });
         }
     });
 
@@ -3183,6 +3829,16 @@ async function refreshGitStatusNow() {
         return html;
     }
 
+    // "Submodule changed" indicator: new commits, modified content and/or untracked files inside it
+    function renderSubmoduleBadge(state) {
+        const changes = [
+            state.commitChanged && 'new commits',
+            state.trackedChanges && 'modified content',
+            state.untrackedChanges && 'untracked files'
+        ].filter(Boolean);
+        return `<span class="git-submodule-badge" title="Submodule changed: ${changes.join(', ') || 'no changes'}"><i class="fas fa-cube"></i> submodule</span>`;
+    }
+
     // Helper function to render a single file item
     function renderFileItem(file, type) {
         const checkboxClass = type === 'staged' ? 'staged-checkbox' : 'unstaged-checkbox';
@@ -3202,13 +3858,18 @@ async function refreshGitStatusNow() {
                 <input type="checkbox" class="git-file-checkbox ${checkboxClass}"
                        onchange="update${type === 'staged' ? 'Staged' : 'Unstaged'}SelectionState()"
                        onclick="event.stopPropagation()">
-                <div class="git-file-info" onclick="viewFileDiff('${file.filename}')">
+                <div class="git-file-info" onclick="${file.entry && file.entry.type === 'unmerged' ? `showConflictResolver('${file.filename}')` : file.entry && file.entry.submodule ? 'showSubmodules()' : `viewFileDiff('${file.filename}', '${type}')`}"${file.entry && file.entry.origPath ? ` title="${escapeHtml(file.entry.origPath)} → ${escapeHtml(file.filename)}"` : ''}>
                     <i class="fas ${file.icon}" style="color: ${file.color};"></i>
                     <span class="git-file-name">${file.filename.split('/').pop()}</span>
                     ${file.filename.includes('/') ? `<span class="git-file-path">${file.filename.split('/').slice(0, -1).join('/')}/</span>` : ''}
+                    ${file.entry && file.entry.submodule ? renderSubmoduleBadge(file.entry.submodule) : ''}
+                    ${file.entry && file.entry.lfs ? '<span class="git-lfs-badge" title="Stored in Git LFS"><i class="fas fa-database"></i> LFS</span>' : ''}
                     <span class="git-file-status" style="color: ${file.color};">${file.status}</span>
                 </div>
                 <div class="git-file-actions">
+                    ${file.entry && file.entry.type !== 'untracked' ? `<button class="btn-icon-sm" onclick="event.stopPropagation(); showFileBlame('${file.filename}')" title="Blame">
+                        <i class="fas fa-user-edit"></i>
+                    </button>` : ''}
                     ${stageButton}
                 </div>
             </div>
@@ -3614,6 +4275,12 @@ function initializeProjectsView() {
         });
     });
 
+    // Bulk git operations
+    document.getElementById('bulk-git-btn')?.addEventListener('click', () => toggleBulkSelectMode());
+    document.getElementById('projects-bulk-select-all')?.addEventListener('click', selectAllBulkProjects);
+    document.getElementById('projects-bulk-clear')?.addEventListener('click', () => toggleBulkSelectMode(false));
+    document.getElementById('projects-bulk-run')?.addEventListener('click', showBulkGitModal);
+
     // Update stats when view loads
     updateProjectStats();
 }
@@ -4840,54 +5507,504 @@ async function unstageSelected() {
     }
 }
 
-async function viewFileDiff(filename) {
+// Diff currently shown in the diff modal: { source, view, expanded }
+let currentDiffContext = null;
+
+const DIFF_CONTEXT_LINES = 3;
+const DIFF_PREFERENCES_KEY = 'diffViewPreferences';
+let diffViewPreferences = { mode: 'side-by-side', ignoreWhitespace: false };
+
+try {
+    Object.assign(diffViewPreferences, JSON.parse(localStorage.getItem(DIFF_PREFERENCES_KEY) || '{}'));
+} catch {
+    // Keep the defaults when the stored preferences are unreadable
+}
+
+async function viewFileDiff(filename, type = 'unstaged') {
+    await showDiffView({ type: type === 'staged' ? 'staged' : 'unstaged', path: filename });
+}
+
+async function viewCommitFileDiff(hash, filePath, origPath = null) {
+    await showDiffView({ type: 'commit', ref: hash, path: filePath, origPath });
+}
+
+// Open the diff viewer for a working tree, staged, commit or stash file
+async function showDiffView(source) {
     if (!currentProject) {
         showNotification('No project selected', 'error');
         return;
     }
 
-    const result = await ipcRenderer.invoke('git-diff', currentProject.path, filename);
-    if (result.success) {
-        showDiffModal(filename, result.output);
-    } else {
+    const result = await ipcRenderer.invoke('git-diff-view', currentProject.path, source);
+    if (!result.success) {
         showNotification(`Failed to get diff: ${result.error}`, 'error');
+        return;
     }
-}
 
-// Show diff in a modal
-function showDiffModal(filename, diffOutput) {
-    const modal = document.getElementById('git-diff-modal');
-    if (!modal) {
+    if (!document.getElementById('git-diff-modal')) {
         createDiffModal();
-        showDiffModal(filename, diffOutput);
-        return;
     }
 
-    document.getElementById('diff-filename').textContent = filename;
-    const diffContent = document.getElementById('diff-content');
+    // Keep the diff above whichever modal opened it
+    const modal = document.getElementById('git-diff-modal');
+    document.body.appendChild(modal);
 
-    // Parse and format diff output
-    if (!diffOutput || diffOutput.trim() === '') {
-        diffContent.innerHTML = '<div style="padding: 20px; text-align: center; color: var(--text-secondary);">No changes to display</div>';
-    } else {
-        const lines = diffOutput.split('\n');
-        let html = '<pre class="diff-pre">';
-        lines.forEach(line => {
-            let className = '';
-            if (line.startsWith('+') && !line.startsWith('+++')) {
-                className = 'diff-added';
-            } else if (line.startsWith('-') && !line.startsWith('---')) {
-                className = 'diff-removed';
-            } else if (line.startsWith('@@')) {
-                className = 'diff-info';
-            }
-            html += `<div class="${className}">${escapeHtml(line)}</div>`;
+    currentDiffContext = { source, view: result, expanded: new Set() };
+    renderDiffView();
+    showModal('git-diff-modal');
+}
+
+function getDiffSourceLabel(source) {
+    switch (source.type) {
+        case 'staged': return 'Staged';
+        case 'commit': return `Commit ${source.ref.substring(0, 7)}`;
+        case 'stash': return source.ref;
+        default: return 'Working Tree';
+    }
+}
+
+function setDiffViewPreference(key, value) {
+    diffViewPreferences[key] = value;
+    localStorage.setItem(DIFF_PREFERENCES_KEY, JSON.stringify(diffViewPreferences));
+    renderDiffView();
+}
+
+function toggleDiffRegion(regionId) {
+    const { expanded } = currentDiffContext;
+    if (expanded.has(regionId)) {
+        expanded.delete(regionId);
+    } else {
+        expanded.add(regionId);
+    }
+    renderDiffView();
+}
+
+function toggleAllDiffRegions() {
+    const context = currentDiffContext;
+    const regionIds = [...document.querySelectorAll('#diff-content [data-region]')]
+        .map(el => parseInt(el.dataset.region, 10));
+    const allExpanded = regionIds.length > 0 && regionIds.every(id => context.expanded.has(id));
+    context.expanded = allExpanded ? new Set() : new Set(regionIds);
+    renderDiffView();
+}
+
+// Turn a jsdiff structured patch into the same hunk shape the main process parses from git
+function computeDiffHunks(oldText, newText, ignoreWhitespace) {
+    const patch = Diff.structuredPatch('a', 'b', oldText, newText, '', '', {
+        context: DIFF_CONTEXT_LINES,
+        ignoreWhitespace
+    });
+
+    return patch.hunks.map(hunk => ({
+        header: `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`,
+        oldStart: hunk.oldStart,
+        oldLines: hunk.oldLines,
+        newStart: hunk.newStart,
+        newLines: hunk.newLines,
+        lines: hunk.lines.map(line => {
+            if (line.startsWith('\\')) return { type: 'noeol', content: line };
+            const type = line[0] === '+' ? 'add' : line[0] === '-' ? 'del' : 'context';
+            return { type, content: line.substring(1) };
+        })
+    }));
+}
+
+// Git's hunks can be staged line by line; with whitespace ignored, or when git shows no hunks
+// (untracked files), jsdiff recomputes them from both versions for display only
+function getDisplayHunks(view, ignoreWhitespace) {
+    const gitHunks = view.file ? view.file.hunks : [];
+    const hasContent = view.oldContent !== null || view.newContent !== null;
+
+    if ((ignoreWhitespace || gitHunks.length === 0) && hasContent && !view.binary) {
+        return { hunks: computeDiffHunks(view.oldContent || '', view.newContent || '', ignoreWhitespace), fromGit: false };
+    }
+    return { hunks: gitHunks, fromGit: true };
+}
+
+function splitContentLines(content) {
+    if (content === null) return null;
+    const lines = content.split('\n').map(line => line.replace(/\r$/, ''));
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+// Build display rows: hunk headers, context, paired change blocks and the unchanged regions between hunks
+function buildDiffRows(hunks, view) {
+    const newLines = splitContentLines(view.newContent);
+    const oldLines = splitContentLines(view.oldContent);
+    const rows = [];
+    let oldNext = 1;
+    let newNext = 1;
+    let regionId = 0;
+
+    const pushGap = (count) => {
+        if (count <= 0) return;
+        // Unchanged lines read the same on both sides, so either version can supply the text
+        const lines = newLines
+            ? newLines.slice(newNext - 1, newNext - 1 + count)
+            : oldLines ? oldLines.slice(oldNext - 1, oldNext - 1 + count) : null;
+        rows.push({ kind: 'region', id: regionId++, count, oldStart: oldNext, newStart: newNext, lines });
+        oldNext += count;
+        newNext += count;
+    };
+
+    hunks.forEach((hunk, hunkIndex) => {
+        const firstNew = hunk.newLines > 0 ? hunk.newStart : hunk.newStart + 1;
+        pushGap(firstNew - newNext);
+        oldNext = hunk.oldLines > 0 ? hunk.oldStart : hunk.oldStart + 1;
+        newNext = firstNew;
+
+        rows.push({ kind: 'hunk', hunkIndex, header: hunk.header });
+
+        let block = null;
+        hunk.lines.forEach((line, lineIndex) => {
+            if (line.type === 'del' || line.type === 'add') {
+                if (!block) {
+                    block = { kind: 'change', hunkIndex, dels: [], adds: [] };
+                    rows.push(block);
+                }
+                if (line.type === 'del') {
+                    block.dels.push({ number: oldNext++, content: line.content, lineIndex });
+                } else {
+                    block.adds.push({ number: newNext++, content: line.content, lineIndex });
+                }
+                return;
+            }
+
+            block = null;
+            if (line.type === 'noeol') {
+                rows.push({ kind: 'noeol', content: line.content });
+            } else {
+                rows.push({ kind: 'context', oldNumber: oldNext++, newNumber: newNext++, content: line.content });
+            }
         });
-        html += '</pre>';
-        diffContent.innerHTML = html;
+    });
+
+    const totalLines = newLines ? newLines.length : oldLines ? oldLines.length + newNext - oldNext : newNext - 1;
+    pushGap(totalLines - newNext + 1);
+    return rows;
+}
+
+// Word-level highlighting for a removed/added line pair; skipped when the lines share too little
+function highlightWordChanges(oldText, newText) {
+    const plain = { old: escapeHtml(oldText), new: escapeHtml(newText) };
+    if (oldText.length + newText.length > 2000) return plain;
+
+    const parts = Diff.diffWordsWithSpace(oldText, newText);
+    const unchanged = parts.filter(part => !part.added && !part.removed)
+        .reduce((sum, part) => sum + part.value.length, 0);
+    if (unchanged < Math.max(oldText.length, newText.length) * 0.3) return plain;
+
+    let oldHtml = '';
+    let newHtml = '';
+    parts.forEach(part => {
+        const text = escapeHtml(part.value);
+        if (part.removed) {
+            oldHtml += `<span class="diff-word-del">${text}</span>`;
+        } else if (part.added) {
+            newHtml += `<span class="diff-word-add">${text}</span>`;
+        } else {
+            oldHtml += text;
+            newHtml += text;
+        }
+    });
+    return { old: oldHtml, new: newHtml };
+}
+
+function renderDiffView() {
+    const context = currentDiffContext;
+    if (!context) return;
+
+    const { source, view } = context;
+    const { mode, ignoreWhitespace } = diffViewPreferences;
+    const isWorkingSource = source.type === 'unstaged' || source.type === 'staged';
+    const { hunks, fromGit } = getDisplayHunks(view, ignoreWhitespace);
+    const stageable = isWorkingSource && fromGit && !view.binary && !view.lfs && hunks.length > 0;
+    context.stageable = stageable;
+
+    document.getElementById('diff-filename').textContent = source.path;
+    document.getElementById('diff-source-badge').textContent = getDiffSourceLabel(source);
+
+    const toolbar = document.getElementById('diff-selection-toolbar');
+    const staged = source.type === 'staged';
+    toolbar.style.display = 'flex';
+    toolbar.innerHTML = `
+        <div class="diff-view-options">
+            <div class="diff-mode-toggle">
+                <button class="${mode === 'side-by-side' ? 'active' : ''}" onclick="setDiffViewPreference('mode', 'side-by-side')" title="Side by side">
+                    <i class="fas fa-columns"></i>
+                </button>
+                <button class="${mode === 'inline' ? 'active' : ''}" onclick="setDiffViewPreference('mode', 'inline')" title="Inline">
+                    <i class="fas fa-align-justify"></i>
+                </button>
+            </div>
+            <label class="checkbox-label">
+                <input type="checkbox" ${ignoreWhitespace ? 'checked' : ''} onchange="setDiffViewPreference('ignoreWhitespace', this.checked)">
+                <span>Ignore whitespace</span>
+            </label>
+            <button class="btn-icon-small" onclick="toggleAllDiffRegions()" title="Expand or collapse unchanged regions">
+                <i class="fas fa-arrows-alt-v"></i>
+            </button>
+        </div>
+        <div class="diff-selection-actions">
+            ${stageable ? `
+                <span class="diff-selection-hint"><i class="fas fa-mouse-pointer"></i> Click changed lines to select them</span>
+                ${staged
+                    ? '<button class="btn-secondary" onclick="applyDiffSelection(\'unstage\')"><i class="fas fa-minus"></i> Unstage Selected Lines</button>'
+                    : `<button class="btn-secondary" onclick="applyDiffSelection('discard')"><i class="fas fa-undo"></i> Discard Selected Lines</button>
+                       <button class="btn-primary" onclick="applyDiffSelection('stage')"><i class="fas fa-plus"></i> Stage Selected Lines</button>`}
+            ` : isWorkingSource && ignoreWhitespace && hunks.length > 0
+                ? '<span class="diff-selection-hint">Turn off "Ignore whitespace" to stage or discard lines</span>'
+                : ''}
+        </div>
+    `;
+
+    const diffContent = document.getElementById('diff-content');
+
+    // LFS files: describe the objects rather than show pointer text or binary content
+    if (view.lfs) {
+        const describeObject = (object) => object
+            ? `${formatLfsSize(object.size)}${object.oid ? ` <code title="sha256:${object.oid}">${object.oid.substring(0, 10)}</code>` : ''}`
+            : 'none';
+        diffContent.innerHTML = `
+            <div class="diff-notice">
+                <i class="fas fa-database"></i>
+                <p><span class="git-lfs-badge">LFS object</span> Stored in Git LFS - contents are not shown</p>
+                <span>Before: ${describeObject(view.lfs.old)} &nbsp; After: ${describeObject(view.lfs.new)}</span>
+            </div>
+        `;
+        return;
     }
 
-    showModal('git-diff-modal');
+    if (view.binary) {
+        const formatSize = (size) => size === null ? 'none' : `${size.toLocaleString()} bytes`;
+        diffContent.innerHTML = `
+            <div class="diff-notice">
+                <i class="fas fa-file-alt"></i>
+                <p>Binary file - contents are not shown</p>
+                <span>Before: ${formatSize(view.oldSize)} &nbsp; After: ${formatSize(view.newSize)}</span>
+            </div>
+        `;
+        return;
+    }
+
+    if (hunks.length === 0) {
+        let message = 'No changes to display';
+        if (ignoreWhitespace && view.file && view.file.hunks.length > 0) {
+            message = 'Only whitespace changed';
+        } else if (view.file && view.file.oldPath !== view.file.newPath) {
+            message = `Renamed from ${escapeHtml(view.file.oldPath)} without content changes`;
+        }
+        diffContent.innerHTML = `<div class="diff-notice"><p>${message}</p></div>`;
+        return;
+    }
+
+    const rows = buildDiffRows(hunks, view);
+    diffContent.innerHTML = mode === 'inline'
+        ? renderInlineDiff(rows, stageable)
+        : renderSideBySideDiff(rows, stageable);
+}
+
+function renderDiffRegionRow(row, columns) {
+    const { expanded } = currentDiffContext;
+    if (row.lines && expanded.has(row.id)) {
+        return row.lines.map((content, offset) => columns({
+            kind: 'context',
+            oldNumber: row.oldStart + offset,
+            newNumber: row.newStart + offset,
+            content
+        })).join('') + `
+            <tr class="diff-region-row" data-region="${row.id}" onclick="toggleDiffRegion(${row.id})">
+                <td colspan="4"><i class="fas fa-compress-alt"></i> Collapse ${row.count} unchanged line${row.count === 1 ? '' : 's'}</td>
+            </tr>
+        `;
+    }
+
+    return `
+        <tr class="diff-region-row" data-region="${row.id}" ${row.lines ? `onclick="toggleDiffRegion(${row.id})"` : ''}>
+            <td colspan="4"><i class="fas fa-expand-alt"></i> ${row.count} unchanged line${row.count === 1 ? '' : 's'}${row.lines ? '' : ' (file too large to expand)'}</td>
+        </tr>
+    `;
+}
+
+function renderDiffHunkRow(row, stageable) {
+    const staged = currentDiffContext.source.type === 'staged';
+    return `
+        <tr class="diff-hunk-row">
+            <td colspan="4">
+                <div class="diff-hunk-header">
+                    <span class="diff-hunk-title">${escapeHtml(row.header)}</span>
+                    ${stageable ? `
+                        <span class="diff-hunk-actions">
+                            ${staged
+                                ? `<button class="btn-icon-small" onclick="applyDiffSelection('unstage', ${row.hunkIndex})" title="Unstage Hunk"><i class="fas fa-minus"></i></button>`
+                                : `<button class="btn-icon-small" onclick="applyDiffSelection('discard', ${row.hunkIndex})" title="Discard Hunk"><i class="fas fa-undo"></i></button>
+                                   <button class="btn-icon-small" onclick="applyDiffSelection('stage', ${row.hunkIndex})" title="Stage Hunk"><i class="fas fa-plus"></i></button>`}
+                        </span>
+                    ` : ''}
+                </div>
+            </td>
+        </tr>
+    `;
+}
+
+// Attributes that make a changed line selectable for partial staging
+function diffSelectAttributes(hunkIndex, lineIndex, stageable) {
+    return stageable
+        ? `data-hunk="${hunkIndex}" data-line="${lineIndex}" onclick="toggleDiffLineSelection(this)"`
+        : '';
+}
+
+function renderSideBySideDiff(rows, stageable) {
+    const contextRow = (row) => `
+        <tr>
+            <td class="diff-line-number">${row.oldNumber}</td>
+            <td class="diff-code">${escapeHtml(row.content)}</td>
+            <td class="diff-line-number">${row.newNumber}</td>
+            <td class="diff-code">${escapeHtml(row.content)}</td>
+        </tr>
+    `;
+
+    let html = `<table class="diff-table diff-side-by-side">
+        <colgroup><col class="diff-col-number"><col><col class="diff-col-number"><col></colgroup>`;
+    rows.forEach(row => {
+        if (row.kind === 'region') {
+            html += renderDiffRegionRow(row, contextRow);
+        } else if (row.kind === 'hunk') {
+            html += renderDiffHunkRow(row, stageable);
+        } else if (row.kind === 'context') {
+            html += contextRow(row);
+        } else if (row.kind === 'noeol') {
+            html += `<tr><td></td><td class="diff-code diff-noeol" colspan="3">${escapeHtml(row.content)}</td></tr>`;
+        } else {
+            const pairs = Math.max(row.dels.length, row.adds.length);
+            for (let i = 0; i < pairs; i++) {
+                const del = row.dels[i];
+                const add = row.adds[i];
+                const words = del && add ? highlightWordChanges(del.content, add.content) : null;
+
+                html += '<tr>';
+                html += del
+                    ? `<td class="diff-line-number diff-removed">${del.number}</td>
+                       <td class="diff-code diff-removed diff-line ${stageable ? 'diff-selectable' : ''}" ${diffSelectAttributes(row.hunkIndex, del.lineIndex, stageable)}>${words ? words.old : escapeHtml(del.content)}</td>`
+                    : '<td class="diff-line-number diff-empty"></td><td class="diff-code diff-empty"></td>';
+                html += add
+                    ? `<td class="diff-line-number diff-added">${add.number}</td>
+                       <td class="diff-code diff-added diff-line ${stageable ? 'diff-selectable' : ''}" ${diffSelectAttributes(row.hunkIndex, add.lineIndex, stageable)}>${words ? words.new : escapeHtml(add.content)}</td>`
+                    : '<td class="diff-line-number diff-empty"></td><td class="diff-code diff-empty"></td>';
+                html += '</tr>';
+            }
+        }
+    });
+    html += '</table>';
+    return html;
+}
+
+function renderInlineDiff(rows, stageable) {
+    const contextRow = (row) => `
+        <tr>
+            <td class="diff-line-number">${row.oldNumber}</td>
+            <td class="diff-line-number">${row.newNumber}</td>
+            <td class="diff-code" colspan="2"> ${escapeHtml(row.content)}</td>
+        </tr>
+    `;
+
+    let html = `<table class="diff-table diff-inline">
+        <colgroup><col class="diff-col-number"><col class="diff-col-number"><col><col></colgroup>`;
+    rows.forEach(row => {
+        if (row.kind === 'region') {
+            html += renderDiffRegionRow(row, contextRow);
+        } else if (row.kind === 'hunk') {
+            html += renderDiffHunkRow(row, stageable);
+        } else if (row.kind === 'context') {
+            html += contextRow(row);
+        } else if (row.kind === 'noeol') {
+            html += `<tr><td></td><td></td><td class="diff-code diff-noeol" colspan="2">${escapeHtml(row.content)}</td></tr>`;
+        } else {
+            // Pair lines in order so word highlights line up with their counterpart
+            const words = row.dels.map((del, i) => row.adds[i] ? highlightWordChanges(del.content, row.adds[i].content) : null);
+            row.dels.forEach((del, i) => {
+                html += `
+                    <tr class="diff-removed diff-line ${stageable ? 'diff-selectable' : ''}" ${diffSelectAttributes(row.hunkIndex, del.lineIndex, stageable)}>
+                        <td class="diff-line-number">${del.number}</td>
+                        <td class="diff-line-number"></td>
+                        <td class="diff-code" colspan="2">-${words[i] ? words[i].old : escapeHtml(del.content)}</td>
+                    </tr>
+                `;
+            });
+            row.adds.forEach((add, i) => {
+                html += `
+                    <tr class="diff-added diff-line ${stageable ? 'diff-selectable' : ''}" ${diffSelectAttributes(row.hunkIndex, add.lineIndex, stageable)}>
+                        <td class="diff-line-number"></td>
+                        <td class="diff-line-number">${add.number}</td>
+                        <td class="diff-code" colspan="2">+${words[i] ? words[i].new : escapeHtml(add.content)}</td>
+                    </tr>
+                `;
+            });
+        }
+    });
+    html += '</table>';
+    return html;
+}
+
+// Blame the revision the diff shows; working tree and staged diffs blame the working copy
+function blameCurrentDiffFile() {
+    if (!currentDiffContext) return;
+    const { source } = currentDiffContext;
+    showFileBlame(source.path, source.type === 'commit' || source.type === 'stash' ? source.ref : null);
+}
+
+function toggleDiffLineSelection(lineElement) {
+    lineElement.classList.toggle('selected');
+}
+
+// Stage, unstage or discard a whole hunk, or the selected lines when no hunk is given
+async function applyDiffSelection(action, hunkIndex = null) {
+    if (!currentProject || !currentDiffContext || !currentDiffContext.stageable) return;
+
+    let selection;
+    if (hunkIndex !== null) {
+        selection = [{ hunk: hunkIndex, lines: null }];
+    } else {
+        const byHunk = {};
+        document.querySelectorAll('#diff-content .diff-line.selected').forEach(el => {
+            const hunk = parseInt(el.dataset.hunk, 10);
+            if (!byHunk[hunk]) byHunk[hunk] = [];
+            byHunk[hunk].push(parseInt(el.dataset.line, 10));
+        });
+        selection = Object.keys(byHunk).map(hunk => ({ hunk: parseInt(hunk, 10), lines: byHunk[hunk] }));
+    }
+
+    if (selection.length === 0) {
+        showNotification('No lines selected', 'warning');
+        return;
+    }
+
+    if (action === 'discard') {
+        const confirmed = confirm('Discard the selected changes? This cannot be undone.');
+        if (!confirmed) return;
+    }
+
+    const { source } = currentDiffContext;
+    const filename = source.path;
+    const result = await ipcRenderer.invoke('git-apply-selection', currentProject.path, filename, action, selection);
+
+    if (result.success) {
+        const verb = action === 'stage' ? 'Staged' : action === 'unstage' ? 'Unstaged' : 'Discarded';
+        showNotification(`${verb} selected changes in ${filename}`, 'success');
+        await refreshGitStatus();
+
+        // Reload the diff so remaining hunks can be handled without reopening
+        const refreshed = await ipcRenderer.invoke('git-diff-view', currentProject.path, source);
+        if (refreshed.success && refreshed.file && refreshed.file.hunks.length > 0) {
+            currentDiffContext.view = refreshed;
+            renderDiffView();
+        } else {
+            hideModal('git-diff-modal');
+        }
+    } else {
+        showNotification(`Failed to apply selection: ${result.error}`, 'error');
+    }
 }
 
 // Create diff modal dynamically if it doesn't exist
@@ -4896,24 +6013,36 @@ function createDiffModal() {
     modal.className = 'modal';
     modal.id = 'git-diff-modal';
     modal.innerHTML = `
-        <div class="modal-content" style="max-width: 900px;">
+        <div class="modal-content" style="max-width: 1300px; width: 95%;">
             <div class="modal-header">
-                <h2><i class="fas fa-code-branch"></i> File Diff: <span id="diff-filename"></span></h2>
+                <h2><i class="fas fa-code-branch"></i> File Diff: <span id="diff-filename"></span> <span class="diff-source-badge" id="diff-source-badge"></span></h2>
+                <div class="diff-header-actions">
+                    <button class="btn-secondary" onclick="blameCurrentDiffFile()" title="Blame this file">
+                        <i class="fas fa-user-edit"></i> Blame
+                    </button>
+                    <button class="btn-secondary" onclick="showFileHistory(currentDiffContext.source.path)" title="Commits touching this file">
+                        <i class="fas fa-history"></i> History
+                    </button>
+                </div>
                 <button class="modal-close-btn" onclick="hideModal('git-diff-modal')">
                     <i class="fas fa-times"></i>
                 </button>
             </div>
             <div class="modal-body">
-                <div id="diff-content" style="max-height: 600px; overflow-y: auto; background: var(--bg-tertiary); border-radius: 4px;"></div>
+                <div class="diff-selection-toolbar" id="diff-selection-toolbar" style="display: none;"></div>
+                <div id="diff-content" class="diff-content"></div>
             </div>
             <div class="modal-footer">
-                <button class="btn-secondary modal-close">Close</button>
+                <button class="btn-secondary" onclick="hideModal('git-diff-modal')">Close</button>
             </div>
         </div>
     `;
     document.body.appendChild(modal);
 }
 
+// Branches shown in the branch list, with the default branch they are compared against
+let branchListState = { branches: [], defaultBranch: null };
+
 // Load branches for display
 async function loadBranches() {
     if (!currentProject) return;
@@ -4921,11 +6050,12 @@ async function loadBranches() {
     const result = await ipcRenderer.invoke('git-branches', currentProject.path);
     if (!result.success) return;
 
-    const branches = result.output.split('\n').filter(b => b.trim());
     const branchList = document.getElementById('git-branch-list');
 
     if (!branchList) return;
 
+    branchListState = { branches: result.branches, defaultBranch: result.defaultBranch };
+
     let html = `
         <div class="git-card-header">
             <h3><i class="fas fa-code-branch"></i> Branches</h3>
@@ -4936,25 +6066,170 @@ async function loadBranches() {
         <div class="git-card-body">
     `;
 
-    branches.forEach(branch => {
-        const isActive = branch.trim().startsWith('*');
-        const branchName = branch.replace('*', '').trim().replace(/^remotes\//, '');
-        const isRemote = branch.includes('remotes/');
+    result.branches.forEach((branch, index) => {
+        if (branch.remote) return;
+        html += renderBranchItem(branch, index);
+    });
 
+    const remoteBranches = result.branches.filter(branch => branch.remote);
+    if (remoteBranches.length > 0) {
         html += `
-            <div class="git-branch-item ${isActive ? 'active' : ''}" onclick="${!isActive && !isRemote ? `switchBranch('${branchName}')` : ''}">
-                <i class="fas fa-code-branch" style="color: ${isActive ? 'var(--accent-primary)' : 'var(--text-secondary)'}"></i>
-                <span style="flex: 1;">${branchName}</span>
-                ${isActive ? '<i class="fas fa-check" style="color: var(--success);"></i>' : ''}
-                ${!isActive && !isRemote ? `<button class="btn-icon-small" onclick="event.stopPropagation(); deleteBranch('${branchName}')" title="Delete Branch"><i class="fas fa-trash"></i></button>` : ''}
-            </div>
+            <div class="git-branch-section-title">Remote branches</div>
+            ${remoteBranches.map(branch => `
+                <div class="git-branch-item remote">
+                    <i class="fas fa-cloud" style="color: var(--text-secondary)"></i>
+                    <span class="git-branch-name">${escapeHtml(branch.name)}</span>
+                    <span class="git-branch-meta">${branch.date ? getTimeAgo(new Date(branch.date).getTime()) : ''}</span>
+                </div>
+            `).join('')}
         `;
-    });
+    }
 
     html += '</div>';
     branchList.innerHTML = html;
 }
 
+// Render one local branch with upstream, ahead/behind, last commit and merged state
+function renderBranchItem(branch, index) {
+    const isActive = branch.current;
+    const defaultBranch = branchListState.defaultBranch;
+    const isDefault = defaultBranch && (branch.name === defaultBranch || branch.upstream === defaultBranch);
+
+    let tracking = '<span class="git-branch-upstream none">No upstream</span>';
+    if (branch.upstream) {
+        tracking = `<span class="git-branch-upstream ${branch.gone ? 'gone' : ''}" title="${branch.gone ? 'Upstream branch no longer exists' : 'Upstream'}">
+            <i class="fas fa-link"></i> ${escapeHtml(branch.upstream)}${branch.gone ? ' (gone)' : ''}
+        </span>`;
+        if (branch.ahead > 0) {
+            tracking += `<span class="git-branch-count ahead" title="${branch.ahead} commit(s) to push"><i class="fas fa-arrow-up"></i> ${branch.ahead}</span>`;
+        }
+        if (branch.behind > 0) {
+            tracking += `<span class="git-branch-count behind" title="${branch.behind} commit(s) to pull"><i class="fas fa-arrow-down"></i> ${branch.behind}</span>`;
+        }
+    }
+
+    let mergeBadge = '';
+    if (!isDefault && defaultBranch) {
+        mergeBadge = branch.merged
+            ? `<span class="git-branch-badge merged" title="Merged into ${escapeHtml(defaultBranch)}">merged</span>`
+            : `<span class="git-branch-badge unmerged" title="Not merged into ${escapeHtml(defaultBranch)}">unmerged</span>`;
+    }
+
+    return `
+        <div class="git-branch-item ${isActive ? 'active' : ''}" onclick="${!isActive ? `switchBranch(branchListState.branches[${index}].name)` : ''}">
+            <i class="fas fa-code-branch" style="color: ${isActive ? 'var(--accent-primary)' : 'var(--text-secondary)'}"></i>
+            <div class="git-branch-info">
+                <div class="git-branch-title">
+                    <span class="git-branch-name">${escapeHtml(branch.name)}</span>
+                    ${isDefault ? '<span class="git-branch-badge default">default</span>' : mergeBadge}
+                </div>
+                <div class="git-branch-tracking">${tracking}</div>
+                <div class="git-branch-meta" title="${escapeHtml(branch.subject)}">
+                    ${branch.date ? getTimeAgo(new Date(branch.date).getTime()) : ''}${branch.author ? ` by ${escapeHtml(branch.author)}` : ''}
+                </div>
+            </div>
+            ${isActive ? '<i class="fas fa-check" style="color: var(--success);"></i>' : ''}
+            <div class="git-branch-actions">
+                <button class="btn-icon-small" onclick="event.stopPropagation(); showBranchForm(${index}, 'upstream')" title="Set Upstream"><i class="fas fa-link"></i></button>
+                ${branch.upstream ? `<button class="btn-icon-small" onclick="event.stopPropagation(); unsetBranchUpstream(${index})" title="Unset Upstream"><i class="fas fa-unlink"></i></button>` : ''}
+                <button class="btn-icon-small" onclick="event.stopPropagation(); showBranchForm(${index}, 'rename')" title="Rename Branch"><i class="fas fa-pen"></i></button>
+                ${!isActive ? `<button class="btn-icon-small" onclick="event.stopPropagation(); deleteBranch(branchListState.branches[${index}].name)" title="Delete Branch"><i class="fas fa-trash"></i></button>` : ''}
+            </div>
+        </div>
+        <div class="git-branch-form" id="git-branch-form-${index}" style="display: none;"></div>
+    `;
+}
+
+// Show the inline set-upstream or rename form below a branch
+function showBranchForm(index, action) {
+    const branch = branchListState.branches[index];
+    const form = document.getElementById(`git-branch-form-${index}`);
+    if (!branch || !form) return;
+
+    document.querySelectorAll('.git-branch-form').forEach(other => {
+        other.style.display = 'none';
+        other.innerHTML = '';
+    });
+
+    if (action === 'upstream') {
+        const remotes = branchListState.branches.filter(candidate => candidate.remote);
+        if (remotes.length === 0) {
+            showNotification('No remote branches to track. Push the branch or fetch a remote first.', 'warning');
+            return;
+        }
+        const preferred = branch.upstream || remotes.find(remote => remote.name.endsWith(`/${branch.name}`))?.name;
+        form.innerHTML = `
+            <div class="form-group">
+                <label>Upstream for ${escapeHtml(branch.name)}:</label>
+                <select class="select-input git-branch-form-value">
+                    ${remotes.map(remote => `<option value="${escapeHtml(remote.name)}" ${remote.name === preferred ? 'selected' : ''}>${escapeHtml(remote.name)}</option>`).join('')}
+                </select>
+            </div>
+        `;
+    } else {
+        form.innerHTML = `
+            <div class="form-group">
+                <label>Rename ${escapeHtml(branch.name)} to:</label>
+                <input type="text" class="git-branch-form-value" value="${escapeHtml(branch.name)}">
+            </div>
+        `;
+    }
+
+    form.insertAdjacentHTML('beforeend', `
+        <div class="git-branch-form-actions">
+            <button class="btn-secondary git-branch-form-cancel">Cancel</button>
+            <button class="btn-primary git-branch-form-submit">${action === 'upstream' ? 'Set Upstream' : 'Rename'}</button>
+        </div>
+    `);
+    form.style.display = '';
+
+    const input = form.querySelector('.git-branch-form-value');
+    input.focus();
+
+    form.querySelector('.git-branch-form-cancel').addEventListener('click', () => {
+        form.style.display = 'none';
+        form.innerHTML = '';
+    });
+    form.querySelector('.git-branch-form-submit').addEventListener('click', async () => {
+        const value = input.value.trim();
+        if (!value) {
+            showNotification('Please enter a value', 'error');
+            return;
+        }
+
+        const result = action === 'upstream'
+            ? await ipcRenderer.invoke('git-set-upstream', currentProject.path, branch.name, value)
+            : await ipcRenderer.invoke('git-rename-branch', currentProject.path, branch.name, value);
+
+        if (result.success) {
+            showNotification(action === 'upstream'
+                ? `${branch.name} now tracks ${value}`
+                : `Branch ${branch.name} renamed to ${value}`, 'success');
+            await refreshGitStatus();
+            await loadBranches();
+        } else {
+            showNotification(`Failed to ${action === 'upstream' ? 'set upstream' : 'rename branch'}: ${result.error}`, 'error');
+        }
+    });
+}
+
+// Stop a branch from tracking its upstream
+async function unsetBranchUpstream(index) {
+    const branch = branchListState.branches[index];
+    if (!branch || !confirm(`Stop tracking ${branch.upstream} for branch "${branch.name}"?`)) {
+        return;
+    }
+
+    const result = await ipcRenderer.invoke('git-unset-upstream', currentProject.path, branch.name);
+    if (result.success) {
+        showNotification(`Upstream removed from ${branch.name}`, 'success');
+        await refreshGitStatus();
+        await loadBranches();
+    } else {
+        showNotification(`Failed to unset upstream: ${result.error}`, 'error');
+    }
+}
+
 // Switch to a different branch
 async function switchBranch(branchName) {
     if (!currentProject) {
@@ -4974,13 +6249,20 @@ async function switchBranch(branchName) {
     }
 }
 
-// Delete a branch
+// Delete a branch, offering a force delete (-D) when it has unmerged work
 async function deleteBranch(branchName) {
     if (!confirm(`Are you sure you want to delete branch "${branchName}"?`)) {
         return;
     }
 
-    const result = await ipcRenderer.invoke('git-delete-branch', currentProject.path, branchName);
+    let result = await ipcRenderer.invoke('git-delete-branch', currentProject.path, branchName);
+
+    if (!result.success && result.notMerged) {
+        if (!confirm(`Branch "${branchName}" has commits that are not merged. Its unmerged work will be lost.\n\nForce delete it anyway?`)) {
+            return;
+        }
+        result = await ipcRenderer.invoke('git-delete-branch', currentProject.path, branchName, true);
+    }
 
     if (result.success) {
         showNotification(`Branch ${branchName} deleted`, 'success');
@@ -5019,305 +6301,4027 @@ async function createBranch(branchName) {
     }
 }
 
-// Load branches for merge modal
-async function loadBranchesForMerge() {
+// Stash manager
+let selectedStashIndex = null;
+
+async function loadStashes() {
     if (!currentProject) return;
 
-    const result = await ipcRenderer.invoke('git-branches', currentProject.path);
-    if (!result.success) return;
+    const list = document.getElementById('git-stash-list');
+    const result = await ipcRenderer.invoke('git-stash-list', currentProject.path);
+    if (!result.success) {
+        list.innerHTML = `<div class="git-changes-empty">${escapeHtml(result.error)}</div>`;
+        return;
+    }
+
+    if (result.stashes.length === 0) {
+        selectedStashIndex = null;
+        list.innerHTML = `
+            <div class="git-changes-empty">
+                <i class="fas fa-box-open"></i>
+                <p>No stashes</p>
+            </div>
+        `;
+        document.getElementById('git-stash-details').innerHTML =
+            '<div class="git-changes-empty">Select a stash to preview its changes</div>';
+        return;
+    }
 
-    const branches = result.output.split('\n')
-        .filter(b => b.trim() && !b.trim().startsWith('*'))
-        .map(b => b.replace('*', '').trim().replace(/^remotes\//, ''));
+    list.innerHTML = result.stashes.map(stash => `
+        <div class="git-stash-item ${stash.index === selectedStashIndex ? 'active' : ''}" data-index="${stash.index}">
+            <div class="git-stash-header">
+                <code class="commit-hash">${stash.ref}</code>
+                ${stash.branch ? `<span class="git-stash-branch"><i class="fas fa-code-branch"></i> ${escapeHtml(stash.branch)}</span>` : ''}
+                <span class="commit-date" title="${new Date(stash.date).toLocaleString()}">${getTimeAgo(new Date(stash.date).getTime())}</span>
+            </div>
+            <div class="git-stash-message">${escapeHtml(stash.message)}</div>
+        </div>
+    `).join('');
 
-    const select = document.getElementById('merge-branch-select');
-    if (!select) return;
+    list.querySelectorAll('.git-stash-item').forEach(item => {
+        item.addEventListener('click', () => selectStash(parseInt(item.dataset.index, 10)));
+    });
 
-    select.innerHTML = branches.map(b => `<option value="${b}">${b}</option>`).join('');
+    // Indices shift after pop/drop, so fall back to the newest stash
+    const stillExists = result.stashes.some(stash => stash.index === selectedStashIndex);
+    await selectStash(stillExists ? selectedStashIndex : result.stashes[0].index);
 }
 
-// Perform merge
-async function performMerge() {
-    const branchName = document.getElementById('merge-branch-select')?.value;
-    if (!branchName) {
-        showNotification('Please select a branch to merge', 'error');
+async function selectStash(index) {
+    selectedStashIndex = index;
+    document.querySelectorAll('.git-stash-item').forEach(item => {
+        item.classList.toggle('active', parseInt(item.dataset.index, 10) === index);
+    });
+
+    const details = document.getElementById('git-stash-details');
+    const result = await ipcRenderer.invoke('git-stash-files', currentProject.path, index);
+    if (selectedStashIndex !== index) return;
+
+    if (!result.success) {
+        details.innerHTML = `<div class="git-changes-empty">${escapeHtml(result.error)}</div>`;
         return;
     }
 
-    if (!currentProject) {
-        showNotification('No project selected', 'error');
+    const ref = `stash@{${index}}`;
+    const statusLabels = { A: 'Added', M: 'Modified', D: 'Deleted', R: 'Renamed', T: 'Type changed', U: 'Untracked' };
+
+    details.innerHTML = `
+        <div class="git-stash-actions">
+            <button class="btn-primary" onclick="runStashAction('apply', ${index})" title="Apply and keep the stash"><i class="fas fa-paste"></i> Apply</button>
+            <button class="btn-secondary" onclick="runStashAction('pop', ${index})" title="Apply and remove the stash"><i class="fas fa-box-open"></i> Pop</button>
+            <button class="btn-secondary" onclick="runStashAction('branch', ${index})" title="Create a branch from the stash"><i class="fas fa-code-branch"></i> Branch</button>
+            <button class="btn-secondary" onclick="runStashAction('drop', ${index})" title="Delete the stash"><i class="fas fa-trash"></i> Drop</button>
+        </div>
+        <div class="commit-detail-form" id="git-stash-branch-form" style="display: none;">
+            <div class="form-group">
+                <label for="git-stash-branch-name">New branch for ${ref}:</label>
+                <input type="text" id="git-stash-branch-name" placeholder="feature/from-stash">
+            </div>
+            <div class="commit-detail-form-actions">
+                <button class="btn-secondary" onclick="document.getElementById('git-stash-branch-form').style.display = 'none'">Cancel</button>
+                <button class="btn-primary" onclick="createBranchFromStash(${index})">Create Branch</button>
+            </div>
+        </div>
+        <h4 class="commit-graph-files-title">${result.files.length} file${result.files.length === 1 ? '' : 's'}</h4>
+        <div class="commit-graph-files">
+            ${result.files.map((file, fileIndex) => `
+                <div class="commit-graph-file" data-index="${fileIndex}" title="${statusLabels[file.status] || file.status}">
+                    <span class="commit-file-status status-${file.status}">${file.status}</span>
+                    <span class="commit-file-path">${file.origPath ? `${escapeHtml(file.origPath)} → ` : ''}${escapeHtml(file.path)}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+
+    details.querySelectorAll('.commit-graph-file').forEach(item => {
+        const file = result.files[parseInt(item.dataset.index, 10)];
+        item.addEventListener('click', () => showDiffView({ type: 'stash', ref, path: file.path, origPath: file.origPath, untracked: file.untracked }));
+    });
+}
+
+async function runStashAction(action, index) {
+    if (!currentProject) return;
+    const ref = `stash@{${index}}`;
+
+    if (action === 'branch') {
+        const form = document.getElementById('git-stash-branch-form');
+        form.style.display = '';
+        document.getElementById('git-stash-branch-name').focus();
         return;
     }
 
-    showNotification(`Merging ${branchName}...`, 'info');
-    const result = await ipcRenderer.invoke('git-merge', currentProject.path, branchName);
+    if (action === 'drop' && !confirm(`Drop ${ref}? Its changes will be lost.`)) {
+        return;
+    }
+
+    const result = await ipcRenderer.invoke(`git-stash-${action}`, currentProject.path, index);
+    const verb = { apply: 'applied', pop: 'popped', drop: 'dropped' }[action];
 
     if (result.success) {
-        showNotification(`Successfully merged ${branchName}`, 'success');
-        hideModal('git-merge-modal');
-        await refreshGitStatus();
+        showNotification(`Stash ${ref} ${verb} successfully`, 'success');
+    } else if (result.conflict) {
+        // A conflicting pop keeps the stash, so the list stays as it was
+        await handleConflictResult(result);
     } else {
-        showNotification(`Merge failed: ${result.error}`, 'error');
+        showNotification(`Stash ${action} failed: ${result.error}`, 'error');
     }
-}
 
-// Load commit history
-async function loadCommitHistory() {
-    if (!currentProject) return;
+    await refreshGitStatus();
+    await loadStashes();
+}
 
-    const result = await ipcRenderer.invoke('git-log', currentProject.path, 50);
-    if (!result.success) {
-        showNotification('Failed to load commit history', 'error');
+async function createBranchFromStash(index) {
+    const branchName = document.getElementById('git-stash-branch-name').value.trim();
+    if (!branchName) {
+        showNotification('Please enter a branch name', 'error');
         return;
     }
 
-    showCommitHistoryModal(result.output);
+    const result = await ipcRenderer.invoke('git-stash-branch', currentProject.path, branchName, index);
+    if (result.success) {
+        showNotification(`Created branch ${branchName} from stash`, 'success');
+        await refreshGitStatus();
+        await loadStashes();
+        await loadBranches();
+    } else {
+        showNotification(`Failed to create branch: ${result.error}`, 'error');
+    }
 }
 
-// Show commit history in modal
-function showCommitHistoryModal(logOutput) {
-    const modal = document.getElementById('git-history-modal');
-    if (!modal) {
-        createHistoryModal();
-        showCommitHistoryModal(logOutput);
+function showCreateStashModal() {
+    if (!currentProject) {
+        showNotification('Please select a project first', 'error');
+        return;
+    }
+
+    if (!document.getElementById('git-stash-create-modal')) {
+        createStashCreateModal();
+    }
+
+    // Offer every changed path from the last status refresh for a partial stash
+    const paths = gitStatus && gitStatus.entries
+        ? [...new Set(gitStatus.entries.filter(entry => entry.type !== 'ignored').map(entry => entry.path))]
+        : [];
+
+    document.getElementById('stash-message').value = '';
+    document.getElementById('stash-include-untracked').checked = false;
+    document.getElementById('stash-keep-index').checked = false;
+    document.getElementById('stash-selected-only').checked = false;
+    document.getElementById('stash-path-list').style.display = 'none';
+    document.getElementById('stash-path-list').innerHTML = paths.length > 0
+        ? paths.map(filePath => `
+            <label class="checkbox-label">
+                <input type="checkbox" class="stash-path-checkbox" value="${escapeHtml(filePath)}">
+                <span>${escapeHtml(filePath)}</span>
+            </label>
+        `).join('')
+        : '<div class="git-changes-empty">No changed files</div>';
+
+    showModal('git-stash-create-modal');
+}
+
+async function createStash() {
+    const message = document.getElementById('stash-message').value.trim();
+    const options = {
+        includeUntracked: document.getElementById('stash-include-untracked').checked,
+        keepIndex: document.getElementById('stash-keep-index').checked
+    };
+
+    if (document.getElementById('stash-selected-only').checked) {
+        options.paths = [...document.querySelectorAll('.stash-path-checkbox:checked')].map(box => box.value);
+        if (options.paths.length === 0) {
+            showNotification('Select at least one file to stash', 'error');
+            return;
+        }
+    }
+
+    const result = await ipcRenderer.invoke('git-stash', currentProject.path, message, options);
+    if (result.success) {
+        if (/No local changes to save/i.test(`${result.output}${result.stderr}`)) {
+            showNotification('No local changes to stash', 'info');
+            return;
+        }
+        showNotification('Changes stashed successfully', 'success');
+        hideModal('git-stash-create-modal');
+        await refreshGitStatus();
+        await loadStashes();
+    } else {
+        showNotification(`Stash failed: ${result.error}`, 'error');
+    }
+}
+
+// Create stash creation modal
+function createStashCreateModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'git-stash-create-modal';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 560px;">
+            <div class="modal-header">
+                <h2><i class="fas fa-box-archive"></i> Stash Changes</h2>
+                <button class="modal-close-btn" onclick="hideModal('git-stash-create-modal')">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="form-group">
+                    <label for="stash-message">Message (optional):</label>
+                    <input type="text" id="stash-message" placeholder="Work in progress on...">
+                </div>
+                <div class="form-group">
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="stash-include-untracked">
+                        <span>Include untracked files</span>
+                    </label>
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="stash-keep-index">
+                        <span>Keep staged changes in the index</span>
+                    </label>
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="stash-selected-only"
+                               onchange="document.getElementById('stash-path-list').style.display = this.checked ? '' : 'none'">
+                        <span>Stash only selected files</span>
+                    </label>
+                </div>
+                <div class="stash-path-list" id="stash-path-list" style="display: none;"></div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn-secondary" onclick="hideModal('git-stash-create-modal')">Cancel</button>
+                <button class="btn-primary" onclick="createStash()">
+                    <i class="fas fa-box-archive"></i> Stash
+                </button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+// Worktrees
+let worktreeListState = [];
+
+async function loadWorktrees() {
+    if (!currentProject) return;
+
+    const list = document.getElementById('git-worktree-list');
+    if (!list) return;
+
+    const result = await ipcRenderer.invoke('git-worktree-list', currentProject.path);
+    if (!result.success) {
+        list.innerHTML = `<div class="git-changes-empty">${escapeHtml(result.error)}</div>`;
+        return;
+    }
+
+    worktreeListState = result.worktrees;
+    const currentPath = normalizeProjectPath(currentProject.path);
+
+    list.innerHTML = result.worktrees.map((worktree, index) => {
+        const isCurrent = normalizeProjectPath(worktree.path) === currentPath;
+        const head = worktree.bare ? 'bare' : worktree.detached
+            ? `detached @ ${(worktree.head || '').substring(0, 7)}`
+            : worktree.branch;
+
+        return `
+            <div class="git-worktree-item ${isCurrent ? 'active' : ''}">
+                <i class="fas ${worktree.main ? 'fa-database' : 'fa-folder-tree'}"></i>
+                <div class="git-worktree-info">
+                    <div class="git-worktree-title">
+                        <span class="git-worktree-branch">${escapeHtml(head || '')}</span>
+                        ${worktree.main ? '<span class="git-branch-badge default">main</span>' : ''}
+                        ${worktree.locked ? `<span class="git-branch-badge unmerged" title="${escapeHtml(worktree.lockReason || 'Locked')}"><i class="fas fa-lock"></i> locked</span>` : ''}
+                        ${worktree.prunable ? '<span class="git-branch-badge unmerged" title="Folder is missing; prune to clean up">prunable</span>' : ''}
+                    </div>
+                    <div class="git-worktree-path" title="${escapeHtml(worktree.path)}">${escapeHtml(worktree.path)}</div>
+                </div>
+                <div class="git-branch-actions">
+                    ${!isCurrent && !worktree.prunable && !worktree.bare ? `<button class="btn-icon-small" onclick="openWorktree(${index})" title="Open Worktree"><i class="fas fa-folder-open"></i></button>` : ''}
+                    ${!worktree.main ? `
+                        <button class="btn-icon-small" onclick="toggleWorktreeLock(${index})" title="${worktree.locked ? 'Unlock' : 'Lock'} Worktree">
+                            <i class="fas fa-${worktree.locked ? 'lock-open' : 'lock'}"></i>
+                        </button>
+                        <button class="btn-icon-small" onclick="removeWorktree(${index})" title="Remove Worktree"><i class="fas fa-trash"></i></button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function normalizeProjectPath(projectPath) {
+    return path.normalize(projectPath).replace(/[\\/]+$/, '');
+}
+
+// Make a project (e.g. a worktree) the current repository and show it in the Git view
+async function openProjectInGit(project) {
+    currentProject = { name: project.name, path: project.path, type: project.type };
+    updateSelectedProject();
+    await ipcRenderer.invoke('start-file-watcher', project.path);
+    if (currentView === 'git') {
+        await refreshGitStatus();
+    } else {
+        switchView('git');
+    }
+    if (currentGitTab === 'branches') {
+        await loadBranches();
+        await loadWorktrees();
+    }
+}
+
+async function openWorktree(index) {
+    const worktree = worktreeListState[index];
+    if (!worktree) return;
+    await openProjectInGit({ name: path.basename(worktree.path), path: worktree.path, type: 'worktree' });
+    showNotification(`Opened worktree ${worktree.branch || path.basename(worktree.path)}`, 'success');
+}
+
+async function toggleWorktreeLock(index) {
+    const worktree = worktreeListState[index];
+    if (!worktree) return;
+
+    const result = worktree.locked
+        ? await ipcRenderer.invoke('git-worktree-unlock', currentProject.path, worktree.path)
+        : await ipcRenderer.invoke('git-worktree-lock', currentProject.path, worktree.path, 'Locked from Project Manager');
+
+    if (result.success) {
+        showNotification(`Worktree ${worktree.locked ? 'unlocked' : 'locked'}`, 'success');
+        await loadWorktrees();
+    } else {
+        showNotification(`Failed to ${worktree.locked ? 'unlock' : 'lock'} worktree: ${result.error}`, 'error');
+    }
+}
+
+async function removeWorktree(index) {
+    const worktree = worktreeListState[index];
+    if (!worktree || !confirm(`Remove the worktree at "${worktree.path}"?\n\nThe folder is deleted; the branch is kept.`)) {
+        return;
+    }
+
+    let result = await ipcRenderer.invoke('git-worktree-remove', currentProject.path, worktree.path);
+    if (!result.success && /modified or untracked files|is locked/i.test(`${result.error} ${result.stderr || ''}`)) {
+        if (!confirm(`The worktree has local changes or is locked.\n\nForce removal? Uncommitted work in it will be lost.`)) {
+            return;
+        }
+        result = await ipcRenderer.invoke('git-worktree-remove', currentProject.path, worktree.path, true);
+    }
+
+    if (result.success) {
+        showNotification('Worktree removed', 'success');
+        await loadWorktrees();
+    } else {
+        showNotification(`Failed to remove worktree: ${result.error}`, 'error');
+    }
+}
+
+async function pruneWorktrees() {
+    if (!currentProject) return;
+
+    const result = await ipcRenderer.invoke('git-worktree-prune', currentProject.path);
+    if (result.success) {
+        const pruned = `${result.output}${result.stderr || ''}`.split('\n').filter(line => line.trim()).length;
+        showNotification(pruned > 0 ? `Pruned ${pruned} stale worktree(s)` : 'No stale worktrees to prune', 'success');
+        await loadWorktrees();
+    } else {
+        showNotification(`Prune failed: ${result.error}`, 'error');
+    }
+}
+
+async function showAddWorktreeModal() {
+    if (!currentProject) {
+        showNotification('Please select a project first', 'error');
+        return;
+    }
+
+    if (!document.getElementById('git-worktree-add-modal')) {
+        createWorktreeAddModal();
+    }
+
+    const branches = await ipcRenderer.invoke('git-branches', currentProject.path);
+    document.getElementById('worktree-branch-options').innerHTML = (branches.branches || [])
+        .filter(branch => !branch.remote)
+        .map(branch => `<option value="${escapeHtml(branch.name)}"></option>`)
+        .join('');
+
+    document.getElementById('worktree-branch').value = '';
+    document.getElementById('worktree-start-point').value = '';
+    document.getElementById('worktree-parent').value = path.dirname(currentProject.path);
+    document.getElementById('worktree-folder').value = '';
+    document.getElementById('worktree-folder').dataset.edited = '';
+    document.getElementById('worktree-new-branch').checked = true;
+    updateWorktreeAddFields();
+    showModal('git-worktree-add-modal');
+}
+
+function updateWorktreeAddFields() {
+    const createBranch = document.getElementById('worktree-new-branch').checked;
+    document.getElementById('worktree-start-point-group').style.display = createBranch ? '' : 'none';
+
+    // Suggest a folder next to the repository named after the branch
+    const folderInput = document.getElementById('worktree-folder');
+    const branch = document.getElementById('worktree-branch').value.trim();
+    if (!folderInput.dataset.edited) {
+        folderInput.value = branch ? `${path.basename(currentProject.path)}-${branch.replace(/[\\/]/g, '-')}` : '';
+    }
+}
+
+async function browseWorktreeParent() {
+    const folder = await ipcRenderer.invoke('select-folder');
+    if (folder) {
+        document.getElementById('worktree-parent').value = folder;
+    }
+}
+
+async function addWorktree() {
+    const branch = document.getElementById('worktree-branch').value.trim();
+    const parent = document.getElementById('worktree-parent').value.trim();
+    const folder = document.getElementById('worktree-folder').value.trim();
+    const createBranch = document.getElementById('worktree-new-branch').checked;
+
+    if (!branch || !parent || !folder) {
+        showNotification('Branch, location and folder name are required', 'error');
+        return;
+    }
+
+    const worktreePath = path.join(parent, folder);
+    const result = await ipcRenderer.invoke('git-worktree-add', currentProject.path, {
+        path: worktreePath,
+        branch,
+        createBranch,
+        startPoint: createBranch ? document.getElementById('worktree-start-point').value.trim() : null
+    });
+
+    if (result.success) {
+        hideModal('git-worktree-add-modal');
+        showNotification(`Worktree created at ${worktreePath}`, 'success');
+        await loadWorktrees();
+        await loadBranches();
+        if (document.getElementById('worktree-open-after').checked) {
+            await openProjectInGit({ name: folder, path: worktreePath, type: 'worktree' });
+        }
+    } else {
+        showNotification(`Failed to add worktree: ${result.error}`, 'error');
+    }
+}
+
+function createWorktreeAddModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'git-worktree-add-modal';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 560px;">
+            <div class="modal-header">
+                <h2><i class="fas fa-folder-tree"></i> Add Worktree</h2>
+                <button class="modal-close-btn" onclick="hideModal('git-worktree-add-modal')">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="form-group">
+                    <label class="checkbox-label">
+                        <input type="radio" name="worktree-mode" id="worktree-new-branch" onchange="updateWorktreeAddFields()" checked>
+                        <span>Create a new branch</span>
+                    </label>
+                    <label class="checkbox-label">
+                        <input type="radio" name="worktree-mode" id="worktree-existing-branch" onchange="updateWorktreeAddFields()">
+                        <span>Check out an existing branch</span>
+                    </label>
+                </div>
+                <div class="form-group">
+                    <label for="worktree-branch">Branch:</label>
+                    <input type="text" id="worktree-branch" list="worktree-branch-options" placeholder="feature/my-branch" oninput="updateWorktreeAddFields()">
+                    <datalist id="worktree-branch-options"></datalist>
+                </div>
+                <div class="form-group" id="worktree-start-point-group">
+                    <label for="worktree-start-point">Start from (optional, defaults to HEAD):</label>
+                    <input type="text" id="worktree-start-point" placeholder="main">
+                </div>
+                <div class="form-group">
+                    <label for="worktree-parent">Location:</label>
+                    <div class="input-group">
+                        <input type="text" id="worktree-parent">
+                        <button class="btn-secondary" onclick="browseWorktreeParent()">
+                            <i class="fas fa-folder-open"></i> Browse
+                        </button>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="worktree-folder">Folder name:</label>
+                    <input type="text" id="worktree-folder" oninput="this.dataset.edited = this.value ? 'true' : ''">
+                </div>
+                <label class="checkbox-label">
+                    <input type="checkbox" id="worktree-open-after" checked>
+                    <span>Open the worktree after creating it</span>
+                </label>
+            </div>
+            <div class="modal-footer">
+                <button class="btn-secondary" onclick="hideModal('git-worktree-add-modal')">Cancel</button>
+                <button class="btn-primary" onclick="addWorktree()">
+                    <i class="fas fa-plus"></i> Add Worktree
+                </button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+// Submodules
+let submoduleListState = [];
+
+async function loadSubmodules() {
+    if (!currentProject) return;
+
+    const list = document.getElementById('git-submodule-list');
+    if (!list) return;
+
+    const result = await ipcRenderer.invoke('git-submodule-list', currentProject.path);
+    if (!result.success) {
+        list.innerHTML = `<div class="git-changes-empty">${escapeHtml(result.error)}</div>`;
+        return;
+    }
+
+    submoduleListState = result.submodules;
+    if (result.submodules.length === 0) {
+        list.innerHTML = '<div class="git-changes-empty">No submodules</div>';
+        return;
+    }
+
+    list.innerHTML = result.submodules.map((submodule, index) => {
+        const pinned = (submodule.pinned || '').substring(0, 7);
+        const checkedOut = (submodule.checkedOut || '').substring(0, 7);
+        const badges = [];
+        if (!submodule.initialized) badges.push('<span class="git-branch-badge unmerged">not initialized</span>');
+        if (submodule.conflict) badges.push('<span class="git-branch-badge unmerged">conflict</span>');
+        if (submodule.outOfSync) badges.push('<span class="git-branch-badge unmerged" title="The checked-out commit differs from the one pinned in the superproject">out of sync</span>');
+        if (submodule.dirty.trackedChanges) badges.push('<span class="git-branch-badge unmerged">modified</span>');
+        if (submodule.dirty.untrackedChanges) badges.push('<span class="git-branch-badge unmerged">untracked</span>');
+        if (submodule.initialized && !submodule.outOfSync && !submodule.conflict
+            && !submodule.dirty.trackedChanges && !submodule.dirty.untrackedChanges) {
+            badges.push('<span class="git-branch-badge merged">clean</span>');
+        }
+
+        return `
+            <div class="git-submodule-item">
+                <i class="fas fa-cube"></i>
+                <div class="git-submodule-info">
+                    <div class="git-submodule-title">
+                        <span class="git-submodule-path">${escapeHtml(submodule.path)}</span>
+                        ${badges.join('')}
+                    </div>
+                    <div class="git-submodule-url" title="${escapeHtml(submodule.url || '')}">${escapeHtml(submodule.url || 'No URL in .gitmodules')}${submodule.branch ? ` (${escapeHtml(submodule.branch)})` : ''}</div>
+                    <div class="git-submodule-commits">
+                        <span title="Commit pinned in the superproject">pinned ${pinned || '-'}</span>
+                        <span title="Commit checked out in the submodule" class="${submodule.outOfSync ? 'git-submodule-commit-changed' : ''}">checked out ${checkedOut || '-'}</span>
+                    </div>
+                </div>
+                <div class="git-branch-actions">
+                    ${!submodule.initialized ? `<button class="btn-icon-small" onclick="runSubmoduleCommand('init', ${index})" title="Init"><i class="fas fa-power-off"></i></button>` : ''}
+                    <button class="btn-icon-small" onclick="runSubmoduleCommand('update', ${index})" title="Update to Pinned Commit"><i class="fas fa-download"></i></button>
+                    <button class="btn-icon-small" onclick="runSubmoduleCommand('sync', ${index})" title="Sync URL"><i class="fas fa-link"></i></button>
+                    ${submodule.initialized ? `<button class="btn-icon-small" onclick="deinitSubmodule(${index})" title="Deinit"><i class="fas fa-eject"></i></button>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Switch to the Advanced tab where the Submodules panel lives
+function showSubmodules() {
+    document.querySelector('.git-tab[data-tab="advanced"]')?.click();
+}
+
+async function runSubmoduleCommand(command, index = null) {
+    if (!currentProject) {
+        showNotification('Please select a project first', 'error');
+        return;
+    }
+
+    const submodule = index !== null ? submoduleListState[index] : null;
+    const target = submodule ? submodule.path : 'all submodules';
+    showNotification(`Running submodule ${command} for ${target}...`, 'info');
+
+    const result = await ipcRenderer.invoke('git-submodule-command', currentProject.path, command, submodule ? submodule.path : null);
+    if (result.success) {
+        showNotification(`Submodule ${command} completed for ${target}`, 'success');
+        await loadSubmodules();
+        await refreshGitStatus();
+    } else {
+        showNotification(`Submodule ${command} failed: ${result.error}`, 'error');
+    }
+}
+
+async function deinitSubmodule(index) {
+    const submodule = submoduleListState[index];
+    if (!submodule || !confirm(`Deinitialize "${submodule.path}"?\n\nIts working tree is removed; the submodule stays registered in .gitmodules.`)) {
+        return;
+    }
+
+    let result = await ipcRenderer.invoke('git-submodule-command', currentProject.path, 'deinit', submodule.path);
+    if (!result.success && /local modifications|--force/i.test(`${result.error} ${result.stderr || ''}`)) {
+        if (!confirm('The submodule has local modifications.\n\nForce deinit? Uncommitted work in it will be lost.')) {
+            return;
+        }
+        result = await ipcRenderer.invoke('git-submodule-command', currentProject.path, 'deinit', submodule.path, { force: true });
+    }
+
+    if (result.success) {
+        showNotification(`Submodule ${submodule.path} deinitialized`, 'success');
+        await loadSubmodules();
+    } else {
+        showNotification(`Deinit failed: ${result.error}`, 'error');
+    }
+}
+
+function showAddSubmoduleForm() {
+    if (!currentProject) {
+        showNotification('Please select a project first', 'error');
+        return;
+    }
+
+    const form = document.getElementById('git-submodule-form');
+    form.innerHTML = `
+        <div class="form-group">
+            <label for="submodule-url">Repository URL:</label>
+            <input type="text" id="submodule-url" placeholder="https://github.com/user/repo.git">
+        </div>
+        <div class="form-group">
+            <label for="submodule-path">Path in this repository:</label>
+            <input type="text" id="submodule-path" placeholder="libs/repo">
+        </div>
+        <div class="form-group">
+            <label for="submodule-branch">Branch to track (optional):</label>
+            <input type="text" id="submodule-branch" placeholder="main">
+        </div>
+        <div class="git-branch-form-actions">
+            <button class="btn-secondary" onclick="hideAddSubmoduleForm()">Cancel</button>
+            <button class="btn-primary" onclick="addSubmodule()">Add Submodule</button>
+        </div>
+    `;
+    form.style.display = '';
+
+    const urlInput = document.getElementById('submodule-url');
+    const pathInput = document.getElementById('submodule-path');
+    urlInput.addEventListener('input', () => {
+        // Suggest the repository name as the path until the user edits it
+        if (!pathInput.dataset.edited) {
+            pathInput.value = urlInput.value.trim().split(/[\\/:]/).pop().replace(/\.git$/, '');
+        }
+    });
+    pathInput.addEventListener('input', () => {
+        pathInput.dataset.edited = pathInput.value ? 'true' : '';
+    });
+    urlInput.focus();
+}
+
+function hideAddSubmoduleForm() {
+    const form = document.getElementById('git-submodule-form');
+    form.style.display = 'none';
+    form.innerHTML = '';
+}
+
+async function addSubmodule() {
+    const url = document.getElementById('submodule-url').value.trim();
+    const subPath = document.getElementById('submodule-path').value.trim();
+    const branch = document.getElementById('submodule-branch').value.trim();
+
+    if (!url || !subPath) {
+        showNotification('Repository URL and path are required', 'error');
+        return;
+    }
+
+    showNotification(`Adding submodule ${subPath}...`, 'info');
+    const result = await ipcRenderer.invoke('git-submodule-add', currentProject.path, url, subPath, branch || null);
+    if (result.success) {
+        hideAddSubmoduleForm();
+        showNotification(`Submodule ${subPath} added`, 'success');
+        await loadSubmodules();
+        await refreshGitStatus();
+    } else {
+        showNotification(`Failed to add submodule: ${result.error}`, 'error');
+    }
+}
+
+// Git LFS
+let lfsState = { patterns: [], objects: [] };
+
+function formatLfsSize(size) {
+    if (size === null || size === undefined) return '-';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = size;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+async function loadLfs() {
+    if (!currentProject) return;
+
+    const body = document.getElementById('git-lfs-body');
+    if (!body) return;
+
+    const result = await ipcRenderer.invoke('git-lfs-status', currentProject.path);
+    if (!result.success) {
+        body.innerHTML = `<div class="git-changes-empty">${escapeHtml(result.error)}</div>`;
+        return;
+    }
+
+    lfsState = result;
+    if (result.patterns.length === 0 && result.objects.length === 0) {
+        body.innerHTML = `<div class="git-changes-empty">This repository does not use Git LFS</div>`;
+        return;
+    }
+
+    let html = '';
+    if (!result.installed) {
+        html += '<div class="git-commit-warning"><i class="fas fa-exclamation-triangle"></i> Git LFS is not installed. Large files will be committed as regular files and pointers will not be downloaded.</div>';
+    } else if (!result.filterConfigured) {
+        html += '<div class="git-commit-warning"><i class="fas fa-exclamation-triangle"></i> The LFS filter is not configured. Run <code>git lfs install</code> once on this machine.</div>';
+    }
+
+    html += '<div class="git-branch-section-title">Tracked Patterns</div>';
+    html += result.patterns.length === 0
+        ? '<div class="git-changes-empty">No patterns tracked</div>'
+        : result.patterns.map((entry, index) => `
+            <div class="git-lfs-pattern">
+                <code>${escapeHtml(entry.displayPattern)}</code>
+                ${entry.scope ? `<span class="git-lfs-meta" title="${escapeHtml(entry.source)}">in ${escapeHtml(entry.scope)}/</span>` : ''}
+                ${entry.lockable ? '<span class="git-branch-badge default">lockable</span>' : ''}
+                <div class="git-branch-actions">
+                    <button class="btn-icon-small" onclick="untrackLfsPattern(${index})" title="Untrack"><i class="fas fa-times"></i></button>
+                </div>
+            </div>
+        `).join('');
+
+    html += `<div class="git-branch-section-title">Objects (${result.objects.length})</div>`;
+    html += result.objects.length === 0
+        ? '<div class="git-changes-empty">No files stored in LFS yet</div>'
+        : result.objects.map(object => {
+            const badges = [];
+            if (object.notConverted) {
+                badges.push('<span class="git-branch-badge unmerged" title="Matches an LFS pattern but was committed as a regular file">not in LFS</span>');
+            } else {
+                badges.push(object.local
+                    ? '<span class="git-branch-badge merged" title="The object is in the local LFS store">local</span>'
+                    : '<span class="git-branch-badge unmerged" title="The object has not been downloaded">not downloaded</span>');
+                if (!object.checkedOut) {
+                    badges.push('<span class="git-branch-badge unmerged" title="The working tree file is still pointer text">pointer only</span>');
+                }
+                if (object.remote === 'pushed') {
+                    badges.push(`<span class="git-branch-badge merged" title="On ${escapeHtml(result.upstream)}">remote</span>`);
+                } else if (object.remote === 'not-pushed') {
+                    badges.push(`<span class="git-branch-badge unmerged" title="Not on ${escapeHtml(result.upstream)} yet">not pushed</span>`);
+                }
+            }
+            return `
+                <div class="git-lfs-object">
+                    <i class="fas fa-database"></i>
+                    <div class="git-lfs-object-info">
+                        <span class="git-lfs-object-path" title="${escapeHtml(object.path)}">${escapeHtml(object.path)}</span>
+                        <span class="git-lfs-meta">${formatLfsSize(object.size)}${object.oid ? ` &middot; <code title="sha256:${object.oid}">${object.oid.substring(0, 10)}</code>` : ''}</span>
+                    </div>
+                    ${badges.join('')}
+                </div>
+            `;
+        }).join('');
+
+    body.innerHTML = html;
+}
+
+function showLfsTrackForm() {
+    if (!currentProject) {
+        showNotification('Please select a project first', 'error');
+        return;
+    }
+
+    const form = document.getElementById('git-lfs-form');
+    form.innerHTML = `
+        <div class="form-group">
+            <label for="lfs-pattern">File pattern:</label>
+            <input type="text" id="lfs-pattern" placeholder="*.psd">
+        </div>
+        <label class="checkbox-label">
+            <input type="checkbox" id="lfs-lockable">
+            <span>Lockable (read-only until locked)</span>
+        </label>
+        <div class="git-branch-form-actions">
+            <button class="btn-secondary" onclick="hideLfsTrackForm()">Cancel</button>
+            <button class="btn-primary" onclick="trackLfsPattern()">Track</button>
+        </div>
+    `;
+    form.style.display = '';
+    document.getElementById('lfs-pattern').focus();
+}
+
+function hideLfsTrackForm() {
+    const form = document.getElementById('git-lfs-form');
+    form.style.display = 'none';
+    form.innerHTML = '';
+}
+
+async function trackLfsPattern() {
+    const pattern = document.getElementById('lfs-pattern').value.trim();
+    if (!pattern) {
+        showNotification('Enter a file pattern', 'error');
+        return;
+    }
+
+    const result = await ipcRenderer.invoke('git-lfs-track', currentProject.path, pattern, {
+        lockable: document.getElementById('lfs-lockable').checked
+    });
+    if (result.success) {
+        hideLfsTrackForm();
+        showNotification(`${result.output}. Files already committed stay regular files until re-added.`, 'success');
+        await loadLfs();
+        await refreshGitStatus();
+    } else {
+        showNotification(`Track failed: ${result.error}`, 'error');
+    }
+}
+
+async function untrackLfsPattern(index) {
+    const entry = lfsState.patterns[index];
+    if (!entry || !confirm(`Stop tracking "${entry.displayPattern}" with Git LFS?\n\nFiles already in LFS stay there until they are re-added.`)) {
+        return;
+    }
+
+    const result = await ipcRenderer.invoke('git-lfs-untrack', currentProject.path, entry.pattern, entry.source);
+    if (result.success) {
+        showNotification(result.output, 'success');
+        await loadLfs();
+        await refreshGitStatus();
+    } else {
+        showNotification(`Untrack failed: ${result.error}`, 'error');
+    }
+}
+
+// Hooks
+let hookListState = { hooks: [], library: [], available: [] };
+let lastHookRun = null;
+
+async function loadHooks() {
+    if (!currentProject) return;
+
+    const list = document.getElementById('git-hook-list');
+    if (!list) return;
+
+    const result = await ipcRenderer.invoke('git-hooks-list', currentProject.path);
+    if (!result.success) {
+        list.innerHTML = `<div class="git-changes-empty">${escapeHtml(result.error)}</div>`;
+        return;
+    }
+
+    hookListState = result;
+    document.getElementById('git-hooks-path').innerHTML = result.hooksPath
+        ? `<i class="fas fa-folder"></i> core.hooksPath: <code>${escapeHtml(result.hooksPath)}</code>`
+        : `<i class="fas fa-folder"></i> <code>${escapeHtml(result.hooksDir)}</code>`;
+
+    let html = result.hooks.length === 0
+        ? '<div class="git-changes-empty">No hooks installed</div>'
+        : result.hooks.map((hook, index) => `
+            <div class="git-hook-item ${hook.enabled ? '' : 'disabled'}">
+                <i class="fas fa-anchor"></i>
+                <div class="git-hook-info" onclick="showHookEditor(${index})" title="Edit ${escapeHtml(hook.name)}">
+                    <div class="git-hook-title">
+                        <span class="git-hook-name">${escapeHtml(hook.name)}</span>
+                        <span class="git-branch-badge ${hook.enabled ? 'merged' : 'unmerged'}">${hook.enabled ? 'enabled' : 'disabled'}</span>
+                        ${hook.fromLibrary ? '<span class="git-branch-badge default">library</span>' : ''}
+                    </div>
+                    <div class="git-hook-preview">${escapeHtml(getHookSummary(hook.content))}</div>
+                </div>
+                <div class="git-branch-actions">
+                    <button class="btn-icon-small" onclick="toggleHook(${index})" title="${hook.enabled ? 'Disable' : 'Enable'} Hook">
+                        <i class="fas fa-${hook.enabled ? 'toggle-on' : 'toggle-off'}"></i>
+                    </button>
+                    <button class="btn-icon-small" onclick="showHookEditor(${index})" title="Edit Hook"><i class="fas fa-pen"></i></button>
+                    <button class="btn-icon-small" onclick="deleteHook(${index})" title="Delete Hook"><i class="fas fa-trash"></i></button>
+                </div>
+            </div>
+        `).join('');
+
+    if (lastHookRun && lastHookRun.projectPath === currentProject.path) {
+        html += `
+            <div class="git-hook-last-run ${lastHookRun.success ? '' : 'failed'}">
+                <div class="git-branch-section-title">Last ${lastHookRun.action} hook output (${escapeHtml(lastHookRun.hooks.join(', '))}, ${lastHookRun.time.toLocaleTimeString()})</div>
+                <pre>${escapeHtml(lastHookRun.output)}</pre>
+            </div>
+        `;
+    }
+    list.innerHTML = html;
+}
+
+// First line of the script that is not the shebang or blank
+function getHookSummary(content) {
+    const line = content.split('\n').find(text => text.trim() && !text.startsWith('#!'));
+    return line ? line.replace(/^#\s*/, '').trim() : '';
+}
+
+async function toggleHook(index) {
+    const hook = hookListState.hooks[index];
+    if (!hook) return;
+
+    const result = await ipcRenderer.invoke('git-hook-toggle', currentProject.path, hook.name, !hook.enabled);
+    if (result.success) {
+        showNotification(`${hook.name} hook ${hook.enabled ? 'disabled' : 'enabled'}`, 'success');
+        await loadHooks();
+    } else {
+        showNotification(`Failed to ${hook.enabled ? 'disable' : 'enable'} hook: ${result.error}`, 'error');
+    }
+}
+
+async function deleteHook(index) {
+    const hook = hookListState.hooks[index];
+    if (!hook || !confirm(`Delete the ${hook.name} hook?\n\nThe script is removed from ${hookListState.hooksDir}.`)) {
+        return;
+    }
+
+    const result = await ipcRenderer.invoke('git-hook-delete', currentProject.path, hook.file);
+    if (result.success) {
+        showNotification(`${hook.name} hook deleted`, 'success');
+        await loadHooks();
+    } else {
+        showNotification(`Failed to delete hook: ${result.error}`, 'error');
+    }
+}
+
+// Edit an existing hook by index, or create a new one when index is omitted
+function showHookEditor(index = null) {
+    if (!currentProject) {
+        showNotification('Please select a project first', 'error');
+        return;
+    }
+
+    if (!document.getElementById('git-hook-editor-modal')) {
+        createHookEditorModal();
+    }
+
+    const hook = index !== null ? hookListState.hooks[index] : null;
+    const nameSelect = document.getElementById('hook-editor-name');
+    nameSelect.innerHTML = hookListState.available.map(name =>
+        `<option value="${name}" ${hook && hook.name === name ? 'selected' : ''}>${name}</option>`
+    ).join('');
+    nameSelect.disabled = !!hook;
+    nameSelect.dataset.file = hook ? hook.file : '';
+    document.getElementById('hook-editor-content').value = hook
+        ? hook.content
+        : '#!/bin/sh\n# Exit with a non-zero status to stop the git operation\n\nexit 0\n';
+    document.getElementById('hook-editor-title').textContent = hook ? `Edit ${hook.name}` : 'New Hook';
+    showModal('git-hook-editor-modal');
+}
+
+async function saveHook() {
+    const nameSelect = document.getElementById('hook-editor-name');
+    const file = nameSelect.dataset.file || nameSelect.value;
+    const content = document.getElementById('hook-editor-content').value;
+
+    if (!nameSelect.dataset.file && hookListState.hooks.some(hook => hook.name === nameSelect.value)
+        && !confirm(`A ${nameSelect.value} hook already exists. Replace it?`)) {
+        return;
+    }
+
+    const result = await ipcRenderer.invoke('git-hook-save', currentProject.path, file, content);
+    if (result.success) {
+        hideModal('git-hook-editor-modal');
+        showNotification(`Saved ${file}`, 'success');
+        await loadHooks();
+    } else {
+        showNotification(`Failed to save hook: ${result.error}`, 'error');
+    }
+}
+
+function createHookEditorModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'git-hook-editor-modal';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 720px;">
+            <div class="modal-header">
+                <h2><i class="fas fa-anchor"></i> <span id="hook-editor-title">New Hook</span></h2>
+                <button class="modal-close-btn" onclick="hideModal('git-hook-editor-modal')">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="form-group">
+                    <label for="hook-editor-name">Hook:</label>
+                    <select id="hook-editor-name" class="select-input"></select>
+                </div>
+                <div class="form-group">
+                    <label for="hook-editor-content">Script:</label>
+                    <textarea id="hook-editor-content" class="git-hook-editor" rows="18" spellcheck="false"></textarea>
+                </div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn-secondary" onclick="hideModal('git-hook-editor-modal')">Cancel</button>
+                <button class="btn-primary" onclick="saveHook()">
+                    <i class="fas fa-save"></i> Save Hook
+                </button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+function showHookLibraryModal() {
+    if (!currentProject) {
+        showNotification('Please select a project first', 'error');
+        return;
+    }
+
+    if (!document.getElementById('git-hook-library-modal')) {
+        createHookLibraryModal();
+    }
+
+    document.getElementById('hook-library-list').innerHTML = hookListState.library.map(entry => {
+        const installed = hookListState.hooks.find(hook => hook.name === entry.hook);
+        return `
+            <div class="hook-library-item">
+                <div class="hook-library-header">
+                    <div>
+                        <strong>${escapeHtml(entry.name)}</strong>
+                        <span class="git-branch-badge default">${entry.hook}</span>
+                        ${installed ? `<span class="git-branch-badge unmerged" title="Installing replaces the current ${entry.hook} hook">${entry.hook} exists</span>` : ''}
+                    </div>
+                    <button class="btn-primary" onclick="installLibraryHook('${entry.id}')">
+                        <i class="fas fa-download"></i> Install
+                    </button>
+                </div>
+                <p>${escapeHtml(entry.description)}</p>
+                <div class="form-group">
+                    <label for="hook-library-param-${entry.id}">${escapeHtml(entry.param.label)}:</label>
+                    <input type="text" id="hook-library-param-${entry.id}" value="${escapeHtml(entry.param.default)}">
+                </div>
+            </div>
+        `;
+    }).join('');
+    showModal('git-hook-library-modal');
+}
+
+async function installLibraryHook(libraryId) {
+    const param = document.getElementById(`hook-library-param-${libraryId}`).value;
+    let result = await ipcRenderer.invoke('git-hook-install', currentProject.path, libraryId, param);
+    if (!result.success && result.exists) {
+        if (!confirm(`${result.error}. Replace it?`)) return;
+        result = await ipcRenderer.invoke('git-hook-install', currentProject.path, libraryId, param, true);
+    }
+
+    if (result.success) {
+        hideModal('git-hook-library-modal');
+        showNotification(`Installed the ${result.hook} hook`, 'success');
+        await loadHooks();
+    } else {
+        showNotification(`Failed to install hook: ${result.error}`, 'error');
+    }
+}
+
+function createHookLibraryModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'git-hook-library-modal';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 640px;">
+            <div class="modal-header">
+                <h2><i class="fas fa-book"></i> Hook Library</h2>
+                <button class="modal-close-btn" onclick="hideModal('git-hook-library-modal')">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="hook-library-list" id="hook-library-list"></div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn-secondary" onclick="hideModal('git-hook-library-modal')">Close</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+// Keep what hooks printed during a commit or push; a rejection is shown right away
+function reportHookOutput(result, action) {
+    if (!result.hookOutput || !currentProject) return;
+
+    lastHookRun = {
+        projectPath: currentProject.path,
+        action,
+        hooks: result.hooks || [],
+        output: result.hookOutput,
+        success: result.success,
+        time: new Date()
+    };
+    if (currentGitTab === 'advanced') {
+        loadHooks();
+    }
+
+    if (!result.hookRejected) return;
+
+    if (!document.getElementById('git-hook-output-modal')) {
+        createHookOutputModal();
+    }
+    document.getElementById('hook-output-title').textContent = result.error;
+    document.getElementById('hook-output-text').textContent = result.hookOutput;
+    showModal('git-hook-output-modal');
+}
+
+function createHookOutputModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'git-hook-output-modal';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 720px;">
+            <div class="modal-header">
+                <h2><i class="fas fa-anchor"></i> <span id="hook-output-title">Hook Output</span></h2>
+                <button class="modal-close-btn" onclick="hideModal('git-hook-output-modal')">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <pre class="git-hook-output" id="hook-output-text"></pre>
+            </div>
+            <div class="modal-footer">
+                <button class="btn-secondary" onclick="hideModal('git-hook-output-modal')">Close</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+// Bisect
+let bisectState = { active: false };
+let bisectCulprit = null;
+let bisectRunId = null;
+
+async function loadBisect() {
+    if (!currentProject) return;
+
+    const result = await ipcRenderer.invoke('git-bisect-status', currentProject.path);
+    if (!result.success) {
+        document.getElementById('git-bisect-body').innerHTML = `<div class="git-changes-empty">${escapeHtml(result.error)}</div>`;
+        return;
+    }
+
+    bisectState = result.state;
+    await renderBisect();
+}
+
+async function renderBisect() {
+    const body = document.getElementById('git-bisect-body');
+    if (!body) return;
+
+    if (bisectCulprit && bisectCulprit.projectPath === currentProject.path) {
+        body.innerHTML = `
+            <div class="git-bisect-result">
+                <i class="fas fa-bullseye"></i>
+                <span>First bad commit <code>${bisectCulprit.hash.substring(0, 7)}</code></span>
+                <button class="btn-secondary" onclick="closeBisectResult()">Done</button>
+            </div>
+            <div class="git-bisect-culprit" id="git-bisect-culprit"></div>
+        `;
+        await loadCommitDetail(document.getElementById('git-bisect-culprit'), bisectCulprit.hash, showCommitDetail);
+        return;
+    }
+
+    if (!bisectState.active) {
+        const log = await ipcRenderer.invoke('git-log', currentProject.path, 200);
+        const commits = log.success
+            ? log.output.split('\n').filter(line => line.trim()).map(line => {
+                const [hash, author, email, date, ...messageParts] = line.split('|');
+                return { hash, date, message: messageParts.join('|') };
+            })
+            : [];
+        const options = commits.map(commit =>
+            `<option value="${commit.hash}">${commit.hash.substring(0, 7)} ${escapeHtml(commit.message)} (${new Date(commit.date).toLocaleDateString()})</option>`
+        ).join('');
+
+        body.innerHTML = `
+            <p class="git-bisect-hint">Find the commit that introduced a regression by testing the commits between a good and a bad one.</p>
+            <div class="form-group">
+                <label for="bisect-good">Known good commit:</label>
+                <select id="bisect-good" class="select-input">
+                    <option value="">Select a commit where it worked...</option>
+                    ${options}
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="bisect-bad">Bad commit:</label>
+                <select id="bisect-bad" class="select-input">
+                    <option value="HEAD">HEAD (current commit)</option>
+                    ${options}
+                </select>
+            </div>
+            <button class="btn-primary" onclick="startBisect()">
+                <i class="fas fa-play"></i> Start Bisect
+            </button>
+        `;
+        return;
+    }
+
+    const head = bisectState.head || {};
+    const running = !!bisectRunId;
+    body.innerHTML = `
+        <div class="git-bisect-current">
+            <div class="git-bisect-label">Now testing</div>
+            <div>
+                <code>${(head.hash || '').substring(0, 7)}</code>
+                <span class="git-bisect-subject">${escapeHtml(head.subject || '')}</span>
+            </div>
+            <div class="git-bisect-progress">
+                ${bisectState.remaining !== null
+                    ? `${bisectState.remaining} revision(s) left after this (roughly ${bisectState.steps} step(s))`
+                    : 'Mark the checked-out commit to continue'}
+                · ${bisectState.good.length} good · ${bisectState.bad ? 1 : 0} bad · ${bisectState.skipped.length} skipped
+            </div>
+        </div>
+        <div class="git-bisect-actions">
+            <button class="btn-secondary git-bisect-good" onclick="markBisect('good')" ${running ? 'disabled' : ''}>
+                <i class="fas fa-check"></i> Good
+            </button>
+            <button class="btn-secondary git-bisect-bad" onclick="markBisect('bad')" ${running ? 'disabled' : ''}>
+                <i class="fas fa-times"></i> Bad
+            </button>
+            <button class="btn-secondary" onclick="markBisect('skip')" ${running ? 'disabled' : ''}>
+                <i class="fas fa-forward"></i> Skip
+            </button>
+            <button class="btn-secondary" onclick="resetBisect()" ${running ? 'disabled' : ''} title="End the bisect and return to the original branch">
+                <i class="fas fa-rotate-left"></i> Reset
+            </button>
+        </div>
+        <div class="form-group">
+            <label for="bisect-command">Or decide automatically with a command (exit 0 = good, 125 = skip, 1-127 = bad, above 127 stops the run):</label>
+            <div class="input-group">
+                <input type="text" id="bisect-command" placeholder="npm test" value="${escapeHtml(bisectState.command || '')}" ${running ? 'disabled' : ''}>
+                ${running
+                    ? '<button class="btn-secondary" onclick="cancelBisectRun()"><i class="fas fa-stop"></i> Cancel</button>'
+                    : '<button class="btn-primary" onclick="runBisectCommand()"><i class="fas fa-robot"></i> Run</button>'}
+            </div>
+        </div>
+        <pre class="git-bisect-log" id="git-bisect-log" style="${running ? '' : 'display: none;'}"></pre>
+    `;
+}
+
+async function startBisect() {
+    const good = document.getElementById('bisect-good').value;
+    const bad = document.getElementById('bisect-bad').value;
+    if (!good) {
+        showNotification('Please select a known good commit', 'error');
+        return;
+    }
+    if (good === bad) {
+        showNotification('The good and bad commits must differ', 'error');
+        return;
+    }
+
+    const result = await ipcRenderer.invoke('git-bisect-start', currentProject.path, good, bad);
+    await handleBisectResult(result, 'Bisect started');
+}
+
+async function markBisect(verdict) {
+    const result = await ipcRenderer.invoke('git-bisect-mark', currentProject.path, verdict);
+    await handleBisectResult(result, `Marked ${verdict}`);
+}
+
+async function runBisectCommand() {
+    const command = document.getElementById('bisect-command').value.trim();
+    if (!command) {
+        showNotification('Please enter a command to test each commit', 'error');
+        return;
+    }
+
+    bisectRunId = `bisect-${Date.now()}`;
+    bisectState.command = command;
+    await renderBisect();
+
+    const result = await ipcRenderer.invoke('git-bisect-run', currentProject.path, command, bisectRunId);
+    bisectRunId = null;
+    if (result.cancelled) {
+        showNotification('Automatic bisect cancelled', 'warning');
+    }
+    await handleBisectResult(result, 'Bisect run finished');
+}
+
+async function cancelBisectRun() {
+    if (bisectRunId) {
+        await ipcRenderer.invoke('git-cancel-operation', bisectRunId);
+    }
+}
+
+// Show the culprit once git names it, then end the session so the original branch is back
+async function handleBisectResult(result, successMessage) {
+    if (result.state) {
+        bisectState = { ...result.state, command: bisectState.command };
+    }
+
+    if (bisectState.culprit) {
+        bisectCulprit = { projectPath: currentProject.path, hash: bisectState.culprit };
+        showNotification(`First bad commit: ${bisectState.culprit.substring(0, 7)}`, 'success');
+        await resetBisect(true);
+        return;
+    }
+
+    if (result.success) {
+        showNotification(successMessage, 'success');
+    } else if (!result.cancelled) {
+        showNotification(`Bisect failed: ${result.error}`, 'error');
+    }
+    await renderBisect();
+    await refreshGitStatus();
+}
+
+async function resetBisect(silent = false) {
+    const result = await ipcRenderer.invoke('git-bisect-reset', currentProject.path);
+    if (!result.success) {
+        showNotification(`Bisect reset failed: ${result.error}`, 'error');
+    } else if (!silent) {
+        showNotification('Bisect reset', 'success');
+    }
+    await loadBisect();
+    await refreshGitStatus();
+}
+
+async function closeBisectResult() {
+    bisectCulprit = null;
+    await loadBisect();
+}
+
+ipcRenderer.on('git-bisect-output', (event, { projectPath, chunk }) => {
+    const log = document.getElementById('git-bisect-log');
+    if (!log || !currentProject || projectPath !== currentProject.path) return;
+    log.textContent += chunk;
+    log.scrollTop = log.scrollHeight;
+});
+
+// Patches
+let patchState = { mode: 'export', commits: [], file: null, check: null };
+
+async function showPatchModal(mode = 'export') {
+    if (!currentProject) {
+        showNotification('Please select a project first', 'error');
+        return;
+    }
+
+    if (!document.getElementById('git-patch-modal')) {
+        createPatchModal();
+    }
+
+    const log = await ipcRenderer.invoke('git-log', currentProject.path, 50);
+    patchState.commits = log.success
+        ? log.output.split('\n').filter(line => line.trim()).map(line => {
+            const [hash, author, email, date, ...messageParts] = line.split('|');
+            return { hash, author, date, message: messageParts.join('|') };
+        })
+        : [];
+    patchState.file = null;
+    patchState.check = null;
+
+    document.getElementById('patch-export-commits').innerHTML = patchState.commits.length > 0
+        ? patchState.commits.map(commit => `
+            <label class="patch-commit-item">
+                <input type="checkbox" value="${commit.hash}">
+                <code>${commit.hash.substring(0, 7)}</code>
+                <span class="patch-commit-message">${escapeHtml(commit.message)}</span>
+                <span class="patch-commit-meta">${escapeHtml(commit.author)}, ${new Date(commit.date).toLocaleDateString()}</span>
+            </label>
+        `).join('')
+        : '<div class="git-changes-empty">No commits yet</div>';
+    document.getElementById('patch-apply-file').textContent = 'No file selected';
+    document.getElementById('patch-check-result').innerHTML = '';
+    document.getElementById('patch-apply-btn').disabled = true;
+
+    switchPatchMode(mode);
+    updatePatchExportOptions();
+    showModal('git-patch-modal');
+}
+
+function switchPatchMode(mode) {
+    patchState.mode = mode;
+    document.querySelectorAll('#git-patch-modal .patch-mode-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.mode === mode);
+    });
+    document.getElementById('patch-export-pane').style.display = mode === 'export' ? '' : 'none';
+    document.getElementById('patch-apply-pane').style.display = mode === 'apply' ? '' : 'none';
+    document.getElementById('patch-export-btn').style.display = mode === 'export' ? '' : 'none';
+    document.getElementById('patch-check-btn').style.display = mode === 'apply' ? '' : 'none';
+    document.getElementById('patch-apply-btn').style.display = mode === 'apply' ? '' : 'none';
+}
+
+// The working-tree diff is always a single file, so the output choice only applies to commits
+function updatePatchExportOptions() {
+    const working = document.getElementById('patch-source-working').checked;
+    document.getElementById('patch-export-commits').style.display = working ? 'none' : '';
+    document.getElementById('patch-export-output').style.display = working ? 'none' : '';
+}
+
+async function exportPatches() {
+    const working = document.getElementById('patch-source-working').checked;
+    const mbox = document.getElementById('patch-output-mbox').checked;
+    const commits = [...document.querySelectorAll('#patch-export-commits input:checked')].map(input => input.value);
+
+    if (!working && commits.length === 0) {
+        showNotification('Select at least one commit to export', 'error');
+        return;
+    }
+
+    const options = { source: working ? 'working' : 'commits', commits, mode: mbox ? 'mbox' : 'files' };
+    if (working || mbox) {
+        options.outputFile = await ipcRenderer.invoke('save-dialog', {
+            defaultPath: path.join(currentProject.path, working ? 'working-tree.patch' : `${currentProject.name}.mbox`),
+            filters: [{ name: 'Patch Files', extensions: working ? ['patch', 'diff'] : ['mbox', 'patch'] }]
+        });
+        if (!options.outputFile) return;
+    } else {
+        options.outputDir = await ipcRenderer.invoke('select-folder');
+        if (!options.outputDir) return;
+    }
+
+    const result = await ipcRenderer.invoke('git-patch-export', currentProject.path, options);
+    if (result.success) {
+        const target = result.files.length === 1 ? path.basename(result.files[0]) : `${result.files.length} patch files`;
+        showNotification(`Exported ${target}`, 'success');
+        hideModal('git-patch-modal');
+    } else {
+        showNotification(`Export failed: ${result.error}`, 'error');
+    }
+}
+
+async function selectPatchFile() {
+    const filePath = await ipcRenderer.invoke('select-file', {
+        filters: [
+            { name: 'Patches', extensions: ['patch', 'diff', 'mbox', 'eml'] },
+            { name: 'All Files', extensions: ['*'] }
+        ],
+        properties: ['openFile'],
+        defaultPath: currentProject.path
+    });
+    if (!filePath) return;
+
+    patchState.file = filePath;
+    document.getElementById('patch-apply-file').textContent = filePath;
+    await checkPatch();
+}
+
+// Dry run the selected patch and pick am or apply from its format
+async function checkPatch() {
+    if (!patchState.file) {
+        showNotification('Choose a patch file first', 'error');
+        return;
+    }
+
+    const output = document.getElementById('patch-check-result');
+    output.innerHTML = '<div class="commit-graph-placeholder"><i class="fas fa-spinner fa-spin"></i></div>';
+    const result = await ipcRenderer.invoke('git-patch-check', currentProject.path, patchState.file);
+    patchState.check = result.success ? result : null;
+    document.getElementById('patch-apply-btn').disabled = !result.success;
+
+    if (!result.success) {
+        output.innerHTML = `<div class="patch-check-status error"><i class="fas fa-times-circle"></i> ${escapeHtml(result.error)}</div>`;
+        return;
+    }
+
+    document.getElementById(result.isMailbox ? 'patch-method-am' : 'patch-method-apply').checked = true;
+    document.getElementById('patch-method-am').disabled = !result.isMailbox;
+    document.getElementById('patch-three-way').checked = !result.applies && result.appliesWithThreeWay;
+
+    let status;
+    if (result.applies) {
+        status = '<div class="patch-check-status success"><i class="fas fa-check-circle"></i> Applies cleanly</div>';
+    } else if (result.appliesWithThreeWay) {
+        status = '<div class="patch-check-status warning"><i class="fas fa-exclamation-triangle"></i> Does not apply cleanly; a three-way merge can apply it</div>';
+    } else {
+        status = '<div class="patch-check-status error"><i class="fas fa-times-circle"></i> Does not apply, conflicts will have to be resolved</div>';
+    }
+
+    output.innerHTML = `
+        ${status}
+        ${result.isMailbox ? `<div class="patch-check-meta">${result.commits} commit${result.commits === 1 ? '' : 's'} in this mailbox</div>` : ''}
+        <pre class="patch-check-output">${escapeHtml(result.stat)}</pre>
+        ${result.problems ? `<pre class="patch-check-output problems">${escapeHtml(result.problems)}</pre>` : ''}
+    `;
+}
+
+async function applyPatch() {
+    if (!patchState.file) {
+        showNotification('Choose a patch file first', 'error');
+        return;
+    }
+
+    const method = document.getElementById('patch-method-am').checked ? 'am' : 'apply';
+    const result = await ipcRenderer.invoke('git-patch-apply', currentProject.path, patchState.file, {
+        method,
+        threeWay: document.getElementById('patch-three-way').checked,
+        index: document.getElementById('patch-apply-index').checked
+    });
+
+    if (result.success) {
+        hideModal('git-patch-modal');
+        showNotification(method === 'am' ? 'Patches applied as commits' : 'Patch applied to the working tree', 'success');
+        await refreshGitStatus();
+    } else if (result.conflict) {
+        hideModal('git-patch-modal');
+        await handleConflictResult(result);
+    } else {
+        showNotification(`Apply failed: ${result.error}`, 'error');
+        await refreshGitStatus();
+    }
+}
+
+// Create patch export/apply modal
+function createPatchModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'git-patch-modal';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 720px;">
+            <div class="modal-header">
+                <h2><i class="fas fa-file-export"></i> Patches</h2>
+                <button class="modal-close-btn" onclick="hideModal('git-patch-modal')">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="diff-mode-toggle patch-mode-toggle">
+                    <button class="patch-mode-tab active" data-mode="export" onclick="switchPatchMode('export')">Export</button>
+                    <button class="patch-mode-tab" data-mode="apply" onclick="switchPatchMode('apply')">Apply</button>
+                </div>
+                <div id="patch-export-pane">
+                    <div class="patch-options">
+                        <label class="checkbox-label">
+                            <input type="radio" name="patch-source" id="patch-source-commits" onchange="updatePatchExportOptions()" checked>
+                            <span>Selected commits</span>
+                        </label>
+                        <label class="checkbox-label">
+                            <input type="radio" name="patch-source" id="patch-source-working" onchange="updatePatchExportOptions()">
+                            <span>Uncommitted changes</span>
+                        </label>
+                    </div>
+                    <div class="patch-options" id="patch-export-output">
+                        <label class="checkbox-label">
+                            <input type="radio" name="patch-output" id="patch-output-files" checked>
+                            <span>One .patch file per commit</span>
+                        </label>
+                        <label class="checkbox-label">
+                            <input type="radio" name="patch-output" id="patch-output-mbox">
+                            <span>Single mbox file</span>
+                        </label>
+                    </div>
+                    <div class="patch-commit-list" id="patch-export-commits"></div>
+                </div>
+                <div id="patch-apply-pane" style="display: none;">
+                    <div class="patch-file-row">
+                        <button class="btn-secondary" onclick="selectPatchFile()">
+                            <i class="fas fa-folder-open"></i> Choose Patch
+                        </button>
+                        <span class="patch-file-name" id="patch-apply-file">No file selected</span>
+                    </div>
+                    <div class="patch-options">
+                        <label class="checkbox-label">
+                            <input type="radio" name="patch-method" id="patch-method-am" checked>
+                            <span>git am (recreate commits)</span>
+                        </label>
+                        <label class="checkbox-label">
+                            <input type="radio" name="patch-method" id="patch-method-apply">
+                            <span>git apply (changes only)</span>
+                        </label>
+                    </div>
+                    <div class="patch-options">
+                        <label class="checkbox-label">
+                            <input type="checkbox" id="patch-three-way">
+                            <span>Fall back to a three-way merge</span>
+                        </label>
+                        <label class="checkbox-label">
+                            <input type="checkbox" id="patch-apply-index">
+                            <span>Also stage the changes (git apply)</span>
+                        </label>
+                    </div>
+                    <div id="patch-check-result"></div>
+                </div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn-secondary" onclick="hideModal('git-patch-modal')">Cancel</button>
+                <button class="btn-primary" id="patch-export-btn" onclick="exportPatches()">
+                    <i class="fas fa-file-export"></i> Export
+                </button>
+                <button class="btn-secondary" id="patch-check-btn" onclick="checkPatch()" style="display: none;">
+                    <i class="fas fa-vial"></i> Check
+                </button>
+                <button class="btn-primary" id="patch-apply-btn" onclick="applyPatch()" style="display: none;" disabled>
+                    <i class="fas fa-file-import"></i> Apply
+                </button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+// Load branches for merge modal
+async function loadBranchesForMerge() {
+    if (!currentProject) return;
+
+    const result = await ipcRenderer.invoke('git-branches', currentProject.path);
+    if (!result.success) return;
+
+    const branches = result.branches.filter(branch => !branch.current).map(branch => branch.name);
+
+    const select = document.getElementById('merge-branch-select');
+    if (!select) return;
+
+    select.innerHTML = branches.map(b => `<option value="${escapeHtml(b)}">${escapeHtml(b)}</option>`).join('');
+}
+
+// Perform merge
+async function performMerge() {
+    const branchName = document.getElementById('merge-branch-select')?.value;
+    if (!branchName) {
+        showNotification('Please select a branch to merge', 'error');
+        return;
+    }
+
+    if (!currentProject) {
+        showNotification('No project selected', 'error');
+        return;
+    }
+
+    showNotification(`Merging ${branchName}...`, 'info');
+    const result = await ipcRenderer.invoke('git-merge', currentProject.path, branchName);
+
+    if (result.success) {
+        showNotification(`Successfully merged ${branchName}`, 'success');
+        hideModal('git-merge-modal');
+        await refreshGitStatus();
+    } else if (result.conflict) {
+        hideModal('git-merge-modal');
+        await handleConflictResult(result);
+    } else {
+        showNotification(`Merge failed: ${result.error}`, 'error');
+    }
+}
+
+// Load commit history
+async function loadCommitHistory() {
+    if (!currentProject) return;
+
+    const result = await ipcRenderer.invoke('git-log', currentProject.path, 50, { signatures: true });
+    if (!result.success) {
+        showNotification('Failed to load commit history', 'error');
+        return;
+    }
+
+    showCommitHistoryModal(result.output, result.signatures);
+}
+
+// Show commit history in modal
+function showCommitHistoryModal(logOutput, signatures = {}) {
+    const modal = document.getElementById('git-history-modal');
+    if (!modal) {
+        createHistoryModal();
+        showCommitHistoryModal(logOutput, signatures);
         return;
     }
 
     const historyList = document.getElementById('commit-history-list');
     const commits = logOutput.split('\n').filter(line => line.trim());
 
-    let html = '';
-    commits.forEach(commit => {
-        const [hash, author, email, date, ...messageParts] = commit.split('|');
-        const message = messageParts.join('|');
-        const shortHash = hash.substring(0, 7);
+    let html = '';
+    commits.forEach(commit => {
+        const [hash, author, email, date, ...messageParts] = commit.split('|');
+        const message = messageParts.join('|');
+        const shortHash = hash.substring(0, 7);
+
+        html += `
+            <div class="commit-item commit-item-clickable" onclick="showCommitDetail('${hash}')" title="Show commit details">
+                <div class="commit-header">
+                    <code class="commit-hash">${shortHash}</code>
+                    <span class="commit-author">${author}</span>
+                    <span class="commit-date">${new Date(date).toLocaleDateString()}</span>
+                    ${renderSignatureBadge(signatures[hash])}
+                </div>
+                <div class="commit-message">${escapeHtml(message)}</div>
+            </div>
+        `;
+    });
+
+    historyList.innerHTML = html;
+    showModal('git-history-modal');
+}
+
+// Create history modal
+function createHistoryModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'git-history-modal';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 800px;">
+            <div class="modal-header">
+                <h2><i class="fas fa-history"></i> Commit History</h2>
+                <button class="modal-close-btn" onclick="hideModal('git-history-modal')">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div id="commit-history-list" style="max-height: 600px; overflow-y: auto;"></div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn-secondary modal-close">Close</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+// Commit graph
+const GRAPH_PAGE_SIZE = 200;
+const GRAPH_ROW_HEIGHT = 32;
+const GRAPH_LANE_WIDTH = 22;
+const GRAPH_LABEL_WIDTH = 560;
+const GRAPH_LANE_COLORS = ['#007acc', '#89d185', '#dcdcaa', '#c586c0', '#f48771', '#4ec9b0', '#d7ba7d', '#9cdcfe'];
+
+let commitGraphState = null;
+
+function resetCommitGraphState() {
+    commitGraphState = {
+        network: null,
+        nodes: null,
+        edges: null,
+        commits: new Map(),
+        rows: 0,
+        lanes: [],
+        laneCount: 0,
+        pendingEdges: new Map(),
+        hasMore: true,
+        loading: false,
+        selected: null
+    };
+}
+
+async function showCommitGraph() {
+    if (!currentProject) {
+        showNotification('Please select a project first', 'error');
+        return;
+    }
+
+    if (!document.getElementById('git-graph-modal')) {
+        createCommitGraphModal();
+    }
+
+    if (commitGraphState && commitGraphState.network) {
+        commitGraphState.network.destroy();
+    }
+    resetCommitGraphState();
+
+    document.getElementById('commit-graph-details').innerHTML = `
+        <div class="commit-graph-placeholder">
+            <i class="fas fa-mouse-pointer"></i>
+            <p>Select a commit to see its details</p>
+        </div>
+    `;
+    showModal('git-graph-modal');
+
+    // The standalone index is ESM-only; the UMD bundle loads through require
+    const { Network, DataSet } = require('vis-network/standalone/umd/vis-network.min.js');
+    commitGraphState.nodes = new DataSet();
+    commitGraphState.edges = new DataSet();
+
+    const container = document.getElementById('commit-graph-canvas');
+    const network = new Network(container, {
+        nodes: commitGraphState.nodes,
+        edges: commitGraphState.edges
+    }, {
+        physics: false,
+        layout: { improvedLayout: false },
+        interaction: {
+            dragNodes: false,
+            zoomView: false,
+            hover: true,
+            tooltipDelay: 300
+        },
+        edges: {
+            width: 2,
+            arrows: { to: { enabled: false } },
+            smooth: { type: 'cubicBezier', forceDirection: 'vertical', roundness: 0.6 }
+        }
+    });
+    commitGraphState.network = network;
+
+    network.on('dragEnd', () => maybeLoadMoreCommits());
+    network.on('click', (params) => {
+        if (params.nodes.length > 0) {
+            selectGraphCommit(params.nodes[0].replace(/^label:/, ''));
+        }
+    });
+
+    await loadMoreCommits();
+
+    const viewWidth = container.clientWidth;
+    const viewHeight = container.clientHeight;
+    network.moveTo({
+        position: { x: viewWidth / 2 - GRAPH_LANE_WIDTH, y: viewHeight / 2 - GRAPH_ROW_HEIGHT },
+        scale: 1
+    });
+}
+
+function scrollCommitGraph(deltaX, deltaY) {
+    const { network } = commitGraphState;
+    const position = network.getViewPosition();
+    const scale = network.getScale();
+    const container = document.getElementById('commit-graph-canvas');
+    const top = container.clientHeight / 2 / scale - GRAPH_ROW_HEIGHT;
+
+    network.moveTo({
+        position: {
+            x: position.x + deltaX / scale,
+            y: Math.max(top, position.y + deltaY / scale)
+        }
+    });
+    maybeLoadMoreCommits();
+}
+
+// Fetch the next page once the view gets close to the last loaded row
+function maybeLoadMoreCommits() {
+    const { network, hasMore, loading, rows } = commitGraphState;
+    if (!network || !hasMore || loading) return;
+
+    const container = document.getElementById('commit-graph-canvas');
+    const bottom = network.getViewPosition().y + container.clientHeight / 2 / network.getScale();
+    if (bottom > (rows - 20) * GRAPH_ROW_HEIGHT) {
+        loadMoreCommits();
+    }
+}
+
+async function loadMoreCommits() {
+    const state = commitGraphState;
+    if (state.loading || !state.hasMore) return;
+
+    state.loading = true;
+    document.getElementById('commit-graph-status').textContent = 'Loading commits...';
+
+    const result = await ipcRenderer.invoke('git-graph', currentProject.path, state.rows, GRAPH_PAGE_SIZE, {
+        signatures: document.getElementById('commit-graph-signatures').checked
+    });
+    state.loading = false;
+
+    // The modal may have been reopened for another project while loading
+    if (state !== commitGraphState) return;
+
+    if (!result.success) {
+        document.getElementById('commit-graph-status').textContent = '';
+        showNotification(`Failed to load commit graph: ${result.error}`, 'error');
+        return;
+    }
+
+    state.hasMore = result.hasMore;
+    addGraphCommits(result.commits);
+
+    document.getElementById('commit-graph-status').textContent = state.rows === 0
+        ? 'No commits yet'
+        : `${state.rows} commits${state.hasMore ? ' loaded, scroll down for more' : ''}`;
+}
+
+// Give each commit a lane: it continues the lane that expected it, or takes a free one
+function assignGraphLane(commit) {
+    const lanes = commitGraphState.lanes;
+    const takeFreeLane = () => {
+        const free = lanes.indexOf(null);
+        if (free !== -1) return free;
+        lanes.push(null);
+        return lanes.length - 1;
+    };
+
+    let lane = lanes.indexOf(commit.hash);
+    if (lane === -1) {
+        lane = takeFreeLane();
+    }
+
+    // Other branches that were waiting for this commit merge into its lane
+    lanes.forEach((hash, index) => {
+        if (hash === commit.hash && index !== lane) lanes[index] = null;
+    });
+
+    lanes[lane] = commit.parents[0] || null;
+    commit.parents.slice(1).forEach(parent => {
+        if (!lanes.includes(parent)) {
+            lanes[takeFreeLane()] = parent;
+        }
+    });
+
+    return lane;
+}
+
+// Text marks for signed commits, since graph labels cannot hold badges
+const GRAPH_SIGNATURE_MARKS = { G: '✔ ', U: '✔ ', X: '⚠ ', Y: '⚠ ', R: '✘ ', B: '✘ ', E: '? ' };
+
+function buildGraphLabel(commit) {
+    // vis-network's html labels only understand a few tags, so keep angle brackets out of the text
+    const clean = (text) => text.replace(/</g, '‹').replace(/>/g, '›');
+    const refs = commit.refs
+        .filter(ref => ref.type !== 'head')
+        .map(ref => ref.type === 'tag' ? `tag: ${ref.name}` : ref.name);
+    const isHead = commit.refs.some(ref => ref.type === 'head');
+    const subject = commit.subject.length > 70 ? `${commit.subject.substring(0, 67)}...` : commit.subject;
+    const signature = commit.signature ? (GRAPH_SIGNATURE_MARKS[commit.signature.status] || '') : '';
+
+    return `<code>${commit.hash.substring(0, 7)}</code>  ${signature}` +
+        (refs.length > 0 ? `<b>${isHead ? '● ' : ''}${clean(refs.join('  '))}</b>  ` : '') +
+        clean(subject);
+}
+
+function addGraphCommits(commits) {
+    const state = commitGraphState;
+    const styles = getComputedStyle(document.documentElement);
+    const textColor = styles.getPropertyValue('--text-primary').trim() || '#cccccc';
+    const mutedColor = styles.getPropertyValue('--text-secondary').trim() || '#999999';
+    const newNodes = [];
+    const newEdges = [];
+
+    commits.forEach(commit => {
+        const lane = assignGraphLane(commit);
+        const row = state.rows++;
+        const color = GRAPH_LANE_COLORS[lane % GRAPH_LANE_COLORS.length];
+        commit.lane = lane;
+        commit.row = row;
+        state.commits.set(commit.hash, commit);
+
+        const isHead = commit.refs.some(ref => ref.type === 'head');
+        newNodes.push({
+            id: commit.hash,
+            x: lane * GRAPH_LANE_WIDTH,
+            y: row * GRAPH_ROW_HEIGHT,
+            shape: 'dot',
+            size: commit.parents.length > 1 ? 5 : 7,
+            color: { background: isHead ? textColor : color, border: color, highlight: { background: textColor, border: color } },
+            borderWidth: 2,
+            title: `${commit.subject}\n${commit.author} - ${new Date(commit.date).toLocaleString()}` +
+                (commit.signature ? `\n${SIGNATURE_BADGES[commit.signature.status].label}${commit.signature.signer ? ` (${commit.signature.signer})` : ''}` : '')
+        });
+        newNodes.push({
+            id: `label:${commit.hash}`,
+            y: row * GRAPH_ROW_HEIGHT,
+            shape: 'text',
+            label: buildGraphLabel(commit),
+            widthConstraint: { minimum: GRAPH_LABEL_WIDTH, maximum: GRAPH_LABEL_WIDTH },
+            font: {
+                multi: 'html',
+                align: 'left',
+                size: 12,
+                color: textColor,
+                bold: { color: '#e2c08d' },
+                mono: { color: mutedColor, size: 12 }
+            }
+        });
+
+        // Edges wait until both ends are loaded
+        commit.parents.forEach((parent, index) => {
+            const pending = state.pendingEdges.get(parent) || [];
+            pending.push({ child: commit.hash, merge: index > 0 });
+            state.pendingEdges.set(parent, pending);
+        });
+    });
+
+    state.nodes.add(newNodes);
+
+    // Parents can arrive before or after their children across pages
+    state.pendingEdges.forEach((pending, parentHash) => {
+        if (state.commits.has(parentHash)) {
+            resolvePendingEdges(parentHash, newEdges);
+        }
+    });
+    state.edges.add(newEdges);
+
+    // New lanes push the label column to the right
+    state.laneCount = Math.max(state.laneCount, state.lanes.length);
+    const labelX = state.laneCount * GRAPH_LANE_WIDTH + GRAPH_LABEL_WIDTH / 2;
+    state.nodes.update(state.nodes.getIds()
+        .filter(id => id.startsWith('label:'))
+        .map(id => ({ id, x: labelX })));
+}
+
+function resolvePendingEdges(parentHash, edgeList) {
+    const state = commitGraphState;
+    const pending = state.pendingEdges.get(parentHash);
+    if (!pending) return;
+
+    const parent = state.commits.get(parentHash);
+    pending.forEach(({ child, merge }) => {
+        const childCommit = state.commits.get(child);
+        const lane = merge ? parent.lane : childCommit.lane;
+        edgeList.push({
+            from: child,
+            to: parentHash,
+            color: { color: GRAPH_LANE_COLORS[lane % GRAPH_LANE_COLORS.length], highlight: '#ffffff' },
+            dashes: merge ? [4, 4] : false
+        });
+    });
+    state.pendingEdges.delete(parentHash);
+}
+
+function selectGraphCommit(hash) {
+    const state = commitGraphState;
+    state.selected = hash;
+
+    if (state.commits.has(hash)) {
+        state.network.selectNodes([hash]);
+        const commit = state.commits.get(hash);
+        state.network.moveTo({
+            position: { x: state.network.getViewPosition().x, y: commit.row * GRAPH_ROW_HEIGHT },
+            animation: { duration: 200 }
+        });
+    }
+
+    showGraphCommitDetails(hash);
+}
+
+async function showGraphCommitDetails(hash) {
+    const panel = document.getElementById('commit-graph-details');
+    await loadCommitDetail(panel, hash, selectGraphCommit);
+}
+
+// Commit detail
+async function showCommitDetail(hash) {
+    if (!currentProject) return;
+
+    if (!document.getElementById('git-commit-detail-modal')) {
+        createCommitDetailModal();
+    }
+
+    // Opened from the history list, so it has to sit above it
+    const modal = document.getElementById('git-commit-detail-modal');
+    document.body.appendChild(modal);
+    showModal('git-commit-detail-modal');
+
+    await loadCommitDetail(document.getElementById('commit-detail-body'), hash, showCommitDetail);
+}
+
+// Fill a panel with a commit's details; onSelectCommit is called for parent links
+async function loadCommitDetail(panel, hash, onSelectCommit) {
+    panel.dataset.commit = hash;
+    panel.innerHTML = '<div class="commit-graph-placeholder"><i class="fas fa-spinner fa-spin"></i></div>';
+
+    const result = await ipcRenderer.invoke('git-commit-details', currentProject.path, hash);
+    // Another commit may have been selected while this one loaded
+    if (panel.dataset.commit !== hash) return;
+
+    if (!result.success) {
+        panel.innerHTML = `<div class="commit-graph-placeholder"><p>${escapeHtml(result.error)}</p></div>`;
+        return;
+    }
+
+    renderCommitDetail(panel, result, onSelectCommit);
+}
+
+function renderCommitDetail(panel, details, onSelectCommit) {
+    const { commit, files } = details;
+    const statusLabels = { A: 'Added', M: 'Modified', D: 'Deleted', R: 'Renamed', C: 'Copied', T: 'Type changed' };
+    const committedSeparately = commit.committer !== commit.author || commit.committerEmail !== commit.email;
+    const totals = files.reduce((sum, file) => ({
+        additions: sum.additions + (file.additions || 0),
+        deletions: sum.deletions + (file.deletions || 0)
+    }), { additions: 0, deletions: 0 });
+
+    panel.innerHTML = `
+        <h3 class="commit-graph-subject">${escapeHtml(commit.subject)}</h3>
+        <div class="commit-graph-refs">
+            ${commit.refs.filter(ref => ref.type !== 'head').map(ref =>
+                `<span class="commit-ref commit-ref-${ref.type}">${ref.type === 'tag' ? '<i class="fas fa-tag"></i> ' : ''}${escapeHtml(ref.name)}</span>`
+            ).join('')}
+            ${renderSignatureBadge(commit.signature)}
+        </div>
+        ${commit.body ? `<pre class="commit-detail-body">${escapeHtml(commit.body)}</pre>` : ''}
+        <div class="commit-graph-meta">
+            <div><i class="fas fa-hashtag"></i> <code>${commit.hash}</code></div>
+            <div><i class="fas fa-user"></i> ${escapeHtml(commit.author)} &lt;${escapeHtml(commit.email)}&gt;
+                <span class="commit-detail-date">authored ${new Date(commit.date).toLocaleString()}</span></div>
+            ${committedSeparately || commit.committerDate !== commit.date ? `
+                <div><i class="fas fa-user-check"></i> ${escapeHtml(commit.committer)} &lt;${escapeHtml(commit.committerEmail)}&gt;
+                    <span class="commit-detail-date">committed ${new Date(commit.committerDate).toLocaleString()}</span></div>
+            ` : ''}
+            ${commit.signature ? `
+                <div><i class="fas fa-signature"></i> ${escapeHtml(SIGNATURE_BADGES[commit.signature.status].description)}${commit.signature.signer ? ` from ${escapeHtml(commit.signature.signer)}` : ''}
+                    ${commit.signature.key ? `<span class="commit-detail-date">${escapeHtml(commit.signature.key)}</span>` : ''}</div>
+            ` : ''}
+            <div><i class="fas fa-code-commit"></i> ${commit.parents.length === 0 ? 'Root commit' : 'Parents:'}
+                ${commit.parents.map(parent =>
+                    `<a href="#" class="commit-parent-link" data-parent="${parent}">${parent.substring(0, 7)}</a>`
+                ).join(' ')}
+            </div>
+        </div>
+        <div class="commit-detail-actions">
+            <button class="btn-secondary" data-action="cherry-pick" title="Apply this commit on the current branch"><i class="fas fa-hand-pointer"></i> Cherry Pick</button>
+            <button class="btn-secondary" data-action="revert" title="Create a commit that undoes this one"><i class="fas fa-undo-alt"></i> Revert</button>
+            <button class="btn-secondary" data-action="reset" title="Move the current branch to this commit"><i class="fas fa-history"></i> Reset to Here</button>
+            <button class="btn-secondary" data-action="branch"><i class="fas fa-code-branch"></i> Branch Here</button>
+            <button class="btn-secondary" data-action="tag"><i class="fas fa-tag"></i> Tag Here</button>
+        </div>
+        <div class="commit-detail-form" style="display: none;"></div>
+        <h4 class="commit-graph-files-title">
+            ${files.length} changed file${files.length === 1 ? '' : 's'}
+            <span class="commit-stat-add">+${totals.additions}</span>
+            <span class="commit-stat-del">-${totals.deletions}</span>
+        </h4>
+        <div class="commit-graph-files">
+            ${files.map((file, index) => `
+                <div class="commit-graph-file" data-index="${index}" title="${statusLabels[file.status] || file.status}">
+                    <span class="commit-file-status status-${file.status}">${file.status}</span>
+                    <span class="commit-file-path">${file.origPath ? `${escapeHtml(file.origPath)} → ` : ''}${escapeHtml(file.path)}</span>
+                    <span class="commit-file-stats">
+                        ${file.additions === null
+                            ? '<span class="commit-stat-binary">binary</span>'
+                            : `<span class="commit-stat-add">+${file.additions}</span> <span class="commit-stat-del">-${file.deletions}</span>`}
+                    </span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+
+    panel.querySelectorAll('.commit-parent-link').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            onSelectCommit(link.dataset.parent);
+        });
+    });
+    panel.querySelectorAll('.commit-detail-actions button').forEach(button => {
+        button.addEventListener('click', () => runCommitAction(panel, commit, button.dataset.action));
+    });
+    panel.querySelectorAll('.commit-graph-file').forEach(item => {
+        const file = files[parseInt(item.dataset.index, 10)];
+        item.addEventListener('click', () => viewCommitFileDiff(commit.hash, file.path, file.origPath));
+    });
+}
+
+// Cherry-pick and revert run immediately; reset, branch and tag ask for details inline first
+async function runCommitAction(panel, commit, action) {
+    const shortHash = commit.hash.substring(0, 7);
+    const form = panel.querySelector('.commit-detail-form');
+
+    if (action === 'cherry-pick' || action === 'revert') {
+        const verb = action === 'cherry-pick' ? 'Cherry-pick' : 'Revert';
+        if (!confirm(`${verb} commit ${shortHash} on the current branch?`)) return;
+
+        const result = await ipcRenderer.invoke(`git-${action}`, currentProject.path, commit.hash);
+        if (result.success) {
+            showNotification(`${verb} of ${shortHash} completed successfully`, 'success');
+            await refreshGitStatus();
+        } else if (!await handleConflictResult(result)) {
+            showNotification(`${verb} failed: ${result.error}`, 'error');
+        }
+        return;
+    }
+
+    if (action === 'reset') {
+        form.innerHTML = `
+            <div class="form-group">
+                <label>Reset current branch to ${shortHash}:</label>
+                <select class="select-input commit-form-mode">
+                    <option value="soft">Soft - keep changes staged</option>
+                    <option value="mixed" selected>Mixed - keep changes unstaged</option>
+                    <option value="hard">Hard - discard all changes</option>
+                </select>
+            </div>
+        `;
+    } else if (action === 'branch') {
+        form.innerHTML = `
+            <div class="form-group">
+                <label>New branch at ${shortHash}:</label>
+                <input type="text" class="commit-form-name" placeholder="feature/my-branch">
+            </div>
+            <label class="checkbox-label">
+                <input type="checkbox" class="commit-form-checkout" checked>
+                <span>Check out the new branch</span>
+            </label>
+        `;
+    } else if (action === 'tag') {
+        form.innerHTML = `
+            <div class="form-group">
+                <label>New tag at ${shortHash}:</label>
+                <input type="text" class="commit-form-name" placeholder="v1.0.0">
+            </div>
+            <div class="form-group">
+                <label>Message (creates an annotated tag):</label>
+                <input type="text" class="commit-form-message" placeholder="Optional">
+            </div>
+            <label class="checkbox-label">
+                <input type="checkbox" class="commit-form-sign" ${signingState.config && signingState.config.signTags ? 'checked' : ''}>
+                <span>Sign tag (needs a message)</span>
+            </label>
+        `;
+    }
+
+    form.insertAdjacentHTML('beforeend', `
+        <div class="commit-detail-form-actions">
+            <button class="btn-secondary commit-form-cancel">Cancel</button>
+            <button class="btn-primary commit-form-submit">Apply</button>
+        </div>
+    `);
+    form.style.display = '';
+    form.querySelector('input, select').focus();
+
+    form.querySelector('.commit-form-cancel').addEventListener('click', () => {
+        form.style.display = 'none';
+        form.innerHTML = '';
+    });
+    form.querySelector('.commit-form-submit').addEventListener('click', async () => {
+        let result;
+        let successMessage;
+
+        if (action === 'reset') {
+            const mode = form.querySelector('.commit-form-mode').value;
+            if (mode === 'hard' && !confirm('Hard reset will permanently discard all uncommitted changes. Continue?')) return;
+            result = await ipcRenderer.invoke('git-reset', currentProject.path, commit.hash, mode);
+            successMessage = `Reset (${mode}) to ${shortHash} completed successfully`;
+        } else if (action === 'branch') {
+            const name = form.querySelector('.commit-form-name').value.trim();
+            if (!name) {
+                showNotification('Please enter a branch name', 'error');
+                return;
+            }
+            const checkout = form.querySelector('.commit-form-checkout').checked;
+            result = await ipcRenderer.invoke('git-create-branch', currentProject.path, name, commit.hash, checkout);
+            successMessage = `Branch ${name} created at ${shortHash}`;
+        } else {
+            const name = form.querySelector('.commit-form-name').value.trim();
+            if (!name) {
+                showNotification('Please enter a tag name', 'error');
+                return;
+            }
+            const message = form.querySelector('.commit-form-message').value.trim();
+            const sign = form.querySelector('.commit-form-sign').checked;
+            result = await ipcRenderer.invoke('git-tag-create', currentProject.path, name, message, false, commit.hash, { sign });
+            successMessage = `Tag ${name} created at ${shortHash}`;
+        }
+
+        if (result.success) {
+            showNotification(successMessage, 'success');
+            form.style.display = 'none';
+            form.innerHTML = '';
+            await refreshGitStatus();
+        } else {
+            showNotification(`Failed: ${result.error}`, 'error');
+        }
+    });
+}
+
+// Create commit detail modal
+function createCommitDetailModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'git-commit-detail-modal';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 760px;">
+            <div class="modal-header">
+                <h2><i class="fas fa-code-commit"></i> Commit Details</h2>
+                <button class="modal-close-btn" onclick="hideModal('git-commit-detail-modal')">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="commit-detail-panel" id="commit-detail-body"></div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn-secondary" onclick="hideModal('git-commit-detail-modal')">Close</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+// File blame and history
+let blameViewState = { path: null, revision: null, mode: 'blame' };
+
+// Heat runs from blue for the oldest commit in the file to orange for the newest
+function getBlameHeatColor(time, oldest, newest) {
+    const ratio = newest > oldest ? (time - oldest) / (newest - oldest) : 1;
+    const hue = Math.round(220 - ratio * 195);
+    return `hsl(${hue}, 70%, 55%)`;
+}
+
+async function showFileBlame(filePath, revision = null) {
+    blameViewState = { path: filePath, revision, mode: 'blame' };
+    await openBlameModal();
+}
+
+async function showFileHistory(filePath) {
+    blameViewState = { path: filePath, revision: null, mode: 'history' };
+    await openBlameModal();
+}
+
+async function openBlameModal() {
+    if (!currentProject) {
+        showNotification('No project selected', 'error');
+        return;
+    }
+
+    if (!document.getElementById('git-blame-modal')) {
+        createBlameModal();
+    }
+
+    // Can be opened from the diff or commit detail modals, so bring it to the front
+    const modal = document.getElementById('git-blame-modal');
+    document.body.appendChild(modal);
+    showModal('git-blame-modal');
+
+    await switchBlameMode(blameViewState.mode);
+}
+
+async function switchBlameMode(mode) {
+    blameViewState.mode = mode;
+
+    const { path: filePath, revision } = blameViewState;
+    document.getElementById('blame-file-name').textContent = filePath;
+    document.getElementById('blame-revision-badge').textContent = revision ? `at ${revision.substring(0, 7)}` : 'Working Tree';
+    document.getElementById('blame-revision-badge').style.display = mode === 'blame' ? '' : 'none';
+    document.querySelectorAll('#git-blame-modal .blame-mode-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.mode === mode);
+    });
+
+    const content = document.getElementById('blame-content');
+    content.innerHTML = '<div class="commit-graph-placeholder"><i class="fas fa-spinner fa-spin"></i></div>';
+
+    if (mode === 'blame') {
+        await loadBlame(content, filePath, revision);
+    } else {
+        await loadFileHistory(content, filePath);
+    }
+}
+
+async function loadBlame(content, filePath, revision) {
+    const result = await ipcRenderer.invoke('git-blame', currentProject.path, filePath, revision);
+    if (!result.success) {
+        content.innerHTML = `<div class="diff-notice"><p>${escapeHtml(result.error)}</p></div>`;
+        return;
+    }
+
+    const { commits, lines } = result;
+    if (lines.length === 0) {
+        content.innerHTML = '<div class="diff-notice"><p>The file is empty</p></div>';
+        return;
+    }
+
+    const times = Object.values(commits).filter(commit => !commit.uncommitted).map(commit => commit.time);
+    const oldest = Math.min(...times);
+    const newest = Math.max(...times);
+
+    // Consecutive lines from the same commit share one annotation
+    const groups = [];
+    lines.forEach(line => {
+        const last = groups[groups.length - 1];
+        if (last && last.hash === line.hash) {
+            last.lines.push(line);
+        } else {
+            groups.push({ hash: line.hash, lines: [line] });
+        }
+    });
+
+    let html = `
+        <div class="blame-legend">
+            <span>Older</span>
+            ${[0, 0.25, 0.5, 0.75, 1].map(ratio =>
+                `<span class="blame-legend-swatch" style="background: ${getBlameHeatColor(oldest + ratio * (newest - oldest), oldest, newest)};"></span>`
+            ).join('')}
+            <span>Newer</span>
+        </div>
+        <table class="blame-table">
+    `;
+
+    groups.forEach(group => {
+        const commit = commits[group.hash];
+        const color = commit.uncommitted ? 'var(--text-secondary)' : getBlameHeatColor(commit.time, oldest, newest);
+
+        group.lines.forEach((line, index) => {
+            html += `<tr class="${index === 0 ? 'blame-group-start' : ''}">`;
+            if (index === 0) {
+                html += `
+                    <td class="blame-annotation" rowspan="${group.lines.length}" style="border-left-color: ${color};">
+                        ${commit.uncommitted
+                            ? '<span class="blame-uncommitted">Not committed yet</span>'
+                            : `<a href="#" class="blame-commit-link" data-hash="${commit.hash}" title="${escapeHtml(commit.summary || '')}">${commit.hash.substring(0, 7)}</a>
+                               <span class="blame-author">${escapeHtml(commit.author || '')}</span>
+                               <span class="blame-age">${getTimeAgo(commit.time)}</span>
+                               <div class="blame-summary">${escapeHtml(commit.summary || '')}</div>`}
+                    </td>
+                `;
+            }
+            html += `
+                    <td class="diff-line-number">${line.number}</td>
+                    <td class="diff-code">${escapeHtml(line.content)}</td>
+                </tr>
+            `;
+        });
+    });
+
+    html += '</table>';
+    content.innerHTML = html;
+
+    content.querySelectorAll('.blame-commit-link').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            showCommitDetail(link.dataset.hash);
+        });
+    });
+}
+
+async function loadFileHistory(content, filePath) {
+    const result = await ipcRenderer.invoke('git-file-history', currentProject.path, filePath);
+    if (!result.success) {
+        content.innerHTML = `<div class="diff-notice"><p>${escapeHtml(result.error)}</p></div>`;
+        return;
+    }
+
+    if (result.commits.length === 0) {
+        content.innerHTML = '<div class="diff-notice"><p>No commits touch this file yet</p></div>';
+        return;
+    }
+
+    content.innerHTML = `
+        <div class="file-history-list">
+            ${result.commits.map((commit, index) => `
+                <div class="commit-item commit-item-clickable" data-index="${index}">
+                    <div class="commit-header">
+                        <code class="commit-hash">${commit.hash.substring(0, 7)}</code>
+                        <span class="commit-author">${escapeHtml(commit.author)}</span>
+                        <span class="commit-date">${new Date(commit.date).toLocaleDateString()}</span>
+                        <span class="file-history-actions">
+                            <button class="btn-icon-small" data-action="diff" title="Show changes to this file"><i class="fas fa-file-medical-alt"></i></button>
+                            <button class="btn-icon-small" data-action="blame" title="Blame at this commit"><i class="fas fa-user-edit"></i></button>
+                        </span>
+                    </div>
+                    <div class="commit-message">${escapeHtml(commit.subject)}</div>
+                    ${commit.origPath
+                        ? `<div class="file-history-path"><i class="fas fa-exchange-alt"></i> Renamed from ${escapeHtml(commit.origPath)}</div>`
+                        : commit.path !== filePath ? `<div class="file-history-path"><i class="fas fa-file"></i> ${escapeHtml(commit.path)}</div>` : ''}
+                </div>
+            `).join('')}
+        </div>
+    `;
+
+    content.querySelectorAll('.file-history-list .commit-item').forEach(item => {
+        const commit = result.commits[parseInt(item.dataset.index, 10)];
+        item.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]');
+            if (!action) {
+                showCommitDetail(commit.hash);
+            } else if (action.dataset.action === 'diff') {
+                viewCommitFileDiff(commit.hash, commit.path, commit.origPath);
+            } else {
+                showFileBlame(commit.path, commit.hash);
+            }
+        });
+    });
+}
+
+// Create blame modal
+function createBlameModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'git-blame-modal';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 1200px; width: 95%;">
+            <div class="modal-header">
+                <h2><i class="fas fa-user-edit"></i> <span id="blame-file-name"></span> <span class="diff-source-badge" id="blame-revision-badge"></span></h2>
+                <button class="modal-close-btn" onclick="hideModal('git-blame-modal')">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="diff-mode-toggle blame-mode-toggle">
+                    <button class="blame-mode-tab" data-mode="blame" onclick="switchBlameMode('blame')"><i class="fas fa-user-edit"></i> Blame</button>
+                    <button class="blame-mode-tab" data-mode="history" onclick="switchBlameMode('history')"><i class="fas fa-history"></i> File History</button>
+                </div>
+                <div class="blame-content" id="blame-content"></div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn-secondary" onclick="hideModal('git-blame-modal')">Close</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+// Create commit graph modal
+function createCommitGraphModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'git-graph-modal';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 1400px; width: 95%;">
+            <div class="modal-header">
+                <h2><i class="fas fa-project-diagram"></i> Commit Graph</h2>
+                <button class="modal-close-btn" onclick="hideModal('git-graph-modal')">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="commit-graph-layout">
+                    <div class="commit-graph-canvas" id="commit-graph-canvas"></div>
+                    <div class="commit-graph-details" id="commit-graph-details"></div>
+                </div>
+            </div>
+            <div class="modal-footer">
+                <span class="commit-graph-status" id="commit-graph-status"></span>
+                <label class="checkbox-label" title="Checking every signed commit runs gpg or ssh-keygen per commit; the selected commit is always checked">
+                    <input type="checkbox" id="commit-graph-signatures" onchange="showCommitGraph()">
+                    <span>Verify signatures</span>
+                </label>
+                <button class="btn-secondary" onclick="loadMoreCommits()">
+                    <i class="fas fa-angle-double-down"></i> Load More
+                </button>
+                <button class="btn-secondary" onclick="hideModal('git-graph-modal')">Close</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    // Scroll instead of zoom so long histories read like a list
+    document.getElementById('commit-graph-canvas').addEventListener('wheel', (e) => {
+        if (!commitGraphState || !commitGraphState.network) {
+            return;
+        }
+        e.preventDefault();
+        scrollCommitGraph(e.deltaX, e.deltaY);
+    }, { passive: false });
+}
+
+// Create merge modal
+function createMergeModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'git-merge-modal';
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2><i class="fas fa-code-merge"></i> Merge Branch</h2>
+                <button class="modal-close-btn" onclick="hideModal('git-merge-modal')">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="form-group">
+                    <label for="merge-branch-select">Select branch to merge into current branch:</label>
+                    <select id="merge-branch-select" class="input">
+                        <option value="">-- Select a branch --</option>
+                    </select>
+                </div>
+                <div class="git-info-box">
+                    <i class="fas fa-info-circle"></i>
+                    <span>This will merge the selected branch into your current branch</span>
+                </div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn-secondary modal-close">Cancel</button>
+                <button class="btn-primary" onclick="performMerge()">Merge</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+// Remote repository management
+async function showRemotesModal() {
+    if (!currentProject) {
+        showNotification('No project selected', 'error');
+        return;
+    }
+
+    const modal = document.getElementById('git-remotes-modal');
+    if (!modal) {
+        createRemotesModal();
+        await showRemotesModal();
+        return;
+    }
+
+    await loadRemotes();
+    showModal('git-remotes-modal');
+}
+
+// Load and display remotes
+async function loadRemotes() {
+    if (!currentProject) return;
+
+    const result = await ipcRenderer.invoke('git-remote-list', currentProject.path);
+    const remotesList = document.getElementById('remotes-list');
+
+    if (!result.success || !result.output.trim()) {
+        remotesList.innerHTML = `
+            <div class="git-changes-empty">
+                <p>No remotes configured</p>
+                <p style="font-size: 12px; margin-top: 8px;">Add a remote to push/pull from repositories</p>
+            </div>
+        `;
+        return;
+    }
+
+    const remotes = result.output.split('\n').filter(line => line.trim());
+    const remoteMap = {};
+
+    // Parse remotes (format: name url (fetch/push))
+    remotes.forEach(line => {
+        const match = line.match(/^(\S+)\s+(\S+)\s+\((\w+)\)$/);
+        if (match) {
+            const [, name, url, type] = match;
+            if (!remoteMap[name]) {
+                remoteMap[name] = { name, url, fetch: '', push: '' };
+            }
+            if (type === 'fetch') {
+                remoteMap[name].fetch = url;
+            } else if (type === 'push') {
+                remoteMap[name].push = url;
+            }
+        }
+    });
+
+    let html = '';
+    Object.values(remoteMap).forEach(remote => {
+        html += `
+            <div class="remote-item">
+                <div class="remote-header">
+                    <i class="fas fa-globe"></i>
+                    <span class="remote-name">${remote.name}</span>
+                    <button class="btn-icon-small" onclick="deleteRemote('${remote.name}')" title="Remove Remote">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+                <div class="remote-url">${remote.url}</div>
+            </div>
+        `;
+    });
+
+    remotesList.innerHTML = html;
+}
+
+// Delete a remote
+async function deleteRemote(remoteName) {
+    if (!confirm(`Are you sure you want to remove remote "${remoteName}"?`)) {
+        return;
+    }
+
+    const result = await ipcRenderer.invoke('git-remove-remote', currentProject.path, remoteName);
+    if (result.success) {
+        showNotification(`Remote ${remoteName} removed`, 'success');
+        await loadRemotes();
+    } else {
+        showNotification(`Failed to remove remote: ${result.error}`, 'error');
+    }
+}
+
+// Add a new remote
+async function addRemote() {
+    const name = document.getElementById('remote-name-input')?.value?.trim();
+    const url = document.getElementById('remote-url-input')?.value?.trim();
+
+    if (!name || !url) {
+        showNotification('Please enter both name and URL', 'error');
+        return;
+    }
+
+    const result = await ipcRenderer.invoke('git-add-remote', currentProject.path, name, url);
+    if (result.success) {
+        showNotification(`Remote ${name} added successfully`, 'success');
+        document.getElementById('remote-name-input').value = '';
+        document.getElementById('remote-url-input').value = '';
+        await loadRemotes();
+    } else {
+        showNotification(`Failed to add remote: ${result.error}`, 'error');
+    }
+}
+
+// Create remotes modal
+function createRemotesModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'git-remotes-modal';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 700px;">
+            <div class="modal-header">
+                <h2><i class="fas fa-globe"></i> Manage Remotes</h2>
+                <button class="modal-close-btn" onclick="hideModal('git-remotes-modal')">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="form-group">
+                    <label>Configured Remotes</label>
+                    <div id="remotes-list" style="max-height: 300px; overflow-y: auto; margin-bottom: 20px;">
+                        <!-- Remotes will be listed here -->
+                    </div>
+                </div>
+
+                <div class="git-info-box">
+                    <i class="fas fa-info-circle"></i>
+                    <span>Add a new remote repository</span>
+                </div>
+
+                <div class="form-group">
+                    <label for="remote-name-input">Remote Name</label>
+                    <input type="text" id="remote-name-input" class="input" placeholder="origin" />
+                </div>
+
+                <div class="form-group">
+                    <label for="remote-url-input">Remote URL</label>
+                    <input type="text" id="remote-url-input" class="input"
+                        placeholder="https://github.com/user/repo.git" />
+                </div>
+
+                <button class="btn-primary" onclick="addRemote()" style="width: 100%;">
+                    <i class="fas fa-plus"></i> Add Remote
+                </button>
+            </div>
+            <div class="modal-footer">
+                <button class="btn-secondary modal-close">Close</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+// Merge conflict resolver
+let conflictResolverState = { operation: null, files: [], activeFile: null };
+
+const GIT_OPERATION_LABELS = {
+    merge: 'Merge',
+    rebase: 'Rebase',
+    'cherry-pick': 'Cherry Pick',
+    revert: 'Revert',
+    am: 'Apply Patches'
+};
+
+// Open the resolver when a git result reports conflicts; returns true if it did
+async function handleConflictResult(result) {
+    if (!result || !result.conflict) return false;
+
+    showNotification(result.error || 'Merge conflict detected', 'warning');
+    await refreshGitStatus();
+    await showConflictResolver();
+    return true;
+}
+
+async function showConflictResolver(filePath = null) {
+    if (!currentProject) {
+        showNotification('No project selected', 'error');
+        return;
+    }
+
+    if (!document.getElementById('git-conflict-modal')) {
+        createConflictModal();
+    }
+
+    await loadConflictState(filePath);
+    showModal('git-conflict-modal');
+}
+
+async function loadConflictState(filePath = null) {
+    const result = await ipcRenderer.invoke('git-conflict-state', currentProject.path);
+    if (!result.success) {
+        showNotification(`Failed to load conflicts: ${result.error}`, 'error');
+        return;
+    }
+
+    conflictResolverState.operation = result.operation;
+    conflictResolverState.files = result.files;
+
+    const operationLabel = document.getElementById('conflict-operation-label');
+    operationLabel.textContent = result.operation
+        ? `${GIT_OPERATION_LABELS[result.operation] || result.operation} in progress`
+        : 'No merge, rebase or cherry-pick in progress';
+    document.getElementById('conflict-continue-btn').disabled = !result.operation || result.files.length > 0;
+    document.getElementById('conflict-abort-btn').disabled = !result.operation;
+    document.getElementById('conflict-skip-btn').style.display =
+        result.operation && result.operation !== 'merge' ? '' : 'none';
+
+    const fileList = document.getElementById('conflict-file-list');
+    if (result.files.length === 0) {
+        fileList.innerHTML = `
+            <div class="git-changes-empty">
+                <i class="fas fa-check-circle" style="color: var(--success);"></i>
+                <p>All conflicts resolved</p>
+            </div>
+        `;
+        document.getElementById('conflict-editor').innerHTML = result.operation
+            ? '<div class="conflict-placeholder">All files are resolved. Continue to finish the operation.</div>'
+            : '<div class="conflict-placeholder">No conflicted files.</div>';
+        conflictResolverState.activeFile = null;
+        return;
+    }
+
+    fileList.innerHTML = result.files.map(file => `
+        <div class="conflict-file-item" data-path="${escapeHtml(file.path)}">
+            <i class="fas fa-exclamation-triangle"></i>
+            <div class="conflict-file-info">
+                <span class="conflict-file-name">${escapeHtml(file.path)}</span>
+                <span class="conflict-file-kind">${GIT_CONFLICT_LABELS[file.conflict] || 'Unmerged'}</span>
+            </div>
+        </div>
+    `).join('');
+
+    fileList.querySelectorAll('.conflict-file-item').forEach(item => {
+        item.addEventListener('click', () => loadConflictFile(item.dataset.path));
+    });
+
+    const target = result.files.find(file => file.path === filePath) || result.files[0];
+    await loadConflictFile(target.path);
+}
+
+async function loadConflictFile(filePath) {
+    conflictResolverState.activeFile = filePath;
+
+    document.querySelectorAll('.conflict-file-item').forEach(item => {
+        item.classList.toggle('active', item.dataset.path === filePath);
+    });
+
+    const result = await ipcRenderer.invoke('git-conflict-versions', currentProject.path, filePath);
+    if (!result.success) {
+        showNotification(`Failed to load file versions: ${result.error}`, 'error');
+        return;
+    }
+
+    // During a rebase "ours" is the branch being rebased onto
+    const isRebase = conflictResolverState.operation === 'rebase';
+    const renderVersion = (content) => content === null
+        ? '<span class="conflict-missing">File does not exist in this version</span>'
+        : escapeHtml(content);
+
+    document.getElementById('conflict-editor').innerHTML = `
+        <div class="conflict-file-title">${escapeHtml(filePath)}</div>
+        <div class="conflict-panes">
+            <div class="conflict-pane">
+                <div class="conflict-pane-header ours">Ours ${isRebase ? '(upstream)' : '(current branch)'}</div>
+                <pre class="conflict-pane-body">${renderVersion(result.ours)}</pre>
+            </div>
+            <div class="conflict-pane">
+                <div class="conflict-pane-header base">Base (common ancestor)</div>
+                <pre class="conflict-pane-body">${renderVersion(result.base)}</pre>
+            </div>
+            <div class="conflict-pane">
+                <div class="conflict-pane-header theirs">Theirs ${isRebase ? '(your commit)' : '(incoming)'}</div>
+                <pre class="conflict-pane-body">${renderVersion(result.theirs)}</pre>
+            </div>
+        </div>
+        <div class="conflict-actions">
+            <button class="btn-secondary" onclick="resolveConflict('ours')"><i class="fas fa-arrow-left"></i> Accept Ours</button>
+            <button class="btn-secondary" onclick="resolveConflict('theirs')"><i class="fas fa-arrow-right"></i> Accept Theirs</button>
+            <button class="btn-secondary" onclick="resolveConflict('both')"><i class="fas fa-arrows-alt-h"></i> Accept Both</button>
+        </div>
+        <label class="conflict-result-label" for="conflict-result">Result (edit manually, then mark as resolved)</label>
+        <textarea id="conflict-result" class="conflict-result" spellcheck="false">${result.working === null ? '' : escapeHtml(result.working)}</textarea>
+        <div class="conflict-actions">
+            <button class="btn-primary" onclick="resolveConflict('manual')"><i class="fas fa-check"></i> Save & Mark Resolved</button>
+        </div>
+    `;
+}
+
+async function resolveConflict(resolution) {
+    const filePath = conflictResolverState.activeFile;
+    if (!currentProject || !filePath) return;
+
+    let content = null;
+    if (resolution === 'manual') {
+        content = document.getElementById('conflict-result').value;
+        if (/^(<{7}|={7}|>{7})( |$)/m.test(content)) {
+            const confirmed = confirm('The result still contains conflict markers. Mark it as resolved anyway?');
+            if (!confirmed) return;
+        }
+    }
+
+    const result = await ipcRenderer.invoke('git-resolve-conflict', currentProject.path, filePath, resolution, content);
+    if (result.success) {
+        showNotification(`Resolved ${filePath}`, 'success');
+        await loadConflictState();
+        await refreshGitStatus();
+    } else {
+        showNotification(`Failed to resolve ${filePath}: ${result.error}`, 'error');
+    }
+}
+
+// Continue or abort the operation that produced the conflicts
+async function controlGitOperation(action) {
+    if (!currentProject) return;
+
+    if (action === 'abort') {
+        const confirmed = confirm('Abort the operation in progress? Conflict resolutions made so far will be lost.');
+        if (!confirmed) return;
+    }
+
+    const result = await ipcRenderer.invoke('git-operation-control', currentProject.path, action);
+    const label = GIT_OPERATION_LABELS[result.operation] || 'Operation';
+    const pastTense = { continue: 'continued', abort: 'aborted', skip: 'skipped' };
+
+    if (result.success) {
+        showNotification(`${label} ${pastTense[action] || action} successfully`, 'success');
+        await refreshGitStatus();
+        await refreshGitOperationViews();
+    } else if (result.conflict) {
+        // The next step of a rebase or cherry-pick sequence conflicted again
+        showNotification(result.error, 'warning');
+        await showConflictResolver();
+        await refreshGitOperationViews();
+    } else {
+        showNotification(`${label} ${action} failed: ${result.error}`, 'error');
+    }
+}
+
+// Refresh whichever operation views are open after continue/skip/abort
+async function refreshGitOperationViews() {
+    const conflictModal = document.getElementById('git-conflict-modal');
+    if (conflictModal && conflictModal.classList.contains('show')) {
+        await loadConflictState();
+        if (!conflictResolverState.operation && conflictResolverState.files.length === 0) {
+            hideModal('git-conflict-modal');
+        }
+    }
+
+    if (document.getElementById('git-rebase-planner-modal')) {
+        await updateRebaseProgress();
+    }
+}
+
+// Create conflict resolver modal
+function createConflictModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'git-conflict-modal';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 1200px; width: 95%;">
+            <div class="modal-header">
+                <h2><i class="fas fa-code-merge"></i> Resolve Conflicts</h2>
+                <button class="modal-close-btn" onclick="hideModal('git-conflict-modal')">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="conflict-layout">
+                    <div class="conflict-file-list" id="conflict-file-list"></div>
+                    <div class="conflict-editor" id="conflict-editor"></div>
+                </div>
+            </div>
+            <div class="modal-footer">
+                <span class="conflict-operation-label" id="conflict-operation-label"></span>
+                <button class="btn-secondary" id="conflict-abort-btn" onclick="controlGitOperation('abort')">
+                    <i class="fas fa-ban"></i> Abort
+                </button>
+                <button class="btn-secondary" id="conflict-skip-btn" onclick="controlGitOperation('skip')">
+                    <i class="fas fa-step-forward"></i> Skip
+                </button>
+                <button class="btn-primary" id="conflict-continue-btn" onclick="controlGitOperation('continue')">
+                    <i class="fas fa-forward"></i> Continue
+                </button>
+                <button class="btn-secondary" onclick="hideModal('git-conflict-modal')">Close</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+// Interactive rebase planner
+let rebasePlannerState = { base: null, commits: [], dragIndex: null };
+
+const REBASE_ACTION_LABELS = {
+    pick: 'Pick',
+    reword: 'Reword',
+    squash: 'Squash',
+    fixup: 'Fixup',
+    drop: 'Drop'
+};
+
+async function showRebasePlanner() {
+    if (!currentProject) {
+        showNotification('Please select a project first', 'error');
+        return;
+    }
+
+    if (!document.getElementById('git-rebase-planner-modal')) {
+        createRebasePlannerModal();
+    }
+
+    const branchesResult = await ipcRenderer.invoke('git-branches', currentProject.path);
+    if (branchesResult.success && branchesResult.branches) {
+        document.getElementById('rebase-base-options').innerHTML = branchesResult.branches
+            .map(branch => `<option value="${escapeHtml(branch.name)}"></option>`)
+            .join('');
+    }
+
+    rebasePlannerState = { base: null, commits: [], dragIndex: null };
+    renderRebasePlan();
+    showModal('git-rebase-planner-modal');
+    await updateRebaseProgress();
+}
+
+async function loadRebaseCommits() {
+    const base = document.getElementById('rebase-base-input').value.trim();
+    if (!base) {
+        showNotification('Enter a branch or commit to rebase onto', 'error');
+        return;
+    }
+
+    const result = await ipcRenderer.invoke('git-log', currentProject.path, 200, {
+        range: `${base}..HEAD`,
+        noMerges: true
+    });
+    if (!result.success) {
+        showNotification(`Failed to load commits: ${result.error}`, 'error');
+        return;
+    }
+
+    // git log lists newest first; the todo list runs oldest first
+    const commits = result.output.split('\n').filter(line => line.trim()).map(line => {
+        const [hash, author, email, date, ...subject] = line.split('|');
+        return { hash, author, date, subject: subject.join('|'), action: 'pick', message: '' };
+    }).reverse();
+
+    if (commits.length === 0) {
+        showNotification(`No commits between ${base} and HEAD`, 'info');
+    }
+
+    rebasePlannerState.base = base;
+    rebasePlannerState.commits = commits;
+    renderRebasePlan();
+}
+
+function renderRebasePlan() {
+    const list = document.getElementById('rebase-plan-list');
+    const { commits } = rebasePlannerState;
+
+    document.getElementById('start-rebase-plan-btn').disabled = commits.length === 0;
+
+    if (commits.length === 0) {
+        list.innerHTML = `
+            <div class="git-changes-empty">
+                <i class="fas fa-list-ol"></i>
+                <p>Choose a base and load the commits to rebase</p>
+            </div>
+        `;
+        return;
+    }
+
+    list.innerHTML = commits.map((commit, index) => `
+        <div class="rebase-plan-item action-${commit.action}" draggable="true" data-index="${index}">
+            <i class="fas fa-grip-vertical rebase-drag-handle"></i>
+            <select class="select-input rebase-action-select" onchange="setRebaseAction(${index}, this.value)">
+                ${Object.entries(REBASE_ACTION_LABELS).map(([value, label]) =>
+                    `<option value="${value}" ${commit.action === value ? 'selected' : ''}>${label}</option>`
+                ).join('')}
+            </select>
+            <span class="commit-hash">${commit.hash.substring(0, 7)}</span>
+            <div class="rebase-plan-details">
+                <span class="rebase-plan-subject">${escapeHtml(commit.subject)}</span>
+                ${commit.action === 'reword' ? `
+                    <textarea class="rebase-reword-input" rows="2" placeholder="New commit message"
+                        oninput="rebasePlannerState.commits[${index}].message = this.value">${escapeHtml(commit.message)}</textarea>
+                ` : ''}
+            </div>
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.rebase-plan-item').forEach(item => {
+        item.addEventListener('dragstart', (e) => {
+            rebasePlannerState.dragIndex = parseInt(item.dataset.index, 10);
+            e.dataTransfer.effectAllowed = 'move';
+            item.classList.add('dragging');
+        });
+        item.addEventListener('dragend', () => item.classList.remove('dragging'));
+        item.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            item.classList.add('drag-over');
+        });
+        item.addEventListener('dragleave', () => item.classList.remove('drag-over'));
+        item.addEventListener('drop', (e) => {
+            e.preventDefault();
+            moveRebaseCommit(rebasePlannerState.dragIndex, parseInt(item.dataset.index, 10));
+        });
+    });
+}
+
+function setRebaseAction(index, action) {
+    const commit = rebasePlannerState.commits[index];
+    commit.action = action;
+    if (action === 'reword' && !commit.message) {
+        commit.message = commit.subject;
+    }
+    renderRebasePlan();
+}
+
+function moveRebaseCommit(fromIndex, toIndex) {
+    if (fromIndex === null || fromIndex === toIndex) return;
+
+    const [commit] = rebasePlannerState.commits.splice(fromIndex, 1);
+    rebasePlannerState.commits.splice(toIndex, 0, commit);
+    rebasePlannerState.dragIndex = null;
+    renderRebasePlan();
+}
+
+async function startInteractiveRebase() {
+    const { base, commits } = rebasePlannerState;
+    if (!base || commits.length === 0) return;
+
+    const confirmed = confirm(`Rewrite ${commits.length} commit(s) on top of ${base}? This rewrites history.`);
+    if (!confirmed) return;
+
+    const plan = commits.map(({ hash, action, message }) => ({ hash, action, message }));
+
+    showNotification('Rebasing...', 'info');
+    const result = await ipcRenderer.invoke('git-rebase-interactive', currentProject.path, base, plan);
+
+    if (result.success) {
+        showNotification('Interactive rebase completed successfully', 'success');
+        hideModal('git-rebase-planner-modal');
+        await refreshGitStatus();
+        return;
+    }
+
+    if (result.conflict) {
+        hideModal('git-rebase-planner-modal');
+        await handleConflictResult(result);
+        return;
+    }
+
+    showNotification(`Rebase failed: ${result.error}`, 'error');
+    await refreshGitStatus();
+    await updateRebaseProgress();
+}
+
+// Show where a stopped rebase is and offer continue, skip and abort
+async function updateRebaseProgress() {
+    if (!currentProject) return;
+
+    const progressBox = document.getElementById('rebase-progress');
+    const result = await ipcRenderer.invoke('git-rebase-progress', currentProject.path);
+
+    if (!result.success || !result.inProgress) {
+        progressBox.style.display = 'none';
+        document.getElementById('rebase-plan-setup').style.display = '';
+        return;
+    }
+
+    const percent = result.total ? Math.round((result.current / result.total) * 100) : 0;
+    document.getElementById('rebase-progress-text').textContent =
+        `Rebase of ${result.branch || 'HEAD'} stopped at step ${result.current} of ${result.total}` +
+        (result.stoppedAt ? ` (${result.stoppedAt.substring(0, 7)})` : '');
+    document.getElementById('rebase-progress-fill').style.width = `${percent}%`;
+    progressBox.style.display = '';
+    document.getElementById('rebase-plan-setup').style.display = 'none';
+}
+
+// Create interactive rebase planner modal
+function createRebasePlannerModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'git-rebase-planner-modal';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 800px;">
+            <div class="modal-header">
+                <h2><i class="fas fa-list-ol"></i> Interactive Rebase</h2>
+                <button class="modal-close-btn" onclick="hideModal('git-rebase-planner-modal')">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="rebase-progress" id="rebase-progress" style="display: none;">
+                    <p id="rebase-progress-text"></p>
+                    <div class="progress-bar">
+                        <div class="progress-bar-fill" id="rebase-progress-fill"></div>
+                    </div>
+                    <div class="rebase-progress-actions">
+                        <button class="btn-secondary" onclick="showConflictResolver()">
+                            <i class="fas fa-code-merge"></i> Resolve Conflicts
+                        </button>
+                        <button class="btn-secondary" onclick="controlGitOperation('abort')">
+                            <i class="fas fa-ban"></i> Abort
+                        </button>
+                        <button class="btn-secondary" onclick="controlGitOperation('skip')">
+                            <i class="fas fa-step-forward"></i> Skip
+                        </button>
+                        <button class="btn-primary" onclick="controlGitOperation('continue')">
+                            <i class="fas fa-forward"></i> Continue
+                        </button>
+                    </div>
+                </div>
+                <div id="rebase-plan-setup">
+                    <div class="form-group">
+                        <label for="rebase-base-input">Rebase onto (branch, tag or commit):</label>
+                        <div class="rebase-base-row">
+                            <input type="text" id="rebase-base-input" list="rebase-base-options" placeholder="e.g. main or HEAD~5">
+                            <datalist id="rebase-base-options"></datalist>
+                            <button class="btn-secondary" onclick="loadRebaseCommits()">
+                                <i class="fas fa-sync"></i> Load Commits
+                            </button>
+                        </div>
+                    </div>
+                    <p class="rebase-plan-hint">Drag commits to reorder them. The list runs from oldest (top) to newest (bottom).</p>
+                    <div class="rebase-plan-list" id="rebase-plan-list"></div>
+                    <div class="warning-box">
+                        <i class="fas fa-exclamation-triangle"></i>
+                        <p>Rebasing rewrites commit history. Only rebase commits that haven't been pushed to a shared repository.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn-secondary" onclick="hideModal('git-rebase-planner-modal')">Close</button>
+                <button class="btn-primary" id="start-rebase-plan-btn" onclick="startInteractiveRebase()">
+                    <i class="fas fa-play"></i> Start Rebase
+                </button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+// Commit options
+function getCommitOptions() {
+    return {
+        amend: document.getElementById('git-commit-amend')?.checked || false,
+        stagedOnly: document.getElementById('git-commit-staged-only')?.checked || false,
+        signOff: document.getElementById('git-commit-signoff')?.checked || false,
+        sign: document.getElementById('git-commit-sign')?.checked || false
+    };
+}
+
+// Commit with the options from the Commit panel; returns null when the user backs out
+async function commitWithOptions(message) {
+    const options = getCommitOptions();
+    if ((!message || !message.trim()) && !options.amend) {
+        showNotification('Please enter a commit message', 'error');
+        return null;
+    }
+
+    if (message && message.trim()) {
+        const lint = await ipcRenderer.invoke('git-lint-commit-message', currentProject.path, message);
+        const errors = lint.success ? lint.violations.filter(violation => violation.severity === 'error') : [];
+        if (errors.length > 0 && !confirm(`The commit message breaks ${errors.length} rule(s):\n\n${errors.map(error => `• ${error.message}`).join('\n')}\n\nCommit anyway?`)) {
+            return null;
+        }
+    }
+
+    if (options.amend) {
+        const recent = await ipcRenderer.invoke('git-recent-commits', currentProject.path, 1);
+        if (recent.success && recent.commits.length > 0 && recent.commits[0].pushed
+            && !confirm(`The last commit is already on ${recent.upstream || 'a remote'}.\n\nAmending rewrites it, so the next push has to be forced. Amend anyway?`)) {
+            return null;
+        }
+    }
+
+    showNotification(options.amend ? 'Amending last commit...' : 'Committing changes...', 'info');
+    const result = await ipcRenderer.invoke('git-commit', currentProject.path, message, options);
+    reportHookOutput(result, 'commit');
+    if (result.success && options.amend) {
+        document.getElementById('git-commit-amend').checked = false;
+        await updateAmendOption();
+    }
+    return result;
+}
+
+// Prefill the last commit message when amending and warn if that commit was pushed
+async function updateAmendOption() {
+    const amend = document.getElementById('git-commit-amend').checked;
+    const warning = document.getElementById('git-commit-amend-warning');
+    const input = document.getElementById('git-commit-message-input');
+    const commitButton = document.getElementById('git-commit-btn');
+
+    commitButton.innerHTML = amend ? '<i class="fas fa-check"></i> Amend' : '<i class="fas fa-check"></i> Commit';
+    warning.style.display = 'none';
+    if (!amend || !currentProject) return;
+
+    const result = await ipcRenderer.invoke('git-recent-commits', currentProject.path, 1);
+    if (!result.success || result.commits.length === 0) {
+        document.getElementById('git-commit-amend').checked = false;
+        showNotification('There is no commit to amend', 'error');
+        commitButton.innerHTML = '<i class="fas fa-check"></i> Commit';
+        return;
+    }
+
+    const lastCommit = result.commits[0];
+    if (!input.value.trim()) {
+        input.value = lastCommit.message;
+    }
+    if (lastCommit.pushed) {
+        warning.innerHTML = `<i class="fas fa-exclamation-triangle"></i> ${lastCommit.hash.substring(0, 7)} is already on ${escapeHtml(result.upstream || 'a remote')}. Amending it requires a force push.`;
+        warning.style.display = '';
+    }
+}
+
+// Signing and signature verification
+let signingState = { projectPath: null, config: null };
+
+// Keyed by git's %G? codes
+const SIGNATURE_BADGES = {
+    G: { label: 'Verified', className: 'verified', icon: 'fa-check-circle', description: 'Good signature' },
+    U: { label: 'Signed', className: 'untrusted', icon: 'fa-check', description: 'Good signature from a key that is not trusted' },
+    X: { label: 'Expired', className: 'warning', icon: 'fa-clock', description: 'Good signature that has expired' },
+    Y: { label: 'Key expired', className: 'warning', icon: 'fa-clock', description: 'Good signature made by an expired key' },
+    R: { label: 'Key revoked', className: 'bad', icon: 'fa-ban', description: 'Good signature made by a revoked key' },
+    B: { label: 'Bad signature', className: 'bad', icon: 'fa-times-circle', description: 'The signature does not match' },
+    E: { label: 'Unverified', className: 'unknown', icon: 'fa-question-circle', description: 'Signed, but the signature cannot be checked here (missing public key or allowed signers file)' }
+};
+
+function renderSignatureBadge(signature) {
+    const badge = signature && SIGNATURE_BADGES[signature.status];
+    if (!badge) return '';
+    const details = [badge.description, signature.signer && `Signer: ${signature.signer}`, signature.key && `Key: ${signature.key}`].filter(Boolean).join('\n');
+    return `<span class="signature-badge ${badge.className}" title="${escapeHtml(details)}"><i class="fas ${badge.icon}"></i> ${badge.label}</span>`;
+}
+
+// Load the project's signing defaults into the commit and tag forms
+async function loadSigningConfig(force = false) {
+    if (!currentProject) return;
+    if (!force && signingState.projectPath === currentProject.path) return;
+
+    const projectPath = currentProject.path;
+    signingState = { projectPath, config: null };
+    const result = await ipcRenderer.invoke('git-signing-config', projectPath);
+    if (!result.success || signingState.projectPath !== projectPath) return;
+
+    signingState.config = result.config;
+    const commitSign = document.getElementById('git-commit-sign');
+    if (commitSign) commitSign.checked = result.config.signCommits;
+    const tagSign = document.getElementById('tag-sign');
+    if (tagSign) tagSign.checked = result.config.signTags;
+}
+
+async function showSigningModal() {
+    if (!currentProject) {
+        showNotification('Please select a project first', 'error');
+        return;
+    }
+
+    if (!document.getElementById('git-signing-modal')) {
+        createSigningModal();
+    }
+
+    const result = await ipcRenderer.invoke('git-signing-config', currentProject.path);
+    if (!result.success) {
+        showNotification(`Failed to load signing settings: ${result.error}`, 'error');
+        return;
+    }
+
+    const { config, local } = result;
+    document.getElementById('signing-format').value = config.format === 'ssh' ? 'ssh' : 'openpgp';
+    document.getElementById('signing-key').value = local.key || '';
+    document.getElementById('signing-key').placeholder = local.key || !config.key ? 'Key ID or SSH key file' : `${config.key} (global)`;
+    document.getElementById('signing-allowed-signers').value = local.allowedSignersFile || '';
+    document.getElementById('signing-allowed-signers').placeholder = local.allowedSignersFile || !config.allowedSignersFile
+        ? '~/.ssh/allowed_signers'
+        : `${config.allowedSignersFile} (global)`;
+    document.getElementById('signing-commits').checked = config.signCommits;
+    document.getElementById('signing-tags').checked = config.signTags;
+    updateSigningFormat();
+    showModal('git-signing-modal');
+}
+
+// Offer the keys available for the chosen format and show the SSH-only setting
+async function updateSigningFormat() {
+    const format = document.getElementById('signing-format').value;
+    document.getElementById('signing-allowed-signers-group').style.display = format === 'ssh' ? '' : 'none';
+
+    const result = await ipcRenderer.invoke('git-signing-keys', format);
+    document.getElementById('signing-key-options').innerHTML = (result.keys || []).map(key =>
+        `<option value="${escapeHtml(key.id)}">${escapeHtml(key.label)}</option>`
+    ).join('');
+    document.getElementById('signing-key-hint').textContent = result.success
+        ? (result.keys.length === 0 ? (format === 'ssh' ? 'No public keys found in ~/.ssh' : 'No GnuPG secret keys found') : '')
+        : result.error;
+}
+
+async function saveSigningSettings() {
+    const result = await ipcRenderer.invoke('git-signing-config-save', currentProject.path, {
+        format: document.getElementById('signing-format').value,
+        key: document.getElementById('signing-key').value.trim(),
+        signCommits: document.getElementById('signing-commits').checked,
+        signTags: document.getElementById('signing-tags').checked,
+        allowedSignersFile: document.getElementById('signing-format').value === 'ssh'
+            ? document.getElementById('signing-allowed-signers').value.trim()
+            : null
+    });
+
+    if (result.success) {
+        hideModal('git-signing-modal');
+        showNotification('Signing settings saved', 'success');
+        await loadSigningConfig(true);
+    } else {
+        showNotification(`Failed to save signing settings: ${result.error}`, 'error');
+    }
+}
+
+function createSigningModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'git-signing-modal';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 560px;">
+            <div class="modal-header">
+                <h2><i class="fas fa-signature"></i> Commit &amp; Tag Signing</h2>
+                <button class="modal-close-btn" onclick="hideModal('git-signing-modal')">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <p class="commit-rules-note">Stored in this repository's git config, so signing also applies to commits made from a terminal. Settings that match your global git config are not stored, so later global changes still apply.</p>
+                <div class="form-group">
+                    <label for="signing-format">Signature type:</label>
+                    <select id="signing-format" onchange="updateSigningFormat()">
+                        <option value="openpgp">GPG (OpenPGP)</option>
+                        <option value="ssh">SSH</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="signing-key">Signing key:</label>
+                    <input type="text" id="signing-key" list="signing-key-options" placeholder="Key ID or SSH key file">
+                    <datalist id="signing-key-options"></datalist>
+                    <div class="signing-hint" id="signing-key-hint"></div>
+                </div>
+                <div class="form-group" id="signing-allowed-signers-group">
+                    <label for="signing-allowed-signers">Allowed signers file (needed to verify SSH signatures):</label>
+                    <input type="text" id="signing-allowed-signers" placeholder="~/.ssh/allowed_signers">
+                </div>
+                <label class="checkbox-label">
+                    <input type="checkbox" id="signing-commits">
+                    <span>Sign commits by default</span>
+                </label>
+                <label class="checkbox-label">
+                    <input type="checkbox" id="signing-tags">
+                    <span>Sign tags by default</span>
+                </label>
+            </div>
+            <div class="modal-footer">
+                <button class="btn-secondary" onclick="hideModal('git-signing-modal')">Cancel</button>
+                <button class="btn-primary" onclick="saveSigningSettings()">
+                    <i class="fas fa-save"></i> Save
+                </button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+// Commit message rules and templates (stored in the project's .commit-rules.json)
+let commitRulesState = { projectPath: null, rules: null, exists: false };
+const commitLintTimers = {};
+
+async function loadCommitRules(force = false) {
+    if (!currentProject) return;
+    if (!force && commitRulesState.projectPath === currentProject.path) return;
+
+    const projectPath = currentProject.path;
+    commitRulesState = { projectPath, rules: null, exists: false };
+    const result = await ipcRenderer.invoke('get-commit-rules', projectPath);
+    if (!result.success) {
+        showNotification(result.error, 'warning');
+    } else if (commitRulesState.projectPath === projectPath) {
+        commitRulesState = { projectPath, rules: result.rules, exists: result.exists };
+    }
+
+    populateCommitTemplates();
+    lintCommitInput('git-commit-message-input', 'git-commit-lint');
+}
+
+function populateCommitTemplates() {
+    const templates = commitRulesState.rules ? commitRulesState.rules.templates : [];
+    const options = '<option value="">Insert template...</option>' + templates.map((template, index) =>
+        `<option value="${index}">${escapeHtml(template.name)}</option>`
+    ).join('');
+    ['git-commit-template-select', 'commit-modal-template-select'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) select.innerHTML = options;
+    });
+}
+
+function applyCommitTemplate(select, inputId) {
+    const template = commitRulesState.rules && commitRulesState.rules.templates[select.value];
+    select.value = '';
+    if (!template) return;
+
+    const input = document.getElementById(inputId);
+    if (input.value.trim() && !confirm('Replace the current message with this template?')) {
+        return;
+    }
+    input.value = template.message;
+    input.focus();
+    // Put the cursor on the first placeholder so it can be typed over
+    const placeholder = template.message.indexOf('short description');
+    if (placeholder !== -1) {
+        input.setSelectionRange(placeholder, placeholder + 'short description'.length);
+    }
+    input.dispatchEvent(new Event('input'));
+}
+
+function scheduleCommitLint(inputId, outputId) {
+    clearTimeout(commitLintTimers[inputId]);
+    commitLintTimers[inputId] = setTimeout(() => lintCommitInput(inputId, outputId), 250);
+}
+
+async function lintCommitInput(inputId, outputId) {
+    const input = document.getElementById(inputId);
+    const output = document.getElementById(outputId);
+    if (!input || !output || !currentProject) return;
+
+    const message = input.value;
+    if (!message.trim()) {
+        output.innerHTML = '';
+        input.classList.remove('has-lint-error', 'has-lint-warning');
+        return;
+    }
+
+    const result = await ipcRenderer.invoke('git-lint-commit-message', currentProject.path, message);
+    // Ignore results for text that has since changed
+    if (!result.success || input.value !== message) return;
 
-        html += `
-            <div class="commit-item">
-                <div class="commit-header">
-                    <code class="commit-hash">${shortHash}</code>
-                    <span class="commit-author">${author}</span>
-                    <span class="commit-date">${new Date(date).toLocaleDateString()}</span>
-                </div>
-                <div class="commit-message">${escapeHtml(message)}</div>
-            </div>
-        `;
-    });
+    const hasError = result.violations.some(violation => violation.severity === 'error');
+    input.classList.toggle('has-lint-error', hasError);
+    input.classList.toggle('has-lint-warning', !hasError && result.violations.length > 0);
+    output.innerHTML = result.violations.map(violation => `
+        <div class="commit-lint-item ${violation.severity}">
+            <i class="fas ${violation.severity === 'error' ? 'fa-circle-xmark' : 'fa-triangle-exclamation'}"></i>
+            <span>${escapeHtml(violation.message)}</span>
+        </div>
+    `).join('');
+}
 
-    historyList.innerHTML = html;
-    showModal('git-history-modal');
+async function showCommitRulesModal() {
+    if (!currentProject) {
+        showNotification('Please select a project first', 'error');
+        return;
+    }
+
+    if (!document.getElementById('git-commit-rules-modal')) {
+        createCommitRulesModal();
+    }
+
+    await loadCommitRules(true);
+    const rules = commitRulesState.rules;
+    if (!rules) return;
+
+    document.getElementById('commit-rules-conventional').checked = rules.conventional;
+    document.getElementById('commit-rules-types').value = rules.types.join(', ');
+    document.getElementById('commit-rules-scopes').value = rules.scopes.join(', ');
+    document.getElementById('commit-rules-require-scope').checked = rules.requireScope;
+    document.getElementById('commit-rules-subject-length').value = rules.subjectMaxLength;
+    document.getElementById('commit-rules-body-wrap').value = rules.bodyWrap;
+    document.getElementById('commit-rules-require-issue').checked = rules.requireIssue;
+    document.getElementById('commit-rules-issue-pattern').value = rules.issuePattern;
+    document.getElementById('commit-rules-file-note').textContent = commitRulesState.exists
+        ? 'Saved in .commit-rules.json at the repository root.'
+        : 'No .commit-rules.json yet; saving creates it at the repository root so the rules can be committed.';
+
+    const list = document.getElementById('commit-rules-templates');
+    list.innerHTML = '';
+    rules.templates.forEach(template => addCommitTemplateRow(template));
+    showModal('git-commit-rules-modal');
 }
 
-// Create history modal
-function createHistoryModal() {
-    const modal = document.createElement('div');
-    modal.className = 'modal';
-    modal.id = 'git-history-modal';
-    modal.innerHTML = `
-        <div class="modal-content" style="max-width: 800px;">
-            <div class="modal-header">
-                <h2><i class="fas fa-history"></i> Commit History</h2>
-                <button class="modal-close-btn" onclick="hideModal('git-history-modal')">
-                    <i class="fas fa-times"></i>
-                </button>
-            </div>
-            <div class="modal-body">
-                <div id="commit-history-list" style="max-height: 600px; overflow-y: auto;"></div>
-            </div>
-            <div class="modal-footer">
-                <button class="btn-secondary modal-close">Close</button>
-            </div>
+function addCommitTemplateRow(template = { name: '', message: '' }) {
+    const row = document.createElement('div');
+    row.className = 'commit-rules-template';
+    row.innerHTML = `
+        <div class="commit-rules-template-header">
+            <input type="text" class="commit-rules-template-name" placeholder="Template name" value="${escapeHtml(template.name)}">
+            <button class="btn-icon-small" title="Remove Template"><i class="fas fa-trash"></i></button>
         </div>
+        <textarea class="commit-rules-template-message" rows="3" placeholder="type(scope): description">${escapeHtml(template.message)}</textarea>
     `;
-    document.body.appendChild(modal);
+    row.querySelector('button').addEventListener('click', () => row.remove());
+    document.getElementById('commit-rules-templates').appendChild(row);
+}
+
+async function saveCommitRules() {
+    const splitList = (id) => document.getElementById(id).value.split(',').map(item => item.trim()).filter(Boolean);
+    const templates = [...document.querySelectorAll('.commit-rules-template')].map(row => ({
+        name: row.querySelector('.commit-rules-template-name').value.trim(),
+        message: row.querySelector('.commit-rules-template-message').value
+    })).filter(template => template.name && template.message.trim());
+
+    const rules = {
+        conventional: document.getElementById('commit-rules-conventional').checked,
+        types: splitList('commit-rules-types'),
+        scopes: splitList('commit-rules-scopes'),
+        requireScope: document.getElementById('commit-rules-require-scope').checked,
+        subjectMaxLength: parseInt(document.getElementById('commit-rules-subject-length').value, 10) || 0,
+        bodyWrap: parseInt(document.getElementById('commit-rules-body-wrap').value, 10) || 0,
+        requireIssue: document.getElementById('commit-rules-require-issue').checked,
+        issuePattern: document.getElementById('commit-rules-issue-pattern').value.trim(),
+        templates
+    };
+
+    const result = await ipcRenderer.invoke('save-commit-rules', currentProject.path, rules);
+    if (result.success) {
+        hideModal('git-commit-rules-modal');
+        showNotification('Commit message rules saved', 'success');
+        await loadCommitRules(true);
+        lintCommitInput('commit-message', 'commit-modal-lint');
+    } else {
+        showNotification(`Failed to save rules: ${result.error}`, 'error');
+    }
 }
 
-// Create merge modal
-function createMergeModal() {
+function createCommitRulesModal() {
     const modal = document.createElement('div');
     modal.className = 'modal';
-    modal.id = 'git-merge-modal';
+    modal.id = 'git-commit-rules-modal';
     modal.innerHTML = `
-        <div class="modal-content">
+        <div class="modal-content" style="max-width: 640px;">
             <div class="modal-header">
-                <h2><i class="fas fa-code-merge"></i> Merge Branch</h2>
-                <button class="modal-close-btn" onclick="hideModal('git-merge-modal')">
+                <h2><i class="fas fa-list-check"></i> Commit Message Rules</h2>
+                <button class="modal-close-btn" onclick="hideModal('git-commit-rules-modal')">
                     <i class="fas fa-times"></i>
                 </button>
             </div>
             <div class="modal-body">
+                <p class="commit-rules-note" id="commit-rules-file-note"></p>
+                <label class="checkbox-label">
+                    <input type="checkbox" id="commit-rules-conventional">
+                    <span>Require Conventional Commits ("type(scope): description")</span>
+                </label>
                 <div class="form-group">
-                    <label for="merge-branch-select">Select branch to merge into current branch:</label>
-                    <select id="merge-branch-select" class="input">
-                        <option value="">-- Select a branch --</option>
-                    </select>
+                    <label for="commit-rules-types">Allowed types (comma separated):</label>
+                    <input type="text" id="commit-rules-types">
                 </div>
-                <div class="git-info-box">
-                    <i class="fas fa-info-circle"></i>
-                    <span>This will merge the selected branch into your current branch</span>
+                <div class="form-group">
+                    <label for="commit-rules-scopes">Allowed scopes (comma separated, empty for any):</label>
+                    <input type="text" id="commit-rules-scopes">
+                </div>
+                <label class="checkbox-label">
+                    <input type="checkbox" id="commit-rules-require-scope">
+                    <span>Require a scope</span>
+                </label>
+                <div class="commit-rules-row">
+                    <div class="form-group">
+                        <label for="commit-rules-subject-length">Max subject length (0 = off):</label>
+                        <input type="number" id="commit-rules-subject-length" min="0">
+                    </div>
+                    <div class="form-group">
+                        <label for="commit-rules-body-wrap">Wrap body at (0 = off):</label>
+                        <input type="number" id="commit-rules-body-wrap" min="0">
+                    </div>
+                </div>
+                <label class="checkbox-label">
+                    <input type="checkbox" id="commit-rules-require-issue">
+                    <span>Require an issue reference</span>
+                </label>
+                <div class="form-group">
+                    <label for="commit-rules-issue-pattern">Issue reference pattern (regular expression):</label>
+                    <input type="text" id="commit-rules-issue-pattern">
+                </div>
+                <div class="form-group">
+                    <label>Templates:</label>
+                    <div class="commit-rules-templates" id="commit-rules-templates"></div>
+                    <button class="btn-secondary" onclick="addCommitTemplateRow()">
+                        <i class="fas fa-plus"></i> Add Template
+                    </button>
                 </div>
             </div>
             <div class="modal-footer">
-                <button class="btn-secondary modal-close">Cancel</button>
-                <button class="btn-primary" onclick="performMerge()">Merge</button>
+                <button class="btn-secondary" onclick="hideModal('git-commit-rules-modal')">Cancel</button>
+                <button class="btn-primary" onclick="saveCommitRules()">
+                    <i class="fas fa-save"></i> Save Rules
+                </button>
             </div>
         </div>
     `;
     document.body.appendChild(modal);
 }
 
-// Remote repository management
-async function showRemotesModal() {
+// Reword or squash recent commits
+let rewriteCommitsState = { commits: [], upstream: null };
+
+async function showRewriteCommitsModal() {
     if (!currentProject) {
-        showNotification('No project selected', 'error');
+        showNotification('Please select a project first', 'error');
         return;
     }
 
-    const modal = document.getElementById('git-remotes-modal');
-    if (!modal) {
-        createRemotesModal();
-        await showRemotesModal();
+    if (!document.getElementById('git-rewrite-commits-modal')) {
+        createRewriteCommitsModal();
+    }
+
+    const result = await ipcRenderer.invoke('git-recent-commits', currentProject.path, 20);
+    if (!result.success) {
+        showNotification(`Failed to load commits: ${result.error}`, 'error');
         return;
     }
 
-    await loadRemotes();
-    showModal('git-remotes-modal');
-}
+    // Only a linear run of commits with a parent can be rewritten
+    const commits = [];
+    for (const commit of result.commits) {
+        if (commit.merge || commit.root) break;
+        commits.push({ ...commit, newMessage: commit.message });
+    }
+    if (commits.length === 0) {
+        showNotification('There are no commits that can be rewritten here', 'warning');
+        return;
+    }
 
-// Load and display remotes
-async function loadRemotes() {
-    if (!currentProject) return;
+    rewriteCommitsState = { commits, upstream: result.upstream };
+    const countInput = document.getElementById('rewrite-count');
+    countInput.max = commits.length;
+    countInput.value = Math.min(2, commits.length);
+    // Default to the unpushed commits when there are any
+    const unpushed = commits.findIndex(commit => commit.pushed);
+    if (unpushed > 0) {
+        countInput.value = unpushed;
+    }
+    document.getElementById('rewrite-action-reword').checked = true;
+    renderRewriteCommits();
+    showModal('git-rewrite-commits-modal');
+}
 
-    const result = await ipcRenderer.invoke('git-remote-list', currentProject.path);
-    const remotesList = document.getElementById('remotes-list');
+function renderRewriteCommits() {
+    const count = Math.max(1, Math.min(parseInt(document.getElementById('rewrite-count').value, 10) || 1, rewriteCommitsState.commits.length));
+    const squash = document.getElementById('rewrite-action-squash').checked;
+    const selected = rewriteCommitsState.commits.slice(0, count);
+    const pushed = selected.filter(commit => commit.pushed);
 
-    if (!result.success || !result.output.trim()) {
-        remotesList.innerHTML = `
-            <div class="git-changes-empty">
-                <p>No remotes configured</p>
-                <p style="font-size: 12px; margin-top: 8px;">Add a remote to push/pull from repositories</p>
+    const warning = document.getElementById('rewrite-pushed-warning');
+    if (pushed.length > 0) {
+        warning.innerHTML = `<i class="fas fa-exclamation-triangle"></i> ${pushed.length} of these commits ${pushed.length === 1 ? 'is' : 'are'} already on ${escapeHtml(rewriteCommitsState.upstream || 'a remote')}. Rewriting them requires a force push and affects anyone who pulled them.`;
+        warning.style.display = '';
+    } else {
+        warning.style.display = 'none';
+    }
+
+    const list = document.getElementById('rewrite-commit-list');
+    if (squash) {
+        // Oldest first, the order the squashed message reads in
+        const combined = [...selected].reverse().map(commit => commit.message).join('\n\n');
+        list.innerHTML = `
+            <div class="rewrite-commit-summary">
+                ${selected.map(commit => `
+                    <div class="rewrite-commit-line">
+                        <code>${commit.hash.substring(0, 7)}</code>
+                        <span>${escapeHtml(commit.subject)}</span>
+                        ${commit.pushed ? '<span class="git-branch-badge unmerged">pushed</span>' : ''}
+                    </div>
+                `).join('')}
+            </div>
+            <div class="form-group">
+                <label for="rewrite-squash-message">Message for the squashed commit:</label>
+                <textarea id="rewrite-squash-message" rows="6">${escapeHtml(combined)}</textarea>
             </div>
         `;
         return;
     }
 
-    const remotes = result.output.split('\n').filter(line => line.trim());
-    const remoteMap = {};
+    list.innerHTML = selected.map((commit, index) => `
+        <div class="rewrite-commit-item">
+            <div class="rewrite-commit-line">
+                <code>${commit.hash.substring(0, 7)}</code>
+                ${commit.pushed ? '<span class="git-branch-badge unmerged">pushed</span>' : ''}
+            </div>
+            <textarea rows="3" oninput="rewriteCommitsState.commits[${index}].newMessage = this.value">${escapeHtml(commit.newMessage)}</textarea>
+        </div>
+    `).join('');
+}
 
-    // Parse remotes (format: name url (fetch/push))
-    remotes.forEach(line => {
-        const match = line.match(/^(\S+)\s+(\S+)\s+\((\w+)\)$/);
-        if (match) {
-            const [, name, url, type] = match;
-            if (!remoteMap[name]) {
-                remoteMap[name] = { name, url, fetch: '', push: '' };
-            }
-            if (type === 'fetch') {
-                remoteMap[name].fetch = url;
-            } else if (type === 'push') {
-                remoteMap[name].push = url;
-            }
+async function runRewriteCommits() {
+    const count = parseInt(document.getElementById('rewrite-count').value, 10) || 0;
+    const squash = document.getElementById('rewrite-action-squash').checked;
+    const selected = rewriteCommitsState.commits.slice(0, count);
+
+    if (squash && selected.length < 2) {
+        showNotification('Select at least two commits to squash', 'error');
+        return;
+    }
+
+    const pushed = selected.some(commit => commit.pushed);
+    if (pushed && !confirm('Some of these commits are already pushed. Rewrite them anyway?')) {
+        return;
+    }
+
+    let result;
+    if (squash) {
+        const message = document.getElementById('rewrite-squash-message').value;
+        if (!message.trim()) {
+            showNotification('Please enter a commit message', 'error');
+            return;
         }
-    });
+        result = await ipcRenderer.invoke('git-squash-commits', currentProject.path, selected.length, message, {
+            signOff: document.getElementById('git-commit-signoff').checked,
+            sign: document.getElementById('git-commit-sign').checked
+        });
+    } else {
+        if (selected.some(commit => !commit.newMessage.trim())) {
+            showNotification('Commit messages cannot be empty', 'error');
+            return;
+        }
+        const changed = selected.filter(commit => commit.newMessage.trim() !== commit.message);
+        if (changed.length === 0) {
+            showNotification('No commit messages were changed', 'info');
+            return;
+        }
+        // Oldest first, as the rebase replays them
+        const plan = [...selected].reverse().map(commit => ({
+            hash: commit.hash,
+            action: commit.newMessage.trim() !== commit.message ? 'reword' : 'pick',
+            message: commit.newMessage
+        }));
+        result = await ipcRenderer.invoke('git-rebase-interactive', currentProject.path, `HEAD~${selected.length}`, plan);
+    }
 
-    let html = '';
-    Object.values(remoteMap).forEach(remote => {
-        html += `
-            <div class="remote-item">
-                <div class="remote-header">
-                    <i class="fas fa-globe"></i>
-                    <span class="remote-name">${remote.name}</span>
-                    <button class="btn-icon-small" onclick="deleteRemote('${remote.name}')" title="Remove Remote">
-                        <i class="fas fa-trash"></i>
-                    </button>
+    if (result.success) {
+        hideModal('git-rewrite-commits-modal');
+        showNotification(squash ? `Squashed ${selected.length} commits` : 'Commit messages updated', 'success');
+        await refreshGitStatus();
+    } else if (result.conflict) {
+        hideModal('git-rewrite-commits-modal');
+        await handleConflictResult(result);
+    } else {
+        showNotification(`${squash ? 'Squash' : 'Reword'} failed: ${result.error}`, 'error');
+        await refreshGitStatus();
+    }
+}
+
+function createRewriteCommitsModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'git-rewrite-commits-modal';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 640px;">
+            <div class="modal-header">
+                <h2><i class="fas fa-pen-to-square"></i> Reword / Squash Recent Commits</h2>
+                <button class="modal-close-btn" onclick="hideModal('git-rewrite-commits-modal')">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="rewrite-options">
+                    <div class="form-group">
+                        <label for="rewrite-count">Last commits:</label>
+                        <input type="number" id="rewrite-count" min="1" value="2" oninput="renderRewriteCommits()">
+                    </div>
+                    <label class="checkbox-label">
+                        <input type="radio" name="rewrite-action" id="rewrite-action-reword" onchange="renderRewriteCommits()" checked>
+                        <span>Reword</span>
+                    </label>
+                    <label class="checkbox-label">
+                        <input type="radio" name="rewrite-action" id="rewrite-action-squash" onchange="renderRewriteCommits()">
+                        <span>Squash into one</span>
+                    </label>
                 </div>
-                <div class="remote-url">${remote.url}</div>
+                <div class="git-commit-warning" id="rewrite-pushed-warning" style="display: none;"></div>
+                <div class="rewrite-commit-list" id="rewrite-commit-list"></div>
             </div>
-        `;
-    });
-
-    remotesList.innerHTML = html;
+            <div class="modal-footer">
+                <button class="btn-secondary" onclick="hideModal('git-rewrite-commits-modal')">Cancel</button>
+                <button class="btn-primary" onclick="runRewriteCommits()">
+                    <i class="fas fa-check"></i> Rewrite
+                </button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
 }
 
-// Delete a remote
-async function deleteRemote(remoteName) {
-    if (!confirm(`Are you sure you want to remove remote "${remoteName}"?`)) {
+// Releases
+let releaseState = null;
+
+async function showReleaseModal() {
+    if (!currentProject) {
+        showNotification('Please select a project first', 'error');
         return;
     }
 
-    const result = await ipcRenderer.invoke('git-remove-remote', currentProject.path, remoteName);
-    if (result.success) {
-        showNotification(`Remote ${remoteName} removed`, 'success');
-        await loadRemotes();
-    } else {
-        showNotification(`Failed to remove remote: ${result.error}`, 'error');
+    if (!document.getElementById('git-release-modal')) {
+        createReleaseModal();
+    }
+
+    const result = await ipcRenderer.invoke('git-release-info', currentProject.path);
+    if (!result.success) {
+        showNotification(`Failed to read release information: ${result.error}`, 'error');
+        return;
     }
+
+    releaseState = result;
+    document.getElementById('release-summary').innerHTML = `
+        <span><i class="fas fa-cube"></i> ${escapeHtml(result.currentVersion)}${result.manifest ? ` <span class="release-meta">(${escapeHtml(result.manifest)})</span>` : ' <span class="release-meta">(no version file)</span>'}</span>
+        <span><i class="fas fa-tag"></i> ${result.lastTag ? escapeHtml(result.lastTag) : 'No tags yet'}</span>
+        <span><i class="fas fa-code-commit"></i> ${result.commits.length} commit${result.commits.length === 1 ? '' : 's'} since</span>
+    `;
+    document.getElementById('release-bumps').innerHTML = ['major', 'minor', 'patch'].map(bump => `
+        <label class="checkbox-label">
+            <input type="radio" name="release-bump" value="${bump}" onchange="updateReleaseVersion()" ${bump === result.suggestedBump ? 'checked' : ''}>
+            <span>${bump[0].toUpperCase()}${bump.substring(1)} <code>${escapeHtml(result.versions[bump])}</code>${bump === result.suggestedBump ? ' <span class="git-branch-badge default">suggested</span>' : ''}</span>
+        </label>
+    `).join('') + `
+        <label class="checkbox-label">
+            <input type="radio" name="release-bump" value="custom" onchange="updateReleaseVersion()">
+            <span>Custom</span>
+        </label>
+        <input type="text" id="release-custom-version" placeholder="1.0.0-beta.1" oninput="updateReleaseVersion()" style="display: none;">
+    `;
+
+    const manifestOption = document.getElementById('release-update-manifest');
+    manifestOption.checked = !!result.manifest;
+    manifestOption.disabled = !result.manifest;
+    document.getElementById('release-update-manifest-label').textContent = result.manifest
+        ? `Update version in ${result.manifest}`
+        : 'Update version file (none found)';
+    document.getElementById('release-update-changelog').checked = true;
+    document.getElementById('release-sign').checked = !!(signingState.config && signingState.config.signTags);
+    document.getElementById('release-push').checked = false;
+    document.getElementById('release-notes').value = result.notes;
+    document.getElementById('release-tag-message').value = '';
+
+    updateReleaseVersion();
+    showModal('git-release-modal');
 }
 
-// Add a new remote
-async function addRemote() {
-    const name = document.getElementById('remote-name-input')?.value?.trim();
-    const url = document.getElementById('remote-url-input')?.value?.trim();
+function getReleaseVersion() {
+    const bump = document.querySelector('input[name="release-bump"]:checked');
+    if (!bump) return '';
+    return bump.value === 'custom'
+        ? document.getElementById('release-custom-version').value.trim()
+        : releaseState.versions[bump.value];
+}
 
-    if (!name || !url) {
-        showNotification('Please enter both name and URL', 'error');
+function updateReleaseVersion() {
+    const custom = document.querySelector('input[name="release-bump"]:checked')?.value === 'custom';
+    document.getElementById('release-custom-version').style.display = custom ? '' : 'none';
+
+    const version = getReleaseVersion();
+    document.getElementById('release-tag-preview').textContent = version ? `${releaseState.tagPrefix}${version}` : '-';
+    document.getElementById('release-tag-message').placeholder = version ? `Release ${version}` : '';
+}
+
+async function createRelease() {
+    const version = getReleaseVersion();
+    if (!/^\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?(\+[0-9A-Za-z.-]+)?$/.test(version)) {
+        showNotification('Enter a semantic version like 1.4.0', 'error');
         return;
     }
 
-    const result = await ipcRenderer.invoke('git-add-remote', currentProject.path, name, url);
+    const push = document.getElementById('release-push').checked;
+    const createButton = document.getElementById('release-create-btn');
+    createButton.disabled = true;
+    showNotification(`Creating release ${version}...`, 'info');
+
+    const result = await ipcRenderer.invoke('git-release-create', currentProject.path, {
+        version,
+        tagPrefix: releaseState.tagPrefix,
+        notes: document.getElementById('release-notes').value,
+        tagMessage: document.getElementById('release-tag-message').value,
+        updateManifest: document.getElementById('release-update-manifest').checked,
+        updateChangelog: document.getElementById('release-update-changelog').checked,
+        sign: document.getElementById('release-sign').checked,
+        push
+    });
+    createButton.disabled = false;
+    reportHookOutput(result, 'commit');
+
     if (result.success) {
-        showNotification(`Remote ${name} added successfully`, 'success');
-        document.getElementById('remote-name-input').value = '';
-        document.getElementById('remote-url-input').value = '';
-        await loadRemotes();
+        if (result.pushResult) reportHookOutput(result.pushResult, 'push');
+        hideModal('git-release-modal');
+        if (result.pushWarning) {
+            showNotification(`Release ${result.tag} created, but the push failed: ${result.pushWarning}`, 'warning');
+        } else {
+            showNotification(`Release ${result.tag} created${result.pushed ? ' and pushed' : ''}`, 'success');
+        }
+        await loadGitTags();
+        await refreshGitStatus();
     } else {
-        showNotification(`Failed to add remote: ${result.error}`, 'error');
+        showNotification(`Release failed: ${result.error}`, 'error');
+        await refreshGitStatus();
     }
 }
 
-// Create remotes modal
-function createRemotesModal() {
+function createReleaseModal() {
     const modal = document.createElement('div');
     modal.className = 'modal';
-    modal.id = 'git-remotes-modal';
+    modal.id = 'git-release-modal';
     modal.innerHTML = `
-        <div class="modal-content" style="max-width: 700px;">
+        <div class="modal-content" style="max-width: 680px;">
             <div class="modal-header">
-                <h2><i class="fas fa-globe"></i> Manage Remotes</h2>
-                <button class="modal-close-btn" onclick="hideModal('git-remotes-modal')">
+                <h2><i class="fas fa-rocket"></i> New Release</h2>
+                <button class="modal-close-btn" onclick="hideModal('git-release-modal')">
                     <i class="fas fa-times"></i>
                 </button>
             </div>
             <div class="modal-body">
+                <div class="release-summary" id="release-summary"></div>
                 <div class="form-group">
-                    <label>Configured Remotes</label>
-                    <div id="remotes-list" style="max-height: 300px; overflow-y: auto; margin-bottom: 20px;">
-                        <!-- Remotes will be listed here -->
-                    </div>
+                    <label>Version:</label>
+                    <div class="release-bumps" id="release-bumps"></div>
                 </div>
-
-                <div class="git-info-box">
-                    <i class="fas fa-info-circle"></i>
-                    <span>Add a new remote repository</span>
+                <div class="release-tag-row">
+                    Tag <code id="release-tag-preview">-</code>
+                    <input type="text" id="release-tag-message" placeholder="Release message">
                 </div>
-
                 <div class="form-group">
-                    <label for="remote-name-input">Remote Name</label>
-                    <input type="text" id="remote-name-input" class="input" placeholder="origin" />
+                    <label for="release-notes">Changelog entry (from Conventional Commits since the last tag):</label>
+                    <textarea id="release-notes" rows="10"></textarea>
                 </div>
-
-                <div class="form-group">
-                    <label for="remote-url-input">Remote URL</label>
-                    <input type="text" id="remote-url-input" class="input"
-                        placeholder="https://github.com/user/repo.git" />
+                <div class="release-options">
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="release-update-manifest">
+                        <span id="release-update-manifest-label">Update version file</span>
+                    </label>
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="release-update-changelog" checked>
+                        <span>Add entry to CHANGELOG.md</span>
+                    </label>
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="release-sign">
+                        <span>Sign tag</span>
+                    </label>
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="release-push">
+                        <span>Push commit and tag to the branch's upstream</span>
+                    </label>
                 </div>
-
-                <button class="btn-primary" onclick="addRemote()" style="width: 100%;">
-                    <i class="fas fa-plus"></i> Add Remote
-                </button>
             </div>
             <div class="modal-footer">
-                <button class="btn-secondary modal-close">Close</button>
+                <button class="btn-secondary" onclick="hideModal('git-release-modal')">Cancel</button>
+                <button class="btn-primary" id="release-create-btn" onclick="createRelease()">
+                    <i class="fas fa-rocket"></i> Create Release
+                </button>
             </div>
         </div>
     `;